@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @notice Demo ERC-20 stablecoin used as an alternative loan currency. The whole supply goes to the deployer.
+contract AssetToken is ERC20 {
+    constructor() ERC20("Asset Token", "AST") {
+        _mint(msg.sender, 1_000_000 ether);
+    }
+}
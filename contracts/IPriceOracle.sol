@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+/// @notice Collateral appraisals for LendingPlatform's loan-to-value checks.
+/// Any contract implementing this can be plugged in with setPriceOracle.
+interface IPriceOracle {
+    /// @return price Value of `tokenId` in `currency` (smallest unit); 0 when it has no appraisal
+    function getPrice(address collection, uint256 tokenId, address currency) external view returns (uint256 price);
+}
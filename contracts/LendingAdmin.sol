@@ -0,0 +1,143 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+import "./LendingBase.sol";
+
+/// @notice Owner-only platform configuration: allowlists, rate caps, expiry, loan sizes, the protocol fee
+/// and the collateral price oracle.
+contract LendingAdmin is LendingBase {
+    using SafeERC20 for IERC20;
+
+    // ====== OWNER: CURRENCY ALLOWLIST ======
+    function setCurrencyAllowed(address _currency, bool _allowed) external onlyOwner {
+        require(_currency != NATIVE_CURRENCY, "ETH is always allowed");
+        require(allowedCurrencies[_currency] != _allowed, "Already set");
+
+        if (_allowed) {
+            // Listed once, even if toggled off and on again
+            bool listed = false;
+            for (uint256 i = 0; i < currencyList.length; i++) {
+                if (currencyList[i] == _currency) {
+                    listed = true;
+                    break;
+                }
+            }
+            if (!listed) currencyList.push(_currency);
+        }
+
+        allowedCurrencies[_currency] = _allowed;
+
+        emit CurrencyAllowed(_currency, _allowed);
+    }
+
+    // ====== OWNER: COLLATERAL COLLECTION REGISTRY ======
+    function setCollectionAllowed(address _collection, bool _allowed) external onlyOwner {
+        require(_collection != address(0), "Invalid collection");
+        require(allowedCollections[_collection] != _allowed, "Already set");
+
+        if (_allowed) {
+            bool listed = false;
+            for (uint256 i = 0; i < collectionList.length; i++) {
+                if (collectionList[i] == _collection) {
+                    listed = true;
+                    break;
+                }
+            }
+            if (!listed) collectionList.push(_collection);
+        }
+
+        // Existing requests/loans keep their collection; this only gates new requests
+        allowedCollections[_collection] = _allowed;
+
+        emit CollectionAllowed(_collection, _allowed);
+    }
+
+    // ====== OWNER: GRACE PERIOD + LATE FEE ======
+    function setLatePolicy(uint256 _gracePeriod, uint256 _lateFeeRate) external onlyOwner {
+        require(_gracePeriod <= MAX_GRACE_PERIOD, "Grace period too long");
+        require(_lateFeeRate <= MAX_LATE_FEE_RATE, "Late fee rate too high");
+
+        // Running loans keep the policy they were funded under
+        gracePeriod = _gracePeriod;
+        lateFeeRate = _lateFeeRate;
+
+        emit LatePolicyUpdated(_gracePeriod, _lateFeeRate);
+    }
+
+    // ====== OWNER: RATE CAP ======
+    // Applies to new requests and offers; running loans keep their rate
+    function setMaxInterestRate(uint256 _maxInterestRate) external onlyOwner {
+        require(_maxInterestRate > 0 && _maxInterestRate <= MAX_INTEREST_RATE_CAP, "Invalid rate cap");
+
+        maxInterestRate = _maxInterestRate;
+
+        emit MaxInterestRateUpdated(_maxInterestRate);
+    }
+
+    // ====== OWNER: REQUEST EXPIRY ======
+    function setRequestExpiry(uint256 _requestExpiry) external onlyOwner {
+        require(_requestExpiry > 0 && _requestExpiry <= MAX_REQUEST_EXPIRY, "Invalid request expiry");
+
+        requestExpiry = _requestExpiry;
+
+        emit RequestExpiryUpdated(_requestExpiry);
+    }
+
+    // ====== OWNER: LOAN SIZE LIMITS (per currency, in its smallest unit) ======
+    function setLoanLimits(address _currency, uint256 _minLoanAmount, uint256 _maxLoanAmount) external onlyOwner {
+        require(_maxLoanAmount == 0 || _maxLoanAmount >= _minLoanAmount, "Invalid loan limits");
+
+        minLoanAmount[_currency] = _minLoanAmount;
+        maxLoanAmount[_currency] = _maxLoanAmount;
+
+        emit LoanLimitsUpdated(_currency, _minLoanAmount, _maxLoanAmount);
+    }
+
+    // ====== OWNER: PROTOCOL FEE + TREASURY ======
+    // Copied onto each loan at funding, like the late policy
+    function setProtocolFee(uint256 _protocolFeeRate) external onlyOwner {
+        require(_protocolFeeRate <= MAX_PROTOCOL_FEE, "Protocol fee too high");
+
+        protocolFeeRate = _protocolFeeRate;
+
+        emit ProtocolFeeUpdated(_protocolFeeRate);
+    }
+
+    function setTreasury(address _treasury) external onlyOwner {
+        require(_treasury != address(0), "Invalid treasury");
+
+        treasury = _treasury;
+
+        emit TreasuryUpdated(_treasury);
+    }
+
+    // ====== OWNER: PRICE ORACLE + MAX LTV ======
+    // address(0) switches the loan-to-value check off
+    function setPriceOracle(address _priceOracle) external onlyOwner {
+        priceOracle = _priceOracle;
+
+        emit PriceOracleUpdated(_priceOracle);
+    }
+
+    // Applies to new requests; running loans are not re-checked
+    function setMaxLtv(uint256 _maxLtv) external onlyOwner {
+        require(_maxLtv > 0 && _maxLtv <= MAX_LTV_CAP, "Invalid max LTV");
+
+        maxLtv = _maxLtv;
+
+        emit MaxLtvUpdated(_maxLtv);
+    }
+
+    function withdrawProtocolFees(address _currency) external onlyOwner {
+        uint256 amount = protocolFees[_currency];
+        require(amount > 0, "Nothing to withdraw");
+
+        protocolFees[_currency] = 0;
+        _transferFunds(_currency, address(this), treasury, amount);
+
+        emit ProtocolFeesWithdrawn(_currency, treasury, amount);
+    }
+}
@@ -0,0 +1,154 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+import "./LendingBase.sol";
+
+/// @notice Dutch-auction liquidation: instead of taking a defaulted loan's collateral, the lender can
+/// auction it at a declining price. The winning bid pays the lender what the loan owes and credits any
+/// surplus to the borrower; with no bid by the floor price the collateral goes to the lender.
+/// A syndicated loan has no single note holder: any of its lenders can start an auction once
+/// SYNDICATE_AUCTION_DELAY has passed without a collateral sale, bids are split by share, and an
+/// unsold auction simply closes so it can be run again at a lower floor.
+contract LendingAuctions is LendingBase {
+    using SafeERC20 for IERC20;
+
+    // ====== NOTE HOLDER: START AN AUCTION ONCE THE GRACE WINDOW HAS CLOSED ======
+    function startLiquidationAuction(
+        uint256 _loanId,
+        uint256 _startPrice,
+        uint256 _floorPrice,
+        uint256 _duration
+    ) external whenNotPaused {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
+
+        require(!loan.isRepaid, "Loan already closed");
+        require(block.timestamp > _graceEndsAt(loan), "Loan not expired");
+        require(msg.sender == _lenderOf(_loanId) || _syndicateMayAuction(loan, _loanId), "Only lender can liquidate");
+        require(!auctions[_loanId].isActive, "Auction running");
+        require(_startPrice > _floorPrice, "Start price must exceed floor");
+        require(_duration >= MIN_AUCTION_DURATION && _duration <= MAX_AUCTION_DURATION, "Invalid auction duration");
+
+        // A syndicate can run several auctions for one loan; it is listed once
+        if (auctions[_loanId].startTime == 0) auctionLoanIds.push(_loanId);
+        auctions[_loanId] = LoanTypes.LiquidationAuction({
+            startPrice: _startPrice,
+            floorPrice: _floorPrice,
+            startTime: block.timestamp,
+            duration: _duration,
+            isActive: true
+        });
+
+        emit AuctionStarted(_loanId, msg.sender, _startPrice, _floorPrice, block.timestamp + _duration);
+    }
+
+    // ====== ANYONE: BUY AT THE CURRENT PRICE ======
+    // ETH bids may send more than the price (it falls while the tx is pending); the rest is refunded.
+    // Past default the debt no longer grows, so the lender's cut is the payoff at bid time.
+    // Open while paused: the price keeps falling and settleUnsoldAuction stays open, so blocking bids
+    // would let a pause hand the collateral to the lender and wipe out the borrower's surplus.
+    function bidOnAuction(uint256 _loanId) external payable {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
+        LoanTypes.LiquidationAuction storage auction = auctions[_loanId];
+
+        require(auction.isActive, "No active auction");
+        require(block.timestamp <= auction.startTime + auction.duration, "Auction ended");
+
+        uint256 price = _auctionPrice(auction);
+        uint256 sent;
+        if (loan.currency == NATIVE_CURRENCY) {
+            sent = _callValue();
+            require(sent >= price, "Bid below current price");
+            _takeValue(sent, "Bid below current price");
+        } else {
+            _rejectValue();
+        }
+
+        // Proceeds settle the debt (late fees, interest, principal) before anything goes back to the borrower
+        (uint256 toLender, , uint256 interestPaid, ) = _applyPayment(loan, price);
+        uint256 surplus = price - toLender;
+        address holder = _lenderOf(_loanId);
+
+        _payLender(loan, _loanId, msg.sender, holder, toLender, interestPaid);
+        _credit(loan.currency, msg.sender, loan.borrower, surplus);
+        _liquidate(_loanId, msg.sender);
+
+        if (sent > price) _returnValue(sent - price);
+
+        emit AuctionSettled(_loanId, msg.sender, price, toLender, surplus);
+    }
+
+    // ====== ANYONE: NO BID BY THE FLOOR PRICE -> COLLATERAL TO THE LENDER ======
+    function settleUnsoldAuction(uint256 _loanId) external {
+        LoanTypes.LiquidationAuction storage auction = auctions[_loanId];
+
+        require(auction.isActive, "No active auction");
+        require(block.timestamp > auction.startTime + auction.duration, "Auction still running");
+
+        if (syndicateRequestOf[_loanId] != 0) {
+            auction.isActive = false;
+            emit AuctionUnsold(_loanId, address(0));
+            return;
+        }
+
+        address holder = _lenderOf(_loanId);
+        _liquidate(_loanId, holder);
+
+        emit AuctionUnsold(_loanId, holder);
+    }
+
+    // ====== VIEW: Current price of a running auction ======
+    function getAuctionPrice(uint256 _loanId) external view returns (uint256) {
+        LoanTypes.LiquidationAuction storage auction = auctions[_loanId];
+        require(auction.isActive, "No active auction");
+        return _auctionPrice(auction);
+    }
+
+    // ====== VIEW: Running auctions (including ones past their end that still need settling) ======
+    // Paged over every auction ever started, with the same cursor rules as LendingViews.
+    function getActiveAuctions(uint256 _cursor, uint256 _limit)
+        external
+        view
+        returns (uint256[] memory loanIds, LoanTypes.LiquidationAuction[] memory list, uint256 nextCursor)
+    {
+        _limit = _pageSize(_limit);
+        loanIds = new uint256[](_limit);
+        list = new LoanTypes.LiquidationAuction[](_limit);
+
+        uint256 total = auctionLoanIds.length;
+        uint256 end = _scanEnd(_cursor, total);
+
+        uint256 found = 0;
+        uint256 pos = _cursor;
+        for (; pos < end && found < _limit; pos++) {
+            uint256 loanId = auctionLoanIds[pos];
+            if (!auctions[loanId].isActive) continue;
+
+            loanIds[found] = loanId;
+            list[found] = auctions[loanId];
+            found++;
+        }
+
+        nextCursor = pos < total ? pos : 0;
+        assembly {
+            mstore(loanIds, found)
+            mstore(list, found)
+        }
+    }
+
+    function _syndicateMayAuction(LoanTypes.ActiveLoan storage loan, uint256 _loanId) internal view returns (bool) {
+        uint256 stored = syndicateRequestOf[_loanId];
+        return stored != 0 &&
+            syndicateShares[stored - 1][msg.sender] > 0 &&
+            block.timestamp > _graceEndsAt(loan) + SYNDICATE_AUCTION_DELAY;
+    }
+
+    // Linear from startPrice down to floorPrice, then flat
+    function _auctionPrice(LoanTypes.LiquidationAuction storage auction) internal view returns (uint256) {
+        uint256 elapsed = block.timestamp - auction.startTime;
+        if (elapsed >= auction.duration) return auction.floorPrice;
+        return auction.startPrice - ((auction.startPrice - auction.floorPrice) * elapsed) / auction.duration;
+    }
+}
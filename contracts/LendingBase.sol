@@ -0,0 +1,740 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+
+import "./PromissoryNote.sol";
+import "./IPriceOracle.sol";
+import "./LoanStorage.sol";
+
+/// @notice Constants, events and internal helpers shared by LendingPlatform and its modules.
+/// Types live in LoanTypes and storage in LoanStorage; modules must not declare state of their own.
+/// Every module (LendingOffers, LendingAdmin, ...) is deployed on its own, registered with
+/// LendingPlatform.setModule and reached through its fallback by delegatecall.
+abstract contract LendingBase is LoanStorage {
+    using SafeERC20 for IERC20;
+
+    // Interest is quoted as an annual rate in basis points and accrues per second
+    uint256 public constant BPS_DENOMINATOR = 10_000;
+    uint256 public constant SECONDS_PER_YEAR = 365 days;
+
+    // Upper bound for installment schedules (keeps due-date lookups cheap)
+    uint256 public constant MAX_INSTALLMENTS = 120;
+    uint256 public constant OFFER_EXPIRY = 2 days;
+    uint256 public constant MAX_OFFERS_PER_REQUEST = 20;
+    uint256 public constant MIN_OFFER_SHARE = 2500; // a counter-offer lends at least 25% of the requested amount
+
+    // Late policy bounds; the values in force are copied onto each loan when it is funded
+    uint256 public constant MAX_GRACE_PERIOD = 30 days;
+    uint256 public constant MAX_LATE_FEE_RATE = 1000; // 10% of the missed principal per day
+
+    // Hard ceilings for the admin-tunable parameters below
+    uint256 public constant MAX_INTEREST_RATE_CAP = 10_000; // 100% APR
+    uint256 public constant MAX_REQUEST_EXPIRY = 30 days;
+    uint256 public constant MAX_PROTOCOL_FEE = 2000; // 20% of interest paid
+    uint256 public constant MAX_LTV_CAP = 10_000; // loan may not exceed the appraised value
+
+    // address(0) as a currency means native ETH
+    address public constant NATIVE_CURRENCY = address(0);
+
+    // Paginated views: most items returned and most ids looked at per call
+    uint256 public constant MAX_PAGE_SIZE = 50;
+    uint256 public constant MAX_PAGE_SCAN = 500;
+
+    // Syndicated requests: most lenders sharing one loan (repayments loop over them), and the smallest
+    // share, so MAX_SYNDICATE_LENDERS minimum shares always fill a request and dust cannot take the slots
+    uint256 public constant MAX_SYNDICATE_LENDERS = 20;
+    uint256 public constant MIN_SYNDICATE_SHARE = 500; // 5% of the requested amount, or whatever is left
+
+    // Most NFTs one request can escrow as a bundle
+    uint256 public constant MAX_BUNDLE_SIZE = 10;
+
+    // After a request's window runs out only its borrower may expire it for this long, so a sweep by
+    // someone else cannot beat a relist and push the NFT back out
+    uint256 public constant RELIST_WINDOW = 7 days;
+
+    // Defaulted syndicated loans: a proposed sale price stays up for votes (and an approved one stays
+    // open to buyers) this long before another price can replace it. Past the grace window plus
+    // SYNDICATE_AUCTION_DELAY any share holder can put the collateral up for auction instead.
+    uint256 public constant SALE_ROUND_PERIOD = 2 days;
+    uint256 public constant SYNDICATE_AUCTION_DELAY = 7 days;
+
+    // Dutch-auction liquidation: how long the price may take to fall from start to floor
+    uint256 public constant MIN_AUCTION_DURATION = 1 hours;
+    uint256 public constant MAX_AUCTION_DURATION = 7 days;
+
+    // Events
+    event LoanRequestCreated(
+        uint256 indexed requestId,
+        address indexed borrower,
+        uint256 loanAmount,
+        uint256 durationInDays,
+        uint256 interestRate,
+        address collateralCollection,
+        uint256 collateralTokenId,
+        uint256 createdAt,
+        address currency,
+        uint256 installmentCount
+    );
+
+    event LoanRequestCancelled(
+        uint256 indexed requestId,
+        address indexed borrower,
+        address collateralCollection,
+        uint256 collateralTokenId
+    );
+
+    event LoanRequestExpired(
+        uint256 indexed requestId,
+        address indexed borrower,
+        address collateralCollection,
+        uint256 collateralTokenId
+    );
+
+    event LoanFunded(
+        uint256 indexed loanId,
+        uint256 indexed requestId,
+        address indexed lender,
+        address borrower,
+        uint256 loanAmount,
+        address collateralCollection,
+        uint256 collateralTokenId,
+        address currency
+    );
+
+    event LoanPayment(
+        uint256 indexed loanId,
+        address indexed borrower,
+        uint256 amount,
+        uint256 lateFeePaid,
+        uint256 interestPaid,
+        uint256 principalPaid,
+        uint256 outstandingPrincipal,
+        address payer             // borrower or whoever paid on their behalf
+    );
+
+    event LoanRepaid(
+        uint256 indexed loanId,
+        address indexed borrower,
+        address indexed lender,
+        uint256 repayAmount,
+        address currency,
+        address payer             // sender of the final payment
+    );
+
+    event LoanLiquidated(
+        uint256 indexed loanId,
+        address indexed lender,
+        address collateralCollection,
+        uint256 collateralTokenId
+    );
+
+    event OfferMade(
+        uint256 indexed offerId,
+        uint256 indexed requestId,
+        address indexed lender,
+        uint256 loanAmount,
+        uint256 durationInDays,
+        uint256 interestRate,
+        uint256 expiresAt
+    );
+
+    event OfferAccepted(uint256 indexed offerId, uint256 indexed requestId, uint256 indexed loanId);
+    event OfferWithdrawn(uint256 indexed offerId, uint256 indexed requestId, address indexed lender);
+    event OfferRefunded(uint256 indexed offerId, uint256 indexed requestId, address indexed lender);
+
+    event LenderOfferCreated(
+        uint256 indexed lenderOfferId,
+        address indexed lender,
+        address currency,
+        address collection,
+        uint256 maxAmount,
+        uint256 durationInDays,
+        uint256 interestRate,
+        uint256 fills
+    );
+
+    event LenderOfferAccepted(
+        uint256 indexed lenderOfferId,
+        uint256 indexed loanId,
+        address indexed borrower,
+        uint256 loanAmount,
+        uint256 fillsRemaining
+    );
+
+    event LenderOfferCancelled(uint256 indexed lenderOfferId, address indexed lender, uint256 refunded);
+
+    event TermsProposed(uint256 indexed loanId, address indexed borrower, uint256 newEndTime, uint256 newInterestRate);
+    event TermsProposalCancelled(uint256 indexed loanId, address indexed borrower);
+
+    event LoanExtended(
+        uint256 indexed loanId,
+        address indexed lender,
+        uint256 oldEndTime,
+        uint256 newEndTime,
+        uint256 newInterestRate
+    );
+
+    event LoanRefinanced(
+        uint256 indexed loanId,
+        address indexed oldLender,
+        address indexed newLender,
+        uint256 payoff,
+        uint256 newEndTime,
+        uint256 newInterestRate
+    );
+
+    event CurrencyAllowed(address indexed currency, bool allowed);
+    event CollectionAllowed(address indexed collection, bool allowed);
+    event LatePolicyUpdated(uint256 gracePeriod, uint256 lateFeeRate);
+    event ModuleSet(address indexed module, bytes4[] selectors);
+    event PromissoryNoteSet(address indexed promissoryNote);
+    event MaxInterestRateUpdated(uint256 maxInterestRate);
+    event RequestExpiryUpdated(uint256 requestExpiry);
+    event LoanLimitsUpdated(address indexed currency, uint256 minLoanAmount, uint256 maxLoanAmount);
+    event ProtocolFeeUpdated(uint256 protocolFeeRate);
+    event TreasuryUpdated(address indexed treasury);
+    event ProtocolFeeCollected(uint256 indexed loanId, address indexed currency, uint256 fee);
+    event ProtocolFeesWithdrawn(address indexed currency, address indexed treasury, uint256 amount);
+    event PriceOracleUpdated(address indexed priceOracle);
+    event MaxLtvUpdated(uint256 maxLtv);
+    event FundsCredited(address indexed account, address indexed currency, uint256 amount);
+    event FundsWithdrawn(address indexed account, address indexed currency, uint256 amount);
+    event SignedRequestFilled(
+        address indexed borrower,
+        uint256 indexed nonce,
+        address indexed lender,
+        uint256 requestId,
+        uint256 loanId
+    );
+    event SignedRequestCancelled(address indexed borrower, uint256 indexed nonce);
+    event LoanShareFunded(uint256 indexed requestId, address indexed lender, uint256 amount, uint256 totalFunded);
+    event LoanShareWithdrawn(uint256 indexed requestId, address indexed lender, uint256 amount);
+    event LoanShareRefunded(uint256 indexed requestId, address indexed lender, uint256 amount);
+    event SyndicatedLoanStarted(uint256 indexed loanId, uint256 indexed requestId, uint256 lenderCount);
+    event CollateralSaleProposed(uint256 indexed loanId, address indexed proposer, uint256 price, uint256 round);
+    event CollateralSaleVoted(uint256 indexed loanId, address indexed lender, uint256 approvedShares, bool approved);
+    event SyndicatedCollateralSold(uint256 indexed loanId, address indexed buyer, uint256 price);
+    event CollateralBundled(uint256 indexed requestId, address indexed collection, uint256[] tokenIds);
+    event AuctionStarted(
+        uint256 indexed loanId,
+        address indexed lender,
+        uint256 startPrice,
+        uint256 floorPrice,
+        uint256 endsAt
+    );
+    event AuctionSettled(
+        uint256 indexed loanId,
+        address indexed buyer,
+        uint256 price,
+        uint256 paidToLender,
+        uint256 surplusToBorrower
+    );
+    event AuctionUnsold(uint256 indexed loanId, address indexed lender);
+    event EmergencyCollateralReleased(
+        uint256 indexed id,
+        bool isLoan,
+        address indexed to,
+        address collateralCollection,
+        uint256 collateralTokenId
+    );
+    event LoanRequestUpdated(
+        uint256 indexed requestId,
+        address indexed borrower,
+        uint256 loanAmount,
+        uint256 durationInDays,
+        uint256 interestRate
+    );
+    event LoanRequestRelisted(uint256 indexed requestId, address indexed borrower, uint256 listedAt);
+    event CollateralSwapProposed(uint256 indexed loanId, address indexed borrower, address collection, uint256[] tokenIds);
+    event CollateralSwapCancelled(uint256 indexed loanId, address indexed borrower);
+    event CollateralSubstituted(
+        uint256 indexed loanId,
+        address indexed lender,
+        address oldCollection,
+        uint256[] oldTokenIds,
+        address newCollection,
+        uint256[] newTokenIds
+    );
+
+    // Records a request for NFT already held in escrow. Callers validate the terms.
+    function _newRequest(
+        address _borrower,
+        uint256 _loanAmount,
+        uint256 _durationInDays,
+        uint256 _interestRate,
+        address _collection,
+        uint256 _collateralTokenId,
+        address _currency,
+        uint256 _installmentCount
+    ) internal returns (uint256 requestId) {
+        requestId = getNextRequestId();
+
+        LoanTypes.LoanRequest storage request = loanRequests[requestId];
+        request.borrower = _borrower;
+        request.loanAmount = _loanAmount;
+        request.durationInDays = _durationInDays;
+        request.interestRate = _interestRate;
+        request.collateralTokenId = _collateralTokenId;
+        request.isActive = true;
+        request.currency = _currency;
+        request.collateralCollection = _collection;
+        request.installmentCount = _installmentCount;
+
+        requestCreatedAt[requestId] = block.timestamp;
+        requestStatus[requestId] = LoanTypes.RequestStatus.ACTIVE;
+
+        borrowerRequestIds[_borrower].push(requestId);
+
+        emit LoanRequestCreated(
+            requestId,
+            _borrower,
+            _loanAmount,
+            _durationInDays,
+            _interestRate,
+            _collection,
+            _collateralTokenId,
+            block.timestamp,
+            _currency,
+            _installmentCount
+        );
+    }
+
+    // Opens the loan on `_requestId` with the given terms and closes the request.
+    // Callers move the principal to the borrower.
+    function _startLoan(
+        uint256 _requestId,
+        address _lender,
+        uint256 _loanAmount,
+        uint256 _durationInDays,
+        uint256 _interestRate
+    ) internal returns (uint256 loanId) {
+        LoanTypes.LoanRequest storage request = loanRequests[_requestId];
+
+        loanId = getNextLoanId();
+
+        LoanTypes.ActiveLoan storage loan = activeLoans[loanId];
+        loan.borrower = request.borrower;
+        loan.lender = _lender;
+        loan.loanAmount = _loanAmount;
+        loan.collateralTokenId = request.collateralTokenId;
+        loan.startTimestamp = block.timestamp;
+        loan.endTime = block.timestamp + (_durationInDays * 1 days);
+        loan.interestRate = _interestRate;
+        loan.isRepaid = false;
+        loan.currency = request.currency;
+        loan.collateralCollection = request.collateralCollection;
+        loan.installmentCount = request.installmentCount;
+        loan.outstandingPrincipal = _loanAmount;
+        loan.lastAccrual = block.timestamp;
+        loan.gracePeriod = gracePeriod;
+        loan.lateFeeRate = lateFeeRate;
+        loan.protocolFeeRate = protocolFeeRate;
+
+        request.isActive = false;
+        requestStatus[_requestId] = LoanTypes.RequestStatus.FUNDED;
+
+        if (requestBundleIds[_requestId].length > 0) loanBundleIds[loanId] = requestBundleIds[_requestId];
+
+        borrowerLoanIds[loan.borrower].push(loanId);
+        _indexLender(_lender, loanId);
+
+        accountStats[loan.borrower].loansTaken++;
+        borrowedVolume[loan.borrower][loan.currency] += _loanAmount;
+        // A syndicate's lenders are recorded one by one when it fills
+        if (_lender != address(this)) _recordFunding(_lender, loan.currency, _loanAmount);
+
+        require(promissoryNote != address(0), "Promissory note not set");
+        PromissoryNote(promissoryNote).mint(_lender, loanId);
+
+        emit LoanFunded(
+            loanId,
+            _requestId,
+            _lender,
+            loan.borrower,
+            _loanAmount,
+            loan.collateralCollection,
+            loan.collateralTokenId,
+            loan.currency
+        );
+    }
+
+    // Once per lender and loan, even if a loan is refinanced back to an earlier lender
+    function _indexLender(address _lender, uint256 _loanId) internal {
+        if (inLenderIndex[_lender][_loanId]) return;
+        inLenderIndex[_lender][_loanId] = true;
+        lenderLoanIds[_lender].push(_loanId);
+    }
+
+    function _recordFunding(address _lender, address _currency, uint256 _amount) internal {
+        accountStats[_lender].loansFunded++;
+        lentVolume[_lender][_currency] += _amount;
+    }
+
+    // Terms every new request must meet, however it is created
+    function _checkRequestTerms(
+        uint256 _loanAmount,
+        uint256 _durationInDays,
+        uint256 _interestRate,
+        address _collection,
+        address _currency,
+        uint256 _installmentCount
+    ) internal view {
+        require(_loanAmount > 0, "Loan amount must be greater than 0");
+        require(allowedCurrencies[_currency], "Currency not allowed");
+        _checkLoanSize(_currency, _loanAmount);
+        require(allowedCollections[_collection], "Collection not allowed");
+        require(_durationInDays > 0, "Duration must be greater than 0");
+        require(_interestRate > 0 && _interestRate <= maxInterestRate, "Invalid interest rate");
+        require(
+            _installmentCount > 0 &&
+            _installmentCount <= MAX_INSTALLMENTS &&
+            _installmentCount <= _durationInDays,
+            "Invalid installment count"
+        );
+    }
+
+    // ====== LOAN-TO-VALUE ======
+    // Appraised value of a single NFT or a whole bundle in `_currency` (0 without an oracle)
+    function _appraise(
+        address _collection,
+        uint256 _tokenId,
+        uint256[] memory _bundle,
+        address _currency
+    ) internal view returns (uint256 value) {
+        if (priceOracle == address(0)) return 0;
+        if (_bundle.length == 0) return IPriceOracle(priceOracle).getPrice(_collection, _tokenId, _currency);
+        for (uint256 i = 0; i < _bundle.length; i++) {
+            value += IPriceOracle(priceOracle).getPrice(_collection, _bundle[i], _currency);
+        }
+    }
+
+    function _ltv(uint256 _amount, uint256 _value) internal pure returns (uint256) {
+        return _value == 0 ? 0 : (_amount * BPS_DENOMINATOR) / _value;
+    }
+
+    function _checkLtv(
+        address _collection,
+        uint256 _tokenId,
+        uint256[] memory _bundle,
+        address _currency,
+        uint256 _loanAmount
+    ) internal view {
+        if (priceOracle == address(0)) return;
+
+        uint256 value = _appraise(_collection, _tokenId, _bundle, _currency);
+        require(value > 0, "Collateral has no appraisal");
+        require(_loanAmount * BPS_DENOMINATOR <= value * maxLtv, "Loan exceeds max LTV");
+    }
+
+    function _checkLoanSize(address _currency, uint256 _loanAmount) internal view {
+        uint256 cap = maxLoanAmount[_currency];
+        require(_loanAmount >= minLoanAmount[_currency] && (cap == 0 || _loanAmount <= cap), "Loan amount out of range");
+    }
+
+    // Pays `_amount` from `_from` to the lender, keeping the protocol fee on the interest part
+    function _payLender(
+        LoanTypes.ActiveLoan storage loan,
+        uint256 _loanId,
+        address _from,
+        address _to,
+        uint256 _amount,
+        uint256 _interestPaid
+    ) internal {
+        uint256 fee = (_interestPaid * loan.protocolFeeRate) / BPS_DENOMINATOR;
+        if (fee > 0) {
+            protocolFees[loan.currency] += fee;
+            // ETH fees simply stay out of what is forwarded
+            if (loan.currency != NATIVE_CURRENCY) IERC20(loan.currency).safeTransferFrom(_from, address(this), fee);
+
+            emit ProtocolFeeCollected(_loanId, loan.currency, fee);
+        }
+
+        uint256 syndicate = syndicateRequestOf[_loanId];
+        if (syndicate == 0) {
+            _credit(loan.currency, _from, _to, _amount - fee);
+        } else {
+            _paySyndicate(syndicate - 1, loan.currency, _from, _amount - fee);
+        }
+    }
+
+    // Splits `_amount` over the syndicate by share; the rounding dust goes to the last lender
+    function _paySyndicate(uint256 _requestId, address _currency, address _from, uint256 _amount) internal {
+        if (_currency != NATIVE_CURRENCY && _from != address(this)) {
+            IERC20(_currency).safeTransferFrom(_from, address(this), _amount);
+        }
+
+        address[] storage lenders = syndicateLenders[_requestId];
+        uint256 total = syndicateFunded[_requestId];
+        uint256 paid;
+        for (uint256 i = 0; i < lenders.length; i++) {
+            uint256 part = i == lenders.length - 1
+                ? _amount - paid
+                : (_amount * syndicateShares[_requestId][lenders[i]]) / total;
+            paid += part;
+            _credit(_currency, address(this), lenders[i], part);
+        }
+    }
+
+    // Current holder of the loan's promissory note: receives repayments and may liquidate
+    function _lenderOf(uint256 _loanId) internal view returns (address) {
+        return PromissoryNote(promissoryNote).ownerOf(_loanId);
+    }
+
+    // Position closed (repaid or liquidated): the note has nothing left to claim
+    function _burnNote(uint256 _loanId) internal {
+        PromissoryNote(promissoryNote).burn(_loanId);
+    }
+
+    // Request past its expiry window: close it, refund offers and return the NFT to the borrower
+    function _expireRequest(uint256 _requestId) internal {
+        LoanTypes.LoanRequest storage request = loanRequests[_requestId];
+
+        request.isActive = false;
+        requestStatus[_requestId] = LoanTypes.RequestStatus.EXPIRED;
+        _refundOpenOffers(_requestId, type(uint256).max);
+        _refundShares(_requestId);
+
+        _releaseRequestCollateral(_requestId, request.borrower);
+
+        emit LoanRequestExpired(_requestId, request.borrower, request.collateralCollection, request.collateralTokenId);
+    }
+
+    // Defaulted loan: close it, settle the note and hand the NFT to `_to`
+    function _liquidate(uint256 _loanId, address _to) internal {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
+
+        loan.isRepaid = true;
+        auctions[_loanId].isActive = false;
+        _burnNote(_loanId);
+        accountStats[loan.borrower].liquidated++;
+
+        _releaseLoanCollateral(_loanId, _to);
+
+        emit LoanLiquidated(_loanId, _to, loan.collateralCollection, loan.collateralTokenId);
+    }
+
+    function _refundOpenOffers(uint256 _requestId, uint256 _exceptOfferId) internal {
+        uint256[] storage ids = requestOfferIds[_requestId];
+        address currency = loanRequests[_requestId].currency;
+
+        for (uint256 i = 0; i < ids.length; i++) {
+            uint256 offerId = ids[i];
+            LoanTypes.LoanOffer storage offer = loanOffers[offerId];
+            if (offerId == _exceptOfferId || offer.status != LoanTypes.OfferStatus.OPEN) continue;
+
+            offer.status = LoanTypes.OfferStatus.REFUNDED;
+            _credit(currency, address(this), offer.lender, offer.loanAmount);
+
+            emit OfferRefunded(offerId, _requestId, offer.lender);
+        }
+    }
+
+    // ====== COLLATERAL OUT OF ESCROW (a single NFT or the whole bundle) ======
+    function _releaseRequestCollateral(uint256 _requestId, address _to) internal {
+        LoanTypes.LoanRequest storage request = loanRequests[_requestId];
+        _releaseCollateral(request.collateralCollection, request.collateralTokenId, requestBundleIds[_requestId], _to);
+    }
+
+    function _releaseLoanCollateral(uint256 _loanId, address _to) internal {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
+        _releaseCollateral(loan.collateralCollection, loan.collateralTokenId, loanBundleIds[_loanId], _to);
+    }
+
+    function _releaseCollateral(address _collection, uint256 _tokenId, uint256[] storage _bundle, address _to) internal {
+        if (_bundle.length == 0) {
+            IERC721(_collection).transferFrom(address(this), _to, _tokenId);
+            return;
+        }
+        for (uint256 i = 0; i < _bundle.length; i++) {
+            IERC721(_collection).transferFrom(address(this), _to, _bundle[i]);
+        }
+    }
+
+    // Request closed some other way (funded whole, cancelled, expired): syndicate shares go back
+    function _refundShares(uint256 _requestId) internal {
+        address[] storage lenders = syndicateLenders[_requestId];
+        address currency = loanRequests[_requestId].currency;
+
+        for (uint256 i = 0; i < lenders.length; i++) {
+            uint256 share = syndicateShares[_requestId][lenders[i]];
+            syndicateShares[_requestId][lenders[i]] = 0;
+            _credit(currency, address(this), lenders[i], share);
+
+            emit LoanShareRefunded(_requestId, lenders[i], share);
+        }
+
+        delete syndicateLenders[_requestId];
+        syndicateFunded[_requestId] = 0;
+    }
+
+    // ====== REPAY CALC ======
+    // Simple interest on the outstanding principal, accrued per second and capped at endTime
+    function _pendingInterest(LoanTypes.ActiveLoan storage loan, uint256 _timestamp) internal view returns (uint256) {
+        uint256 until = _timestamp < loan.endTime ? _timestamp : loan.endTime;
+        if (until <= loan.lastAccrual) return 0;
+
+        return (loan.outstandingPrincipal * loan.interestRate * (until - loan.lastAccrual)) /
+            (BPS_DENOMINATOR * SECONDS_PER_YEAR);
+    }
+
+    function _accrue(LoanTypes.ActiveLoan storage loan) internal {
+        loan.interestOwed += _pendingInterest(loan, block.timestamp);
+        if (block.timestamp > loan.lastAccrual) {
+            loan.lastAccrual = block.timestamp < loan.endTime ? block.timestamp : loan.endTime;
+        }
+    }
+
+    // Late fee on the missed principal, from the due date (or last accrual) until the grace window closes
+    function _pendingLateFee(LoanTypes.ActiveLoan storage loan, uint256 _timestamp) internal view returns (uint256) {
+        uint256 index = _nextInstallment(loan);
+        uint256 dueDate = _installmentDueDate(loan, index);
+        uint256 graceEnd = dueDate + loan.gracePeriod;
+
+        uint256 from = loan.lateFeeAccrual > dueDate ? loan.lateFeeAccrual : dueDate;
+        uint256 until = _timestamp < graceEnd ? _timestamp : graceEnd;
+        if (until <= from) return 0;
+
+        uint256 missedPrincipal = _principalTarget(loan, index) - (loan.loanAmount - loan.outstandingPrincipal);
+        return (missedPrincipal * loan.lateFeeRate * (until - from)) / (BPS_DENOMINATOR * 1 days);
+    }
+
+    function _accrueLateFee(LoanTypes.ActiveLoan storage loan) internal {
+        uint256 fee = _pendingLateFee(loan, block.timestamp);
+        if (fee > 0) {
+            loan.lateFeeOwed += fee;
+            loan.lateFeeAccrual = block.timestamp;
+        }
+    }
+
+    // Full payoff (outstanding principal + all interest + late fees) at `_timestamp`
+    function _calculateRepayAmount(LoanTypes.ActiveLoan storage loan, uint256 _timestamp) internal view returns (uint256) {
+        return loan.outstandingPrincipal +
+            loan.interestOwed +
+            _pendingInterest(loan, _timestamp) +
+            loan.lateFeeOwed +
+            _pendingLateFee(loan, _timestamp);
+    }
+
+    function _principalTarget(LoanTypes.ActiveLoan storage loan, uint256 _index) internal view returns (uint256) {
+        return (loan.loanAmount * _index) / loan.installmentCount;
+    }
+
+    // Installment k (1..installmentCount) falls due at start + k * term / installmentCount and
+    // requires loanAmount * k / installmentCount of principal to be repaid by then.
+    function _nextInstallment(LoanTypes.ActiveLoan storage loan) internal view returns (uint256 index) {
+        uint256 principalRepaid = loan.loanAmount - loan.outstandingPrincipal;
+        for (index = 1; index < loan.installmentCount; index++) {
+            if (principalRepaid < _principalTarget(loan, index)) return index;
+        }
+        return loan.installmentCount;
+    }
+
+    function _installmentDueDate(LoanTypes.ActiveLoan storage loan, uint256 _index) internal view returns (uint256) {
+        return loan.startTimestamp + ((loan.endTime - loan.startTimestamp) * _index) / loan.installmentCount;
+    }
+
+    function _nextDueDate(LoanTypes.ActiveLoan storage loan) internal view returns (uint256) {
+        return _installmentDueDate(loan, _nextInstallment(loan));
+    }
+
+    // The loan is in default once the grace window after a missed due date has closed
+    function _graceEndsAt(LoanTypes.ActiveLoan storage loan) internal view returns (uint256) {
+        return _nextDueDate(loan) + loan.gracePeriod;
+    }
+
+    // Waterfall: late fees, then interest, then principal. Returns what was actually taken.
+    function _applyPayment(LoanTypes.ActiveLoan storage loan, uint256 _amount)
+        internal
+        returns (uint256 payment, uint256 lateFeePaid, uint256 interestPaid, uint256 principalPaid)
+    {
+        _accrueLateFee(loan);
+        _accrue(loan);
+
+        uint256 owed = loan.outstandingPrincipal + loan.interestOwed + loan.lateFeeOwed;
+        payment = _amount < owed ? _amount : owed;
+
+        lateFeePaid = payment < loan.lateFeeOwed ? payment : loan.lateFeeOwed;
+        uint256 rest = payment - lateFeePaid;
+        interestPaid = rest < loan.interestOwed ? rest : loan.interestOwed;
+        principalPaid = rest - interestPaid;
+
+        loan.lateFeeOwed -= lateFeePaid;
+        loan.interestOwed -= interestPaid;
+        loan.outstandingPrincipal -= principalPaid;
+        loan.totalRepaid += payment;
+    }
+
+    // ====== FUNDS: counterparties are credited, callers are paid directly ======
+    // Books `_amount` for `_to` to pull with withdraw(), so a recipient that rejects transfers
+    // cannot block the caller. ERC-20 from a payer is moved into escrow first; ETH is already here.
+    function _credit(address _currency, address _from, address _to, uint256 _amount) internal {
+        if (_amount == 0) return;
+        if (_currency != NATIVE_CURRENCY && _from != address(this)) {
+            IERC20(_currency).safeTransferFrom(_from, address(this), _amount);
+        }
+
+        claimable[_to][_currency] += _amount;
+
+        emit FundsCredited(_to, _currency, _amount);
+    }
+
+    // ====== PAGINATED VIEWS (see LendingViews for the cursor rules) ======
+    function _pageSize(uint256 _limit) internal pure returns (uint256) {
+        require(_limit > 0, "Limit must be greater than 0");
+        return _limit > MAX_PAGE_SIZE ? MAX_PAGE_SIZE : _limit;
+    }
+
+    function _scanEnd(uint256 _cursor, uint256 _total) internal pure returns (uint256) {
+        if (_cursor >= _total) return _cursor;
+        return _total - _cursor > MAX_PAGE_SCAN ? _cursor + MAX_PAGE_SCAN : _total;
+    }
+
+    // ====== ETH SENT WITH A CALL ======
+    // Inside multicall() every call sees the same msg.value, so they draw on multicallValue instead.
+    function _inMulticall() internal view returns (bool) {
+        return multicallSender == msg.sender;
+    }
+
+    // ETH the current call can still spend
+    function _callValue() internal view returns (uint256) {
+        return _inMulticall() ? multicallValue : msg.value;
+    }
+
+    // Takes `_amount` of ETH: exactly msg.value on a direct call, or from what the multicall has left
+    function _takeValue(uint256 _amount, string memory _error) internal {
+        if (_inMulticall()) {
+            require(multicallValue >= _amount, _error);
+            multicallValue -= _amount;
+        } else {
+            require(msg.value == _amount, _error);
+        }
+    }
+
+    function _rejectValue() internal view {
+        require(_inMulticall() || msg.value == 0, "ETH not accepted for token loan");
+    }
+
+    // Hands back ETH taken but not used (left for the next call inside a multicall)
+    function _returnValue(uint256 _amount) internal {
+        if (_inMulticall()) {
+            multicallValue += _amount;
+        } else {
+            _transferFunds(NATIVE_CURRENCY, address(this), msg.sender, _amount);
+        }
+    }
+
+    // ETH out of msg.value or escrow, ERC-20 from the payer or escrow
+    function _transferFunds(address _currency, address _from, address _to, uint256 _amount) internal {
+        if (_currency == NATIVE_CURRENCY) {
+            (bool ok, ) = payable(_to).call{ value: _amount }("");
+            require(ok, "ETH transfer failed");
+        } else if (_from == address(this)) {
+            IERC20(_currency).safeTransfer(_to, _amount);
+        } else {
+            IERC20(_currency).safeTransferFrom(_from, _to, _amount);
+        }
+    }
+}
@@ -0,0 +1,64 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "./LendingBase.sol";
+
+/// @notice Batch housekeeping and multicall.
+/// Batch functions skip ids that are not eligible instead of reverting, so one stale id cannot sink the rest.
+contract LendingBatch is LendingBase {
+    // ====== ANYONE: EXPIRE MANY REQUESTS (ids still in their window or already closed are skipped) ======
+    // Someone else's requests are skipped until their RELIST_WINDOW has passed too.
+    function batchExpireLoanRequests(uint256[] calldata _requestIds) external returns (uint256 expired) {
+        for (uint256 i = 0; i < _requestIds.length; i++) {
+            uint256 requestId = _requestIds[i];
+            if (!loanRequests[requestId].isActive || requestStatus[requestId] != LoanTypes.RequestStatus.ACTIVE) continue;
+            uint256 expiresAt = requestCreatedAt[requestId] + requestExpiry;
+            if (block.timestamp <= expiresAt) continue;
+            if (msg.sender != loanRequests[requestId].borrower && block.timestamp <= expiresAt + RELIST_WINDOW) continue;
+
+            _expireRequest(requestId);
+            expired++;
+        }
+    }
+
+    // ====== NOTE HOLDER: LIQUIDATE MANY LOANS (loans still in grace, held by someone else or at auction are skipped) ======
+    function batchLiquidateLoans(uint256[] calldata _loanIds) external returns (uint256 liquidated) {
+        for (uint256 i = 0; i < _loanIds.length; i++) {
+            uint256 loanId = _loanIds[i];
+            LoanTypes.ActiveLoan storage loan = activeLoans[loanId];
+            if (loanId >= totalLoans || loan.isRepaid || block.timestamp <= _graceEndsAt(loan)) continue;
+            if (_lenderOf(loanId) != msg.sender || auctions[loanId].isActive) continue;
+
+            _liquidate(loanId, msg.sender);
+            liquidated++;
+        }
+    }
+
+    // ====== ANYONE: SEVERAL PLATFORM CALLS IN ONE TRANSACTION (all or nothing) ======
+    // Each entry is ABI-encoded calldata for a platform function, run as msg.sender.
+    // ETH sent with the batch is shared out to the payable calls in order and the rest is refunded.
+    // Non-payable functions can only be batched when no ETH is sent.
+    function multicall(bytes[] calldata _calls) external payable returns (bytes[] memory results) {
+        require(multicallSender == address(0), "Multicall already running");
+        multicallSender = msg.sender;
+        multicallValue = msg.value;
+
+        results = new bytes[](_calls.length);
+        for (uint256 i = 0; i < _calls.length; i++) {
+            (bool ok, bytes memory result) = address(this).delegatecall(_calls[i]);
+            if (!ok) {
+                // Bubble up the failing call's revert reason
+                assembly {
+                    revert(add(result, 32), mload(result))
+                }
+            }
+            results[i] = result;
+        }
+
+        uint256 leftover = multicallValue;
+        multicallSender = address(0);
+        multicallValue = 0;
+
+        if (leftover > 0) _transferFunds(NATIVE_CURRENCY, address(this), msg.sender, leftover);
+    }
+}
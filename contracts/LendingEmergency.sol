@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "./LendingBase.sol";
+
+/// @notice Circuit breaker and the collateral exit path used while it is engaged.
+/// Pausing blocks new requests, funding, offers and refinancing. Repay, cancel, offer withdrawals,
+/// expiry and liquidation keep working, and anyone can push escrowed NFTs back to their rightful
+/// owner with the release functions below.
+contract LendingEmergency is LendingBase {
+    // ====== OWNER: CIRCUIT BREAKER ======
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    // ====== ANYONE (WHILE PAUSED): RETURN A PENDING REQUEST'S NFT TO ITS BORROWER ======
+    // Same end state as cancelLoanRequest; counter-offers and syndicate shares are refunded.
+    function emergencyReleaseRequest(uint256 _requestId) external whenPaused {
+        LoanTypes.LoanRequest storage request = loanRequests[_requestId];
+
+        require(request.isActive, "Request is not active");
+        require(requestStatus[_requestId] == LoanTypes.RequestStatus.ACTIVE, "Not ACTIVE");
+
+        request.isActive = false;
+        requestStatus[_requestId] = LoanTypes.RequestStatus.CANCELLED;
+        _refundOpenOffers(_requestId, type(uint256).max);
+        _refundShares(_requestId);
+
+        _releaseRequestCollateral(_requestId, request.borrower);
+
+        emit LoanRequestCancelled(_requestId, request.borrower, request.collateralCollection, request.collateralTokenId);
+        emit EmergencyCollateralReleased(
+            _requestId,
+            false,
+            request.borrower,
+            request.collateralCollection,
+            request.collateralTokenId
+        );
+    }
+
+    // ====== ANYONE (WHILE PAUSED): HAND A DEFAULTED LOAN'S NFT TO THE NOTE HOLDER ======
+    // A running loan still belongs in escrow: the borrower can repay while paused and gets it back then.
+    // Syndicated loans are held by the platform itself; their lenders exit through a collateral sale.
+    // A running auction stays open while paused, so it is left to settle through bids or settleUnsoldAuction.
+    function emergencyReleaseLoan(uint256 _loanId) external whenPaused {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
+
+        require(!loan.isRepaid, "Loan already closed");
+        require(block.timestamp > _graceEndsAt(loan), "Loan running: repay to release");
+        require(syndicateRequestOf[_loanId] == 0, "Syndicated: sell the collateral");
+        require(!auctions[_loanId].isActive, "Auction running");
+
+        address holder = _lenderOf(_loanId);
+        _liquidate(_loanId, holder);
+
+        emit EmergencyCollateralReleased(_loanId, true, holder, loan.collateralCollection, loan.collateralTokenId);
+    }
+}
@@ -0,0 +1,89 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "./LendingBase.sol";
+
+/// @notice Changes to pending requests while the collateral stays in escrow: new terms for a request
+/// that is still listed, or a fresh expiry window for one whose window ran out before anyone swept it.
+/// The replaced terms are kept in requestRevisions. Only the borrower can sweep an expired request
+/// during RELIST_WINDOW; once closed by expireLoanRequest it has returned its NFT and needs a new request.
+contract LendingListings is LendingBase {
+    // ====== BORROWER: NEW TERMS FOR A LISTED REQUEST (expiry window unchanged) ======
+    // Open counter-offers stay open on their own terms; a request with syndicate shares is locked.
+    function updateLoanRequest(
+        uint256 _requestId,
+        uint256 _loanAmount,
+        uint256 _durationInDays,
+        uint256 _interestRate
+    ) external whenNotPaused {
+        LoanTypes.LoanRequest storage request = _ownPendingRequest(_requestId);
+
+        require(block.timestamp <= requestCreatedAt[_requestId] + requestExpiry, "Request expired");
+        require(syndicateFunded[_requestId] == 0, "Syndicate funding in progress");
+        _checkRequestTerms(
+            _loanAmount,
+            _durationInDays,
+            _interestRate,
+            request.collateralCollection,
+            request.currency,
+            request.installmentCount
+        );
+        _checkLtv(request.collateralCollection, request.collateralTokenId, requestBundleIds[_requestId], request.currency, _loanAmount);
+
+        _recordRevision(_requestId);
+        request.loanAmount = _loanAmount;
+        request.durationInDays = _durationInDays;
+        request.interestRate = _interestRate;
+
+        emit LoanRequestUpdated(_requestId, msg.sender, _loanAmount, _durationInDays, _interestRate);
+    }
+
+    // ====== BORROWER: RELIST AN EXPIRED REQUEST (same terms, fresh window) ======
+    // The terms are checked again against the current limits, as for a new request.
+    function relistLoanRequest(uint256 _requestId) external whenNotPaused {
+        LoanTypes.LoanRequest storage request = _ownPendingRequest(_requestId);
+
+        require(block.timestamp > requestCreatedAt[_requestId] + requestExpiry, "Not expired yet");
+        _checkRequestTerms(
+            request.loanAmount,
+            request.durationInDays,
+            request.interestRate,
+            request.collateralCollection,
+            request.currency,
+            request.installmentCount
+        );
+        _checkLtv(request.collateralCollection, request.collateralTokenId, requestBundleIds[_requestId], request.currency, request.loanAmount);
+
+        _recordRevision(_requestId);
+        requestCreatedAt[_requestId] = block.timestamp;
+
+        emit LoanRequestRelisted(_requestId, msg.sender, block.timestamp);
+    }
+
+    // ====== VIEW: Earlier versions of a request, oldest first (the current terms are in loanRequests) ======
+    function getRequestHistory(uint256 _requestId) external view returns (LoanTypes.RequestRevision[] memory) {
+        return requestRevisions[_requestId];
+    }
+
+    function _ownPendingRequest(uint256 _requestId) internal view returns (LoanTypes.LoanRequest storage request) {
+        request = loanRequests[_requestId];
+
+        require(request.borrower == msg.sender, "Only borrower can change");
+        require(request.isActive, "Request is not active");
+        require(requestStatus[_requestId] == LoanTypes.RequestStatus.ACTIVE, "Not ACTIVE");
+    }
+
+    function _recordRevision(uint256 _requestId) internal {
+        LoanTypes.LoanRequest storage request = loanRequests[_requestId];
+
+        requestRevisions[_requestId].push(
+            LoanTypes.RequestRevision({
+                loanAmount: request.loanAmount,
+                durationInDays: request.durationInDays,
+                interestRate: request.interestRate,
+                listedAt: requestCreatedAt[_requestId],
+                replacedAt: block.timestamp
+            })
+        );
+    }
+}
@@ -0,0 +1,328 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+
+import "./LendingBase.sol";
+
+/// @notice Counter-offers on pending requests and standing lender offers.
+contract LendingOffers is LendingBase {
+    using SafeERC20 for IERC20;
+
+    // ====== LENDER: COUNTER-OFFER (escrow principal) ======
+    function makeOffer(
+        uint256 _requestId,
+        uint256 _loanAmount,
+        uint256 _durationInDays,
+        uint256 _interestRate
+    ) external payable whenNotPaused returns (uint256 offerId) {
+        LoanTypes.LoanRequest storage request = loanRequests[_requestId];
+
+        require(request.isActive, "Request is not active");
+        require(requestStatus[_requestId] == LoanTypes.RequestStatus.ACTIVE, "Not ACTIVE");
+        require(block.timestamp <= requestCreatedAt[_requestId] + requestExpiry, "Request expired");
+        require(msg.sender != request.borrower, "Borrower cannot make offers");
+        // Withdrawn offers leave requestOfferIds; once the cap is reached, expired ones are refunded to make room
+        if (requestOfferIds[_requestId].length >= MAX_OFFERS_PER_REQUEST) _refundExpiredOffers(_requestId);
+        require(requestOfferIds[_requestId].length < MAX_OFFERS_PER_REQUEST, "Too many offers");
+
+        require(_loanAmount > 0, "Loan amount must be greater than 0");
+        require(_loanAmount * BPS_DENOMINATOR >= request.loanAmount * MIN_OFFER_SHARE, "Offer below minimum size");
+        _checkLoanSize(request.currency, _loanAmount);
+        require(_durationInDays > 0, "Duration must be greater than 0");
+        require(_interestRate > 0 && _interestRate <= maxInterestRate, "Invalid interest rate");
+        require(request.installmentCount <= _durationInDays, "Invalid installment count");
+
+        if (request.currency == NATIVE_CURRENCY) {
+            _takeValue(_loanAmount, "Must send exact loan amount");
+        } else {
+            _rejectValue();
+            IERC20(request.currency).safeTransferFrom(msg.sender, address(this), _loanAmount);
+        }
+
+        offerId = totalOffers;
+        totalOffers++;
+
+        loanOffers[offerId] = LoanTypes.LoanOffer({
+            lender: msg.sender,
+            requestId: _requestId,
+            loanAmount: _loanAmount,
+            durationInDays: _durationInDays,
+            interestRate: _interestRate,
+            createdAt: block.timestamp,
+            status: LoanTypes.OfferStatus.OPEN
+        });
+        requestOfferIds[_requestId].push(offerId);
+        lenderOfferIds[msg.sender].push(offerId);
+
+        emit OfferMade(
+            offerId,
+            _requestId,
+            msg.sender,
+            _loanAmount,
+            _durationInDays,
+            _interestRate,
+            block.timestamp + OFFER_EXPIRY
+        );
+    }
+
+    // Open offers (including expired ones) can always be pulled back by their lender
+    function withdrawOffer(uint256 _offerId) external {
+        LoanTypes.LoanOffer storage offer = loanOffers[_offerId];
+
+        require(offer.lender == msg.sender, "Only lender can withdraw");
+        require(offer.status == LoanTypes.OfferStatus.OPEN, "Offer not open");
+
+        offer.status = LoanTypes.OfferStatus.WITHDRAWN;
+        _removeRequestOffer(offer.requestId, _offerId);
+        _transferFunds(loanRequests[offer.requestId].currency, address(this), msg.sender, offer.loanAmount);
+
+        emit OfferWithdrawn(_offerId, offer.requestId, msg.sender);
+    }
+
+    // Swap-and-pop; the lender keeps the offer in lenderOfferIds as history
+    function _removeRequestOffer(uint256 _requestId, uint256 _offerId) private {
+        uint256[] storage ids = requestOfferIds[_requestId];
+        uint256 last = ids.length - 1;
+
+        for (uint256 i = 0; i <= last; i++) {
+            if (ids[i] != _offerId) continue;
+            ids[i] = ids[last];
+            ids.pop();
+            return;
+        }
+    }
+
+    // Walks backwards so the offer swapped into slot i has already been looked at
+    function _refundExpiredOffers(uint256 _requestId) private {
+        uint256[] storage ids = requestOfferIds[_requestId];
+        address currency = loanRequests[_requestId].currency;
+
+        for (uint256 i = ids.length; i > 0; i--) {
+            uint256 offerId = ids[i - 1];
+            LoanTypes.LoanOffer storage offer = loanOffers[offerId];
+            if (block.timestamp <= offer.createdAt + OFFER_EXPIRY) continue;
+
+            offer.status = LoanTypes.OfferStatus.REFUNDED;
+            ids[i - 1] = ids[ids.length - 1];
+            ids.pop();
+            _credit(currency, address(this), offer.lender, offer.loanAmount);
+
+            emit OfferRefunded(offerId, _requestId, offer.lender);
+        }
+    }
+
+    // ====== BORROWER: ACCEPT A COUNTER-OFFER (starts the loan, refunds the rest) ======
+    function acceptOffer(uint256 _offerId) external whenNotPaused {
+        LoanTypes.LoanOffer storage offer = loanOffers[_offerId];
+        uint256 requestId = offer.requestId;
+        LoanTypes.LoanRequest storage request = loanRequests[requestId];
+
+        require(offer.status == LoanTypes.OfferStatus.OPEN, "Offer not open");
+        require(block.timestamp <= offer.createdAt + OFFER_EXPIRY, "Offer expired");
+        require(request.borrower == msg.sender, "Only borrower can accept");
+        require(request.isActive, "Request is not active");
+        require(requestStatus[requestId] == LoanTypes.RequestStatus.ACTIVE, "Not ACTIVE");
+        require(block.timestamp <= requestCreatedAt[requestId] + requestExpiry, "Request expired");
+        // The offer's amount is not tied to the request's, so the limit is checked on what is lent
+        _checkLtv(request.collateralCollection, request.collateralTokenId, requestBundleIds[requestId], request.currency, offer.loanAmount);
+
+        offer.status = LoanTypes.OfferStatus.ACCEPTED;
+        uint256 loanId = _startLoan(requestId, offer.lender, offer.loanAmount, offer.durationInDays, offer.interestRate);
+        _refundOpenOffers(requestId, _offerId);
+        _refundShares(requestId);
+
+        _transferFunds(request.currency, address(this), msg.sender, offer.loanAmount);
+
+        emit OfferAccepted(_offerId, requestId, loanId);
+    }
+
+    // ====== LENDER: STANDING OFFER (deposit maxAmount * fills up front) ======
+    function createLenderOffer(
+        address _currency,
+        address _collection,
+        uint256 _maxAmount,
+        uint256 _durationInDays,
+        uint256 _interestRate,
+        uint256 _fills
+    ) external payable whenNotPaused returns (uint256 lenderOfferId) {
+        require(allowedCurrencies[_currency], "Currency not allowed");
+        require(allowedCollections[_collection], "Collection not allowed");
+        require(_maxAmount > 0, "Loan amount must be greater than 0");
+        _checkLoanSize(_currency, _maxAmount);
+        require(_durationInDays > 0, "Duration must be greater than 0");
+        require(_interestRate > 0 && _interestRate <= maxInterestRate, "Invalid interest rate");
+        require(_fills > 0, "Fills must be greater than 0");
+
+        uint256 deposit = _maxAmount * _fills;
+        if (_currency == NATIVE_CURRENCY) {
+            _takeValue(deposit, "Must send maxAmount * fills");
+        } else {
+            _rejectValue();
+            IERC20(_currency).safeTransferFrom(msg.sender, address(this), deposit);
+        }
+
+        lenderOfferId = totalLenderOffers;
+        totalLenderOffers++;
+
+        lenderOffers[lenderOfferId] = LoanTypes.LenderOffer({
+            lender: msg.sender,
+            currency: _currency,
+            collection: _collection,
+            maxAmount: _maxAmount,
+            durationInDays: _durationInDays,
+            interestRate: _interestRate,
+            fillsRemaining: _fills,
+            deposit: deposit,
+            isActive: true
+        });
+
+        emit LenderOfferCreated(
+            lenderOfferId,
+            msg.sender,
+            _currency,
+            _collection,
+            _maxAmount,
+            _durationInDays,
+            _interestRate,
+            _fills
+        );
+    }
+
+    // Closes the offer and returns whatever deposit has not been lent out
+    function cancelLenderOffer(uint256 _lenderOfferId) external {
+        LoanTypes.LenderOffer storage offer = lenderOffers[_lenderOfferId];
+
+        require(offer.lender == msg.sender, "Only lender can cancel");
+        require(offer.isActive, "Offer not active");
+
+        uint256 refund = offer.deposit;
+        offer.isActive = false;
+        offer.deposit = 0;
+
+        if (refund > 0) _transferFunds(offer.currency, address(this), msg.sender, refund);
+
+        emit LenderOfferCancelled(_lenderOfferId, msg.sender, refund);
+    }
+
+    // ====== BORROWER: TAKE A STANDING OFFER (escrow NFT + receive funds in one tx) ======
+    function acceptLenderOffer(
+        uint256 _lenderOfferId,
+        uint256 _collateralTokenId,
+        uint256 _loanAmount
+    ) external whenNotPaused returns (uint256 loanId) {
+        LoanTypes.LenderOffer storage offer = lenderOffers[_lenderOfferId];
+
+        require(offer.isActive, "Offer not active");
+        require(msg.sender != offer.lender, "Lender cannot accept own offer");
+        require(allowedCollections[offer.collection], "Collection not allowed");
+        require(_loanAmount > 0 && _loanAmount <= offer.maxAmount, "Invalid loan amount");
+        _checkLoanSize(offer.currency, _loanAmount);
+        _checkLtv(offer.collection, _collateralTokenId, new uint256[](0), offer.currency, _loanAmount);
+
+        IERC721 nft = IERC721(offer.collection);
+        require(nft.ownerOf(_collateralTokenId) == msg.sender, "Not owner of NFT");
+        require(
+            nft.getApproved(_collateralTokenId) == address(this) ||
+            nft.isApprovedForAll(msg.sender, address(this)),
+            "NFT not approved"
+        );
+
+        nft.transferFrom(msg.sender, address(this), _collateralTokenId);
+
+        // Recorded as a request too, so borrower history and LoanFunded stay uniform
+        uint256 requestId = _newRequest(
+            msg.sender,
+            _loanAmount,
+            offer.durationInDays,
+            offer.interestRate,
+            offer.collection,
+            _collateralTokenId,
+            offer.currency,
+            1
+        );
+        loanId = _startLoan(requestId, offer.lender, _loanAmount, offer.durationInDays, offer.interestRate);
+
+        offer.deposit -= _loanAmount;
+        offer.fillsRemaining--;
+
+        // Last fill: close the offer and hand back what the smaller fills left over
+        uint256 leftover;
+        if (offer.fillsRemaining == 0) {
+            offer.isActive = false;
+            leftover = offer.deposit;
+            offer.deposit = 0;
+        }
+
+        _transferFunds(offer.currency, address(this), msg.sender, _loanAmount);
+        _credit(offer.currency, address(this), offer.lender, leftover);
+
+        emit LenderOfferAccepted(_lenderOfferId, loanId, msg.sender, _loanAmount, offer.fillsRemaining);
+    }
+
+    // ====== VIEW: Open standing offers ======
+    // Paged with the same cursor rules as LendingViews; a zero `_lender` means "any".
+    function getActiveLenderOffers(uint256 _cursor, uint256 _limit, address _lender)
+        external
+        view
+        returns (uint256[] memory lenderOfferIds, LoanTypes.LenderOffer[] memory offers, uint256 nextCursor)
+    {
+        _limit = _pageSize(_limit);
+        lenderOfferIds = new uint256[](_limit);
+        offers = new LoanTypes.LenderOffer[](_limit);
+
+        uint256 end = _scanEnd(_cursor, totalLenderOffers);
+
+        uint256 found = 0;
+        uint256 pos = _cursor;
+        for (; pos < end && found < _limit; pos++) {
+            LoanTypes.LenderOffer storage offer = lenderOffers[pos];
+            if (!offer.isActive) continue;
+            if (_lender != address(0) && offer.lender != _lender) continue;
+
+            lenderOfferIds[found] = pos;
+            offers[found] = offer;
+            found++;
+        }
+
+        nextCursor = pos < totalLenderOffers ? pos : 0;
+        assembly {
+            mstore(lenderOfferIds, found)
+            mstore(offers, found)
+        }
+    }
+
+    // ====== VIEW: Counter-offers on a request ======
+    function getRequestOffers(uint256 _requestId)
+        external
+        view
+        returns (uint256[] memory offerIds, LoanTypes.LoanOffer[] memory offers)
+    {
+        return _offersOf(requestOfferIds[_requestId]);
+    }
+
+    // ====== VIEW: Counter-offers made by a lender ======
+    function getLenderOffers(address _lender)
+        external
+        view
+        returns (uint256[] memory offerIds, LoanTypes.LoanOffer[] memory offers)
+    {
+        return _offersOf(lenderOfferIds[_lender]);
+    }
+
+    function _offersOf(uint256[] storage ids)
+        internal
+        view
+        returns (uint256[] memory offerIds, LoanTypes.LoanOffer[] memory offers)
+    {
+        offerIds = new uint256[](ids.length);
+        offers = new LoanTypes.LoanOffer[](ids.length);
+
+        for (uint256 i = 0; i < ids.length; i++) {
+            offerIds[i] = ids[i];
+            offers[i] = loanOffers[ids[i]];
+        }
+    }
+}
@@ -1,103 +1,68 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.17;
 
+import "@openzeppelin/contracts/proxy/Proxy.sol";
+import "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 
-contract LendingPlatform {
-    uint256 public constant MAX_INTEREST_RATE = 7;
-    uint256 public constant REQUEST_EXPIRY = 2 days;
+import "./LendingBase.sol";
 
-    IERC721 public collateralNft;
+// Deployed as the implementation behind a LendingProxy (ERC-1967, UUPS): the proxy address holds the
+// escrowed NFTs and funds and stays the same across upgrades. Storage lives in LoanStorage, types in
+// LoanTypes and shared helpers in LendingBase. Functions that do not fit under the contract size limit
+// are served by modules (e.g. LendingOffers, LendingAdmin) through the fallback below.
+contract LendingPlatform is LendingBase, UUPSUpgradeable, Proxy {
+    constructor() {
+        _disableInitializers();
+    }
+
+    // Called once by the proxy on deployment; the caller becomes owner and treasury
+    function initialize(address _collateralNft) external initializer {
+        _transferOwnership(msg.sender);
+
+        gracePeriod = 3 days;
+        lateFeeRate = 100; // 1% of the missed principal per day
+        maxInterestRate = 3000;
+        requestExpiry = 2 days;
+        maxLtv = 7000;
 
-    enum RequestStatus {
-        NONE,      // 0
-        ACTIVE,    // 1
-        FUNDED,    // 2
-        CANCELLED, // 3
-        EXPIRED    // 4
+        allowedCurrencies[NATIVE_CURRENCY] = true;
+        currencyList.push(NATIVE_CURRENCY);
+
+        // The demo TokenNFT is the first approved collection
+        allowedCollections[_collateralNft] = true;
+        collectionList.push(_collateralNft);
+        emit CollectionAllowed(_collateralNft, true);
+
+        treasury = msg.sender;
     }
 
-    struct LoanRequest {
-        address borrower;
-        uint256 loanAmount;       // wei
-        uint256 durationInDays;   // days
-        uint256 interestRate;     // %
-        uint256 collateralTokenId;
-        bool isActive;            // pending (not funded)
+    // ====== OWNER: UPGRADES (upgradeTo / upgradeToAndCall on the proxy) ======
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+
+    // ====== OWNER: MODULES ======
+    // Routes `_selectors` to `_module`; address(0) unroutes them
+    function setModule(address _module, bytes4[] calldata _selectors) external onlyOwner {
+        for (uint256 i = 0; i < _selectors.length; i++) {
+            moduleFor[_selectors[i]] = _module;
+        }
+
+        emit ModuleSet(_module, _selectors);
     }
 
-    struct ActiveLoan {
-        address borrower;
-        address lender;
-        uint256 loanAmount;       // wei
-        uint256 collateralTokenId;
-        uint256 startTimestamp;
-        uint256 endTime;
-        uint256 interestRate;     // %
-        bool isRepaid;
+    function _implementation() internal view override returns (address module) {
+        module = moduleFor[msg.sig];
+        require(module != address(0), "Unknown function");
     }
 
-    // Storage
-    mapping(uint256 => LoanRequest) public loanRequests;
-    mapping(uint256 => ActiveLoan) public activeLoans;
-
-    uint256 public totalRequests;
-    uint256 public totalLoans;
-
-    // For expiry + UI
-    mapping(uint256 => uint256) public requestCreatedAt;   // requestId -> timestamp
-    mapping(uint256 => RequestStatus) public requestStatus; // requestId -> enum
-
-    // Optional index for borrower
-    mapping(address => uint256[]) private borrowerRequestIds;
-
-    // Events
-    event LoanRequestCreated(
-        uint256 indexed requestId,
-        address indexed borrower,
-        uint256 loanAmount,
-        uint256 durationInDays,
-        uint256 interestRate,
-        uint256 collateralTokenId,
-        uint256 createdAt
-    );
-
-    event LoanRequestCancelled(
-        uint256 indexed requestId,
-        address indexed borrower,
-        uint256 collateralTokenId
-    );
-
-    event LoanRequestExpired(
-        uint256 indexed requestId,
-        address indexed borrower,
-        uint256 collateralTokenId
-    );
-
-    event LoanFunded(
-        uint256 indexed loanId,
-        uint256 indexed requestId,
-        address indexed lender,
-        address borrower,
-        uint256 loanAmount,
-        uint256 collateralTokenId
-    );
-
-    event LoanRepaid(
-        uint256 indexed loanId,
-        address indexed borrower,
-        address indexed lender,
-        uint256 repayAmount
-    );
-
-    event LoanLiquidated(
-        uint256 indexed loanId,
-        address indexed lender,
-        uint256 collateralTokenId
-    );
-
-    constructor(address _collateralNft) {
-        collateralNft = IERC721(_collateralNft);
+    // ====== OWNER: PROMISSORY NOTE (set once, required before funding) ======
+    function setPromissoryNote(address _promissoryNote) external onlyOwner {
+        require(promissoryNote == address(0), "Promissory note already set");
+        require(PromissoryNote(_promissoryNote).platform() == address(this), "Note not bound to platform");
+
+        promissoryNote = _promissoryNote;
+
+        emit PromissoryNoteSet(_promissoryNote);
     }
 
     // ====== BORROWER: CREATE REQUEST (escrow NFT) ======
@@ -105,257 +70,316 @@ contract LendingPlatform {
         uint256 _loanAmount,
         uint256 _durationInDays,
         uint256 _interestRate,
-        uint256 _collateralTokenId
-    ) external {
-        require(_loanAmount > 0, "Loan amount must be greater than 0");
-        require(_durationInDays > 0, "Duration must be greater than 0");
-        require(_interestRate > 0 && _interestRate <= MAX_INTEREST_RATE, "Invalid interest rate");
+        address _collection,
+        uint256 _collateralTokenId,
+        address _currency,
+        uint256 _installmentCount
+    ) external whenNotPaused {
+        _checkRequestTerms(_loanAmount, _durationInDays, _interestRate, _collection, _currency, _installmentCount);
+        _checkLtv(_collection, _collateralTokenId, new uint256[](0), _currency, _loanAmount);
 
-        // Borrower must own NFT
-        require(collateralNft.ownerOf(_collateralTokenId) == msg.sender, "Not owner of NFT");
+        _escrowNft(_collection, _collateralTokenId);
 
-        // Approved
-        require(
-            collateralNft.getApproved(_collateralTokenId) == address(this) ||
-            collateralNft.isApprovedForAll(msg.sender, address(this)),
-            "NFT not approved"
+        _newRequest(
+            msg.sender,
+            _loanAmount,
+            _durationInDays,
+            _interestRate,
+            _collection,
+            _collateralTokenId,
+            _currency,
+            _installmentCount
         );
+    }
 
-        // Escrow NFT
-        collateralNft.transferFrom(msg.sender, address(this), _collateralTokenId);
-
-        uint256 requestId = totalRequests;
-        totalRequests++;
-
-        LoanRequest storage request = loanRequests[requestId];
-        request.borrower = msg.sender;
-        request.loanAmount = _loanAmount;
-        request.durationInDays = _durationInDays;
-        request.interestRate = _interestRate;
-        request.collateralTokenId = _collateralTokenId;
-        request.isActive = true;
-
-        requestCreatedAt[requestId] = block.timestamp;
-        requestStatus[requestId] = RequestStatus.ACTIVE;
-
-        borrowerRequestIds[msg.sender].push(requestId);
+    // ====== BORROWER: CREATE REQUEST AGAINST A BUNDLE (escrow every NFT, same collection) ======
+    // Cancel, expiry and repayment return the whole bundle; liquidation transfers all of it.
+    function createBundleLoanRequest(
+        uint256 _loanAmount,
+        uint256 _durationInDays,
+        uint256 _interestRate,
+        address _collection,
+        uint256[] calldata _tokenIds,
+        address _currency,
+        uint256 _installmentCount
+    ) external whenNotPaused {
+        require(_tokenIds.length > 1 && _tokenIds.length <= MAX_BUNDLE_SIZE, "Invalid bundle size");
+        _checkRequestTerms(_loanAmount, _durationInDays, _interestRate, _collection, _currency, _installmentCount);
+        _checkLtv(_collection, _tokenIds[0], _tokenIds, _currency, _loanAmount);
+
+        // A repeated id fails the ownership check once the first copy is in escrow
+        for (uint256 i = 0; i < _tokenIds.length; i++) {
+            _escrowNft(_collection, _tokenIds[i]);
+        }
 
-        emit LoanRequestCreated(
-            requestId,
+        uint256 requestId = _newRequest(
             msg.sender,
             _loanAmount,
             _durationInDays,
             _interestRate,
-            _collateralTokenId,
-            block.timestamp
+            _collection,
+            _tokenIds[0],
+            _currency,
+            _installmentCount
+        );
+        requestBundleIds[requestId] = _tokenIds;
+
+        emit CollateralBundled(requestId, _collection, _tokenIds);
+    }
+
+    function _escrowNft(address _collection, uint256 _tokenId) internal {
+        IERC721 nft = IERC721(_collection);
+
+        // Borrower must own NFT
+        require(nft.ownerOf(_tokenId) == msg.sender, "Not owner of NFT");
+
+        // Approved
+        require(
+            nft.getApproved(_tokenId) == address(this) ||
+            nft.isApprovedForAll(msg.sender, address(this)),
+            "NFT not approved"
         );
+
+        // Escrow NFT
+        nft.transferFrom(msg.sender, address(this), _tokenId);
     }
 
     // ====== ANYONE: EXPIRE REQUEST AFTER 2 DAYS (return NFT to borrower) ======
+    // Others have to wait out RELIST_WINDOW on top, while the borrower may still relist.
     function expireLoanRequest(uint256 _requestId) external {
-        LoanRequest storage request = loanRequests[_requestId];
+        LoanTypes.LoanRequest storage request = loanRequests[_requestId];
 
         require(request.isActive, "Request is not active");
-        require(requestStatus[_requestId] == RequestStatus.ACTIVE, "Not ACTIVE");
+        require(requestStatus[_requestId] == LoanTypes.RequestStatus.ACTIVE, "Not ACTIVE");
 
         uint256 createdAt = requestCreatedAt[_requestId];
         require(createdAt != 0, "Missing createdAt");
-        require(block.timestamp > createdAt + REQUEST_EXPIRY, "Not expired yet");
-
-        request.isActive = false;
-        requestStatus[_requestId] = RequestStatus.EXPIRED;
-
-        // Return NFT
-        collateralNft.transferFrom(address(this), request.borrower, request.collateralTokenId);
+        require(block.timestamp > createdAt + requestExpiry, "Not expired yet");
+        require(
+            msg.sender == request.borrower || block.timestamp > createdAt + requestExpiry + RELIST_WINDOW,
+            "Borrower may still relist"
+        );
 
-        emit LoanRequestExpired(_requestId, request.borrower, request.collateralTokenId);
+        // Refund offers, return NFT
+        _expireRequest(_requestId);
     }
 
     // ====== BORROWER: CANCEL REQUEST (return NFT) ======
     function cancelLoanRequest(uint256 _requestId) external {
-        LoanRequest storage request = loanRequests[_requestId];
+        LoanTypes.LoanRequest storage request = loanRequests[_requestId];
 
         require(request.isActive, "Request is not active");
         require(request.borrower == msg.sender, "Only borrower can cancel");
-        require(requestStatus[_requestId] == RequestStatus.ACTIVE, "Not ACTIVE");
+        require(requestStatus[_requestId] == LoanTypes.RequestStatus.ACTIVE, "Not ACTIVE");
 
         request.isActive = false;
-        requestStatus[_requestId] = RequestStatus.CANCELLED;
+        requestStatus[_requestId] = LoanTypes.RequestStatus.CANCELLED;
+        _refundOpenOffers(_requestId, type(uint256).max);
+        _refundShares(_requestId);
 
-        collateralNft.transferFrom(address(this), msg.sender, request.collateralTokenId);
+        _releaseRequestCollateral(_requestId, msg.sender);
 
-        emit LoanRequestCancelled(_requestId, msg.sender, request.collateralTokenId);
+        emit LoanRequestCancelled(_requestId, msg.sender, request.collateralCollection, request.collateralTokenId);
     }
 
     // ====== LENDER: FUND REQUEST (must be within 2 days) ======
-    function fundLoanRequest(uint256 _requestId) external payable {
-        LoanRequest storage request = loanRequests[_requestId];
+    // The lender passes the terms they reviewed; the borrower can edit a listed request, so a change
+    // landing first makes this revert instead of binding the lender to terms they never saw.
+    function fundLoanRequest(
+        uint256 _requestId,
+        uint256 _loanAmount,
+        uint256 _durationInDays,
+        uint256 _interestRate
+    ) external payable whenNotPaused {
+        LoanTypes.LoanRequest storage request = loanRequests[_requestId];
 
         require(request.isActive, "Request is not active");
-        require(requestStatus[_requestId] == RequestStatus.ACTIVE, "Not ACTIVE");
+        require(requestStatus[_requestId] == LoanTypes.RequestStatus.ACTIVE, "Not ACTIVE");
+        require(
+            _loanAmount == request.loanAmount &&
+            _durationInDays == request.durationInDays &&
+            _interestRate == request.interestRate,
+            "Request terms changed"
+        );
 
         uint256 createdAt = requestCreatedAt[_requestId];
         require(createdAt != 0, "Missing createdAt");
-        require(block.timestamp <= createdAt + REQUEST_EXPIRY, "Request expired");
+        require(block.timestamp <= createdAt + requestExpiry, "Request expired");
 
-        require(msg.value == request.loanAmount, "Must send exact loan amount");
-
-        uint256 loanId = totalLoans;
-        totalLoans++;
+        if (request.currency == NATIVE_CURRENCY) {
+            _takeValue(request.loanAmount, "Must send exact loan amount");
+        } else {
+            _rejectValue();
+        }
 
-        ActiveLoan storage loan = activeLoans[loanId];
-        loan.borrower = request.borrower;
-        loan.lender = msg.sender;
-        loan.loanAmount = request.loanAmount;
-        loan.collateralTokenId = request.collateralTokenId;
-        loan.startTimestamp = block.timestamp;
-        loan.endTime = block.timestamp + (request.durationInDays * 1 days);
-        loan.interestRate = request.interestRate;
-        loan.isRepaid = false;
+        _startLoan(_requestId, msg.sender, request.loanAmount, request.durationInDays, request.interestRate);
+        _refundOpenOffers(_requestId, type(uint256).max);
+        _refundShares(_requestId);
 
-        request.isActive = false;
-        requestStatus[_requestId] = RequestStatus.FUNDED;
+        _credit(request.currency, msg.sender, request.borrower, request.loanAmount);
+    }
 
-        (bool ok, ) = payable(request.borrower).call{ value: msg.value }("");
-        require(ok, "ETH transfer failed");
+    function getRepayAmount(uint256 _loanId) external view returns (uint256) {
+        return getRepayAmountAt(_loanId, block.timestamp);
+    }
 
-        emit LoanFunded(
-            loanId,
-            _requestId,
-            msg.sender,
-            loan.borrower,
-            loan.loanAmount,
-            loan.collateralTokenId
-        );
+    // Quote for a future timestamp (e.g. maturity, or a buffer for a pending tx)
+    function getRepayAmountAt(uint256 _loanId, uint256 _timestamp) public view returns (uint256) {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
+        require(!loan.isRepaid, "Loan already closed");
+        return _calculateRepayAmount(loan, _timestamp);
     }
 
-    // ====== REPAY CALC ======
-    function _calculateRepayAmount(ActiveLoan storage loan) internal view returns (uint256) {
-        uint256 principal = loan.loanAmount;
-        uint256 interest = (principal * loan.interestRate) / 100;
-        return principal + interest;
+    // Next installment: due date and the amount (principal part + interest + late fees) to cure it.
+    // Once the due date has passed the amount is quoted at the current block.
+    function getNextInstallment(uint256 _loanId) external view returns (uint256 dueDate, uint256 amountDue) {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
+        require(!loan.isRepaid, "Loan already closed");
+
+        uint256 index = _nextInstallment(loan);
+        dueDate = _installmentDueDate(loan, index);
+        uint256 quoteAt = dueDate > block.timestamp ? dueDate : block.timestamp;
+
+        uint256 principalRepaid = loan.loanAmount - loan.outstandingPrincipal;
+        amountDue = _principalTarget(loan, index) - principalRepaid +
+            loan.interestOwed +
+            _pendingInterest(loan, quoteAt) +
+            loan.lateFeeOwed +
+            _pendingLateFee(loan, quoteAt);
     }
 
-    function getRepayAmount(uint256 _loanId) external view returns (uint256) {
-        ActiveLoan storage loan = activeLoans[_loanId];
+    // Grace status for the UI: countdown target and the penalty accrued so far
+    function getLateStatus(uint256 _loanId)
+        external
+        view
+        returns (bool inGracePeriod, uint256 graceEndsAt, uint256 lateFee)
+    {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
         require(!loan.isRepaid, "Loan already closed");
-        return _calculateRepayAmount(loan);
+
+        graceEndsAt = _graceEndsAt(loan);
+        inGracePeriod = block.timestamp > _nextDueDate(loan) && block.timestamp <= graceEndsAt;
+        lateFee = loan.lateFeeOwed + _pendingLateFee(loan, block.timestamp);
     }
 
-    // ====== BORROWER: REPAY (no late repay) ======
-    function repayLoan(uint256 _loanId) external payable {
-        ActiveLoan storage loan = activeLoans[_loanId];
+    // ====== ANYONE: REPAY (partial or full, until the grace window closes) ======
+    // The payer need not be the borrower (family, employer, a smart-contract wallet); the collateral
+    // still goes back to the borrower. `_amount` above the payoff is not taken.
+    function repayLoan(uint256 _loanId, uint256 _amount) external payable {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
 
-        require(msg.sender == loan.borrower, "Only borrower can repay");
+        require(loan.borrower != address(0), "Loan does not exist");
         require(!loan.isRepaid, "Loan already closed");
-        require(block.timestamp <= loan.endTime, "Loan is expired");
+        require(block.timestamp <= _graceEndsAt(loan), "Loan is expired");
+        require(_amount > 0, "Repay amount must be greater than 0");
 
-        uint256 required = _calculateRepayAmount(loan);
-        require(msg.value >= required, "Insufficient repay amount");
+        if (loan.currency == NATIVE_CURRENCY) {
+            _takeValue(_amount, "Must send repay amount");
+        } else {
+            _rejectValue();
+        }
+
+        (uint256 payment, uint256 lateFeePaid, uint256 interestPaid, uint256 principalPaid) = _applyPayment(loan, _amount);
 
-        loan.isRepaid = true;
+        // Paid to whoever holds the note now
+        address holder = _lenderOf(_loanId);
 
-        (bool ok, ) = payable(loan.lender).call{ value: required }("");
-        require(ok, "ETH transfer to lender failed");
+        bool fullyRepaid = loan.outstandingPrincipal == 0;
+        if (fullyRepaid) {
+            loan.isRepaid = true;
+            _burnNote(_loanId);
 
-        if (msg.value > required) {
-            (bool ok2, ) = payable(msg.sender).call{ value: msg.value - required }("");
-            require(ok2, "Refund failed");
+            if (block.timestamp <= loan.endTime) accountStats[loan.borrower].repaidOnTime++;
+            else accountStats[loan.borrower].repaidLate++;
         }
 
-        collateralNft.transferFrom(address(this), loan.borrower, loan.collateralTokenId);
+        _payLender(loan, _loanId, msg.sender, holder, payment, interestPaid);
+
+        if (loan.currency == NATIVE_CURRENCY && _amount > payment) _returnValue(_amount - payment);
 
-        emit LoanRepaid(_loanId, loan.borrower, loan.lender, required);
+        emit LoanPayment(
+            _loanId,
+            loan.borrower,
+            payment,
+            lateFeePaid,
+            interestPaid,
+            principalPaid,
+            loan.outstandingPrincipal,
+            msg.sender
+        );
+
+        if (fullyRepaid) {
+            _releaseLoanCollateral(_loanId, loan.borrower);
+
+            emit LoanRepaid(_loanId, loan.borrower, holder, loan.totalRepaid, loan.currency, msg.sender);
+        }
     }
 
-    // ====== LENDER: LIQUIDATE AFTER EXPIRY ======
+    // ====== LENDER: LIQUIDATE ONCE THE GRACE WINDOW AFTER A MISSED DUE DATE HAS CLOSED ======
     function liquidateExpiredLoan(uint256 _loanId) external {
-        ActiveLoan storage loan = activeLoans[_loanId];
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
 
         require(!loan.isRepaid, "Loan already closed");
-        require(block.timestamp > loan.endTime, "Loan not expired");
-        require(msg.sender == loan.lender, "Only lender can liquidate");
+        require(block.timestamp > _graceEndsAt(loan), "Loan not expired");
+        require(msg.sender == _lenderOf(_loanId), "Only lender can liquidate");
+        require(!auctions[_loanId].isActive, "Auction running");
 
-        loan.isRepaid = true;
+        _liquidate(_loanId, msg.sender);
+    }
 
-        collateralNft.transferFrom(address(this), loan.lender, loan.collateralTokenId);
+    // ====== ANYONE: PULL CREDITED FUNDS (loan proceeds, repayments, refunds) ======
+    // Stays open while paused.
+    function withdraw(address _currency) external {
+        uint256 amount = claimable[msg.sender][_currency];
+        require(amount > 0, "Nothing to withdraw");
 
-        emit LoanLiquidated(_loanId, loan.lender, loan.collateralTokenId);
-    }
+        claimable[msg.sender][_currency] = 0;
+        _transferFunds(_currency, address(this), msg.sender, amount);
 
-    // ====== VIEW: Borrower requests ======
-    function getBorrowerRequests(address _borrower)
-        external
-        view
-        returns (uint256[] memory requestIds, LoanRequest[] memory requests)
-    {
-        uint256[] storage ids = borrowerRequestIds[_borrower];
-        requestIds = new uint256[](ids.length);
-        requests = new LoanRequest[](ids.length);
-
-        for (uint256 i = 0; i < ids.length; i++) {
-            uint256 rid = ids[i];
-            requestIds[i] = rid;
-            requests[i] = loanRequests[rid];
-        }
+        emit FundsWithdrawn(msg.sender, _currency, amount);
     }
 
-    // ====== VIEW: All requests (for Lender UI to show EXPIRED / FUNDED / CANCELLED) ======
-    function getAllRequests()
-        external
-        view
-        returns (uint256[] memory requestIds, LoanRequest[] memory requests)
-    {
-        requestIds = new uint256[](totalRequests);
-        requests = new LoanRequest[](totalRequests);
-
-        for (uint256 i = 0; i < totalRequests; i++) {
-            requestIds[i] = i;
-            requests[i] = loanRequests[i];
-        }
+    // ====== VIEW: Current lender (promissory note holder) ======
+    function lenderOf(uint256 _loanId) external view returns (address) {
+        require(!activeLoans[_loanId].isRepaid, "Loan already closed");
+        return _lenderOf(_loanId);
     }
 
-    // ====== VIEW: Active loans + active requests (kept for compatibility) ======
-    function getAllActive()
-        external
-        view
-        returns (
-            uint256[] memory loanIds,
-            ActiveLoan[] memory loans,
-            uint256[] memory requestIds,
-            LoanRequest[] memory requests
-        )
-    {
-        uint256 activeLoanCount = 0;
-        uint256 activeRequestCount = 0;
+    // ====== VIEW: Single loan ======
+    function getLoan(uint256 _loanId) external view returns (LoanTypes.ActiveLoan memory) {
+        return activeLoans[_loanId];
+    }
 
-        for (uint256 i = 0; i < totalLoans; i++) {
-            if (!activeLoans[i].isRepaid) activeLoanCount++;
-        }
-        for (uint256 i = 0; i < totalRequests; i++) {
-            if (loanRequests[i].isActive) activeRequestCount++;
+    // ====== VIEW: Accepted currencies ======
+    function getAllowedCurrencies() external view returns (address[] memory currencies) {
+        uint256 count = 0;
+        for (uint256 i = 0; i < currencyList.length; i++) {
+            if (allowedCurrencies[currencyList[i]]) count++;
         }
 
-        loanIds = new uint256[](activeLoanCount);
-        loans = new ActiveLoan[](activeLoanCount);
-        requestIds = new uint256[](activeRequestCount);
-        requests = new LoanRequest[](activeRequestCount);
-
-        uint256 li = 0;
-        for (uint256 i = 0; i < totalLoans; i++) {
-            if (!activeLoans[i].isRepaid) {
-                loanIds[li] = i;
-                loans[li] = activeLoans[i];
-                li++;
+        currencies = new address[](count);
+        uint256 ci = 0;
+        for (uint256 i = 0; i < currencyList.length; i++) {
+            if (allowedCurrencies[currencyList[i]]) {
+                currencies[ci] = currencyList[i];
+                ci++;
             }
         }
+    }
+
+    // ====== VIEW: Accepted collateral collections ======
+    function getAllowedCollections() external view returns (address[] memory collections) {
+        uint256 count = 0;
+        for (uint256 i = 0; i < collectionList.length; i++) {
+            if (allowedCollections[collectionList[i]]) count++;
+        }
 
-        uint256 ri = 0;
-        for (uint256 i = 0; i < totalRequests; i++) {
-            if (loanRequests[i].isActive) {
-                requestIds[ri] = i;
-                requests[ri] = loanRequests[i];
-                ri++;
+        collections = new address[](count);
+        uint256 ci = 0;
+        for (uint256 i = 0; i < collectionList.length; i++) {
+            if (allowedCollections[collectionList[i]]) {
+                collections[ci] = collectionList[i];
+                ci++;
             }
         }
     }
@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+
+/// @notice The address users and the frontend talk to. It holds all platform state and delegates to
+/// the current LendingPlatform implementation, which the owner replaces with upgradeTo.
+contract LendingProxy is ERC1967Proxy {
+    constructor(address _implementation, bytes memory _initData) ERC1967Proxy(_implementation, _initData) {}
+}
@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+
+import "./LendingBase.sol";
+
+/// @notice One-transaction loan requests: `safeTransferFrom(borrower, platform, tokenId, data)` on an
+/// allowed collection escrows the NFT and opens the request, no approval needed. `data` is
+/// abi.encode(loanAmount, durationInDays, interestRate, currency, installmentCount); transfers without
+/// valid terms are rejected so no NFT ends up here without a request.
+contract LendingReceiver is LendingBase, IERC721Receiver {
+    uint256 private constant TERMS_LENGTH = 5 * 32;
+
+    // ====== BORROWER (via the collection): CREATE REQUEST ON RECEIPT ======
+    // msg.sender is the collection; `_from` (the previous owner) becomes the borrower.
+    function onERC721Received(
+        address,
+        address _from,
+        uint256 _tokenId,
+        bytes calldata _data
+    ) external override whenNotPaused returns (bytes4) {
+        require(_data.length > 0, "Missing loan terms");
+        require(_data.length == TERMS_LENGTH, "Invalid loan terms");
+        require(IERC721(msg.sender).ownerOf(_tokenId) == address(this), "NFT not received");
+
+        (
+            uint256 loanAmount,
+            uint256 durationInDays,
+            uint256 interestRate,
+            address currency,
+            uint256 installmentCount
+        ) = abi.decode(_data, (uint256, uint256, uint256, address, uint256));
+
+        _checkRequestTerms(loanAmount, durationInDays, interestRate, msg.sender, currency, installmentCount);
+        _checkLtv(msg.sender, _tokenId, new uint256[](0), currency, loanAmount);
+
+        _newRequest(_from, loanAmount, durationInDays, interestRate, msg.sender, _tokenId, currency, installmentCount);
+
+        return IERC721Receiver.onERC721Received.selector;
+    }
+}
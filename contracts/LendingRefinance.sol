@@ -0,0 +1,129 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "./LendingBase.sol";
+
+/// @notice Extensions and refinancing of running loans. The collateral never leaves escrow.
+contract LendingRefinance is LendingBase {
+    // ====== BORROWER: PROPOSE NEW TERMS (extension or refinance) ======
+    function proposeTerms(uint256 _loanId, uint256 _newEndTime, uint256 _newInterestRate) external {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
+
+        require(msg.sender == loan.borrower, "Only borrower can propose");
+        require(!loan.isRepaid, "Loan already closed");
+        require(block.timestamp <= _graceEndsAt(loan), "Loan is expired");
+        require(_newEndTime > loan.endTime, "New end time must be later");
+        require(_newInterestRate <= maxInterestRate, "Interest rate too high");
+
+        termsProposals[_loanId] = LoanTypes.TermsProposal({
+            newEndTime: _newEndTime,
+            newInterestRate: _newInterestRate,
+            proposedAt: block.timestamp,
+            isActive: true
+        });
+
+        emit TermsProposed(_loanId, msg.sender, _newEndTime, _newInterestRate);
+    }
+
+    function cancelTermsProposal(uint256 _loanId) external {
+        require(msg.sender == activeLoans[_loanId].borrower, "Only borrower can cancel");
+        require(termsProposals[_loanId].isActive, "No active proposal");
+
+        delete termsProposals[_loanId];
+
+        emit TermsProposalCancelled(_loanId, msg.sender);
+    }
+
+    // ====== LENDER: APPROVE EXTENSION ======
+    // Interest and late fees up to now are settled at the old terms; the installment schedule
+    // stretches over the new term. The lender passes the terms they reviewed, since proposeTerms
+    // replaces a pending proposal.
+    function approveExtension(uint256 _loanId, uint256 _newEndTime, uint256 _newInterestRate) external {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
+        LoanTypes.TermsProposal memory proposal = termsProposals[_loanId];
+
+        require(msg.sender == _lenderOf(_loanId), "Only lender can approve");
+        require(!loan.isRepaid, "Loan already closed");
+        require(proposal.isActive, "No active proposal");
+        _checkProposal(proposal, _newEndTime, _newInterestRate);
+
+        _accrueLateFee(loan);
+        _accrue(loan);
+
+        uint256 oldEndTime = loan.endTime;
+        loan.endTime = proposal.newEndTime;
+        loan.interestRate = proposal.newInterestRate;
+
+        delete termsProposals[_loanId];
+
+        emit LoanExtended(_loanId, msg.sender, oldEndTime, proposal.newEndTime, proposal.newInterestRate);
+    }
+
+    // ====== NEW LENDER: REFINANCE (pay the current lender off, take over the loan) ======
+    // The payoff becomes the new principal and the schedule restarts now under the proposed terms.
+    // The loan keeps the protocol fee rate it was funded with. Reviewed terms are passed as for approveExtension.
+    function refinanceLoan(uint256 _loanId, uint256 _newEndTime, uint256 _newInterestRate) external payable whenNotPaused {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
+        LoanTypes.TermsProposal memory proposal = termsProposals[_loanId];
+
+        require(proposal.isActive, "No active proposal");
+        _checkProposal(proposal, _newEndTime, _newInterestRate);
+        require(!loan.isRepaid, "Loan already closed");
+        require(block.timestamp <= _graceEndsAt(loan), "Loan is expired");
+        address oldLender = _lenderOf(_loanId);
+        require(msg.sender != oldLender && msg.sender != loan.borrower, "Not a new lender");
+        require(
+            proposal.newEndTime >= block.timestamp + loan.installmentCount * 1 days,
+            "New term too short"
+        );
+
+        _accrueLateFee(loan);
+        _accrue(loan);
+
+        uint256 interestPaid = loan.interestOwed;
+        uint256 payoff = loan.outstandingPrincipal + interestPaid + loan.lateFeeOwed;
+        uint256 sent;
+        if (loan.currency == NATIVE_CURRENCY) {
+            sent = _callValue();
+            require(sent >= payoff, "Must send payoff amount");
+            _takeValue(sent, "Must send payoff amount");
+        } else {
+            _rejectValue();
+        }
+
+        loan.lender = msg.sender;
+        _indexLender(msg.sender, _loanId);
+        _recordFunding(msg.sender, loan.currency, payoff);
+        loan.loanAmount = payoff;
+        loan.outstandingPrincipal = payoff;
+        loan.interestOwed = 0;
+        loan.lateFeeOwed = 0;
+        loan.totalRepaid = 0;
+        loan.startTimestamp = block.timestamp;
+        loan.lastAccrual = block.timestamp;
+        loan.lateFeeAccrual = block.timestamp;
+        loan.endTime = proposal.newEndTime;
+        loan.interestRate = proposal.newInterestRate;
+
+        delete termsProposals[_loanId];
+
+        // The old note is settled; the new lender gets a fresh one for the same loanId
+        _burnNote(_loanId);
+        PromissoryNote(promissoryNote).mint(msg.sender, _loanId);
+
+        _payLender(loan, _loanId, msg.sender, oldLender, payoff, interestPaid);
+        // A syndicate is paid out in full by the line above; the new lender holds the loan alone
+        syndicateRequestOf[_loanId] = 0;
+
+        if (sent > payoff) _returnValue(sent - payoff);
+
+        emit LoanRefinanced(_loanId, oldLender, msg.sender, payoff, proposal.newEndTime, proposal.newInterestRate);
+    }
+
+    function _checkProposal(LoanTypes.TermsProposal memory _proposal, uint256 _newEndTime, uint256 _newInterestRate) internal pure {
+        require(
+            _proposal.newEndTime == _newEndTime && _proposal.newInterestRate == _newInterestRate,
+            "Proposal changed"
+        );
+    }
+}
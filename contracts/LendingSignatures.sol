@@ -0,0 +1,106 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+
+import "./LendingBase.sol";
+
+/// @notice Gasless loan requests: the borrower signs the terms off-chain (EIP-712) and a lender fills them,
+/// escrowing the NFT, paying the borrower and starting the loan in one transaction.
+/// The borrower only needs a one-time setApprovalForAll for the collection.
+/// The domain is built from address(this) on every call rather than cached, since this code runs
+/// under the platform's address.
+contract LendingSignatures is LendingBase {
+    bytes32 public constant LOAN_REQUEST_TYPEHASH =
+        keccak256(
+            "LoanRequest(address borrower,address collection,uint256 tokenId,address currency,uint256 loanAmount,uint256 durationInDays,uint256 interestRate,uint256 installmentCount,uint256 nonce,uint256 deadline)"
+        );
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+
+    // ====== LENDER: FILL A SIGNED REQUEST ======
+    function fillSignedRequest(
+        LoanTypes.SignedLoanRequest calldata _request,
+        bytes calldata _signature
+    ) external payable whenNotPaused returns (uint256 loanId) {
+        require(block.timestamp <= _request.deadline, "Signature expired");
+        require(!signedNonceUsed[_request.borrower][_request.nonce], "Nonce already used");
+        require(msg.sender != _request.borrower, "Borrower cannot fund own request");
+        require(
+            SignatureChecker.isValidSignatureNow(_request.borrower, hashSignedRequest(_request), _signature),
+            "Invalid signature"
+        );
+        _checkRequestTerms(
+            _request.loanAmount,
+            _request.durationInDays,
+            _request.interestRate,
+            _request.collection,
+            _request.currency,
+            _request.installmentCount
+        );
+        _checkLtv(_request.collection, _request.tokenId, new uint256[](0), _request.currency, _request.loanAmount);
+
+        if (_request.currency == NATIVE_CURRENCY) {
+            _takeValue(_request.loanAmount, "Must send exact loan amount");
+        } else {
+            _rejectValue();
+        }
+
+        signedNonceUsed[_request.borrower][_request.nonce] = true;
+
+        // Escrow NFT (reverts unless the borrower still owns it and has approved the platform)
+        IERC721(_request.collection).transferFrom(_request.borrower, address(this), _request.tokenId);
+
+        uint256 requestId = _newRequest(
+            _request.borrower,
+            _request.loanAmount,
+            _request.durationInDays,
+            _request.interestRate,
+            _request.collection,
+            _request.tokenId,
+            _request.currency,
+            _request.installmentCount
+        );
+        loanId = _startLoan(requestId, msg.sender, _request.loanAmount, _request.durationInDays, _request.interestRate);
+
+        _credit(_request.currency, msg.sender, _request.borrower, _request.loanAmount);
+
+        emit SignedRequestFilled(_request.borrower, _request.nonce, msg.sender, requestId, loanId);
+    }
+
+    // ====== BORROWER: INVALIDATE A SIGNED REQUEST BEFORE ANYONE FILLS IT ======
+    function cancelSignedRequest(uint256 _nonce) external {
+        require(!signedNonceUsed[msg.sender][_nonce], "Nonce already used");
+        signedNonceUsed[msg.sender][_nonce] = true;
+
+        emit SignedRequestCancelled(msg.sender, _nonce);
+    }
+
+    // ====== VIEW: EIP-712 ======
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(
+            abi.encode(DOMAIN_TYPEHASH, keccak256("DLoan"), keccak256("1"), block.chainid, address(this))
+        );
+    }
+
+    function hashSignedRequest(LoanTypes.SignedLoanRequest calldata _request) public view returns (bytes32) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                LOAN_REQUEST_TYPEHASH,
+                _request.borrower,
+                _request.collection,
+                _request.tokenId,
+                _request.currency,
+                _request.loanAmount,
+                _request.durationInDays,
+                _request.interestRate,
+                _request.installmentCount,
+                _request.nonce,
+                _request.deadline
+            )
+        );
+        return ECDSA.toTypedDataHash(domainSeparator(), structHash);
+    }
+}
@@ -0,0 +1,99 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+
+import "./LendingBase.sol";
+
+/// @notice Collateral substitution on running loans: the borrower offers other NFTs (one or a bundle,
+/// any allowed collection) and the note holder accepts, swapping them for the escrowed collateral in
+/// one transaction.
+contract LendingSubstitution is LendingBase {
+    // ====== BORROWER: OFFER REPLACEMENT COLLATERAL ======
+    // Nothing moves yet; the tokens must still be owned and approved when the lender accepts.
+    // A new proposal replaces the pending one.
+    function proposeCollateralSwap(uint256 _loanId, address _collection, uint256[] calldata _tokenIds) external whenNotPaused {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
+
+        require(msg.sender == loan.borrower, "Only borrower can propose");
+        require(!loan.isRepaid, "Loan already closed");
+        require(block.timestamp <= _graceEndsAt(loan), "Loan is expired");
+        require(syndicateRequestOf[_loanId] == 0, "Syndicated loan");
+        require(allowedCollections[_collection], "Collection not allowed");
+        require(_tokenIds.length > 0 && _tokenIds.length <= MAX_BUNDLE_SIZE, "Invalid bundle size");
+
+        LoanTypes.CollateralSwap storage swap = collateralSwaps[_loanId];
+        swap.collection = _collection;
+        swap.tokenIds = _tokenIds;
+        swap.proposedAt = block.timestamp;
+        swap.isActive = true;
+
+        emit CollateralSwapProposed(_loanId, msg.sender, _collection, _tokenIds);
+    }
+
+    function cancelCollateralSwap(uint256 _loanId) external {
+        require(msg.sender == activeLoans[_loanId].borrower, "Only borrower can cancel");
+        require(collateralSwaps[_loanId].isActive, "No active proposal");
+
+        delete collateralSwaps[_loanId];
+
+        emit CollateralSwapCancelled(_loanId, msg.sender);
+    }
+
+    // ====== LENDER: ACCEPT (new collateral in, old collateral back to the borrower) ======
+    // The lender passes the collateral they reviewed so a last-moment re-proposal cannot slip in.
+    function acceptCollateralSwap(uint256 _loanId, address _collection, uint256[] calldata _tokenIds) external whenNotPaused {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
+        LoanTypes.CollateralSwap storage swap = collateralSwaps[_loanId];
+
+        require(msg.sender == _lenderOf(_loanId), "Only lender can accept");
+        require(!loan.isRepaid, "Loan already closed");
+        require(block.timestamp <= _graceEndsAt(loan), "Loan is expired");
+        require(swap.isActive, "No active proposal");
+        require(
+            _collection == swap.collection && keccak256(abi.encode(_tokenIds)) == keccak256(abi.encode(swap.tokenIds)),
+            "Proposal changed"
+        );
+
+        address oldCollection = loan.collateralCollection;
+        uint256[] memory oldTokenIds = _loanTokenIds(_loanId);
+
+        // New collateral into escrow first (reverts unless the borrower still owns and approved all of it)
+        IERC721 nft = IERC721(_collection);
+        for (uint256 i = 0; i < _tokenIds.length; i++) {
+            require(nft.ownerOf(_tokenIds[i]) == loan.borrower, "Borrower no longer owns NFT");
+            nft.transferFrom(loan.borrower, address(this), _tokenIds[i]);
+        }
+
+        _releaseLoanCollateral(_loanId, loan.borrower);
+
+        loan.collateralCollection = _collection;
+        loan.collateralTokenId = _tokenIds[0];
+        if (_tokenIds.length > 1) loanBundleIds[_loanId] = _tokenIds;
+        else delete loanBundleIds[_loanId];
+
+        delete collateralSwaps[_loanId];
+
+        emit CollateralSubstituted(_loanId, msg.sender, oldCollection, oldTokenIds, _collection, _tokenIds);
+    }
+
+    // ====== VIEW: Pending substitution and its appraisal in the loan currency (0 without an oracle) ======
+    function getCollateralSwap(uint256 _loanId)
+        external
+        view
+        returns (address collection, uint256[] memory tokenIds, uint256 proposedAt, bool isActive, uint256 value)
+    {
+        LoanTypes.CollateralSwap storage swap = collateralSwaps[_loanId];
+        collection = swap.collection;
+        tokenIds = swap.tokenIds;
+        proposedAt = swap.proposedAt;
+        isActive = swap.isActive;
+        if (isActive) value = _appraise(collection, tokenIds[0], tokenIds, activeLoans[_loanId].currency);
+    }
+
+    function _loanTokenIds(uint256 _loanId) internal view returns (uint256[] memory tokenIds) {
+        if (loanBundleIds[_loanId].length > 0) return loanBundleIds[_loanId];
+        tokenIds = new uint256[](1);
+        tokenIds[0] = activeLoans[_loanId].collateralTokenId;
+    }
+}
@@ -0,0 +1,213 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+import "./LendingBase.sol";
+
+/// @notice Syndicated loans: several lenders fill one request in parts. Shares stay in escrow until
+/// the request is fully funded; the loan then starts with the platform holding the promissory note,
+/// repayments are split by share and a defaulted loan's collateral is sold at a price the lenders vote on.
+contract LendingSyndication is LendingBase {
+    using SafeERC20 for IERC20;
+
+    // ====== LENDER: FUND PART OF A REQUEST (escrowed until it is full) ======
+    // The share that completes the request starts the loan and credits the borrower. As with
+    // fundLoanRequest the lender passes the terms they reviewed, since the first share can race an edit.
+    function fundLoanShare(
+        uint256 _requestId,
+        uint256 _amount,
+        uint256 _loanAmount,
+        uint256 _durationInDays,
+        uint256 _interestRate
+    ) external payable whenNotPaused returns (bool loanStarted, uint256 loanId) {
+        LoanTypes.LoanRequest storage request = loanRequests[_requestId];
+
+        require(request.isActive, "Request is not active");
+        require(requestStatus[_requestId] == LoanTypes.RequestStatus.ACTIVE, "Not ACTIVE");
+        require(
+            _loanAmount == request.loanAmount &&
+            _durationInDays == request.durationInDays &&
+            _interestRate == request.interestRate,
+            "Request terms changed"
+        );
+        require(block.timestamp <= requestCreatedAt[_requestId] + requestExpiry, "Request expired");
+        require(msg.sender != request.borrower, "Borrower cannot fund own request");
+        require(_amount > 0, "Amount must be greater than 0");
+
+        uint256 funded = syndicateFunded[_requestId] + _amount;
+        require(funded <= request.loanAmount, "Exceeds remaining amount");
+        require(
+            _amount * BPS_DENOMINATOR >= request.loanAmount * MIN_SYNDICATE_SHARE || funded == request.loanAmount,
+            "Share below minimum size"
+        );
+
+        if (request.currency == NATIVE_CURRENCY) {
+            _takeValue(_amount, "Must send share amount");
+        } else {
+            _rejectValue();
+            IERC20(request.currency).safeTransferFrom(msg.sender, address(this), _amount);
+        }
+
+        if (syndicateShares[_requestId][msg.sender] == 0) {
+            require(syndicateLenders[_requestId].length < MAX_SYNDICATE_LENDERS, "Too many lenders");
+            syndicateLenders[_requestId].push(msg.sender);
+        }
+        syndicateShares[_requestId][msg.sender] += _amount;
+        syndicateFunded[_requestId] = funded;
+
+        emit LoanShareFunded(_requestId, msg.sender, _amount, funded);
+
+        if (funded < request.loanAmount) return (false, 0);
+        loanStarted = true;
+
+        // Fully funded: the platform holds the note on the syndicate's behalf
+        loanId = _startLoan(_requestId, address(this), request.loanAmount, request.durationInDays, request.interestRate);
+        syndicateRequestOf[loanId] = _requestId + 1;
+        _refundOpenOffers(_requestId, type(uint256).max);
+
+        address[] storage lenders = syndicateLenders[_requestId];
+        for (uint256 i = 0; i < lenders.length; i++) {
+            _recordFunding(lenders[i], request.currency, syndicateShares[_requestId][lenders[i]]);
+        }
+
+        _credit(request.currency, address(this), request.borrower, request.loanAmount);
+
+        emit SyndicatedLoanStarted(loanId, _requestId, syndicateLenders[_requestId].length);
+    }
+
+    // Pulls a whole share back out while the request is still filling
+    function withdrawLoanShare(uint256 _requestId) external {
+        require(requestStatus[_requestId] == LoanTypes.RequestStatus.ACTIVE, "Not ACTIVE");
+
+        uint256 share = syndicateShares[_requestId][msg.sender];
+        require(share > 0, "No share to withdraw");
+
+        syndicateShares[_requestId][msg.sender] = 0;
+        syndicateFunded[_requestId] -= share;
+
+        address[] storage lenders = syndicateLenders[_requestId];
+        for (uint256 i = 0; i < lenders.length; i++) {
+            if (lenders[i] == msg.sender) {
+                lenders[i] = lenders[lenders.length - 1];
+                lenders.pop();
+                break;
+            }
+        }
+
+        _transferFunds(loanRequests[_requestId].currency, address(this), msg.sender, share);
+
+        emit LoanShareWithdrawn(_requestId, msg.sender, share);
+    }
+
+    // ====== SYNDICATE: SELL A DEFAULTED LOAN'S COLLATERAL ======
+    // Any lender proposes a price (counting as their vote); once lenders holding more than half of the
+    // loan approve it, anyone can buy the NFT at that price and the proceeds are split by share.
+    // A round can only be replaced after SALE_ROUND_PERIOD (counted from approval once approved), so one
+    // lender cannot keep resetting the vote. If no sale goes through, LendingAuctions is the way out.
+    // Open while paused, like the other ways out of a position.
+    function proposeCollateralSale(uint256 _loanId, uint256 _price) external {
+        uint256 requestId = _defaultedSyndicate(_loanId);
+        require(_price > 0, "Price must be greater than 0");
+
+        LoanTypes.SyndicateSale storage sale = syndicateSales[_loanId];
+        if (sale.approved) {
+            require(block.timestamp > sale.approvedAt + SALE_ROUND_PERIOD, "Approved sale pending");
+        } else if (sale.round > 0) {
+            require(block.timestamp > sale.proposedAt + SALE_ROUND_PERIOD, "Sale round still open");
+        }
+
+        sale.price = _price;
+        sale.round++;
+        sale.approvedShares = 0;
+        sale.approved = false;
+        sale.proposedAt = block.timestamp;
+        sale.approvedAt = 0;
+
+        emit CollateralSaleProposed(_loanId, msg.sender, _price, sale.round);
+
+        _voteSale(_loanId, requestId);
+    }
+
+    function approveCollateralSale(uint256 _loanId) external {
+        uint256 requestId = _defaultedSyndicate(_loanId);
+        require(syndicateSales[_loanId].round > 0, "No sale proposed");
+
+        _voteSale(_loanId, requestId);
+    }
+
+    function buySyndicatedCollateral(uint256 _loanId) external payable {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
+        LoanTypes.SyndicateSale storage sale = syndicateSales[_loanId];
+
+        require(!loan.isRepaid, "Loan already closed");
+        require(sale.approved, "Sale not approved");
+
+        if (loan.currency == NATIVE_CURRENCY) {
+            _takeValue(sale.price, "Must send sale price");
+        } else {
+            _rejectValue();
+        }
+
+        uint256 requestId = syndicateRequestOf[_loanId] - 1;
+        syndicateRequestOf[_loanId] = 0;
+        _liquidate(_loanId, msg.sender);
+
+        _paySyndicate(requestId, loan.currency, msg.sender, sale.price);
+
+        emit SyndicatedCollateralSold(_loanId, msg.sender, sale.price);
+    }
+
+    // Caller must hold a share of a syndicated loan whose grace window has closed
+    function _defaultedSyndicate(uint256 _loanId) internal view returns (uint256 requestId) {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
+
+        require(syndicateRequestOf[_loanId] != 0, "Not a syndicated loan");
+        require(!loan.isRepaid, "Loan already closed");
+        require(block.timestamp > _graceEndsAt(loan), "Loan not expired");
+
+        requestId = syndicateRequestOf[_loanId] - 1;
+        require(syndicateShares[requestId][msg.sender] > 0, "Not a syndicate lender");
+    }
+
+    function _voteSale(uint256 _loanId, uint256 _requestId) internal {
+        LoanTypes.SyndicateSale storage sale = syndicateSales[_loanId];
+        require(!syndicateSaleVoted[_loanId][sale.round][msg.sender], "Already voted");
+
+        syndicateSaleVoted[_loanId][sale.round][msg.sender] = true;
+        sale.approvedShares += syndicateShares[_requestId][msg.sender];
+        if (!sale.approved && sale.approvedShares * 2 > syndicateFunded[_requestId]) {
+            sale.approved = true;
+            sale.approvedAt = block.timestamp;
+        }
+
+        emit CollateralSaleVoted(_loanId, msg.sender, sale.approvedShares, sale.approved);
+    }
+
+    // ====== VIEW: Lenders and shares of a request (funding progress, or the loan's split) ======
+    function getSyndicate(uint256 _requestId)
+        external
+        view
+        returns (address[] memory lenders, uint256[] memory shares, uint256 funded)
+    {
+        lenders = syndicateLenders[_requestId];
+        shares = new uint256[](lenders.length);
+        for (uint256 i = 0; i < lenders.length; i++) {
+            shares[i] = syndicateShares[_requestId][lenders[i]];
+        }
+        funded = syndicateFunded[_requestId];
+    }
+
+    // ====== VIEW: Request a loan was syndicated from ======
+    function getLoanSyndicate(uint256 _loanId) external view returns (bool isSyndicated, uint256 requestId) {
+        uint256 stored = syndicateRequestOf[_loanId];
+        isSyndicated = stored != 0;
+        if (isSyndicated) requestId = stored - 1;
+    }
+
+    // Whether `_lender` has voted for the current sale round
+    function hasVotedCollateralSale(uint256 _loanId, address _lender) external view returns (bool) {
+        return syndicateSaleVoted[_loanId][syndicateSales[_loanId].round][_lender];
+    }
+}
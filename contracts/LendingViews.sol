@@ -0,0 +1,162 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "./LendingBase.sol";
+
+/// @notice Cursor-paginated, filtered reads of requests and loans.
+/// A page looks at no more than MAX_PAGE_SCAN ids and returns no more than `_limit` (<= MAX_PAGE_SIZE) matches.
+/// Pass the returned `nextCursor` to get the next page; 0 means there is nothing left to scan.
+/// A page can come back short (even empty) while `nextCursor` is non-zero when filters skip many ids.
+/// Filtering by borrower (or lender for loans) walks that account's index instead of every id.
+contract LendingViews is LendingBase {
+    // ====== VIEW: REQUESTS ======
+    // `_status` NONE and zero addresses mean "any".
+    function getRequestsPage(
+        uint256 _cursor,
+        uint256 _limit,
+        LoanTypes.RequestStatus _status,
+        address _borrower,
+        address _collection
+    ) external view returns (uint256[] memory requestIds, LoanTypes.LoanRequest[] memory requests, uint256 nextCursor) {
+        _limit = _pageSize(_limit);
+        requestIds = new uint256[](_limit);
+        requests = new LoanTypes.LoanRequest[](_limit);
+
+        uint256[] storage index = borrowerRequestIds[_borrower];
+        uint256 total = _borrower == address(0) ? totalRequests : index.length;
+        uint256 end = _scanEnd(_cursor, total);
+
+        uint256 found = 0;
+        uint256 pos = _cursor;
+        for (; pos < end && found < _limit; pos++) {
+            uint256 requestId = _borrower == address(0) ? pos : index[pos];
+            LoanTypes.LoanRequest storage request = loanRequests[requestId];
+
+            if (_status != LoanTypes.RequestStatus.NONE && requestStatus[requestId] != _status) continue;
+            if (_collection != address(0) && request.collateralCollection != _collection) continue;
+
+            requestIds[found] = requestId;
+            requests[found] = request;
+            found++;
+        }
+
+        nextCursor = pos < total ? pos : 0;
+        assembly {
+            mstore(requestIds, found)
+            mstore(requests, found)
+        }
+    }
+
+    // ====== VIEW: LOANS ======
+    // `_lender` matches whoever funded or last refinanced the loan (loan.lender), not later note buyers.
+    function getLoansPage(
+        uint256 _cursor,
+        uint256 _limit,
+        bool _openOnly,
+        address _borrower,
+        address _lender,
+        address _collection
+    ) external view returns (uint256[] memory loanIds, LoanTypes.ActiveLoan[] memory loans, uint256 nextCursor) {
+        _limit = _pageSize(_limit);
+        loanIds = new uint256[](_limit);
+        loans = new LoanTypes.ActiveLoan[](_limit);
+
+        // Walk the narrower index when an account is given
+        bool byAccount = _borrower != address(0) || _lender != address(0);
+        uint256[] storage index = _borrower != address(0) ? borrowerLoanIds[_borrower] : lenderLoanIds[_lender];
+        uint256 total = byAccount ? index.length : totalLoans;
+        uint256 end = _scanEnd(_cursor, total);
+
+        uint256 found = 0;
+        uint256 pos = _cursor;
+        for (; pos < end && found < _limit; pos++) {
+            uint256 loanId = byAccount ? index[pos] : pos;
+            LoanTypes.ActiveLoan storage loan = activeLoans[loanId];
+
+            if (_openOnly && loan.isRepaid) continue;
+            if (_borrower != address(0) && loan.borrower != _borrower) continue;
+            if (_lender != address(0) && loan.lender != _lender) continue;
+            if (_collection != address(0) && loan.collateralCollection != _collection) continue;
+
+            loanIds[found] = loanId;
+            loans[found] = loan;
+            found++;
+        }
+
+        nextCursor = pos < total ? pos : 0;
+        assembly {
+            mstore(loanIds, found)
+            mstore(loans, found)
+        }
+    }
+
+    // ====== VIEW: INDEX SIZES (for "n of m" in the UI) ======
+    function getAccountCounts(address _account)
+        external
+        view
+        returns (uint256 requestCount, uint256 borrowedLoanCount, uint256 lentLoanCount)
+    {
+        return (borrowerRequestIds[_account].length, borrowerLoanIds[_account].length, lenderLoanIds[_account].length);
+    }
+
+    // ====== VIEW: ESCROWED TOKEN IDS (the bundle, or just collateralTokenId) ======
+    function getRequestCollateral(uint256 _requestId) external view returns (uint256[] memory tokenIds) {
+        return _collateralIds(loanRequests[_requestId].collateralTokenId, requestBundleIds[_requestId]);
+    }
+
+    function getLoanCollateral(uint256 _loanId) external view returns (uint256[] memory tokenIds) {
+        return _collateralIds(activeLoans[_loanId].collateralTokenId, loanBundleIds[_loanId]);
+    }
+
+    // ====== VIEW: LOAN-TO-VALUE (value 0 = no oracle or no appraisal; ltv in basis points) ======
+    function getRequestHealth(uint256 _requestId)
+        external
+        view
+        returns (uint256 value, uint256 ltv, bool withinMaxLtv)
+    {
+        LoanTypes.LoanRequest storage request = loanRequests[_requestId];
+        value = _appraise(request.collateralCollection, request.collateralTokenId, requestBundleIds[_requestId], request.currency);
+        ltv = _ltv(request.loanAmount, value);
+        withinMaxLtv = value > 0 && ltv <= maxLtv;
+    }
+
+    // LTV of a running loan is measured against the full payoff right now, so it climbs as interest accrues
+    function getLoanHealth(uint256 _loanId)
+        external
+        view
+        returns (uint256 value, uint256 debt, uint256 ltv, bool withinMaxLtv)
+    {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
+        value = _appraise(loan.collateralCollection, loan.collateralTokenId, loanBundleIds[_loanId], loan.currency);
+        if (!loan.isRepaid) debt = _calculateRepayAmount(loan, block.timestamp);
+        ltv = _ltv(debt, value);
+        withinMaxLtv = value > 0 && ltv <= maxLtv;
+    }
+
+    // ====== VIEW: TRACK RECORD (counters, volumes in `_currency`, and the borrower tier) ======
+    function getReputation(address _account, address _currency)
+        external
+        view
+        returns (LoanTypes.AccountStats memory stats, uint256 borrowed, uint256 lent, LoanTypes.ReputationTier tier)
+    {
+        stats = accountStats[_account];
+        borrowed = borrowedVolume[_account][_currency];
+        lent = lentVolume[_account][_currency];
+        tier = _reputationTier(stats);
+    }
+
+    function _reputationTier(LoanTypes.AccountStats memory _stats) private pure returns (LoanTypes.ReputationTier) {
+        uint256 closed = _stats.repaidOnTime + _stats.repaidLate + _stats.liquidated;
+        if (closed == 0) return LoanTypes.ReputationTier.NEW;
+        if (_stats.liquidated * 4 > closed) return LoanTypes.ReputationTier.RISKY;
+        if (_stats.repaidOnTime >= 10 && _stats.liquidated == 0) return LoanTypes.ReputationTier.GOLD;
+        if (_stats.repaidOnTime >= 3 && _stats.liquidated * 10 <= closed) return LoanTypes.ReputationTier.SILVER;
+        return LoanTypes.ReputationTier.BRONZE;
+    }
+
+    function _collateralIds(uint256 _tokenId, uint256[] storage _bundle) private view returns (uint256[] memory tokenIds) {
+        if (_bundle.length > 0) return _bundle;
+        tokenIds = new uint256[](1);
+        tokenIds[0] = _tokenId;
+    }
+}
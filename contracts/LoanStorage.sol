@@ -1,14 +1,118 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.17;
 
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+
 import "./LoanTypes.sol";
 
-contract LoanStorage {
-    mapping(uint256 => LoanTypes.LoanRequest) internal loanRequests;
-    mapping(uint256 => LoanTypes.ActiveLoan) internal activeLoans;
+/// @notice The platform's whole storage layout. LendingPlatform runs behind an ERC-1967 proxy and its
+/// modules run through delegatecall, so every one of them must see exactly these slots:
+/// nothing else may declare state, and new variables go at the end of this contract.
+/// Values that used to be set by initializers are assigned in LendingPlatform.initialize.
+abstract contract LoanStorage is Initializable, Ownable, Pausable {
+    mapping(uint256 => LoanTypes.LoanRequest) public loanRequests;
+    mapping(uint256 => LoanTypes.ActiveLoan) internal activeLoans; // read through getLoan (too wide for a public getter)
+
+    uint256 public totalRequests;
+    uint256 public totalLoans;
+
+    // For expiry + UI
+    mapping(uint256 => uint256) public requestCreatedAt;   // requestId -> timestamp
+    mapping(uint256 => LoanTypes.RequestStatus) public requestStatus; // requestId -> enum
+
+    // Optional index for borrower
+    mapping(address => uint256[]) internal borrowerRequestIds;
+
+    // Counter-offers
+    mapping(uint256 => LoanTypes.LoanOffer) public loanOffers;
+    uint256 public totalOffers;
+    mapping(uint256 => uint256[]) internal requestOfferIds; // requestId -> offerIds
+    mapping(address => uint256[]) internal lenderOfferIds;
+
+    // Standing lender offers
+    mapping(uint256 => LoanTypes.LenderOffer) public lenderOffers;
+    uint256 public totalLenderOffers;
+
+    // Late policy for newly funded loans
+    uint256 public gracePeriod;
+    uint256 public lateFeeRate; // basis points of the missed principal per day
+
+    // Accepted loan currencies (ETH is always listed)
+    mapping(address => bool) public allowedCurrencies;
+    address[] internal currencyList;
+
+    // Accepted collateral collections
+    mapping(address => bool) public allowedCollections;
+    address[] internal collectionList;
+
+    // Selector -> module for functions served through LendingPlatform's fallback
+    mapping(bytes4 => address) public moduleFor;
+
+    // loanId -> pending extension / refinance terms
+    mapping(uint256 => LoanTypes.TermsProposal) public termsProposals;
+
+    // ERC-721 notes for lender positions (tokenId == loanId)
+    address public promissoryNote;
+
+    // Admin-tunable platform parameters
+    uint256 public maxInterestRate; // APR, basis points
+    uint256 public requestExpiry;
+    mapping(address => uint256) public minLoanAmount; // currency -> smallest principal
+    mapping(address => uint256) public maxLoanAmount; // currency -> largest principal (0 = no cap)
+
+    // Protocol fee on interest, held here per currency until withdrawn to the treasury
+    uint256 public protocolFeeRate; // basis points of interest paid
+    address public treasury;
+    mapping(address => uint256) public protocolFees;
 
-    uint256 internal totalRequests;
-    uint256 internal totalLoans;
+    // Pull payments: account -> currency -> amount credited to it and not yet withdrawn
+    mapping(address => mapping(address => uint256)) public claimable;
+
+    // multicall(): who is running one, and the ETH sent with it that its calls have not used yet
+    address internal multicallSender;
+    uint256 internal multicallValue;
+
+    // borrower -> nonce -> signed request already filled or cancelled
+    mapping(address => mapping(uint256 => bool)) public signedNonceUsed;
+
+    // Loan indexes for the paginated views (a refinancing lender is added to lenderLoanIds too)
+    mapping(address => uint256[]) internal borrowerLoanIds;
+    mapping(address => uint256[]) internal lenderLoanIds;
+    mapping(address => mapping(uint256 => bool)) internal inLenderIndex;
+
+    // Syndicated funding: requestId -> lenders and their escrowed shares (kept for the loan's life)
+    mapping(uint256 => address[]) internal syndicateLenders;
+    mapping(uint256 => mapping(address => uint256)) public syndicateShares;
+    mapping(uint256 => uint256) public syndicateFunded;
+    // loanId -> requestId + 1 while the syndicate holds the loan (0 = single lender)
+    mapping(uint256 => uint256) internal syndicateRequestOf;
+    mapping(uint256 => LoanTypes.SyndicateSale) public syndicateSales; // loanId -> collateral sale
+    mapping(uint256 => mapping(uint256 => mapping(address => bool))) internal syndicateSaleVoted; // loanId -> round -> lender
+
+    // Bundled collateral: every token id escrowed (collateralTokenId is the first). Empty for a single NFT.
+    mapping(uint256 => uint256[]) internal requestBundleIds; // requestId -> token ids
+    mapping(uint256 => uint256[]) internal loanBundleIds;    // loanId -> token ids
+
+    // loanId -> liquidation auction, plus every loan that has had one (for listing)
+    mapping(uint256 => LoanTypes.LiquidationAuction) public auctions;
+    uint256[] internal auctionLoanIds;
+
+    // Collateral appraisals; loan-to-value is only enforced once an oracle is set
+    address public priceOracle;
+    uint256 public maxLtv; // basis points of the appraised value a new request may borrow
+
+    // Track record: account -> counters, and account -> currency -> principal borrowed / lent
+    mapping(address => LoanTypes.AccountStats) internal accountStats;
+    mapping(address => mapping(address => uint256)) public borrowedVolume;
+    mapping(address => mapping(address => uint256)) public lentVolume;
+
+    // loanId -> pending collateral substitution (read through getCollateralSwap)
+    mapping(uint256 => LoanTypes.CollateralSwap) internal collateralSwaps;
+
+    // requestId -> earlier versions of a pending request, oldest first (read through getRequestHistory)
+    mapping(uint256 => LoanTypes.RequestRevision[]) internal requestRevisions;
 
     function getNextRequestId() internal returns (uint256) {
         uint256 id = totalRequests;
@@ -21,12 +125,4 @@ contract LoanStorage {
         totalLoans += 1;
         return id;
     }
-
-    function getTotalRequests() external view returns (uint256) {
-        return totalRequests;
-    }
-
-    function getTotalLoans() external view returns (uint256) {
-        return totalLoans;
-    }
 }
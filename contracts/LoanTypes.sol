@@ -1,24 +1,161 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.17;
 
+/// @notice Request, loan and offer types shared by LoanStorage, LendingPlatform and its modules.
 library LoanTypes {
+    enum RequestStatus {
+        NONE,      // 0
+        ACTIVE,    // 1
+        FUNDED,    // 2
+        CANCELLED, // 3
+        EXPIRED    // 4
+    }
+
+    enum OfferStatus {
+        NONE,      // 0
+        OPEN,      // 1
+        ACCEPTED,  // 2
+        WITHDRAWN, // 3
+        REFUNDED   // 4 (another offer won, or the request closed)
+    }
+
+    // Derived from an account's closed loans as a borrower (see LendingViews.getReputation)
+    enum ReputationTier {
+        NEW,       // 0 no closed loans yet
+        RISKY,     // 1 more than a quarter of closed loans liquidated
+        BRONZE,    // 2
+        SILVER,    // 3 3+ on-time repayments, at most a tenth liquidated
+        GOLD       // 4 10+ on-time repayments, never liquidated
+    }
+
     struct LoanRequest {
         address borrower;
-        uint256 loanAmount;        // wei (ETH)
-        uint256 duration;          // days
-        uint256 interestRate;      // %
-        bool isActive;
-        uint256 collateralTokenId; // ERC-721 tokenId held as collateral in the platform contract
+        uint256 loanAmount;       // wei
+        uint256 durationInDays;   // days
+        uint256 interestRate;     // APR, basis points
+        uint256 collateralTokenId;
+        bool isActive;            // pending (not funded)
+        address currency;         // NATIVE_CURRENCY or allowlisted ERC-20
+        address collateralCollection; // approved ERC-721 collection
+        uint256 installmentCount; // 1 = flexible payments until endTime
     }
 
     struct ActiveLoan {
         address borrower;
+        address lender;           // lender at funding/refinance; the note holder collects (see _lenderOf)
+        uint256 loanAmount;       // wei
+        uint256 collateralTokenId;
+        uint256 startTimestamp;
+        uint256 endTime;
+        uint256 interestRate;     // APR, basis points
+        bool isRepaid;
+        address currency;         // NATIVE_CURRENCY or allowlisted ERC-20
+        address collateralCollection; // approved ERC-721 collection
+        uint256 installmentCount; // 1 = flexible payments until endTime
+        uint256 outstandingPrincipal;
+        uint256 interestOwed;     // accrued up to lastAccrual, not yet paid
+        uint256 lastAccrual;      // unix seconds
+        uint256 totalRepaid;      // principal + interest + late fees paid so far
+        uint256 gracePeriod;      // seconds after a missed due date before liquidation opens
+        uint256 lateFeeRate;      // basis points of the missed principal per day late
+        uint256 lateFeeOwed;      // accrued up to lateFeeAccrual, not yet paid
+        uint256 lateFeeAccrual;   // unix seconds
+        uint256 protocolFeeRate;  // basis points of interest paid, kept by the platform
+    }
+
+    // Lender counter-offer on a pending request; the principal is escrowed here until it closes
+    struct LoanOffer {
+        address lender;
+        uint256 requestId;
+        uint256 loanAmount;       // wei
+        uint256 durationInDays;   // days
+        uint256 interestRate;     // APR, basis points
+        uint256 createdAt;
+        OfferStatus status;
+    }
+
+    // Lender standing offer: any holder of the collection can borrow up to maxAmount per fill.
+    // The full deposit (maxAmount * fills) is escrowed up front; unused funds go back on cancel.
+    struct LenderOffer {
         address lender;
-        uint256 loanAmount;        // wei (ETH)
-        uint256 collateralTokenId; // ERC-721 tokenId held as collateral in the platform contract
-        uint256 startTimestamp;    // unix seconds
-        uint256 endTime;           // unix seconds
-        uint256 interestRate;      // %
-        bool isRepaid;             // repaid OR liquidated
+        address currency;         // NATIVE_CURRENCY or allowlisted ERC-20
+        address collection;       // accepted collateral collection
+        uint256 maxAmount;        // per fill
+        uint256 durationInDays;   // days
+        uint256 interestRate;     // APR, basis points
+        uint256 fillsRemaining;
+        uint256 deposit;          // escrowed funds not yet lent out
+        bool isActive;
+    }
+
+    // Borrower's proposed new terms for a running loan: the current lender can approve them as an
+    // extension, or another lender can take them over by paying the current lender off
+    struct TermsProposal {
+        uint256 newEndTime;
+        uint256 newInterestRate;  // APR, basis points
+        uint256 proposedAt;
+        bool isActive;
+    }
+
+    // Declining-price sale of a defaulted loan's collateral. The price falls linearly from startPrice
+    // to floorPrice over `duration`; with no bid by then the collateral goes to the lender.
+    struct LiquidationAuction {
+        uint256 startPrice;
+        uint256 floorPrice;
+        uint256 startTime;
+        uint256 duration;         // seconds
+        bool isActive;
+    }
+
+    // Loan request signed off-chain by the borrower (EIP-712) and filled by a lender in one transaction
+    struct SignedLoanRequest {
+        address borrower;
+        address collection;
+        uint256 tokenId;
+        address currency;
+        uint256 loanAmount;
+        uint256 durationInDays;
+        uint256 interestRate;     // APR, basis points
+        uint256 installmentCount;
+        uint256 nonce;
+        uint256 deadline;         // last timestamp the signature can be filled
+    }
+
+    // Sale of a defaulted syndicated loan's collateral at a price the lenders vote on.
+    // A new proposal starts a new round and discards the votes of the previous one.
+    struct SyndicateSale {
+        uint256 price;
+        uint256 round;
+        uint256 approvedShares;   // sum of the shares that voted for this round's price
+        bool approved;            // share-weighted majority reached: anyone can buy at `price`
+        uint256 proposedAt;
+        uint256 approvedAt;       // 0 until approved
+    }
+
+    // Replacement collateral the borrower offers for a running loan; it stays with the borrower
+    // (approved to the platform) until the lender accepts, then both sides move in one transaction.
+    struct CollateralSwap {
+        address collection;
+        uint256[] tokenIds;       // one NFT or a bundle
+        uint256 proposedAt;
+        bool isActive;
+    }
+
+    // Per-account track record. Volumes are kept per currency (borrowedVolume / lentVolume).
+    struct AccountStats {
+        uint256 loansTaken;       // as borrower
+        uint256 repaidOnTime;     // paid off by the final due date
+        uint256 repaidLate;       // paid off during the grace window
+        uint256 liquidated;       // collateral taken, sold at auction or sold by a syndicate
+        uint256 loansFunded;      // as lender, including syndicate shares and refinancing
+    }
+
+    // Terms a pending request was listed with before an edit or relist replaced them
+    struct RequestRevision {
+        uint256 loanAmount;       // wei
+        uint256 durationInDays;   // days
+        uint256 interestRate;     // APR, basis points
+        uint256 listedAt;         // start of that listing's expiry window
+        uint256 replacedAt;
     }
 }
@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+import "./IPriceOracle.sol";
+
+/// @notice Owner-fed appraisals for local chains and tests. A price set for a single token wins over
+/// the collection-wide price, which covers every token of the collection (e.g. newly minted ones).
+contract MockPriceOracle is IPriceOracle, Ownable {
+    // collection -> tokenId -> currency -> price
+    mapping(address => mapping(uint256 => mapping(address => uint256))) public tokenPrices;
+    // collection -> currency -> price
+    mapping(address => mapping(address => uint256)) public collectionPrices;
+
+    event TokenPriceSet(address indexed collection, uint256 indexed tokenId, address indexed currency, uint256 price);
+    event CollectionPriceSet(address indexed collection, address indexed currency, uint256 price);
+
+    // 0 clears the token price and falls back to the collection price
+    function setTokenPrice(address _collection, uint256 _tokenId, address _currency, uint256 _price) external onlyOwner {
+        tokenPrices[_collection][_tokenId][_currency] = _price;
+
+        emit TokenPriceSet(_collection, _tokenId, _currency, _price);
+    }
+
+    function setCollectionPrice(address _collection, address _currency, uint256 _price) external onlyOwner {
+        collectionPrices[_collection][_currency] = _price;
+
+        emit CollectionPriceSet(_collection, _currency, _price);
+    }
+
+    function getPrice(address _collection, uint256 _tokenId, address _currency) external view override returns (uint256) {
+        uint256 price = tokenPrices[_collection][_tokenId][_currency];
+        return price > 0 ? price : collectionPrices[_collection][_currency];
+    }
+}
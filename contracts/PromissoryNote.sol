@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+
+/// @notice Lender position on a LendingPlatform loan. tokenId == loanId; whoever holds the note
+/// receives repayments and may liquidate. Only the platform mints (at funding) and burns (at close).
+contract PromissoryNote is ERC721 {
+    address public immutable platform;
+
+    constructor(address _platform) ERC721("DLoan Promissory Note", "DLPN") {
+        platform = _platform;
+    }
+
+    modifier onlyPlatform() {
+        require(msg.sender == platform, "Only platform");
+        _;
+    }
+
+    function mint(address _to, uint256 _loanId) external onlyPlatform {
+        _mint(_to, _loanId);
+    }
+
+    function burn(uint256 _loanId) external onlyPlatform {
+        _burn(_loanId);
+    }
+}
@@ -0,0 +1,445 @@
+// frontend/src/components/Auctions.js
+import React, { useEffect, useMemo, useState } from "react";
+import { Container, Table, Button, Card, Badge, Toast } from "react-bootstrap";
+import { ethers } from "ethers";
+
+import LendingPlatformABI from "../contracts/LendingPlatform.abi.json";
+import TokenNFTABI from "../contracts/TokenNFT.abi.json";
+import addresses from "../contracts/contract-address.json";
+
+const LENDING_ADDRESS = addresses.LendingPlatform || addresses.lendingPlatformAddress;
+
+// -------- helpers (avoid BigNumber undefined crashes) --------
+const toInt = (v, fallback = 0) => {
+  if (v === null || v === undefined) return fallback;
+  try {
+    if (typeof v === "number") return v;
+    if (typeof v === "bigint") return Number(v);
+    if (typeof v === "string") return Number(v);
+    if (v.toNumber) return v.toNumber();
+    if (v.toString) return Number(v.toString());
+  } catch (_) {}
+  return fallback;
+};
+
+// ---------------- Loan currencies ----------------
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+const NATIVE_CURRENCY = { address: "0x0000000000000000000000000000000000000000", symbol: "ETH", decimals: 18 };
+
+const isNative = (currency) => !currency || currency.toLowerCase() === NATIVE_CURRENCY.address;
+
+async function loadCurrencies(lending, signerOrProvider) {
+  const list = [NATIVE_CURRENCY];
+  let addrs = [];
+  try {
+    addrs = await lending.getAllowedCurrencies();
+  } catch (_) {}
+  for (const a of addrs || []) {
+    if (isNative(a)) continue;
+    try {
+      const token = new ethers.Contract(a, ERC20_ABI, signerOrProvider);
+      list.push({ address: a, symbol: await token.symbol(), decimals: toInt(await token.decimals(), 18) });
+    } catch (_) {
+      list.push({ address: a, symbol: `${a.slice(0, 6)}…`, decimals: 18 });
+    }
+  }
+  return list;
+}
+
+const currencyMeta = (currencies, address) =>
+  currencies.find((c) => c.address.toLowerCase() === String(address || NATIVE_CURRENCY.address).toLowerCase()) ||
+  NATIVE_CURRENCY;
+
+async function ensureAllowance(currency, owner, spender, amount, signer) {
+  if (isNative(currency)) return;
+  const token = new ethers.Contract(currency, ERC20_ABI, signer);
+  const current = await token.allowance(owner, spender);
+  if (current.lt(amount)) {
+    const tx = await token.approve(spender, amount);
+    await tx.wait();
+  }
+}
+
+// ---------------- Asset naming (UI-only) ----------------
+const DEFAULT_ASSET_BY_TOKEN_ID = {
+  1: "Gold",
+  2: "Silver",
+  3: "Car",
+  4: "Motorbike",
+  5: "House",
+};
+
+function storageKey(chainId, nftAddress) {
+  const cid = chainId ?? "unknown";
+  return `dloan_nft_names_${cid}_${String(nftAddress || "").toLowerCase()}`;
+}
+
+function safeJsonParse(s, fallback) {
+  try { return JSON.parse(s); } catch (_) { return fallback; }
+}
+
+function loadNameMap(chainId, nftAddress) {
+  if (!nftAddress) return {};
+  const key = storageKey(chainId, nftAddress);
+  return safeJsonParse(window.localStorage.getItem(key) || "{}", {});
+}
+
+function tokenDisplayName(chainId, nftAddress, tokenId) {
+  const id = Number(tokenId);
+  const map = loadNameMap(chainId, nftAddress);
+  return map[String(tokenId)] || DEFAULT_ASSET_BY_TOKEN_ID[id] || `Token ${id}`;
+}
+
+function extractRevertReason(err) {
+  const msg = err?.error?.message || err?.message || "";
+  const m1 = msg.match(/reverted(?: with reason string)?(?::| )['"]?([^'"]+)['"]?/i);
+  if (m1?.[1]) return m1[1];
+  try {
+    const body = err?.error?.body;
+    if (typeof body === "string") {
+      const j = JSON.parse(body);
+      const m2 = j?.error?.message?.match(/reverted(?: with reason string)?(?::| )['"]?([^'"]+)['"]?/i);
+      if (m2?.[1]) return m2[1];
+    }
+  } catch (_) {}
+  return msg || "Transaction failed";
+}
+
+// ---------------- Collateral collections ----------------
+async function loadCollections(lending, signerOrProvider) {
+  let addrs = [];
+  try {
+    addrs = await lending.getAllowedCollections();
+  } catch (_) {}
+  const list = [];
+  for (const a of addrs || []) {
+    try {
+      const nft = new ethers.Contract(a, TokenNFTABI, signerOrProvider);
+      list.push({ address: a, symbol: await nft.symbol() });
+    } catch (_) {
+      list.push({ address: a, symbol: `${a.slice(0, 6)}…` });
+    }
+  }
+  return list;
+}
+
+const sameAddr = (a, b) => String(a || "").toLowerCase() === String(b || "").toLowerCase();
+
+function collateralLabel(chainId, collections, collection, tokenId) {
+  const col = collections.find((c) => sameAddr(c.address, collection));
+  const symbol = col ? col.symbol : `${String(collection || "").slice(0, 6)}…`;
+  return `${tokenDisplayName(chainId, collection, tokenId)} (${symbol} #${tokenId})`;
+}
+
+// A bundled request/loan escrows several token ids of one collection
+const bundleLabel = (chainId, collections, collection, tokenIds) =>
+  tokenIds.map((id) => collateralLabel(chainId, collections, collection, id)).join(", ");
+
+// Countdown, e.g. "2d 5h", "3h 12m" or "45s"
+const fmtCountdown = (seconds) => {
+  const s = Math.max(0, Math.floor(seconds || 0));
+  const d = Math.floor(s / 86400);
+  const h = Math.floor((s % 86400) / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  if (d > 0) return `${d}d ${h}h`;
+  return h > 0 ? `${h}h ${m}m` : `${m}m ${s % 60}s`;
+};
+
+// Same linear decline as LendingAuctions._auctionPrice, so the price ticks between refreshes
+const auctionPriceAt = (a, ts) => {
+  const elapsed = Math.max(0, ts - a.startTime);
+  if (elapsed >= a.duration) return a.floorPrice;
+  return a.startPrice.sub(a.startPrice.sub(a.floorPrice).mul(elapsed).div(a.duration));
+};
+
+const PRICE_TICK_MS = 1000;
+
+// ---------------- Paginated reads ----------------
+const PAGE_SIZE = 10;
+
+// Pages can come back short when ended auctions are skipped, so keep asking until PAGE_SIZE items or the end (cursor 0)
+async function collectPage(fetchPage, cursor) {
+  const ids = [];
+  const items = [];
+  let next = cursor;
+  do {
+    const res = await fetchPage(next);
+    ids.push(...res[0]);
+    items.push(...res[1]);
+    next = toInt(res[2]);
+  } while (next !== 0 && ids.length < PAGE_SIZE);
+  return { ids, items, next };
+}
+
+// Dutch-auction liquidations: anyone can buy defaulted collateral at the current price.
+// The lender is paid what the loan owes and any surplus is credited to the borrower.
+const Auctions = () => {
+  const [account, setAccount] = useState("");
+  const [chainId, setChainId] = useState(null);
+  const [lendingContract, setLendingContract] = useState(null);
+  const [collections, setCollections] = useState([]);
+  const [currencies, setCurrencies] = useState([NATIVE_CURRENCY]);
+  const [auctions, setAuctions] = useState([]);
+  const [auctionsCursor, setAuctionsCursor] = useState(0); // 0 = nothing more to load
+  const [clockOffset, setClockOffset] = useState(0); // chain time - local time, seconds
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+
+  const [toast, setToast] = useState({ show: false, message: "", variant: "success" });
+  const showToast = (message, variant = "success") => setToast({ show: true, message, variant });
+
+  const provider = useMemo(() => {
+    if (!window.ethereum) return null;
+    return new ethers.providers.Web3Provider(window.ethereum);
+  }, []);
+
+  useEffect(() => {
+    const init = async () => {
+      if (!provider) return;
+
+      try {
+        const network = await provider.getNetwork();
+        setChainId(network.chainId);
+      } catch (_) {}
+
+      const accounts = await provider.listAccounts();
+      if (!accounts || accounts.length === 0) return;
+
+      setAccount(accounts[0]);
+      setLendingContract(new ethers.Contract(LENDING_ADDRESS, LendingPlatformABI, provider.getSigner()));
+    };
+
+    init();
+  }, [provider]);
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(Math.floor(Date.now() / 1000)), PRICE_TICK_MS);
+    return () => clearInterval(id);
+  }, []);
+
+  const fetchAuctionsPage = (cursor) => lendingContract.getActiveAuctions(cursor, PAGE_SIZE);
+
+  const mapAuctions = async (curList, loanIds, list) => {
+    const mapped = [];
+    for (let i = 0; i < list.length; i++) {
+      const a = list[i];
+      const loanId = toInt(loanIds[i]);
+      const loan = await lendingContract.getLoan(loanId);
+      const cur = currencyMeta(curList, loan.currency);
+
+      let debt = null;
+      let lender = "";
+      let tokenIds = [toInt(loan.collateralTokenId)];
+      try {
+        debt = await lendingContract.getRepayAmount(loanId);
+        lender = await lendingContract.lenderOf(loanId);
+        tokenIds = (await lendingContract.getLoanCollateral(loanId)).map((id) => toInt(id));
+      } catch (_) {}
+
+      mapped.push({
+        loanId,
+        borrower: loan.borrower,
+        lender,
+        // The platform holds a syndicated loan's note: an unsold auction just closes
+        syndicated: sameAddr(lender, LENDING_ADDRESS),
+        currency: cur.address,
+        symbol: cur.symbol,
+        decimals: cur.decimals,
+        debt,
+        collateralCollection: loan.collateralCollection,
+        collateralTokenIds: tokenIds,
+        startPrice: a.startPrice,
+        floorPrice: a.floorPrice,
+        startTime: toInt(a.startTime),
+        duration: toInt(a.duration),
+      });
+    }
+    return mapped;
+  };
+
+  const loadAuctions = async () => {
+    if (!lendingContract) return;
+    try {
+      const curList = await loadCurrencies(lendingContract, provider);
+      setCurrencies(curList);
+      setCollections(await loadCollections(lendingContract, provider));
+
+      const latest = await provider.getBlock("latest");
+      setClockOffset(Number(latest.timestamp) - Math.floor(Date.now() / 1000));
+
+      const page = await collectPage(fetchAuctionsPage, 0);
+      setAuctions(await mapAuctions(curList, page.ids, page.items));
+      setAuctionsCursor(page.next);
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  const loadMoreAuctions = async () => {
+    if (!lendingContract || !auctionsCursor) return;
+    try {
+      const page = await collectPage(fetchAuctionsPage, auctionsCursor);
+      const more = await mapAuctions(currencies, page.ids, page.items);
+      setAuctions((prev) => [...prev, ...more]);
+      setAuctionsCursor(page.next);
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  useEffect(() => {
+    loadAuctions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [lendingContract]);
+
+  const chainNow = now + clockOffset;
+
+  // The price only falls while the tx is pending, so the price shown now always covers the bid
+  const bid = async (a) => {
+    if (!lendingContract) return;
+    try {
+      const price = auctionPriceAt(a, chainNow);
+      let tx;
+      if (isNative(a.currency)) {
+        tx = await lendingContract.bidOnAuction(a.loanId, { value: price });
+      } else {
+        await ensureAllowance(a.currency, account, LENDING_ADDRESS, price, provider.getSigner());
+        tx = await lendingContract.bidOnAuction(a.loanId);
+      }
+      await tx.wait();
+      showToast("You won the auction. The collateral is in your wallet.", "success");
+      await loadAuctions();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  const settleUnsold = async (a) => {
+    if (!lendingContract) return;
+    try {
+      const tx = await lendingContract.settleUnsoldAuction(a.loanId);
+      await tx.wait();
+      showToast(
+        a.syndicated
+          ? "Auction closed without a bid. The syndicate can start a new one."
+          : "Auction closed without a bid. Collateral sent to the lender.",
+        "success"
+      );
+      await loadAuctions();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  const fmt = (a, wei) => `${ethers.utils.formatUnits(wei, a.decimals)} ${a.symbol}`;
+
+  return (
+    <Container className="py-4">
+      <Card className="mb-4">
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <strong>Liquidation Auctions</strong>
+          <Button onClick={loadAuctions}>Refresh</Button>
+        </Card.Header>
+        <Card.Body>
+          <div className="text-muted small mb-3">
+            Defaulted collateral is sold at a price that falls from the start price to the floor. The first bid wins:
+            the lender is paid what the loan owes and any surplus goes to the borrower. With no bid by the floor
+            price, anyone can settle the auction and the collateral goes to the lender (a syndicate's auction just
+            closes and can be run again).
+          </div>
+          <Table bordered hover responsive>
+            <thead>
+              <tr>
+                <th>Loan ID</th>
+                <th>Collateral</th>
+                <th>Debt</th>
+                <th>Start / floor</th>
+                <th>Current price</th>
+                <th>Ends</th>
+                <th>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {auctions.map((a) => {
+                const endsAt = a.startTime + a.duration;
+                const ended = chainNow > endsAt;
+                const price = auctionPriceAt(a, chainNow);
+                const isLender = sameAddr(a.lender, account);
+                return (
+                  <tr key={a.loanId}>
+                    <td>{a.loanId}</td>
+                    <td>{bundleLabel(chainId, collections, a.collateralCollection, a.collateralTokenIds)}</td>
+                    <td>{a.debt ? fmt(a, a.debt) : "-"}</td>
+                    <td>
+                      {fmt(a, a.startPrice)}
+                      <div className="text-muted" style={{ fontSize: 13 }}>floor {fmt(a, a.floorPrice)}</div>
+                    </td>
+                    <td>
+                      <strong>{fmt(a, price)}</strong>
+                      {a.debt && price.gt(a.debt) && (
+                        <div className="text-success" style={{ fontSize: 13 }}>
+                          Surplus to borrower: {fmt(a, price.sub(a.debt))}
+                        </div>
+                      )}
+                    </td>
+                    <td>
+                      {new Date(endsAt * 1000).toLocaleString()}
+                      <div style={{ fontSize: 13 }}>
+                        {ended ? <Badge bg="secondary">Ended</Badge> : `${fmtCountdown(endsAt - chainNow)} left`}
+                      </div>
+                    </td>
+                    <td>
+                      {ended ? (
+                        <Button size="sm" variant="outline-secondary" onClick={() => settleUnsold(a)}>
+                          {a.syndicated ? "Close unsold auction" : "Settle (collateral to lender)"}
+                        </Button>
+                      ) : isLender || sameAddr(a.borrower, account) ? (
+                        <Badge bg="info">{isLender ? "Your auction" : "Your collateral"}</Badge>
+                      ) : (
+                        <Button size="sm" variant="success" onClick={() => bid(a)}>
+                          Bid {fmt(a, price)}
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+              {auctions.length === 0 && (
+                <tr><td colSpan={7} className="text-center">No running auctions</td></tr>
+              )}
+            </tbody>
+          </Table>
+          {auctionsCursor !== 0 && (
+            <Button variant="outline-secondary" onClick={loadMoreAuctions}>Load more</Button>
+          )}
+        </Card.Body>
+      </Card>
+
+      <Toast
+        show={toast.show}
+        onClose={() => setToast((p) => ({ ...p, show: false }))}
+        delay={3500}
+        autohide
+        style={{ position: "fixed", top: 20, right: 20, minWidth: 320, zIndex: 9999 }}
+      >
+        <Toast.Header closeButton={true}>
+          <strong className="me-auto">Notification</strong>
+        </Toast.Header>
+        <Toast.Body className={toast.variant === "danger" ? "text-danger" : ""}>
+          {toast.message}
+        </Toast.Body>
+      </Toast>
+    </Container>
+  );
+};
+
+export default Auctions;
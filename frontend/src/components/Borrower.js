@@ -25,6 +25,53 @@ const toInt = (v, fallback = 0) => {
 };
 
 const tuple = (res, key, idx, fb) => (res ? (res[key] ?? res[idx] ?? fb) : fb);
+
+// ---------------- Loan currencies ----------------
+// address(0) on-chain means native ETH; anything else is an allowlisted ERC-20.
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+const NATIVE_CURRENCY = { address: "0x0000000000000000000000000000000000000000", symbol: "ETH", decimals: 18 };
+
+const isNative = (currency) => !currency || currency.toLowerCase() === NATIVE_CURRENCY.address;
+
+async function loadCurrencies(lending, signerOrProvider) {
+  const list = [NATIVE_CURRENCY];
+  let addrs = [];
+  try {
+    addrs = await lending.getAllowedCurrencies();
+  } catch (_) {}
+  for (const a of addrs || []) {
+    if (isNative(a)) continue;
+    try {
+      const token = new ethers.Contract(a, ERC20_ABI, signerOrProvider);
+      list.push({ address: a, symbol: await token.symbol(), decimals: toInt(await token.decimals(), 18) });
+    } catch (_) {
+      list.push({ address: a, symbol: `${a.slice(0, 6)}…`, decimals: 18 });
+    }
+  }
+  return list;
+}
+
+const currencyMeta = (currencies, address) =>
+  currencies.find((c) => c.address.toLowerCase() === String(address || NATIVE_CURRENCY.address).toLowerCase()) ||
+  NATIVE_CURRENCY;
+
+// Make sure the platform may pull `amount` of an ERC-20 from the user (no-op for ETH)
+async function ensureAllowance(currency, owner, spender, amount, signer) {
+  if (isNative(currency)) return;
+  const token = new ethers.Contract(currency, ERC20_ABI, signer);
+  const current = await token.allowance(owner, spender);
+  if (current.lt(amount)) {
+    const tx = await token.approve(spender, amount);
+    await tx.wait();
+  }
+}
 // ---------------- Asset naming (UI-only) ----------------
 // We KEEP mint() unchanged. Custom names are stored in browser localStorage.
 // If you need names on-chain (portable across devices), we must add a mintWithName() in the NFT contract.
@@ -121,12 +168,121 @@ async function getOwnedTokenIds(nft, owner) {
   return owned;
 }
 
+// ---------------- Collateral collections ----------------
+async function loadCollections(lending, signerOrProvider) {
+  let addrs = [];
+  try {
+    addrs = await lending.getAllowedCollections();
+  } catch (_) {}
+  const list = [];
+  for (const a of addrs || []) {
+    try {
+      const nft = new ethers.Contract(a, TokenNFTABI, signerOrProvider);
+      list.push({ address: a, symbol: await nft.symbol() });
+    } catch (_) {
+      list.push({ address: a, symbol: `${a.slice(0, 6)}…` });
+    }
+  }
+  return list;
+}
+
+const sameAddr = (a, b) => String(a || "").toLowerCase() === String(b || "").toLowerCase();
+
+function collateralLabel(chainId, collections, collection, tokenId) {
+  const col = collections.find((c) => sameAddr(c.address, collection));
+  const symbol = col ? col.symbol : `${String(collection || "").slice(0, 6)}…`;
+  return `${tokenDisplayName(chainId, collection, tokenId)} (${symbol} #${tokenId})`;
+}
+
+// A bundled request/loan escrows several token ids of one collection
+const bundleLabel = (chainId, collections, collection, tokenIds) =>
+  tokenIds.map((id) => collateralLabel(chainId, collections, collection, id)).join(", ");
+
+// Deployments with the LendingReceiver module accept safeTransferFrom with encoded terms
+const supportsTransferRequests = (lendingContract) => {
+  try {
+    return Boolean(lendingContract.interface.getFunction("onERC721Received"));
+  } catch (_) {
+    return false;
+  }
+};
+
+// Most NFTs one request can bundle (LendingBase.MAX_BUNDLE_SIZE)
+const MAX_BUNDLE_SIZE = 10;
+
 const toNum = (v, fallback = 0) => {
   if (v === null || v === undefined) return fallback;
   const n = Number(v);
   return Number.isFinite(n) ? n : fallback;
 };
 
+// Interest rates are stored on-chain as APR in basis points (500 = 5%).
+// Fallbacks until the platform parameters are read from the contract.
+const DEFAULT_PARAMS = { maxAprBps: 3000, requestExpiry: 2 * 24 * 60 * 60, minLoan: null, maxLoan: null };
+// Quote repayments a little ahead of the chain clock so interest accrued while the tx is pending is covered
+const REPAY_QUOTE_BUFFER_SECONDS = 10 * 60;
+
+const fmtRate = (bps) => `${(toNum(bps) / 100).toLocaleString(undefined, { maximumFractionDigits: 2 })}% APR`;
+
+const fmtDuration = (seconds) => {
+  const hours = Math.round(toNum(seconds) / 3600);
+  return hours % 24 === 0 ? `${hours / 24} day(s)` : `${hours} hour(s)`;
+};
+
+// Countdown for the grace period badge, e.g. "2d 5h" or "3h 12m"
+const fmtCountdown = (seconds) => {
+  const s = Math.max(0, Math.floor(seconds || 0));
+  const d = Math.floor(s / 86400);
+  const h = Math.floor((s % 86400) / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  return d > 0 ? `${d}d ${h}h` : `${h}h ${m}m`;
+};
+
+// ---------------- Paginated reads ----------------
+const PAGE_SIZE = 10;
+const REQUEST_STATUS_ANY = 0; // RequestStatus.NONE = no status filter
+
+// Pages can come back short when filters skip ids, so keep asking until PAGE_SIZE items or the end (cursor 0)
+async function collectPage(fetchPage, cursor) {
+  const ids = [];
+  const items = [];
+  let next = cursor;
+  do {
+    const res = await fetchPage(next);
+    ids.push(...res[0]);
+    items.push(...res[1]);
+    next = toInt(res[2]);
+  } while (next !== 0 && ids.length < PAGE_SIZE);
+  return { ids, items, next };
+}
+
+// ---------------- Signed (gasless) requests ----------------
+// EIP-712 terms checked by LendingSignatures.fillSignedRequest; stored in the local order book (scripts/orderbook.js)
+const ORDERBOOK_URL = process.env.REACT_APP_ORDERBOOK_URL || "http://localhost:8787";
+
+const SIGNED_REQUEST_TYPES = {
+  LoanRequest: [
+    { name: "borrower", type: "address" },
+    { name: "collection", type: "address" },
+    { name: "tokenId", type: "uint256" },
+    { name: "currency", type: "address" },
+    { name: "loanAmount", type: "uint256" },
+    { name: "durationInDays", type: "uint256" },
+    { name: "interestRate", type: "uint256" },
+    { name: "installmentCount", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const signedRequestDomain = (chainId) => ({ name: "DLoan", version: "1", chainId, verifyingContract: LENDING_ADDRESS });
+
+async function fetchSignedOrders(query = "") {
+  const res = await fetch(`${ORDERBOOK_URL}/orders${query}`);
+  if (!res.ok) throw new Error(`Order book error ${res.status}`);
+  return res.json();
+}
+
 const fmtEth = (n) => {
   if (!Number.isFinite(n)) return "0";
   // hiển thị gọn: 0, 1.2, 20, 20.123456
@@ -136,8 +292,11 @@ const fmtEth = (n) => {
 const Borrower = () => {
   const [account, setAccount] = useState("");
   const [ethBalance, setEthBalance] = useState("");
+  const [tokenBalances, setTokenBalances] = useState([]);
+  const [currencies, setCurrencies] = useState([NATIVE_CURRENCY]);
   const [nftCount, setNftCount] = useState(0);
-  const [ownedTokenIds, setOwnedTokenIds] = useState([]);
+  const [ownedTokens, setOwnedTokens] = useState([]); // [{ collection, tokenId }]
+  const [collections, setCollections] = useState([]);
 
   const [chainId, setChainId] = useState(null);
   const [mintName, setMintName] = useState("");
@@ -147,19 +306,42 @@ const Borrower = () => {
   const [nftContract, setNftContract] = useState(null);
 
   const [myRequests, setMyRequests] = useState([]);
+  const [requestsCursor, setRequestsCursor] = useState(0); // 0 = nothing more to load
   const [myActiveLoans, setMyActiveLoans] = useState([]);
+  const [loansCursor, setLoansCursor] = useState(0);
+  const [payAmounts, setPayAmounts] = useState({}); // loanId -> amount typed in the loans table
+  const [lookupId, setLookupId] = useState(""); // loan id typed in "Repay someone's loan"
+  const [lookedUpLoan, setLookedUpLoan] = useState(null); // that loan, mapped like ours (any borrower)
+  const [lenderOffers, setLenderOffers] = useState([]); // open standing offers from lenders
+  const [offersCursor, setOffersCursor] = useState(0);
+  const [takeDrafts, setTakeDrafts] = useState({}); // lenderOfferId -> { tokenId, amount }
+  const [termsDrafts, setTermsDrafts] = useState({}); // loanId -> { extraDays, interestRate }
+  const [editDrafts, setEditDrafts] = useState({}); // requestId -> { amount, durationInDays, interestRate } while editing
+  const [swapDrafts, setSwapDrafts] = useState({}); // loanId -> ["collection:tokenId", ...] offered as replacement
+  const [params, setParams] = useState(DEFAULT_PARAMS); // admin-tunable limits for the selected currency
+  const [claimable, setClaimable] = useState([]); // [{ address, symbol, decimals, amount }]
+  const [signedOrders, setSignedOrders] = useState([]); // this borrower's requests in the order book
+  const [orderBookDown, setOrderBookDown] = useState(false);
 
   const [formData, setFormData] = useState({
     amount: "",
     interestRate: "",
     duration: "",
-    tokenId: "",
+    tokenIds: [], // one id for a single NFT, several for a bundle
+    collection: NFT_ADDRESS,
+    currency: NATIVE_CURRENCY.address,
+    installmentCount: "1",
   });
 
+  const formCurrency = currencyMeta(currencies, formData.currency);
+  const maxAprBps = params.maxAprBps;
   const amountEth = toNum(formData.amount);
   const ratePct = toNum(formData.interestRate);
-  const interestEth = amountEth > 0 && ratePct > 0 ? (amountEth * ratePct) / 100 : 0;
+  const durationDays = toNum(formData.duration);
+  // Simple interest accrues per second, so the full amount is due at maturity
+  const interestEth = amountEth > 0 && ratePct > 0 ? (amountEth * ratePct * durationDays) / (100 * 365) : 0;
   const totalRepayEth = amountEth > 0 ? amountEth + interestEth : 0;
+  const installmentCount = Math.max(1, Math.floor(toNum(formData.installmentCount, 1)));
 
   const [toast, setToast] = useState({ show: false, message: "", variant: "success" });
   const showToast = (message, variant = "success") => setToast({ show: true, message, variant });
@@ -194,90 +376,331 @@ const Borrower = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [provider]);
 
+  const updateTokenBalances = async () => {
+    if (!provider || !account) return;
+    const tokenBals = [];
+    for (const cur of currencies) {
+      if (isNative(cur.address)) continue;
+      try {
+        const token = new ethers.Contract(cur.address, ERC20_ABI, provider);
+        const b = await token.balanceOf(account);
+        tokenBals.push({ symbol: cur.symbol, balance: ethers.utils.formatUnits(b, cur.decimals) });
+      } catch (_) {}
+    }
+    setTokenBalances(tokenBals);
+  };
+
+  // Rate cap, request expiry and loan size limits are set by the platform admin
+  const loadParams = async () => {
+    if (!lendingContract) return;
+    try {
+      const [maxRate, expiry, minLoan, maxLoan] = await Promise.all([
+        lendingContract.maxInterestRate(),
+        lendingContract.requestExpiry(),
+        lendingContract.minLoanAmount(formCurrency.address),
+        lendingContract.maxLoanAmount(formCurrency.address),
+      ]);
+      setParams({ maxAprBps: toInt(maxRate), requestExpiry: toInt(expiry), minLoan, maxLoan });
+    } catch (_) {
+      setParams(DEFAULT_PARAMS);
+    }
+  };
+
+  // Proceeds, repayments and refunds owed to this account are credited on the platform and pulled with withdraw()
+  const loadClaimable = async () => {
+    if (!lendingContract || !account) return;
+    const list = [];
+    for (const cur of currencies) {
+      try {
+        const amount = await lendingContract.claimable(account, cur.address);
+        list.push({ ...cur, amount });
+      } catch (_) {}
+    }
+    setClaimable(list);
+  };
+
   const updateBalances = async () => {
-    if (!provider || !nftContract || !account) return;
+    if (!provider || !nftContract || !lendingContract || !account) return;
     const bal = await provider.getBalance(account);
     setEthBalance(ethers.utils.formatEther(bal));
 
+    await updateTokenBalances();
+    await loadClaimable();
+
     const c = await nftContract.balanceOf(account);
     setNftCount(toInt(c));
 
-    const ids = await getOwnedTokenIds(nftContract, account);
-    setOwnedTokenIds(ids);
+    const cols = await loadCollections(lendingContract, provider);
+    setCollections(cols);
+
+    const owned = [];
+    for (const col of cols) {
+      const nft = new ethers.Contract(col.address, TokenNFTABI, provider);
+      const ids = await getOwnedTokenIds(nft, account);
+      ids.forEach((id) => owned.push({ collection: col.address, tokenId: id }));
+    }
+    setOwnedTokens(owned);
 
-    // If user hasn't selected a tokenId yet (or selected one they don't own),
-    // default to the first owned tokenId to avoid accidental reverts.
+    // Keep the selected tokenIds the user still owns; with none left,
+    // default to the first owned tokenId of the selected collection to avoid accidental reverts.
     setFormData((prev) => {
-      const current = (prev.tokenId ?? "").toString().trim();
-      const currentNum = Number(current);
-      const ownsCurrent = current && ids.some((x) => Number(x) === currentNum);
-      if (ownsCurrent) return prev;
-      if (ids.length === 0) return { ...prev, tokenId: "" };
-      return { ...prev, tokenId: String(ids[0]) };
+      const collection = cols.some((c) => sameAddr(c.address, prev.collection))
+        ? prev.collection
+        : (cols[0]?.address || NFT_ADDRESS);
+      const ids = owned.filter((o) => sameAddr(o.collection, collection)).map((o) => String(o.tokenId));
+      const stillOwned = prev.tokenIds.filter((id) => ids.includes(String(id)));
+      if (stillOwned.length > 0) return { ...prev, collection, tokenIds: stillOwned };
+      return { ...prev, collection, tokenIds: ids.length ? [ids[0]] : [] };
     });
   };
 
-  const loadMyData = async () => {
-    if (!lendingContract || !account) return;
+  // My requests (every status) and my open loans, read a page at a time from the per-borrower indexes
+  const fetchRequestsPage = (cursor) =>
+    lendingContract.getRequestsPage(cursor, PAGE_SIZE, REQUEST_STATUS_ANY, account, ethers.constants.AddressZero);
+  const fetchLoansPage = (cursor) =>
+    lendingContract.getLoansPage(cursor, PAGE_SIZE, true, account, ethers.constants.AddressZero, ethers.constants.AddressZero);
+  const fetchOffersPage = (cursor) => lendingContract.getActiveLenderOffers(cursor, PAGE_SIZE, ethers.constants.AddressZero);
+
+  const mapLenderOffers = (curList, offerIds, offers) =>
+    (offers || []).map((o, i) => {
+      const cur = currencyMeta(curList, o.currency);
+      return {
+        lenderOfferId: toInt(offerIds[i]),
+        lender: o.lender,
+        currency: cur.address,
+        symbol: cur.symbol,
+        decimals: cur.decimals,
+        collection: o.collection,
+        maxAmount: ethers.utils.formatUnits(o.maxAmount, cur.decimals),
+        durationInDays: toInt(o.durationInDays),
+        interestRate: toInt(o.interestRate),
+        fillsRemaining: toInt(o.fillsRemaining),
+      };
+    });
 
-    // Borrower requests
-    const res = await lendingContract.getBorrowerRequests(account);
-    const requestIds = tuple(res, 'requestIds', 0, []);
-    const requests = tuple(res, 'requests', 1, []);
+  // Chain time (IMPORTANT): Hardhat time travel only affects block.timestamp.
+  // So we use latest block timestamp to decide whether a loan is expired.
+  const chainTime = async () => {
+    try {
+      const latestBlock = await provider.getBlock("latest");
+      if (latestBlock?.timestamp) return latestBlock.timestamp;
+    } catch (e) {
+      // fallback to local time
+    }
+    return Math.floor(Date.now() / 1000);
+  };
 
+  const mapRequests = async (curList, requestIds, requests) => {
     const mappedReq = (requests || [])
       .map((r, i) => {
         const rid = (requestIds || [])[i];
         if (!rid || !r) return null;
+        const cur = currencyMeta(curList, r.currency);
         return {
           requestId: toInt(rid),
           borrower: r.borrower,
-          loanAmount: ethers.utils.formatEther(r.loanAmount),
-          duration: toInt(r.duration),
+          loanAmount: ethers.utils.formatUnits(r.loanAmount, cur.decimals),
+          currency: cur.address,
+          symbol: cur.symbol,
+          decimals: cur.decimals,
+          durationInDays: toInt(r.durationInDays),
           interestRate: toInt(r.interestRate),
           isActive: r.isActive,
+          collateralCollection: r.collateralCollection,
           collateralTokenId: toInt(r.collateralTokenId),
         };
       })
       .filter(Boolean);
-    setMyRequests(mappedReq);
 
-    // Active loans: scan all active loans and filter by borrower (demo)
-    // Chain time (IMPORTANT): Hardhat time travel only affects block.timestamp.
-    // So we use latest block timestamp to decide whether a loan is expired.
-    let chainNow = Math.floor(Date.now() / 1000);
+    const chainNow = await chainTime();
+
+    let requestExpiry = DEFAULT_PARAMS.requestExpiry;
+    let relistWindow = 0;
     try {
-      const latestBlock = await provider.getBlock("latest");
-      if (latestBlock?.timestamp) chainNow = latestBlock.timestamp;
-    } catch (e) {
-      // fallback to local time
+      requestExpiry = toInt(await lendingContract.requestExpiry());
+      relistWindow = toInt(await lendingContract.RELIST_WINDOW());
+    } catch (_) {}
+
+    // Every escrowed token id (more than one for a bundle), the listing window and earlier versions
+    for (const r of mappedReq) {
+      try {
+        r.collateralTokenIds = (await lendingContract.getRequestCollateral(r.requestId)).map((id) => toInt(id));
+      } catch (_) {
+        r.collateralTokenIds = [r.collateralTokenId];
+      }
+      r.expiresAt = 0;
+      r.revisions = 0;
+      if (!r.isActive) continue;
+      try {
+        r.expiresAt = toInt(await lendingContract.requestCreatedAt(r.requestId)) + requestExpiry;
+        r.revisions = (await lendingContract.getRequestHistory(r.requestId)).length;
+      } catch (_) {}
+    }
+    // Still in escrow but past its window: can be relisted, and only we can sweep it until relistUntil
+    for (const r of mappedReq) {
+      r.isExpired = r.isActive && r.expiresAt > 0 && chainNow > r.expiresAt;
+      r.relistUntil = r.expiresAt + relistWindow;
+      r.sweepable = chainNow > r.relistUntil;
+    }
+
+    // Lender counter-offers still open on each pending request
+    let offerExpiry = 2 * 24 * 60 * 60;
+    try {
+      offerExpiry = toInt(await lendingContract.OFFER_EXPIRY());
+    } catch (_) {}
+    for (const r of mappedReq) {
+      r.offers = [];
+      if (!r.isActive) continue;
+      try {
+        const o = await lendingContract.getRequestOffers(r.requestId);
+        const offerIds = tuple(o, "offerIds", 0, []);
+        const offers = tuple(o, "offers", 1, []);
+        r.offers = (offers || [])
+          .map((x, i) => ({
+            offerId: toInt(offerIds[i]),
+            lender: x.lender,
+            loanAmount: ethers.utils.formatUnits(x.loanAmount, currencyMeta(curList, r.currency).decimals),
+            durationInDays: toInt(x.durationInDays),
+            interestRate: toInt(x.interestRate),
+            expiresAt: toInt(x.createdAt) + offerExpiry,
+            status: toInt(x.status),
+          }))
+          .filter((x) => x.status === 1 && x.expiresAt >= chainNow);
+      } catch (_) {}
     }
+    return mappedReq;
+  };
 
-    const all = await lendingContract.getAllActive();
-    const loanIds = tuple(all, 'loanIds', 0, []);
-    const loans = tuple(all, 'loans', 1, []);
+  const mapLoans = async (curList, loanIds, loans) => {
+    const chainNow = await chainTime();
 
     const mappedLoans = (loans || [])
       .map((l, i) => {
         const lid = (loanIds || [])[i];
         if (!lid || !l) return null;
         const end = toInt(l.endTime);
+        const cur = currencyMeta(curList, l.currency);
         return {
           loanId: toInt(lid),
           borrower: l.borrower,
           lender: l.lender,
-          loanAmount: ethers.utils.formatEther(l.loanAmount),
+          loanAmount: ethers.utils.formatUnits(l.loanAmount, cur.decimals),
+          currency: cur.address,
+          symbol: cur.symbol,
+          decimals: cur.decimals,
           endTime: end,
-          isExpired: chainNow > end,
           chainNow,
           interestRate: toInt(l.interestRate),
+          collateralCollection: l.collateralCollection,
           collateralTokenId: toInt(l.collateralTokenId),
         };
       })
-      .filter(Boolean)
-      .filter((x) => (x?.borrower || "").toLowerCase() === account.toLowerCase());
+      .filter(Boolean);
+
+    // Interest accrues per second, so show what would settle the loan right now,
+    // plus the next installment (a missed due date opens the grace period, then liquidation)
+    for (const l of mappedLoans) {
+      try {
+        l.collateralTokenIds = (await lendingContract.getLoanCollateral(l.loanId)).map((id) => toInt(id));
+      } catch (_) {
+        l.collateralTokenIds = [l.collateralTokenId];
+      }
+      try {
+        const owed = await lendingContract.getRepayAmount(l.loanId);
+        l.owedNow = ethers.utils.formatUnits(owed, l.decimals);
+
+        const next = await lendingContract.getNextInstallment(l.loanId);
+        l.nextDueDate = toInt(tuple(next, "dueDate", 0, 0));
+        l.nextAmountDue = ethers.utils.formatUnits(tuple(next, "amountDue", 1, 0), l.decimals);
+        const proposal = await lendingContract.termsProposals(l.loanId);
+        l.proposal = proposal.isActive
+          ? { newEndTime: toInt(proposal.newEndTime), newInterestRate: toInt(proposal.newInterestRate) }
+          : null;
+
+        const late = await lendingContract.getLateStatus(l.loanId);
+        l.inGrace = Boolean(tuple(late, "inGracePeriod", 0, false));
+        l.graceEndsAt = toInt(tuple(late, "graceEndsAt", 1, 0));
+        l.lateFee = ethers.utils.formatUnits(tuple(late, "lateFee", 2, 0), l.decimals);
+
+        const swap = await lendingContract.getCollateralSwap(l.loanId);
+        l.swap = tuple(swap, "isActive", 3, false)
+          ? { collection: tuple(swap, "collection", 0, ""), tokenIds: tuple(swap, "tokenIds", 1, []).map((id) => toInt(id)) }
+          : null;
+      } catch (_) {
+        l.owedNow = "-";
+        l.nextDueDate = l.endTime;
+        l.nextAmountDue = "-";
+        l.inGrace = false;
+        l.graceEndsAt = l.endTime;
+        l.lateFee = "0";
+      }
+      l.isExpired = chainNow > l.graceEndsAt;
+    }
+
+    return mappedLoans;
+  };
+
+  const loadMyData = async () => {
+    if (!lendingContract || !account) return;
+
+    const curList = await loadCurrencies(lendingContract, provider);
+    setCurrencies(curList);
+
+    // Standing lender offers (matched against owned NFTs when rendering)
+    try {
+      const offerPage = await collectPage(fetchOffersPage, 0);
+      setLenderOffers(mapLenderOffers(curList, offerPage.ids, offerPage.items));
+      setOffersCursor(offerPage.next);
+    } catch (_) {
+      setLenderOffers([]);
+      setOffersCursor(0);
+    }
+
+    const reqPage = await collectPage(fetchRequestsPage, 0);
+    setMyRequests(await mapRequests(curList, reqPage.ids, reqPage.items));
+    setRequestsCursor(reqPage.next);
+
+    const loanPage = await collectPage(fetchLoansPage, 0);
+    setMyActiveLoans(await mapLoans(curList, loanPage.ids, loanPage.items));
+    setLoansCursor(loanPage.next);
+  };
 
-    setMyActiveLoans(mappedLoans);
+  const loadMoreRequests = async () => {
+    if (!lendingContract || !requestsCursor) return;
+    try {
+      const page = await collectPage(fetchRequestsPage, requestsCursor);
+      const more = await mapRequests(currencies, page.ids, page.items);
+      setMyRequests((prev) => [...prev, ...more]);
+      setRequestsCursor(page.next);
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  const loadMoreOffers = async () => {
+    if (!lendingContract || !offersCursor) return;
+    try {
+      const page = await collectPage(fetchOffersPage, offersCursor);
+      setLenderOffers((prev) => [...prev, ...mapLenderOffers(currencies, page.ids, page.items)]);
+      setOffersCursor(page.next);
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  const loadMoreLoans = async () => {
+    if (!lendingContract || !loansCursor) return;
+    try {
+      const page = await collectPage(fetchLoansPage, loansCursor);
+      const more = await mapLoans(currencies, page.ids, page.items);
+      setMyActiveLoans((prev) => [...prev, ...more]);
+      setLoansCursor(page.next);
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
   };
 
   useEffect(() => {
@@ -289,11 +712,50 @@ const Borrower = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [account, lendingContract, nftContract]);
 
+  useEffect(() => {
+    loadParams();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [lendingContract, formCurrency.address]);
+
+  useEffect(() => {
+    updateTokenBalances();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [account, currencies]);
+
+  useEffect(() => {
+    loadClaimable();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [lendingContract, account, currencies]);
+
+  useEffect(() => {
+    loadSignedOrders();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [lendingContract, account, currencies]);
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData((p) => ({ ...p, [name]: value }));
   };
 
+  const handleCollectionChange = (e) => {
+    const collection = e.target.value;
+    const first = ownedTokens.find((o) => sameAddr(o.collection, collection));
+    setFormData((p) => ({ ...p, collection, tokenIds: first ? [String(first.tokenId)] : [] }));
+  };
+
+  // Multi-select over owned NFTs; the manual fallback takes comma-separated ids
+  const handleTokenSelect = (e) => {
+    const tokenIds = Array.from(e.target.selectedOptions, (o) => o.value);
+    setFormData((p) => ({ ...p, tokenIds }));
+  };
+
+  const handleTokenIdsText = (e) => {
+    const tokenIds = e.target.value.split(",").map((x) => x.trim());
+    setFormData((p) => ({ ...p, tokenIds }));
+  };
+
+  const ownedInCollection = ownedTokens.filter((o) => sameAddr(o.collection, formData.collection));
+
   const mintNft = async () => {
     if (!nftContract) return;
     try {
@@ -340,40 +802,100 @@ const Borrower = () => {
     }
   };
 
-  const createLoanRequest = async (e) => {
-    e.preventDefault();
-    if (!lendingContract || !nftContract) return;
+  // Shared by on-chain and signed requests; returns nothing (after a toast) when the form is not valid
+  const readRequestForm = async () => {
+    const amountWei = ethers.utils.parseUnits(formData.amount || "0", formCurrency.decimals);
+    const duration = ethers.BigNumber.from(formData.duration || "0");
+    const interest = ethers.BigNumber.from(Math.round(toNum(formData.interestRate) * 100));
+    const tokenIds = formData.tokenIds.filter((x) => x !== "").map((x) => parseInt(x, 10));
 
-    try {
-      const amountWei = ethers.utils.parseEther(formData.amount || "0");
-      const duration = ethers.BigNumber.from(formData.duration || "0");
-      const interest = ethers.BigNumber.from(formData.interestRate || "0");
-      const tokenId = parseInt(formData.tokenId || "0", 10);
+    if (amountWei.lte(0)) return showToast("Loan amount must be > 0", "warning");
+    if (params.minLoan && amountWei.lt(params.minLoan)) {
+      return showToast(`Minimum loan is ${ethers.utils.formatUnits(params.minLoan, formCurrency.decimals)} ${formCurrency.symbol}`, "warning");
+    }
+    if (params.maxLoan && params.maxLoan.gt(0) && amountWei.gt(params.maxLoan)) {
+      return showToast(`Maximum loan is ${ethers.utils.formatUnits(params.maxLoan, formCurrency.decimals)} ${formCurrency.symbol}`, "warning");
+    }
+    if (duration.lte(0)) return showToast("Duration must be > 0", "warning");
+    if (interest.lte(0)) return showToast("Interest rate must be > 0", "warning");
+    if (interest.gt(maxAprBps)) return showToast(`Interest rate must be at most ${maxAprBps / 100}% APR`, "warning");
+    if (installmentCount > duration.toNumber()) {
+      return showToast("Installments cannot outnumber the days of the loan", "warning");
+    }
+    if (tokenIds.length === 0 || tokenIds.some((id) => !id || id <= 0)) {
+      return showToast("Please select at least one valid NFT tokenId", "warning");
+    }
+    if (new Set(tokenIds).size !== tokenIds.length) return showToast("Each NFT can only be bundled once", "warning");
+    if (tokenIds.length > MAX_BUNDLE_SIZE) return showToast(`A bundle holds at most ${MAX_BUNDLE_SIZE} NFTs`, "warning");
 
-      if (amountWei.lte(0)) return showToast("Loan amount must be > 0", "warning");
-      if (duration.lte(0)) return showToast("Duration must be > 0", "warning");
-      if (interest.lte(0)) return showToast("Interest rate must be > 0", "warning");
-      if (!tokenId || tokenId <= 0) return showToast("Please enter a valid NFT tokenId", "warning");
+    if (!formData.collection) return showToast("Please choose a collateral collection", "warning");
+
+    const collateralNft = new ethers.Contract(formData.collection, TokenNFTABI, provider.getSigner());
 
-      // UI check: must own tokenId
-      const owner = await nftContract.ownerOf(tokenId);
+    // UI check: must own every tokenId
+    for (const tokenId of tokenIds) {
+      const owner = await collateralNft.ownerOf(tokenId);
       if (owner.toLowerCase() !== account.toLowerCase()) {
-        return showToast(`You do not own this NFT tokenId. Owned: ${ownedTokenIds.join(", ") || "-"}`, "danger");
+        const ownedIds = ownedInCollection.map((o) => o.tokenId);
+        return showToast(`You do not own NFT tokenId ${tokenId}. Owned: ${ownedIds.join(", ") || "-"}`, "danger");
       }
+    }
 
-      // Approve platform for this tokenId if needed
-      const approved = await nftContract.getApproved(tokenId);
-      const isAll = await nftContract.isApprovedForAll(account, LENDING_ADDRESS);
-      if (!isAll && approved.toLowerCase() !== LENDING_ADDRESS.toLowerCase()) {
-        const approveTx = await nftContract.approve(LENDING_ADDRESS, tokenId);
-        await approveTx.wait();
-      }
+    return { amountWei, duration, interest, tokenIds, collateralNft };
+  };
 
-      const tx = await lendingContract.createLoanRequest(amountWei, duration, interest, tokenId);
+  const createLoanRequest = async (e) => {
+    e.preventDefault();
+    if (!lendingContract) return;
+
+    try {
+      const terms = await readRequestForm();
+      if (!terms) return;
+      const { amountWei, duration, interest, tokenIds, collateralNft } = terms;
+
+      let tx;
+      if (tokenIds.length === 1 && supportsTransferRequests(lendingContract)) {
+        // Single NFT: sending it with the terms attached escrows it and opens the request in one transaction
+        const data = ethers.utils.defaultAbiCoder.encode(
+          ["uint256", "uint256", "uint256", "address", "uint256"],
+          [amountWei, duration, interest, formCurrency.address, installmentCount]
+        );
+        tx = await collateralNft["safeTransferFrom(address,address,uint256,bytes)"](account, LENDING_ADDRESS, tokenIds[0], data);
+      } else {
+        // One approval for the whole collection covers every NFT in a bundle
+        const isAll = await collateralNft.isApprovedForAll(account, LENDING_ADDRESS);
+        if (!isAll) {
+          const approveTx = await collateralNft.setApprovalForAll(LENDING_ADDRESS, true);
+          await approveTx.wait();
+        }
+
+        tx = tokenIds.length > 1
+          ? await lendingContract.createBundleLoanRequest(
+              amountWei,
+              duration,
+              interest,
+              formData.collection,
+              tokenIds,
+              formCurrency.address,
+              installmentCount
+            )
+          : await lendingContract.createLoanRequest(
+              amountWei,
+              duration,
+              interest,
+              formData.collection,
+              tokenIds[0],
+              formCurrency.address,
+              installmentCount
+            );
+      }
       await tx.wait();
 
-      showToast("Loan request created successfully", "success");
-      setFormData((p) => ({ ...p, amount: "", tokenId: "" }));
+      showToast(
+        tokenIds.length > 1 ? `Loan request created against ${tokenIds.length} NFTs` : "Loan request created successfully",
+        "success"
+      );
+      setFormData((p) => ({ ...p, amount: "", tokenIds: [] }));
       await updateBalances();
       await loadMyData();
     } catch (e2) {
@@ -382,6 +904,107 @@ const Borrower = () => {
     }
   };
 
+  const withdrawFunds = async (currency) => {
+    if (!lendingContract) return;
+    try {
+      const tx = await lendingContract.withdraw(currency);
+      await tx.wait();
+      showToast("Funds withdrawn to your wallet", "success");
+      await updateBalances();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  // No transaction: sign the terms and list them in the order book. A lender's fill escrows the NFT
+  // and pays you in one go, so the collection needs a one-time setApprovalForAll.
+  const signLoanRequest = async () => {
+    if (!lendingContract) return;
+
+    try {
+      const terms = await readRequestForm();
+      if (!terms) return;
+      const { amountWei, duration, interest, tokenIds, collateralNft } = terms;
+      if (tokenIds.length > 1) return showToast("Signed requests take a single NFT; create bundles on-chain", "warning");
+      const tokenId = tokenIds[0];
+
+      const isAll = await collateralNft.isApprovedForAll(account, LENDING_ADDRESS);
+      if (!isAll) {
+        const approveTx = await collateralNft.setApprovalForAll(LENDING_ADDRESS, true);
+        await approveTx.wait();
+      }
+
+      const latest = await provider.getBlock("latest");
+      const request = {
+        borrower: account,
+        collection: formData.collection,
+        tokenId: String(tokenId),
+        currency: formCurrency.address,
+        loanAmount: amountWei.toString(),
+        durationInDays: duration.toString(),
+        interestRate: interest.toString(),
+        installmentCount: String(installmentCount),
+        nonce: String(Date.now()),
+        deadline: String(Number(latest.timestamp) + params.requestExpiry),
+      };
+      const signature = await provider.getSigner()._signTypedData(signedRequestDomain(chainId), SIGNED_REQUEST_TYPES, request);
+
+      const res = await fetch(`${ORDERBOOK_URL}/orders`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ request, signature }),
+      });
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        throw new Error(body.error || `Order book error ${res.status}`);
+      }
+
+      showToast("Signed request listed. Your NFT stays in your wallet until a lender fills it.", "success");
+      setFormData((p) => ({ ...p, amount: "", tokenIds: [] }));
+      await loadSignedOrders();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  const loadSignedOrders = async () => {
+    if (!lendingContract || !account) return;
+    try {
+      const orders = await fetchSignedOrders(`?borrower=${account}`);
+      const mapped = [];
+      for (const o of orders) {
+        const cur = currencyMeta(currencies, o.request.currency);
+        const used = await lendingContract.signedNonceUsed(account, o.request.nonce);
+        mapped.push({
+          ...o,
+          used,
+          symbol: cur.symbol,
+          loanAmount: ethers.utils.formatUnits(o.request.loanAmount, cur.decimals),
+        });
+      }
+      setSignedOrders(mapped.reverse());
+      setOrderBookDown(false);
+    } catch (e) {
+      console.error(e);
+      setOrderBookDown(true);
+    }
+  };
+
+  const cancelSignedRequest = async (nonce) => {
+    if (!lendingContract) return;
+    try {
+      const tx = await lendingContract.cancelSignedRequest(nonce);
+      await tx.wait();
+      showToast("Signed request cancelled on-chain. It can no longer be filled.", "success");
+      await loadSignedOrders();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
   const cancelRequest = async (requestId) => {
     if (!lendingContract) return;
     try {
@@ -396,16 +1019,241 @@ const Borrower = () => {
     }
   };
 
-  const repayLoan = async (loanId) => {
+  const startEdit = (r) =>
+    setEditDrafts((p) => ({
+      ...p,
+      [r.requestId]: { amount: r.loanAmount, durationInDays: String(r.durationInDays), interestRate: String(r.interestRate / 100) },
+    }));
+
+  // New amount, duration and APR for a listed request; the NFT stays in escrow
+  const updateRequest = async (r) => {
+    if (!lendingContract) return;
+
+    try {
+      const draft = editDrafts[r.requestId] || {};
+      const amountWei = ethers.utils.parseUnits(String(draft.amount || "0"), r.decimals);
+      const days = Number(draft.durationInDays || 0);
+      const rateBps = Math.round(toNum(draft.interestRate) * 100);
+      if (amountWei.lte(0)) return showToast("Loan amount must be > 0", "warning");
+      if (!Number.isInteger(days) || days <= 0) return showToast("Enter the duration as a whole number of days", "warning");
+      if (rateBps <= 0 || rateBps > maxAprBps) return showToast(`Interest rate must be at most ${maxAprBps / 100}% APR`, "warning");
+
+      const tx = await lendingContract.updateLoanRequest(r.requestId, amountWei, days, rateBps);
+      await tx.wait();
+
+      showToast(`Request #${r.requestId} updated`, "success");
+      setEditDrafts((p) => ({ ...p, [r.requestId]: undefined }));
+      await loadMyData();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  // Same terms, fresh expiry window, no new approval or transfer
+  const relistRequest = async (requestId) => {
+    if (!lendingContract) return;
+    try {
+      const tx = await lendingContract.relistLoanRequest(requestId);
+      await tx.wait();
+      showToast(`Request #${requestId} relisted`, "success");
+      await loadMyData();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  // Offers whose collection matches an NFT this wallet holds
+  const matchingOffers = lenderOffers
+    .filter((o) => !sameAddr(o.lender, account))
+    .map((o) => ({ ...o, eligibleIds: ownedTokens.filter((t) => sameAddr(t.collection, o.collection)).map((t) => t.tokenId) }))
+    .filter((o) => o.eligibleIds.length > 0);
+
+  // One transaction: the NFT is escrowed and the funds arrive immediately
+  const takeLenderOffer = async (offer) => {
+    if (!lendingContract) return;
+
+    try {
+      const draft = takeDrafts[offer.lenderOfferId] || {};
+      const tokenId = parseInt(draft.tokenId || offer.eligibleIds[0], 10);
+      const amountWei = ethers.utils.parseUnits(String(draft.amount || offer.maxAmount), offer.decimals);
+      if (amountWei.lte(0)) return showToast("Loan amount must be > 0", "warning");
+
+      const collateralNft = new ethers.Contract(offer.collection, TokenNFTABI, provider.getSigner());
+      const approved = await collateralNft.getApproved(tokenId);
+      const isAll = await collateralNft.isApprovedForAll(account, LENDING_ADDRESS);
+      if (!isAll && approved.toLowerCase() !== LENDING_ADDRESS.toLowerCase()) {
+        const approveTx = await collateralNft.approve(LENDING_ADDRESS, tokenId);
+        await approveTx.wait();
+      }
+
+      const tx = await lendingContract.acceptLenderOffer(offer.lenderOfferId, tokenId, amountWei);
+      await tx.wait();
+
+      showToast("Loan started. Funds sent to your wallet.", "success");
+      setTakeDrafts((p) => ({ ...p, [offer.lenderOfferId]: {} }));
+      await updateBalances();
+      await loadMyData();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  // New end time + APR for a running loan: the lender may extend, or another lender may refinance
+  const proposeTerms = async (loan) => {
+    if (!lendingContract) return;
+
+    try {
+      const draft = termsDrafts[loan.loanId] || {};
+      const extraDays = Number(draft.extraDays || 0);
+      const rateBps = Math.round(toNum(draft.interestRate) * 100);
+      if (!Number.isInteger(extraDays) || extraDays <= 0) return showToast("Enter the extra days as a whole number", "warning");
+      if (rateBps <= 0 || rateBps > maxAprBps) return showToast(`Interest rate must be at most ${maxAprBps / 100}% APR`, "warning");
+
+      const newEndTime = loan.endTime + extraDays * 24 * 60 * 60;
+      const tx = await lendingContract.proposeTerms(loan.loanId, newEndTime, rateBps);
+      await tx.wait();
+
+      showToast("New terms proposed. Your lender can extend, or another lender can refinance.", "success");
+      setTermsDrafts((p) => ({ ...p, [loan.loanId]: {} }));
+      await loadMyData();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  const cancelTermsProposal = async (loanId) => {
+    if (!lendingContract) return;
+    try {
+      const tx = await lendingContract.cancelTermsProposal(loanId);
+      await tx.wait();
+      showToast("Proposal withdrawn", "success");
+      await loadMyData();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  // Replacement collateral for a running loan; it stays in your wallet until the lender accepts the swap
+  const proposeCollateralSwap = async (loan) => {
+    if (!lendingContract) return;
+
+    try {
+      const picked = swapDrafts[loan.loanId] || [];
+      if (picked.length === 0) return showToast("Select the NFTs to offer instead", "warning");
+      if (picked.length > MAX_BUNDLE_SIZE) return showToast(`A bundle holds at most ${MAX_BUNDLE_SIZE} NFTs`, "warning");
+      const collection = picked[0].split(":")[0];
+      if (picked.some((v) => !sameAddr(v.split(":")[0], collection))) {
+        return showToast("Replacement NFTs must come from one collection", "warning");
+      }
+      const tokenIds = picked.map((v) => parseInt(v.split(":")[1], 10));
+
+      // The swap pulls the NFTs when the lender accepts, so approve the collection now
+      const collateralNft = new ethers.Contract(collection, TokenNFTABI, provider.getSigner());
+      const isAll = await collateralNft.isApprovedForAll(account, LENDING_ADDRESS);
+      if (!isAll) {
+        const approveTx = await collateralNft.setApprovalForAll(LENDING_ADDRESS, true);
+        await approveTx.wait();
+      }
+
+      const tx = await lendingContract.proposeCollateralSwap(loan.loanId, collection, tokenIds);
+      await tx.wait();
+
+      showToast("Swap proposed. Keep the NFTs in your wallet until your lender accepts.", "success");
+      setSwapDrafts((p) => ({ ...p, [loan.loanId]: [] }));
+      await loadMyData();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  const cancelCollateralSwap = async (loanId) => {
     if (!lendingContract) return;
+    try {
+      const tx = await lendingContract.cancelCollateralSwap(loanId);
+      await tx.wait();
+      showToast("Swap proposal withdrawn", "success");
+      await loadMyData();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
 
+  const acceptOffer = async (offerId) => {
+    if (!lendingContract) return;
     try {
-      const required = await lendingContract.getRepayAmount(loanId);
-      const tx = await lendingContract.repayLoan(loanId, { value: required });
+      const tx = await lendingContract.acceptOffer(offerId);
       await tx.wait();
-      showToast("Loan repaid successfully. NFT returned to you.", "success");
+      showToast("Offer accepted. Loan started, other offers refunded.", "success");
+      await updateBalances();
+      await loadMyData();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  // Any open loan can be paid by anyone; the collateral still goes back to its borrower
+  const lookupLoan = async (loanId = lookupId) => {
+    if (!lendingContract) return;
+    if (!/^\d+$/.test(String(loanId).trim())) return showToast("Enter a loan ID", "warning");
+
+    try {
+      const id = ethers.BigNumber.from(String(loanId).trim());
+      const loan = await lendingContract.getLoan(id);
+      if (loan.borrower === ethers.constants.AddressZero) {
+        setLookedUpLoan(null);
+        return showToast("Loan does not exist", "warning");
+      }
+      const [mapped] = await mapLoans(currencies, [id], [loan]);
+      setLookedUpLoan({ ...mapped, isRepaid: loan.isRepaid });
+    } catch (e) {
+      console.error(e);
+      setLookedUpLoan(null);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  // payInFull: quote the payoff slightly ahead; otherwise pay the amount typed in the row
+  const repayLoan = async (loan, payInFull) => {
+    if (!lendingContract) return;
+
+    try {
+      let amount;
+      if (payInFull) {
+        const latestBlock = await provider.getBlock("latest");
+        const quoteAt = Number(latestBlock.timestamp) + REPAY_QUOTE_BUFFER_SECONDS;
+        // Anything above the payoff at execution is not taken (ETH is refunded)
+        amount = await lendingContract.getRepayAmountAt(loan.loanId, quoteAt);
+      } else {
+        amount = ethers.utils.parseUnits(payAmounts[loan.loanId] || "0", loan.decimals);
+        if (amount.lte(0)) return showToast("Payment amount must be > 0", "warning");
+      }
+
+      let tx;
+      if (isNative(loan.currency)) {
+        tx = await lendingContract.repayLoan(loan.loanId, amount, { value: amount });
+      } else {
+        await ensureAllowance(loan.currency, account, LENDING_ADDRESS, amount, provider.getSigner());
+        tx = await lendingContract.repayLoan(loan.loanId, amount);
+      }
+      const receipt = await tx.wait();
+      const closed = receipt?.events?.some((e) => e?.event === "LoanRepaid");
+      setPayAmounts((p) => ({ ...p, [loan.loanId]: "" }));
+      const ownLoan = loan.borrower.toLowerCase() === account.toLowerCase();
+      showToast(
+        closed ? `Loan repaid successfully. NFT returned to ${ownLoan ? "you" : "the borrower"}.` : "Payment received.",
+        "success"
+      );
       await updateBalances();
       await loadMyData();
+      if (lookedUpLoan && lookedUpLoan.loanId === loan.loanId) await lookupLoan(loan.loanId);
     } catch (e) {
       console.error(e);
       showToast(extractRevertReason(e), "danger");
@@ -419,9 +1267,12 @@ const Borrower = () => {
         <Card.Body>
           <div><strong>Account:</strong> {account}</div>
           <div className="mt-2"><strong>ETH Balance:</strong> {ethBalance} ETH</div>
+          {tokenBalances.map((t) => (
+            <div key={t.symbol} className="mt-2"><strong>{t.symbol} Balance:</strong> {t.balance} {t.symbol}</div>
+          ))}
           <div className="mt-2"><strong>NFT Balance:</strong> {nftCount} TokenNFT</div>
           <div className="mt-2">
-            <strong>Owned NFTs:</strong> {ownedTokenIds.length ? ownedTokenIds.map((id) => `${tokenDisplayName(chainId, NFT_ADDRESS, id)}`).join(", ") : "None"}
+            <strong>Owned NFTs:</strong> {ownedTokens.length ? ownedTokens.map((o) => collateralLabel(chainId, collections, o.collection, o.tokenId)).join(", ") : "None"}
           </div>
           <div className="mt-3">
             <Form.Group className="mb-2">
@@ -438,40 +1289,75 @@ const Borrower = () => {
         </Card.Body>
       </Card>
 
+      <Card className="mb-4">
+        <Card.Header><strong>Claimable balance</strong></Card.Header>
+        <Card.Body>
+          <div className="text-muted small mb-2">When a lender funds one of your requests, the loan amount is credited here for you to withdraw.</div>
+          {claimable.map((c) => (
+            <div key={c.address} className="d-flex align-items-center mt-2">
+              <div className="me-3"><strong>{c.symbol}:</strong> {ethers.utils.formatUnits(c.amount, c.decimals)} {c.symbol}</div>
+              <Button size="sm" variant="success" disabled={c.amount.isZero()} onClick={() => withdrawFunds(c.address)}>
+                Withdraw
+              </Button>
+            </div>
+          ))}
+        </Card.Body>
+      </Card>
+
       <Card className="mb-4">
         <Card.Header><strong>Create Loan Request</strong></Card.Header>
         <Card.Body>
           <Form onSubmit={createLoanRequest}>
             <Form.Group as={Row} className="mb-3">
-              <Form.Label column sm={3}>Amount (ETH)</Form.Label>
+              <Form.Label column sm={3}>Currency</Form.Label>
+              <Col sm={9}>
+                <Form.Select name="currency" value={formData.currency} onChange={handleInputChange}>
+                  {currencies.map((c) => (
+                    <option key={c.address} value={c.address}>{c.symbol}</option>
+                  ))}
+                </Form.Select>
+              </Col>
+            </Form.Group>
+
+            <Form.Group as={Row} className="mb-3">
+              <Form.Label column sm={3}>Amount ({formCurrency.symbol})</Form.Label>
               <Col sm={9}>
                 <Form.Control
                   name="amount"
                   value={formData.amount}
                   onChange={handleInputChange}
-                  placeholder="Enter loan amount in ETH"
+                  placeholder={`Enter loan amount in ${formCurrency.symbol}`}
                 />
+                {(params.minLoan?.gt(0) || params.maxLoan?.gt(0)) && (
+                  <div className="text-muted mt-1" style={{ fontSize: 13 }}>
+                    {params.minLoan?.gt(0) && <>Min {ethers.utils.formatUnits(params.minLoan, formCurrency.decimals)} {formCurrency.symbol}. </>}
+                    {params.maxLoan?.gt(0) && <>Max {ethers.utils.formatUnits(params.maxLoan, formCurrency.decimals)} {formCurrency.symbol}.</>}
+                  </div>
+                )}
               </Col>
             </Form.Group>
 
             <Form.Group as={Row} className="mb-3">
-              <Form.Label column sm={3}>Interest Rate (%)</Form.Label>
+              <Form.Label column sm={3}>Interest Rate (APR %)</Form.Label>
               <Col sm={9}>
                 <Form.Control
                   name="interestRate"
                   value={formData.interestRate}
                   onChange={handleInputChange}
-                  placeholder="Enter interest rate (max 7)"
+                  placeholder={`Enter annual interest rate (max ${maxAprBps / 100})`}
                 />
                 <div className="text-muted mt-1" style={{ fontSize: 13 }}>
-                  Maximum interest rate allowed is {7}%
+                  Maximum interest rate allowed is {maxAprBps / 100}% APR, accrued per second
+                </div>
+                <div className="text-muted mt-1" style={{ fontSize: 13 }}>
+                  Repaying early costs less: interest only runs until you repay
                 </div>
                 <div className="text-muted mt-1" style={{ fontSize: 13 }}>
-                  Interest: {fmtEth(interestEth)} ETH
+                  Interest at maturity: {fmtEth(interestEth)} {formCurrency.symbol}
                 </div>
 
                 <div className="text-muted mt-1" style={{ fontSize: 13 }}>
-                  Total to repay: {fmtEth(totalRepayEth)} ETH
+                  Total to repay at maturity: {fmtEth(totalRepayEth)} {formCurrency.symbol}
                 </div>
 
               </Col>
@@ -489,41 +1375,86 @@ const Borrower = () => {
               </Col>
             </Form.Group>
 
+            <Form.Group as={Row} className="mb-3">
+              <Form.Label column sm={3}>Installments</Form.Label>
+              <Col sm={9}>
+                <Form.Select
+                  value={installmentCount > 1 ? "schedule" : "flexible"}
+                  onChange={(e) =>
+                    setFormData((p) => ({ ...p, installmentCount: e.target.value === "schedule" ? "2" : "1" }))
+                  }
+                >
+                  <option value="flexible">Flexible: pay any amount, any time before maturity</option>
+                  <option value="schedule">Fixed schedule of equal installments</option>
+                </Form.Select>
+                {installmentCount > 1 && (
+                  <>
+                    <Form.Control
+                      className="mt-2"
+                      type="number"
+                      min={2}
+                      name="installmentCount"
+                      value={formData.installmentCount}
+                      onChange={handleInputChange}
+                      placeholder="Number of installments"
+                    />
+                    <div className="text-muted mt-1" style={{ fontSize: 13 }}>
+                      {installmentCount} installments of {fmtEth(amountEth / installmentCount)} {formCurrency.symbol} principal
+                      {durationDays > 0 ? `, one every ${fmtEth(durationDays / installmentCount)} days` : ""} (plus interest).
+                      Missing a due date lets the lender liquidate.
+                    </div>
+                  </>
+                )}
+              </Col>
+            </Form.Group>
+
+            <Form.Group as={Row} className="mb-3">
+              <Form.Label column sm={3}>Collection</Form.Label>
+              <Col sm={9}>
+                <Form.Select name="collection" value={formData.collection} onChange={handleCollectionChange}>
+                  {collections.map((c) => (
+                    <option key={c.address} value={c.address}>
+                      {c.symbol} ({c.address.slice(0, 6)}…{c.address.slice(-4)})
+                    </option>
+                  ))}
+                </Form.Select>
+              </Col>
+            </Form.Group>
+
             <Form.Group as={Row} className="mb-3">
               <Form.Label column sm={3}>Collateral (NFT)</Form.Label>
               <Col sm={9}>
-                {ownedTokenIds.length > 0 ? (
+                {ownedInCollection.length > 0 ? (
                   <>
                     <Form.Select
-                      name="tokenId"
-                      value={formData.tokenId}
-                      onChange={handleInputChange}
+                      multiple
+                      name="tokenIds"
+                      value={formData.tokenIds}
+                      onChange={handleTokenSelect}
                     >
-                      {ownedTokenIds.map((id) => (
-                        <option key={id} value={id}>
-                          {tokenDisplayName(chainId, NFT_ADDRESS, id)}
+                      {ownedInCollection.map((o) => (
+                        <option key={o.tokenId} value={o.tokenId}>
+                          {collateralLabel(chainId, collections, o.collection, o.tokenId)}
                         </option>
                       ))}
                     </Form.Select>
 
                     <Form.Text muted>
-                      Owned NFTs:{" "}
-                      {ownedTokenIds
-                        .map((id) => `${tokenDisplayName(chainId, NFT_ADDRESS, id)}`)
-                        .join(", ")}
+                      Select several (Ctrl/Cmd-click) to bundle up to {MAX_BUNDLE_SIZE} NFTs into one request.
+                      Selected: {formData.tokenIds.length}
                     </Form.Text>
                   </>
                 ) : (
                   <>
                     <Form.Control
-                      type="number"
-                      name="tokenId"
-                      placeholder="Mint or enter a tokenId you own"
-                      value={formData.tokenId}
-                      onChange={handleInputChange}
+                      name="tokenIds"
+                      placeholder="Mint or enter tokenIds you own (comma-separated to bundle)"
+                      value={formData.tokenIds.join(", ")}
+                      onChange={handleTokenIdsText}
                     />
                     <Form.Text muted>
                       The NFT will be escrowed in the contract until you repay (or liquidated on expiry).
+                      Unfunded requests can be expired after {fmtDuration(params.requestExpiry)}.
                     </Form.Text>
                   </>
                 )}
@@ -531,10 +1462,132 @@ const Borrower = () => {
             </Form.Group>
 
             <Button type="submit">Create Loan</Button>
+            <Button variant="outline-primary" className="ms-2" onClick={signLoanRequest}>
+              Sign request (no gas)
+            </Button>
           </Form>
         </Card.Body>
       </Card>
 
+      <Card className="mb-4">
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <strong>My signed requests</strong>
+          <Button onClick={loadSignedOrders}>Refresh</Button>
+        </Card.Header>
+        <Card.Body>
+          {orderBookDown && (
+            <div className="text-muted mb-2">Order book unreachable at {ORDERBOOK_URL} (run "npm run orderbook").</div>
+          )}
+          <Table bordered hover responsive>
+            <thead>
+              <tr>
+                <th>Nonce</th>
+                <th>Amount</th>
+                <th>Duration</th>
+                <th>Interest</th>
+                <th>Collateral</th>
+                <th>Valid until</th>
+                <th>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {signedOrders.map((o) => {
+                const expired = Number(o.request.deadline) * 1000 < Date.now();
+                return (
+                  <tr key={o.id}>
+                    <td>{o.request.nonce}</td>
+                    <td>{o.loanAmount} {o.symbol}</td>
+                    <td>{o.request.durationInDays} days</td>
+                    <td>{fmtRate(o.request.interestRate)}</td>
+                    <td>{collateralLabel(chainId, collections, o.request.collection, o.request.tokenId)}</td>
+                    <td>{new Date(Number(o.request.deadline) * 1000).toLocaleString()}</td>
+                    <td>
+                      {o.used ? (
+                        <Badge bg="secondary">FILLED / CANCELLED</Badge>
+                      ) : expired ? (
+                        <Badge bg="secondary">EXPIRED</Badge>
+                      ) : (
+                        <Button size="sm" variant="outline-danger" onClick={() => cancelSignedRequest(o.request.nonce)}>
+                          Cancel
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+              {signedOrders.length === 0 && (
+                <tr><td colSpan={7} className="text-center">No signed requests</td></tr>
+              )}
+            </tbody>
+          </Table>
+        </Card.Body>
+      </Card>
+
+      <Card className="mb-4">
+        <Card.Header><strong>Take a loan now</strong></Card.Header>
+        <Card.Body>
+          <Table bordered hover responsive>
+            <thead>
+              <tr>
+                <th>Offer ID</th>
+                <th>Lender</th>
+                <th>Up to</th>
+                <th>Duration (days)</th>
+                <th>Interest</th>
+                <th>Fills left</th>
+                <th>Your collateral</th>
+                <th>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {matchingOffers.map((o) => {
+                const draft = takeDrafts[o.lenderOfferId] || {};
+                return (
+                  <tr key={o.lenderOfferId}>
+                    <td>{o.lenderOfferId}</td>
+                    <td>{o.lender}</td>
+                    <td>{o.maxAmount} {o.symbol}</td>
+                    <td>{o.durationInDays}</td>
+                    <td>{fmtRate(o.interestRate)}</td>
+                    <td>{o.fillsRemaining}</td>
+                    <td>
+                      <Form.Select
+                        size="sm"
+                        value={draft.tokenId || String(o.eligibleIds[0])}
+                        onChange={(e) => setTakeDrafts((p) => ({ ...p, [o.lenderOfferId]: { ...draft, tokenId: e.target.value } }))}
+                      >
+                        {o.eligibleIds.map((id) => (
+                          <option key={id} value={String(id)}>
+                            {collateralLabel(chainId, collections, o.collection, id)}
+                          </option>
+                        ))}
+                      </Form.Select>
+                    </td>
+                    <td style={{ minWidth: 200 }}>
+                      <Form.Control
+                        size="sm"
+                        placeholder={`Amount (max ${o.maxAmount})`}
+                        value={draft.amount || ""}
+                        onChange={(e) => setTakeDrafts((p) => ({ ...p, [o.lenderOfferId]: { ...draft, amount: e.target.value } }))}
+                      />
+                      <Button size="sm" className="mt-1" variant="success" onClick={() => takeLenderOffer(o)}>
+                        Take loan
+                      </Button>
+                    </td>
+                  </tr>
+                );
+              })}
+              {matchingOffers.length === 0 && (
+                <tr><td colSpan={8} className="text-center">No lender offers for your NFTs</td></tr>
+              )}
+            </tbody>
+          </Table>
+          {offersCursor !== 0 && (
+            <Button variant="outline-secondary" onClick={loadMoreOffers}>Load more offers</Button>
+          )}
+        </Card.Body>
+      </Card>
+
       <Card className="mb-4">
         <Card.Header className="d-flex justify-content-between align-items-center">
           <strong>Your Requests</strong>
@@ -544,7 +1597,7 @@ const Borrower = () => {
             <thead>
               <tr>
                 <th>Request ID</th>
-                <th>Amount (ETH)</th>
+                <th>Amount</th>
                 <th>Duration (days)</th>
                 <th>Interest</th>
                 <th>Collateral</th>
@@ -554,31 +1607,121 @@ const Borrower = () => {
             </thead>
             <tbody>
               {myRequests.map((r) => (
-                <tr key={r.requestId}>
-                  <td>{r.requestId}</td>
-                  <td>{r.loanAmount}</td>
-                  <td>{r.duration}</td>
-                  <td>{r.interestRate}%</td>
-                  <td>{r.collateralTokenId ? tokenDisplayName(chainId, NFT_ADDRESS, r.collateralTokenId) : "N/A"}</td>
-                  <td>
-                    {r.isActive ? <Badge bg="success">ACTIVE</Badge> : <Badge bg="secondary">INACTIVE</Badge>}
-                  </td>
-                  <td>
-                    {r.isActive ? (
-                      <Button variant="danger" size="sm" onClick={() => cancelRequest(r.requestId)}>
-                        Cancel
-                      </Button>
-                    ) : (
-                      "-"
-                    )}
-                  </td>
-                </tr>
+                <React.Fragment key={r.requestId}>
+                  <tr>
+                    <td>{r.requestId}</td>
+                    <td>{r.loanAmount} {r.symbol}</td>
+                    <td>{r.durationInDays}</td>
+                    <td>{fmtRate(r.interestRate)}</td>
+                    <td>{r.collateralTokenId ? bundleLabel(chainId, collections, r.collateralCollection, r.collateralTokenIds) : "N/A"}</td>
+                    <td>
+                      {r.isExpired ? (
+                        <Badge bg="warning" text="dark">EXPIRED</Badge>
+                      ) : r.isActive ? (
+                        <Badge bg="success">ACTIVE</Badge>
+                      ) : (
+                        <Badge bg="secondary">INACTIVE</Badge>
+                      )}
+                      {r.isActive && r.expiresAt > 0 && (
+                        <div className="text-muted" style={{ fontSize: 13 }}>
+                          {r.isExpired ? "expired" : "until"} {new Date(r.expiresAt * 1000).toLocaleString()}
+                          {r.isExpired && (
+                            <div>
+                              {r.sweepable
+                                ? "anyone can sweep it back to you now"
+                                : `only you can sweep it until ${new Date(r.relistUntil * 1000).toLocaleString()}`}
+                            </div>
+                          )}
+                          {r.revisions > 0 && <div>{r.revisions} earlier version{r.revisions > 1 ? "s" : ""}</div>}
+                        </div>
+                      )}
+                    </td>
+                    <td>
+                      {r.isActive ? (
+                        <>
+                          {r.isExpired ? (
+                            <Button variant="outline-primary" size="sm" onClick={() => relistRequest(r.requestId)}>
+                              Relist
+                            </Button>
+                          ) : (
+                            <Button variant="outline-primary" size="sm" onClick={() => startEdit(r)}>
+                              Edit
+                            </Button>
+                          )}{" "}
+                          <Button variant="danger" size="sm" onClick={() => cancelRequest(r.requestId)}>
+                            Cancel
+                          </Button>
+                        </>
+                      ) : (
+                        "-"
+                      )}
+                    </td>
+                  </tr>
+                  {editDrafts[r.requestId] && (
+                    <tr>
+                      <td className="text-muted">Edit #{r.requestId}</td>
+                      <td>
+                        <Form.Control
+                          size="sm"
+                          placeholder={`Amount (${r.symbol})`}
+                          value={editDrafts[r.requestId].amount}
+                          onChange={(e) => setEditDrafts((p) => ({ ...p, [r.requestId]: { ...p[r.requestId], amount: e.target.value } }))}
+                        />
+                      </td>
+                      <td>
+                        <Form.Control
+                          size="sm"
+                          placeholder="Days"
+                          value={editDrafts[r.requestId].durationInDays}
+                          onChange={(e) => setEditDrafts((p) => ({ ...p, [r.requestId]: { ...p[r.requestId], durationInDays: e.target.value } }))}
+                        />
+                      </td>
+                      <td>
+                        <Form.Control
+                          size="sm"
+                          placeholder="APR %"
+                          value={editDrafts[r.requestId].interestRate}
+                          onChange={(e) => setEditDrafts((p) => ({ ...p, [r.requestId]: { ...p[r.requestId], interestRate: e.target.value } }))}
+                        />
+                      </td>
+                      <td colSpan={2} className="text-muted" style={{ fontSize: 13 }}>
+                        The NFT stays in escrow; the expiry window does not change.
+                      </td>
+                      <td>
+                        <Button size="sm" variant="success" onClick={() => updateRequest(r)}>Save</Button>{" "}
+                        <Button size="sm" variant="link" onClick={() => setEditDrafts((p) => ({ ...p, [r.requestId]: undefined }))}>
+                          Close
+                        </Button>
+                      </td>
+                    </tr>
+                  )}
+                  {(r.offers || []).map((o) => (
+                    <tr key={`offer-${o.offerId}`} className="table-info">
+                      <td className="text-muted">Offer #{o.offerId}</td>
+                      <td>{o.loanAmount} {r.symbol}</td>
+                      <td>{o.durationInDays}</td>
+                      <td>{fmtRate(o.interestRate)}</td>
+                      <td colSpan={2} style={{ fontSize: 13 }}>
+                        from {o.lender}
+                        <div className="text-muted">expires {new Date(o.expiresAt * 1000).toLocaleString()}</div>
+                      </td>
+                      <td>
+                        <Button variant="success" size="sm" onClick={() => acceptOffer(o.offerId)}>
+                          Accept
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </React.Fragment>
               ))}
               {myRequests.length === 0 && (
                 <tr><td colSpan={7} className="text-center">No requests</td></tr>
               )}
             </tbody>
           </Table>
+          {requestsCursor !== 0 && (
+            <Button variant="outline-secondary" onClick={loadMoreRequests}>Load more</Button>
+          )}
         </Card.Body>
       </Card>
 
@@ -591,8 +1734,10 @@ const Borrower = () => {
             <thead>
               <tr>
                 <th>Loan ID</th>
-                <th>Amount (ETH)</th>
+                <th>Amount</th>
                 <th>Interest</th>
+                <th>Remaining balance</th>
+                <th>Next due</th>
                 <th>Collateral</th>
                 <th>End Time</th>
                 <th>Action</th>
@@ -602,24 +1747,172 @@ const Borrower = () => {
               {myActiveLoans.map((l) => (
                 <tr key={l.loanId}>
                   <td>{l.loanId}</td>
-                  <td>{l.loanAmount}</td>
-                  <td>{l.interestRate}%</td>
-                  <td>{l.collateralTokenId ? tokenDisplayName(chainId, NFT_ADDRESS, l.collateralTokenId) : "N/A"}</td>
-                  <td>{new Date(l.endTime * 1000).toLocaleString()}</td>
+                  <td>{l.loanAmount} {l.symbol}</td>
+                  <td>{fmtRate(l.interestRate)}</td>
+                  <td>{l.owedNow} {l.symbol}</td>
                   <td>
+                    {new Date(l.nextDueDate * 1000).toLocaleString()}
+                    <div className="text-muted" style={{ fontSize: 13 }}>
+                      {l.nextAmountDue} {l.symbol}
+                    </div>
+                    {l.inGrace && (
+                      <div style={{ fontSize: 13 }}>
+                        <Badge bg="warning" text="dark">In grace period</Badge>{" "}
+                        {fmtCountdown(l.graceEndsAt - l.chainNow)} left
+                        <div className="text-danger">Late fee: {l.lateFee} {l.symbol}</div>
+                      </div>
+                    )}
+                  </td>
+                  <td style={{ minWidth: 200 }}>
+                    {l.collateralTokenId ? bundleLabel(chainId, collections, l.collateralCollection, l.collateralTokenIds) : "N/A"}
+                    {l.swap ? (
+                      <div className="mt-2" style={{ fontSize: 13 }}>
+                        <Badge bg="info">Swap proposed</Badge> for {bundleLabel(chainId, collections, l.swap.collection, l.swap.tokenIds)}{" "}
+                        <Button size="sm" variant="link" onClick={() => cancelCollateralSwap(l.loanId)}>Withdraw</Button>
+                      </div>
+                    ) : (
+                      !l.isExpired && ownedTokens.length > 0 && (
+                        <div className="mt-2">
+                          <Form.Select
+                            size="sm"
+                            multiple
+                            aria-label={`Replacement collateral for loan ${l.loanId}`}
+                            value={swapDrafts[l.loanId] || []}
+                            onChange={(e) => {
+                              const picked = Array.from(e.target.selectedOptions).map((o) => o.value);
+                              setSwapDrafts((p) => ({ ...p, [l.loanId]: picked }));
+                            }}
+                          >
+                            {ownedTokens.map((o) => (
+                              <option key={`${o.collection}:${o.tokenId}`} value={`${o.collection}:${o.tokenId}`}>
+                                {collateralLabel(chainId, collections, o.collection, o.tokenId)}
+                              </option>
+                            ))}
+                          </Form.Select>
+                          <Button size="sm" className="mt-1" variant="outline-secondary" onClick={() => proposeCollateralSwap(l)}>
+                            Swap collateral
+                          </Button>
+                        </div>
+                      )
+                    )}
+                  </td>
+                  <td>{new Date(l.endTime * 1000).toLocaleString()}</td>
+                  <td style={{ minWidth: 220 }}>
                     {l.isExpired ? (
                       <Badge bg="danger">EXPIRED</Badge>
                     ) : (
-                      <Button size="sm" onClick={() => repayLoan(l.loanId)}>Repay</Button>
+                      <>
+                        <Form.Control
+                          size="sm"
+                          placeholder={`Amount (${l.symbol})`}
+                          value={payAmounts[l.loanId] || ""}
+                          onChange={(e) => setPayAmounts((p) => ({ ...p, [l.loanId]: e.target.value }))}
+                        />
+                        <div className="mt-1">
+                          <Button size="sm" onClick={() => repayLoan(l, false)}>Pay</Button>{" "}
+                          <Button size="sm" variant="success" onClick={() => repayLoan(l, true)}>Pay in full</Button>
+                        </div>
+                        {l.proposal ? (
+                          <div className="mt-2" style={{ fontSize: 13 }}>
+                            <Badge bg="info">Proposed</Badge> until {new Date(l.proposal.newEndTime * 1000).toLocaleDateString()} at{" "}
+                            {fmtRate(l.proposal.newInterestRate)}{" "}
+                            <Button size="sm" variant="link" onClick={() => cancelTermsProposal(l.loanId)}>Withdraw</Button>
+                          </div>
+                        ) : (
+                          <div className="mt-2 d-flex gap-1">
+                            <Form.Control
+                              size="sm"
+                              placeholder="+ days"
+                              value={(termsDrafts[l.loanId] || {}).extraDays || ""}
+                              onChange={(e) => setTermsDrafts((p) => ({ ...p, [l.loanId]: { ...p[l.loanId], extraDays: e.target.value } }))}
+                            />
+                            <Form.Control
+                              size="sm"
+                              placeholder="APR %"
+                              value={(termsDrafts[l.loanId] || {}).interestRate || ""}
+                              onChange={(e) => setTermsDrafts((p) => ({ ...p, [l.loanId]: { ...p[l.loanId], interestRate: e.target.value } }))}
+                            />
+                            <Button size="sm" variant="outline-primary" onClick={() => proposeTerms(l)}>Extend / refinance</Button>
+                          </div>
+                        )}
+                      </>
                     )}
                   </td>
                 </tr>
               ))}
               {myActiveLoans.length === 0 && (
-                <tr><td colSpan={6} className="text-center">No active loans</td></tr>
+                <tr><td colSpan={8} className="text-center">No active loans</td></tr>
               )}
             </tbody>
           </Table>
+          {loansCursor !== 0 && (
+            <Button variant="outline-secondary" onClick={loadMoreLoans}>Load more</Button>
+          )}
+        </Card.Body>
+      </Card>
+
+      <Card className="mt-4">
+        <Card.Header><strong>Repay someone's loan</strong></Card.Header>
+        <Card.Body>
+          <div className="text-muted mb-2" style={{ fontSize: 13 }}>
+            Anyone can pay toward a loan. The collateral always goes back to the borrower, not to you.
+          </div>
+          <div className="d-flex gap-2 mb-3" style={{ maxWidth: 360 }}>
+            <Form.Control
+              placeholder="Loan ID"
+              value={lookupId}
+              onChange={(e) => setLookupId(e.target.value)}
+            />
+            <Button variant="outline-primary" onClick={() => lookupLoan()}>Look up</Button>
+          </div>
+          {lookedUpLoan && (
+            <Table bordered responsive>
+              <tbody>
+                <tr><th style={{ width: 200 }}>Borrower</th><td>{lookedUpLoan.borrower}</td></tr>
+                <tr><th>Amount</th><td>{lookedUpLoan.loanAmount} {lookedUpLoan.symbol} at {fmtRate(lookedUpLoan.interestRate)}</td></tr>
+                <tr>
+                  <th>Collateral</th>
+                  <td>{bundleLabel(chainId, collections, lookedUpLoan.collateralCollection, lookedUpLoan.collateralTokenIds)}</td>
+                </tr>
+                {lookedUpLoan.isRepaid ? (
+                  <tr><th>Status</th><td><Badge bg="secondary">CLOSED</Badge></td></tr>
+                ) : lookedUpLoan.isExpired ? (
+                  <tr><th>Status</th><td><Badge bg="danger">EXPIRED</Badge></td></tr>
+                ) : (
+                  <>
+                    <tr><th>Remaining balance</th><td>{lookedUpLoan.owedNow} {lookedUpLoan.symbol}</td></tr>
+                    <tr>
+                      <th>Next due</th>
+                      <td>
+                        {new Date(lookedUpLoan.nextDueDate * 1000).toLocaleString()} ({lookedUpLoan.nextAmountDue} {lookedUpLoan.symbol})
+                        {lookedUpLoan.inGrace && (
+                          <div style={{ fontSize: 13 }}>
+                            <Badge bg="warning" text="dark">In grace period</Badge>{" "}
+                            {fmtCountdown(lookedUpLoan.graceEndsAt - lookedUpLoan.chainNow)} left
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                    <tr>
+                      <th>Pay</th>
+                      <td style={{ maxWidth: 320 }}>
+                        <Form.Control
+                          size="sm"
+                          placeholder={`Amount (${lookedUpLoan.symbol})`}
+                          value={payAmounts[lookedUpLoan.loanId] || ""}
+                          onChange={(e) => setPayAmounts((p) => ({ ...p, [lookedUpLoan.loanId]: e.target.value }))}
+                        />
+                        <div className="mt-1">
+                          <Button size="sm" onClick={() => repayLoan(lookedUpLoan, false)}>Pay</Button>{" "}
+                          <Button size="sm" variant="success" onClick={() => repayLoan(lookedUpLoan, true)}>Pay in full</Button>
+                        </div>
+                      </td>
+                    </tr>
+                  </>
+                )}
+              </tbody>
+            </Table>
+          )}
         </Card.Body>
       </Card>
 
@@ -3,11 +3,17 @@ import { NoWalletDetected } from "./NoWalletDetected";
 import { ConnectWallet } from "./ConnectWallet";
 import BorrowerInterface from "./Borrower";
 import LenderInterface from "./Lender";
+import AuctionsPage from "./Auctions";
+import { ethers } from "ethers";
+
+import LendingPlatformABI from "../contracts/LendingPlatform.abi.json";
+import addresses from "../contracts/contract-address.json";
 
 import { Container, Card, Button, Alert, Nav, Navbar } from "react-bootstrap";
 
 const HARDHAT_CHAIN_ID_DEC = 31337;
 const HARDHAT_CHAIN_ID_HEX = "0x7a69"; // 31337
+const PAUSE_POLL_MS = 10000;
 
 export class Dapp extends React.Component {
   constructor(props) {
@@ -17,6 +23,7 @@ export class Dapp extends React.Component {
       selectedAddress: undefined,
       userRole: undefined,
       networkError: undefined,
+      isPaused: false,
     };
 
     this.state = this.initialState;
@@ -29,6 +36,7 @@ export class Dapp extends React.Component {
     this._checkNetwork = this._checkNetwork.bind(this);
     this._switchChain = this._switchChain.bind(this);
     this._addHardhatChain = this._addHardhatChain.bind(this);
+    this._checkPaused = this._checkPaused.bind(this);
 
     this._handleAccountsChanged = this._handleAccountsChanged.bind(this);
     this._handleChainChanged = this._handleChainChanged.bind(this);
@@ -43,6 +51,7 @@ export class Dapp extends React.Component {
   }
 
   componentWillUnmount() {
+    this._stopPausePolling();
     if (window.ethereum?.removeListener) {
       window.ethereum.removeListener(
         "accountsChanged",
@@ -67,10 +76,12 @@ export class Dapp extends React.Component {
 
   _handleChainChanged() {
     // When chain changes, safest is to reset UI state
+    this._stopPausePolling();
     this.setState({
       selectedAddress: undefined,
       userRole: undefined,
       networkError: undefined,
+      isPaused: false,
     });
   }
 
@@ -89,7 +100,7 @@ export class Dapp extends React.Component {
       );
     }
 
-    const { selectedAddress, userRole } = this.state;
+    const { selectedAddress, userRole, isPaused } = this.state;
 
     return (
       <div className="dapp-wrapper">
@@ -102,6 +113,9 @@ export class Dapp extends React.Component {
                 <Nav.Link onClick={() => this.setState({ userRole: undefined })}>
                   Home
                 </Nav.Link>
+                <Nav.Link onClick={() => this.setState({ userRole: "auctions" })}>
+                  Auctions
+                </Nav.Link>
               </Nav>
               <Navbar.Text>
                 Signed in as: <span>{selectedAddress}</span>
@@ -111,6 +125,15 @@ export class Dapp extends React.Component {
         </Navbar>
 
         <Container className="mt-4">
+          {isPaused && (
+            <Alert variant="warning">
+              <strong>The platform is paused.</strong> New requests, funding
+              and offers are disabled. You can still repay loans, cancel
+              requests, withdraw offers and bid on running auctions; escrowed
+              NFTs can be released through the emergency flow.
+            </Alert>
+          )}
+
           {!userRole ? (
             <Card className="text-center">
               <Card.Header as="h5">Welcome to DLoan</Card.Header>
@@ -135,6 +158,8 @@ export class Dapp extends React.Component {
                 </Button>
               </Card.Body>
             </Card>
+          ) : userRole === "auctions" ? (
+            <AuctionsPage />
           ) : (
             <>
               <Alert variant="info">
@@ -184,6 +209,33 @@ export class Dapp extends React.Component {
     this.setState({
       selectedAddress: userAddress,
     });
+
+    // Platform-wide pause flag for the banner
+    this._stopPausePolling();
+    this._checkPaused();
+    this._pausePoll = setInterval(this._checkPaused, PAUSE_POLL_MS);
+  }
+
+  async _checkPaused() {
+    try {
+      const provider = new ethers.providers.Web3Provider(window.ethereum);
+      const lending = new ethers.Contract(
+        addresses.LendingPlatform,
+        LendingPlatformABI,
+        provider
+      );
+      const isPaused = await lending.paused();
+      if (isPaused !== this.state.isPaused) this.setState({ isPaused });
+    } catch (err) {
+      console.error("Failed to read pause state:", err);
+    }
+  }
+
+  _stopPausePolling() {
+    if (this._pausePoll) {
+      clearInterval(this._pausePoll);
+      this._pausePoll = undefined;
+    }
   }
 
   _dismissNetworkError() {
@@ -191,6 +243,7 @@ export class Dapp extends React.Component {
   }
 
   _resetState() {
+    this._stopPausePolling();
     this.setState(this.initialState);
   }
 
@@ -1,6 +1,6 @@
 // frontend/src/components/Lender.js
 import React, { useEffect, useMemo, useState } from "react";
-import { Container, Table, Button, Card, Badge, Toast } from "react-bootstrap";
+import { Container, Table, Button, Card, Badge, Toast, Form, ProgressBar } from "react-bootstrap";
 import { ethers } from "ethers";
 
 import LendingPlatformABI from "../contracts/LendingPlatform.abi.json";
@@ -24,6 +24,51 @@ const toInt = (v, fallback = 0) => {
 };
 
 const tuple = (res, key, idx, fb) => (res ? (res[key] ?? res[idx] ?? fb) : fb);
+
+// ---------------- Loan currencies ----------------
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+const NATIVE_CURRENCY = { address: "0x0000000000000000000000000000000000000000", symbol: "ETH", decimals: 18 };
+
+const isNative = (currency) => !currency || currency.toLowerCase() === NATIVE_CURRENCY.address;
+
+async function loadCurrencies(lending, signerOrProvider) {
+  const list = [NATIVE_CURRENCY];
+  let addrs = [];
+  try {
+    addrs = await lending.getAllowedCurrencies();
+  } catch (_) {}
+  for (const a of addrs || []) {
+    if (isNative(a)) continue;
+    try {
+      const token = new ethers.Contract(a, ERC20_ABI, signerOrProvider);
+      list.push({ address: a, symbol: await token.symbol(), decimals: toInt(await token.decimals(), 18) });
+    } catch (_) {
+      list.push({ address: a, symbol: `${a.slice(0, 6)}…`, decimals: 18 });
+    }
+  }
+  return list;
+}
+
+const currencyMeta = (currencies, address) =>
+  currencies.find((c) => c.address.toLowerCase() === String(address || NATIVE_CURRENCY.address).toLowerCase()) ||
+  NATIVE_CURRENCY;
+
+async function ensureAllowance(currency, owner, spender, amount, signer) {
+  if (isNative(currency)) return;
+  const token = new ethers.Contract(currency, ERC20_ABI, signer);
+  const current = await token.allowance(owner, spender);
+  if (current.lt(amount)) {
+    const tx = await token.approve(spender, amount);
+    await tx.wait();
+  }
+}
 // ---------------- Asset naming (UI-only) ----------------
 const DEFAULT_ASSET_BY_TOKEN_ID = {
   1: "Gold",
@@ -86,12 +131,98 @@ async function getOwnedTokenIds(nft, owner) {
   return owned;
 }
 
+// ---------------- Collateral collections ----------------
+async function loadCollections(lending, signerOrProvider) {
+  let addrs = [];
+  try {
+    addrs = await lending.getAllowedCollections();
+  } catch (_) {}
+  const list = [];
+  for (const a of addrs || []) {
+    try {
+      const nft = new ethers.Contract(a, TokenNFTABI, signerOrProvider);
+      list.push({ address: a, symbol: await nft.symbol() });
+    } catch (_) {
+      list.push({ address: a, symbol: `${a.slice(0, 6)}…` });
+    }
+  }
+  return list;
+}
+
+const sameAddr = (a, b) => String(a || "").toLowerCase() === String(b || "").toLowerCase();
+
+function collateralLabel(chainId, collections, collection, tokenId) {
+  const col = collections.find((c) => sameAddr(c.address, collection));
+  const symbol = col ? col.symbol : `${String(collection || "").slice(0, 6)}…`;
+  return `${tokenDisplayName(chainId, collection, tokenId)} (${symbol} #${tokenId})`;
+}
+
+// A bundled request/loan escrows several token ids of one collection
+const bundleLabel = (chainId, collections, collection, tokenIds) =>
+  tokenIds.map((id) => collateralLabel(chainId, collections, collection, id)).join(", ");
+
+// Interest rates are stored on-chain as APR in basis points (500 = 5%)
+// Quote refinance payoffs a little ahead of the chain clock so interest accrued while the tx is pending is covered
+const REFINANCE_QUOTE_BUFFER_SECONDS = 10 * 60;
+
+const fmtRate = (bps) => `${(Number(bps || 0) / 100).toLocaleString(undefined, { maximumFractionDigits: 2 })}% APR`;
+
+// ReputationTier enum order in LoanTypes
+const REPUTATION_TIERS = [
+  { label: "New", bg: "secondary" },
+  { label: "Risky", bg: "danger" },
+  { label: "Bronze", bg: "warning" },
+  { label: "Silver", bg: "info" },
+  { label: "Gold", bg: "success" },
+];
+
+const fmtLtv = (bps) => `${(Number(bps || 0) / 100).toLocaleString(undefined, { maximumFractionDigits: 1 })}%`;
+
+// Countdown for the grace period badge, e.g. "2d 5h" or "3h 12m"
+const fmtCountdown = (seconds) => {
+  const s = Math.max(0, Math.floor(seconds || 0));
+  const d = Math.floor(s / 86400);
+  const h = Math.floor((s % 86400) / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  return d > 0 ? `${d}d ${h}h` : `${h}h ${m}m`;
+};
+
+// ---------------- Paginated reads ----------------
+const PAGE_SIZE = 10;
+const REQUEST_STATUS_ACTIVE = 1; // RequestStatus.ACTIVE
+
+// Pages can come back short when filters skip ids, so keep asking until PAGE_SIZE items or the end (cursor 0)
+async function collectPage(fetchPage, cursor) {
+  const ids = [];
+  const items = [];
+  let next = cursor;
+  do {
+    const res = await fetchPage(next);
+    ids.push(...res[0]);
+    items.push(...res[1]);
+    next = toInt(res[2]);
+  } while (next !== 0 && ids.length < PAGE_SIZE);
+  return { ids, items, next };
+}
+
+// Signed (gasless) borrower requests live in the local order book (scripts/orderbook.js)
+const ORDERBOOK_URL = process.env.REACT_APP_ORDERBOOK_URL || "http://localhost:8787";
+
+async function fetchSignedOrders(query = "") {
+  const res = await fetch(`${ORDERBOOK_URL}/orders${query}`);
+  if (!res.ok) throw new Error(`Order book error ${res.status}`);
+  return res.json();
+}
+
 const Lender = () => {
   const [account, setAccount] = useState("");
   const [ethBalance, setEthBalance] = useState("");
+  const [tokenBalances, setTokenBalances] = useState([]);
+  const [currencies, setCurrencies] = useState([NATIVE_CURRENCY]);
 
   const [nftCount, setNftCount] = useState(0);
   const [ownedTokenIds, setOwnedTokenIds] = useState([]);
+  const [collections, setCollections] = useState([]);
 
   const [chainId, setChainId] = useState(null);
 
@@ -99,7 +230,32 @@ const Lender = () => {
   const [nftContract, setNftContract] = useState(null);
 
   const [requests, setRequests] = useState([]);
+  const [requestsCursor, setRequestsCursor] = useState(0); // 0 = nothing more to load
   const [activeLoans, setActiveLoans] = useState([]);
+  const [loansCursor, setLoansCursor] = useState(0);
+  const [myOffers, setMyOffers] = useState([]);
+  const [myStandingOffers, setMyStandingOffers] = useState([]);
+  const [onlyMyLoans, setOnlyMyLoans] = useState(false);
+  const [protocolFeeBps, setProtocolFeeBps] = useState(0);
+  const [maxLtvBps, setMaxLtvBps] = useState(0);
+  const [claimable, setClaimable] = useState([]); // [{ address, symbol, decimals, amount }]
+  const [selectedRequests, setSelectedRequests] = useState([]); // requestIds ticked for "Fund selected"
+  const [selectedLoans, setSelectedLoans] = useState([]); // loanIds ticked for "Liquidate selected"
+  const [signedOrders, setSignedOrders] = useState([]); // fillable signed requests from the order book
+  const [orderBookDown, setOrderBookDown] = useState(false);
+  const [standingDraft, setStandingDraft] = useState({
+    currency: NATIVE_CURRENCY.address,
+    collection: NFT_ADDRESS,
+    maxAmount: "",
+    interestRate: "",
+    duration: "",
+    fills: "1",
+  });
+
+  // Counter-offer form, opened under one request row at a time
+  const [offerFor, setOfferFor] = useState(null);
+  const [shareDrafts, setShareDrafts] = useState({}); // requestId -> amount typed for "Fund share"
+  const [offerDraft, setOfferDraft] = useState({ amount: "", interestRate: "", duration: "" });
 
   const [toast, setToast] = useState({ show: false, message: "", variant: "success" });
   const showToast = (message, variant = "success") => setToast({ show: true, message, variant });
@@ -134,11 +290,41 @@ const Lender = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [provider]);
 
+  const updateTokenBalances = async () => {
+    if (!provider || !account) return;
+    const tokenBals = [];
+    for (const cur of currencies) {
+      if (isNative(cur.address)) continue;
+      try {
+        const token = new ethers.Contract(cur.address, ERC20_ABI, provider);
+        const b = await token.balanceOf(account);
+        tokenBals.push({ symbol: cur.symbol, balance: ethers.utils.formatUnits(b, cur.decimals) });
+      } catch (_) {}
+    }
+    setTokenBalances(tokenBals);
+  };
+
+  // Proceeds, repayments and refunds owed to this account are credited on the platform and pulled with withdraw()
+  const loadClaimable = async () => {
+    if (!lendingContract || !account) return;
+    const list = [];
+    for (const cur of currencies) {
+      try {
+        const amount = await lendingContract.claimable(account, cur.address);
+        list.push({ ...cur, amount });
+      } catch (_) {}
+    }
+    setClaimable(list);
+  };
+
   const updateBalances = async () => {
     if (!provider || !nftContract || !account) return;
     const bal = await provider.getBalance(account);
     setEthBalance(ethers.utils.formatEther(bal));
 
+    await updateTokenBalances();
+    await loadClaimable();
+
     const c = await nftContract.balanceOf(account);
     setNftCount(toInt(c));
 
@@ -146,51 +332,303 @@ const Lender = () => {
     setOwnedTokenIds(ids);
   };
 
-  const loadAll = async () => {
-    if (!lendingContract) return;
-
-    const all = await lendingContract.getAllActive();
-
-    const loanIds = tuple(all, 'loanIds', 0, []);
-    const loans = tuple(all, 'loans', 1, []);
-    const requestIds = tuple(all, 'requestIds', 2, []);
-    const reqs = tuple(all, 'requests', 3, []);
+  // Pending requests and open loans are read a page at a time ("Load more" fetches the next one)
+  const fetchRequestsPage = (cursor) =>
+    lendingContract.getRequestsPage(cursor, PAGE_SIZE, REQUEST_STATUS_ACTIVE, ethers.constants.AddressZero, ethers.constants.AddressZero);
+  const fetchLoansPage = (cursor) =>
+    lendingContract.getLoansPage(cursor, PAGE_SIZE, true, ethers.constants.AddressZero, ethers.constants.AddressZero, ethers.constants.AddressZero);
 
+  const mapRequests = async (curList, requestIds, reqs) => {
     const mappedReqs = (reqs || [])
       .map((r, i) => {
         const rid = (requestIds || [])[i];
         if (!rid || !r) return null;
+        const cur = currencyMeta(curList, r.currency);
         return {
           requestId: toInt(rid),
           borrower: r.borrower,
           loanAmountWei: r.loanAmount,
-          loanAmount: ethers.utils.formatEther(r.loanAmount),
-          duration: toInt(r.duration),
+          loanAmount: ethers.utils.formatUnits(r.loanAmount, cur.decimals),
+          currency: cur.address,
+          symbol: cur.symbol,
+          decimals: cur.decimals,
+          durationInDays: toInt(r.durationInDays),
           interestRate: toInt(r.interestRate),
+          collateralCollection: r.collateralCollection,
           collateralTokenId: toInt(r.collateralTokenId),
           isActive: r.isActive,
         };
       })
       .filter(Boolean);
 
+    // Escrowed token ids (several for a bundle) and syndicated funding so far (shares held until the request is full)
+    for (const r of mappedReqs) {
+      try {
+        r.collateralTokenIds = (await lendingContract.getRequestCollateral(r.requestId)).map((id) => toInt(id));
+      } catch (_) {
+        r.collateralTokenIds = [r.collateralTokenId];
+      }
+      try {
+        const syn = await lendingContract.getSyndicate(r.requestId);
+        const lenders = tuple(syn, "lenders", 0, []);
+        const shares = tuple(syn, "shares", 1, []);
+        const fundedWei = tuple(syn, "funded", 2, ethers.BigNumber.from(0));
+        const mine = lenders.findIndex((a) => sameAddr(a, account));
+        r.fundedWei = fundedWei;
+        r.funded = ethers.utils.formatUnits(fundedWei, r.decimals);
+        r.fundedPct = r.loanAmountWei.isZero() ? 0 : fundedWei.mul(100).div(r.loanAmountWei).toNumber();
+        r.shareCount = lenders.length;
+        r.myShareWei = mine >= 0 ? shares[mine] : ethers.BigNumber.from(0);
+        r.myShare = ethers.utils.formatUnits(r.myShareWei, r.decimals);
+      } catch (_) {
+        r.fundedWei = ethers.BigNumber.from(0);
+        r.funded = "0";
+        r.fundedPct = 0;
+        r.shareCount = 0;
+        r.myShareWei = ethers.BigNumber.from(0);
+        r.myShare = "0";
+      }
+      // Borrower track record (volume in this request's currency)
+      try {
+        const rep = await lendingContract.getReputation(r.borrower, r.currency);
+        const stats = tuple(rep, "stats", 0, {});
+        r.reputation = {
+          tier: toInt(tuple(rep, "tier", 3, 0)),
+          taken: toInt(tuple(stats, "loansTaken", 0, 0)),
+          onTime: toInt(tuple(stats, "repaidOnTime", 1, 0)),
+          late: toInt(tuple(stats, "repaidLate", 2, 0)),
+          liquidated: toInt(tuple(stats, "liquidated", 3, 0)),
+          volume: ethers.utils.formatUnits(tuple(rep, "borrowed", 1, 0), r.decimals),
+        };
+      } catch (_) {
+        r.reputation = null;
+      }
+      // Oracle appraisal of the collateral (bundle summed); 0 when no oracle is set or it has no price
+      try {
+        const health = await lendingContract.getRequestHealth(r.requestId);
+        const valueWei = tuple(health, "value", 0, ethers.BigNumber.from(0));
+        r.appraisal = valueWei.isZero() ? null : ethers.utils.formatUnits(valueWei, r.decimals);
+        r.ltvBps = toInt(tuple(health, "ltv", 1, 0));
+      } catch (_) {
+        r.appraisal = null;
+        r.ltvBps = 0;
+      }
+    }
+    return mappedReqs;
+  };
+
+  const mapLoans = async (curList, loanIds, loans) => {
     const mappedLoans = (loans || [])
       .map((l, i) => {
         const lid = (loanIds || [])[i];
         if (!lid || !l) return null;
+        const cur = currencyMeta(curList, l.currency);
         return {
           loanId: toInt(lid),
           borrower: l.borrower,
           lender: l.lender,
-          loanAmount: ethers.utils.formatEther(l.loanAmount),
+          loanAmountWei: l.loanAmount,
+          loanAmount: ethers.utils.formatUnits(l.loanAmount, cur.decimals),
+          currency: cur.address,
+          symbol: cur.symbol,
+          decimals: cur.decimals,
           endTime: toInt(l.endTime),
           interestRate: toInt(l.interestRate),
+          collateralCollection: l.collateralCollection,
           collateralTokenId: toInt(l.collateralTokenId),
         };
       })
       .filter(Boolean);
 
+    // Remaining balance + next installment (liquidation opens once its grace period is over)
+    for (const l of mappedLoans) {
+      try {
+        l.collateralTokenIds = (await lendingContract.getLoanCollateral(l.loanId)).map((id) => toInt(id));
+      } catch (_) {
+        l.collateralTokenIds = [l.collateralTokenId];
+      }
+      try {
+        const owed = await lendingContract.getRepayAmount(l.loanId);
+        l.owedNow = ethers.utils.formatUnits(owed, l.decimals);
+
+        const next = await lendingContract.getNextInstallment(l.loanId);
+        l.nextDueDate = toInt(tuple(next, "dueDate", 0, 0));
+        l.nextAmountDue = ethers.utils.formatUnits(tuple(next, "amountDue", 1, 0), l.decimals);
+        // The promissory note holder is the lender that collects and may liquidate
+        l.holder = await lendingContract.lenderOf(l.loanId);
+
+        const proposal = await lendingContract.termsProposals(l.loanId);
+        l.proposal = proposal.isActive
+          ? { newEndTime: toInt(proposal.newEndTime), newInterestRate: toInt(proposal.newInterestRate) }
+          : null;
+
+        const late = await lendingContract.getLateStatus(l.loanId);
+        l.inGrace = Boolean(tuple(late, "inGracePeriod", 0, false));
+        l.graceEndsAt = toInt(tuple(late, "graceEndsAt", 1, 0));
+        l.lateFee = ethers.utils.formatUnits(tuple(late, "lateFee", 2, 0), l.decimals);
+
+        // Replacement collateral the borrower offers (appraised in the loan currency when an oracle is set)
+        const swap = await lendingContract.getCollateralSwap(l.loanId);
+        l.swap = tuple(swap, "isActive", 3, false)
+          ? {
+              collection: tuple(swap, "collection", 0, ""),
+              tokenIds: tuple(swap, "tokenIds", 1, []).map((id) => toInt(id)),
+              value: tuple(swap, "value", 4, ethers.BigNumber.from(0)).isZero()
+                ? null
+                : ethers.utils.formatUnits(tuple(swap, "value", 4, 0), l.decimals),
+            }
+          : null;
+
+        // A running liquidation auction replaces the direct "Liquidate" action
+        l.atAuction = Boolean((await lendingContract.auctions(l.loanId)).isActive);
+
+        // Syndicated loans: the platform holds the note and the lenders vote on selling the collateral
+        const syn = await lendingContract.getLoanSyndicate(l.loanId);
+        l.syndicated = Boolean(tuple(syn, "isSyndicated", 0, false));
+        if (l.syndicated) {
+          const requestId = tuple(syn, "requestId", 1, 0);
+          const myShareWei = account ? await lendingContract.syndicateShares(requestId, account) : ethers.BigNumber.from(0);
+          const sale = await lendingContract.syndicateSales(l.loanId);
+          const roundPeriod = toInt(await lendingContract.SALE_ROUND_PERIOD());
+          l.myShareWei = myShareWei;
+          l.myShare = ethers.utils.formatUnits(myShareWei, l.decimals);
+          l.sale = toInt(sale.round) > 0
+            ? {
+                priceWei: sale.price,
+                price: ethers.utils.formatUnits(sale.price, l.decimals),
+                approved: sale.approved,
+                votedPct: l.loanAmountWei.isZero() ? 0 : sale.approvedShares.mul(100).div(l.loanAmountWei).toNumber(),
+                voted: account ? await lendingContract.hasVotedCollateralSale(l.loanId, account) : false,
+                // A new price can only replace this round after it has been up for a while
+                lockedUntil: toInt(sale.approved ? sale.approvedAt : sale.proposedAt) + roundPeriod,
+              }
+            : null;
+          // No sale by then: any syndicate lender can auction the collateral
+          l.syndicateAuctionAt = l.graceEndsAt + toInt(await lendingContract.SYNDICATE_AUCTION_DELAY());
+        }
+      } catch (_) {
+        l.owedNow = "-";
+        l.holder = l.lender;
+        l.nextDueDate = l.endTime;
+        l.nextAmountDue = "-";
+        l.inGrace = false;
+        l.graceEndsAt = l.endTime;
+        l.lateFee = "0";
+      }
+    }
+    return mappedLoans;
+  };
+
+  const loadMoreRequests = async () => {
+    if (!lendingContract || !requestsCursor) return;
+    try {
+      const page = await collectPage(fetchRequestsPage, requestsCursor);
+      const more = await mapRequests(currencies, page.ids, page.items);
+      setRequests((prev) => [...prev, ...more]);
+      setRequestsCursor(page.next);
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  const loadMoreLoans = async () => {
+    if (!lendingContract || !loansCursor) return;
+    try {
+      const page = await collectPage(fetchLoansPage, loansCursor);
+      const more = await mapLoans(currencies, page.ids, page.items);
+      setActiveLoans((prev) => [...prev, ...more]);
+      setLoansCursor(page.next);
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  const loadAll = async () => {
+    if (!lendingContract) return;
+
+    const curList = await loadCurrencies(lendingContract, provider);
+    setCurrencies(curList);
+    setCollections(await loadCollections(lendingContract, provider));
+    try {
+      setProtocolFeeBps(toInt(await lendingContract.protocolFeeRate()));
+    } catch (_) {}
+    try {
+      const oracle = await lendingContract.priceOracle();
+      setMaxLtvBps(oracle === ethers.constants.AddressZero ? 0 : toInt(await lendingContract.maxLtv()));
+    } catch (_) {}
+
+    const reqPage = await collectPage(fetchRequestsPage, 0);
+    const loanPage = await collectPage(fetchLoansPage, 0);
+    const mappedReqs = await mapRequests(curList, reqPage.ids, reqPage.items);
+    const mappedLoans = await mapLoans(curList, loanPage.ids, loanPage.items);
+
+    // My counter-offers that still hold escrowed funds (expired ones can be withdrawn)
+    const mappedOffers = [];
+    if (account) {
+      let chainNow = Math.floor(Date.now() / 1000);
+      let offerExpiry = 2 * 24 * 60 * 60;
+      try {
+        chainNow = Number((await provider.getBlock("latest")).timestamp);
+        offerExpiry = toInt(await lendingContract.OFFER_EXPIRY());
+      } catch (_) {}
+
+      const res = await lendingContract.getLenderOffers(account);
+      const offerIds = tuple(res, "offerIds", 0, []);
+      const offers = tuple(res, "offers", 1, []);
+      for (let i = 0; i < (offers || []).length; i++) {
+        const o = offers[i];
+        if (toInt(o.status) !== 1) continue;
+        const req = await lendingContract.loanRequests(o.requestId);
+        const cur = currencyMeta(curList, req.currency);
+        const expiresAt = toInt(o.createdAt) + offerExpiry;
+        mappedOffers.push({
+          offerId: toInt(offerIds[i]),
+          requestId: toInt(o.requestId),
+          loanAmount: ethers.utils.formatUnits(o.loanAmount, cur.decimals),
+          symbol: cur.symbol,
+          durationInDays: toInt(o.durationInDays),
+          interestRate: toInt(o.interestRate),
+          expiresAt,
+          isExpired: chainNow > expiresAt,
+        });
+      }
+    }
+
+    // My standing offers still open to borrowers (every page; each call scans a bounded range)
+    const mappedStanding = [];
+    if (account) {
+      const ids = [];
+      const offers = [];
+      let cursor = 0;
+      do {
+        const res = await lendingContract.getActiveLenderOffers(cursor, PAGE_SIZE, account);
+        ids.push(...res[0]);
+        offers.push(...res[1]);
+        cursor = toInt(res[2]);
+      } while (cursor !== 0);
+      offers.forEach((o, i) => {
+        const cur = currencyMeta(curList, o.currency);
+        mappedStanding.push({
+          lenderOfferId: toInt(ids[i]),
+          collection: o.collection,
+          maxAmount: ethers.utils.formatUnits(o.maxAmount, cur.decimals),
+          deposit: ethers.utils.formatUnits(o.deposit, cur.decimals),
+          symbol: cur.symbol,
+          durationInDays: toInt(o.durationInDays),
+          interestRate: toInt(o.interestRate),
+          fillsRemaining: toInt(o.fillsRemaining),
+        });
+      });
+    }
+
     setRequests(mappedReqs);
+    setRequestsCursor(reqPage.next);
     setActiveLoans(mappedLoans);
+    setLoansCursor(loanPage.next);
+    setMyOffers(mappedOffers);
+    setMyStandingOffers(mappedStanding);
   };
 
   useEffect(() => {
@@ -202,11 +640,47 @@ const Lender = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [account, lendingContract, nftContract]);
 
+  useEffect(() => {
+    updateTokenBalances();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [account, currencies]);
+
+  useEffect(() => {
+    loadClaimable();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [lendingContract, account, currencies]);
+
+  useEffect(() => {
+    loadSignedOrders();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [lendingContract, account, currencies]);
+
+  const withdrawFunds = async (currency) => {
+    if (!lendingContract) return;
+    try {
+      const tx = await lendingContract.withdraw(currency);
+      await tx.wait();
+      showToast("Funds withdrawn to your wallet", "success");
+      await updateBalances();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
   const fund = async (request) => {
     if (!lendingContract) return;
 
     try {
-      const tx = await lendingContract.fundLoanRequest(request.requestId, { value: request.loanAmountWei });
+      // The terms shown in the table; the contract reverts if the borrower changed them meanwhile
+      const terms = [request.requestId, request.loanAmountWei, request.durationInDays, request.interestRate];
+      let tx;
+      if (isNative(request.currency)) {
+        tx = await lendingContract.fundLoanRequest(...terms, { value: request.loanAmountWei });
+      } else {
+        await ensureAllowance(request.currency, account, LENDING_ADDRESS, request.loanAmountWei, provider.getSigner());
+        tx = await lendingContract.fundLoanRequest(...terms);
+      }
       await tx.wait();
 
       showToast("Loan funded successfully", "success");
@@ -218,6 +692,399 @@ const Lender = () => {
     }
   };
 
+  // Syndicated funding: the share stays escrowed until the request is full, then the loan starts
+  const fundShare = async (request) => {
+    if (!lendingContract) return;
+
+    try {
+      const amountWei = ethers.utils.parseUnits(String(shareDrafts[request.requestId] || "0"), request.decimals);
+      const remaining = request.loanAmountWei.sub(request.fundedWei);
+      if (amountWei.lte(0) || amountWei.gt(remaining)) {
+        showToast(`Enter an amount up to ${ethers.utils.formatUnits(remaining, request.decimals)} ${request.symbol}`, "danger");
+        return;
+      }
+
+      // Same terms check as fund(): reverts if the borrower edited the request before this share lands
+      const share = [request.requestId, amountWei, request.loanAmountWei, request.durationInDays, request.interestRate];
+      let tx;
+      if (isNative(request.currency)) {
+        tx = await lendingContract.fundLoanShare(...share, { value: amountWei });
+      } else {
+        await ensureAllowance(request.currency, account, LENDING_ADDRESS, amountWei, provider.getSigner());
+        tx = await lendingContract.fundLoanShare(...share);
+      }
+      const receipt = await tx.wait();
+      const started = (receipt.events || []).some((ev) => ev.event === "SyndicatedLoanStarted");
+
+      showToast(started ? "Request fully funded. The syndicated loan has started." : "Share escrowed until the request is fully funded", "success");
+      setShareDrafts((p) => ({ ...p, [request.requestId]: "" }));
+      await updateBalances();
+      await loadAll();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  const withdrawShare = async (requestId) => {
+    if (!lendingContract) return;
+    try {
+      const tx = await lendingContract.withdrawLoanShare(requestId);
+      await tx.wait();
+      showToast("Share withdrawn", "success");
+      await updateBalances();
+      await loadAll();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  // Defaulted syndicated loan: propose a sale price (counts as your vote) or approve the current one
+  const proposeSale = async (loan, price) => {
+    if (!lendingContract) return;
+    try {
+      const priceWei = ethers.utils.parseUnits(String(price || "0"), loan.decimals);
+      if (priceWei.lte(0)) return showToast("Enter a sale price", "danger");
+
+      const tx = await lendingContract.proposeCollateralSale(loan.loanId, priceWei);
+      await tx.wait();
+      showToast("Sale proposed", "success");
+      await loadAll();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  const approveSale = async (loanId) => {
+    if (!lendingContract) return;
+    try {
+      const tx = await lendingContract.approveCollateralSale(loanId);
+      await tx.wait();
+      showToast("Sale approved", "success");
+      await loadAll();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  const buyCollateral = async (loan) => {
+    if (!lendingContract || !loan.sale) return;
+    try {
+      let tx;
+      if (isNative(loan.currency)) {
+        tx = await lendingContract.buySyndicatedCollateral(loan.loanId, { value: loan.sale.priceWei });
+      } else {
+        await ensureAllowance(loan.currency, account, LENDING_ADDRESS, loan.sale.priceWei, provider.getSigner());
+        tx = await lendingContract.buySyndicatedCollateral(loan.loanId);
+      }
+      await tx.wait();
+      showToast("Collateral bought. Proceeds were split between the lenders.", "success");
+      await updateBalances();
+      await loadAll();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  const openOfferForm = (request) => {
+    setOfferFor(request.requestId);
+    setOfferDraft({
+      amount: request.loanAmount,
+      interestRate: String(request.interestRate / 100),
+      duration: String(request.durationInDays || ""),
+    });
+  };
+
+  // Counter-offer: the principal is escrowed now and refunded if another offer wins
+  const makeOffer = async (request) => {
+    if (!lendingContract) return;
+
+    try {
+      const amountWei = ethers.utils.parseUnits(String(offerDraft.amount || "0"), request.decimals);
+      const rateBps = Math.round(Number(offerDraft.interestRate || 0) * 100);
+      const days = Number(offerDraft.duration || 0);
+      if (amountWei.lte(0) || !Number.isFinite(rateBps) || !Number.isInteger(days) || days <= 0) {
+        showToast("Enter an amount, APR and a whole number of days", "danger");
+        return;
+      }
+
+      let tx;
+      if (isNative(request.currency)) {
+        tx = await lendingContract.makeOffer(request.requestId, amountWei, days, rateBps, { value: amountWei });
+      } else {
+        await ensureAllowance(request.currency, account, LENDING_ADDRESS, amountWei, provider.getSigner());
+        tx = await lendingContract.makeOffer(request.requestId, amountWei, days, rateBps);
+      }
+      await tx.wait();
+
+      showToast("Counter-offer posted. Funds are escrowed until it closes.", "success");
+      setOfferFor(null);
+      await updateBalances();
+      await loadAll();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  const withdrawOffer = async (offerId) => {
+    if (!lendingContract) return;
+    try {
+      const tx = await lendingContract.withdrawOffer(offerId);
+      await tx.wait();
+      showToast("Offer withdrawn. Funds returned.", "success");
+      await updateBalances();
+      await loadAll();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  // Standing offer: maxAmount * fills is deposited now, borrowers take it without a request
+  const createStandingOffer = async (e) => {
+    e.preventDefault();
+    if (!lendingContract) return;
+
+    try {
+      const cur = currencyMeta(currencies, standingDraft.currency);
+      const maxWei = ethers.utils.parseUnits(String(standingDraft.maxAmount || "0"), cur.decimals);
+      const rateBps = Math.round(Number(standingDraft.interestRate || 0) * 100);
+      const days = Number(standingDraft.duration || 0);
+      const fills = Number(standingDraft.fills || 0);
+      if (maxWei.lte(0) || !Number.isFinite(rateBps) || !Number.isInteger(days) || days <= 0) {
+        showToast("Enter an amount, APR and a whole number of days", "danger");
+        return;
+      }
+      if (!Number.isInteger(fills) || fills <= 0) {
+        showToast("Fills must be a whole number above 0", "danger");
+        return;
+      }
+
+      const deposit = maxWei.mul(fills);
+      const args = [cur.address, standingDraft.collection, maxWei, days, rateBps, fills];
+      let tx;
+      if (isNative(cur.address)) {
+        tx = await lendingContract.createLenderOffer(...args, { value: deposit });
+      } else {
+        await ensureAllowance(cur.address, account, LENDING_ADDRESS, deposit, provider.getSigner());
+        tx = await lendingContract.createLenderOffer(...args);
+      }
+      await tx.wait();
+
+      showToast("Standing offer published", "success");
+      setStandingDraft((p) => ({ ...p, maxAmount: "" }));
+      await updateBalances();
+      await loadAll();
+    } catch (e2) {
+      console.error(e2);
+      showToast(extractRevertReason(e2), "danger");
+    }
+  };
+
+  const cancelStandingOffer = async (lenderOfferId) => {
+    if (!lendingContract) return;
+    try {
+      const tx = await lendingContract.cancelLenderOffer(lenderOfferId);
+      await tx.wait();
+      showToast("Standing offer cancelled. Remaining deposit returned.", "success");
+      await updateBalances();
+      await loadAll();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  // Extension keeps you as lender under the borrower's proposed terms (as shown; a newer proposal reverts)
+  const approveExtension = async (loan) => {
+    if (!lendingContract || !loan.proposal) return;
+    try {
+      const tx = await lendingContract.approveExtension(loan.loanId, loan.proposal.newEndTime, loan.proposal.newInterestRate);
+      await tx.wait();
+      showToast("Extension approved", "success");
+      await loadAll();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  // Takes the borrower's replacement NFTs into escrow and hands the current collateral back
+  const acceptCollateralSwap = async (loan) => {
+    if (!lendingContract || !loan.swap) return;
+    try {
+      const tx = await lendingContract.acceptCollateralSwap(loan.loanId, loan.swap.collection, loan.swap.tokenIds);
+      await tx.wait();
+      showToast(`Collateral of loan #${loan.loanId} swapped`, "success");
+      await loadAll();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  // Refinance: pay the current lender off and take the loan over at the proposed terms.
+  // The payoff is quoted a little ahead; any ETH above it is refunded.
+  const refinance = async (loan) => {
+    if (!lendingContract || !loan.proposal) return;
+    try {
+      const quoteAt = (await nowTs()) + REFINANCE_QUOTE_BUFFER_SECONDS;
+      const payoff = await lendingContract.getRepayAmountAt(loan.loanId, quoteAt);
+
+      const terms = [loan.loanId, loan.proposal.newEndTime, loan.proposal.newInterestRate];
+      let tx;
+      if (isNative(loan.currency)) {
+        tx = await lendingContract.refinanceLoan(...terms, { value: payoff });
+      } else {
+        await ensureAllowance(loan.currency, account, LENDING_ADDRESS, payoff, provider.getSigner());
+        tx = await lendingContract.refinanceLoan(...terms);
+      }
+      await tx.wait();
+
+      showToast("Loan refinanced. You are now the lender.", "success");
+      await updateBalances();
+      await loadAll();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  // Open signed requests only: not filled or cancelled on-chain, not past their deadline, not our own
+  const loadSignedOrders = async () => {
+    if (!lendingContract || !account) return;
+    try {
+      const orders = await fetchSignedOrders();
+      const now = Math.floor(Date.now() / 1000);
+      const open = [];
+      for (const o of orders) {
+        if (sameAddr(o.request.borrower, account) || Number(o.request.deadline) < now) continue;
+        if (await lendingContract.signedNonceUsed(o.request.borrower, o.request.nonce)) continue;
+        const cur = currencyMeta(currencies, o.request.currency);
+        open.push({
+          ...o,
+          symbol: cur.symbol,
+          loanAmount: ethers.utils.formatUnits(o.request.loanAmount, cur.decimals),
+        });
+      }
+      setSignedOrders(open);
+      setOrderBookDown(false);
+    } catch (e) {
+      console.error(e);
+      setOrderBookDown(true);
+    }
+  };
+
+  // Pulls the borrower's NFT, pays them and starts the loan in one transaction
+  const fillSignedOrder = async (order) => {
+    if (!lendingContract) return;
+    try {
+      const { request, signature } = order;
+      let tx;
+      if (isNative(request.currency)) {
+        tx = await lendingContract.fillSignedRequest(request, signature, { value: request.loanAmount });
+      } else {
+        await ensureAllowance(request.currency, account, LENDING_ADDRESS, request.loanAmount, provider.getSigner());
+        tx = await lendingContract.fillSignedRequest(request, signature);
+      }
+      await tx.wait();
+
+      showToast("Signed request filled. Loan started.", "success");
+      await updateBalances();
+      await loadAll();
+      await loadSignedOrders();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  const toggleSelected = (setter, id) =>
+    setter((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+
+  // One multicall transaction: ETH for every selected request is sent together, tokens approved per currency
+  const fundSelected = async () => {
+    if (!lendingContract) return;
+    const picked = requests.filter((r) => r.isActive && selectedRequests.includes(r.requestId));
+    if (picked.length === 0) return showToast("Select at least one pending request", "warning");
+
+    try {
+      let ethTotal = ethers.BigNumber.from(0);
+      const tokenTotals = {};
+      for (const r of picked) {
+        if (isNative(r.currency)) {
+          ethTotal = ethTotal.add(r.loanAmountWei);
+        } else {
+          tokenTotals[r.currency] = (tokenTotals[r.currency] || ethers.BigNumber.from(0)).add(r.loanAmountWei);
+        }
+      }
+      for (const [currency, total] of Object.entries(tokenTotals)) {
+        await ensureAllowance(currency, account, LENDING_ADDRESS, total, provider.getSigner());
+      }
+
+      const calls = picked.map((r) =>
+        lendingContract.interface.encodeFunctionData("fundLoanRequest", [r.requestId, r.loanAmountWei, r.durationInDays, r.interestRate])
+      );
+      const tx = await lendingContract.multicall(calls, { value: ethTotal });
+      await tx.wait();
+
+      showToast(`${picked.length} loan${picked.length > 1 ? "s" : ""} funded in one transaction`, "success");
+      setSelectedRequests([]);
+      await updateBalances();
+      await loadAll();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  // Loans that are not liquidatable any more are skipped by the contract, not reverted
+  const liquidateSelected = async () => {
+    if (!lendingContract) return;
+    if (selectedLoans.length === 0) return showToast("Select at least one expired loan", "warning");
+
+    try {
+      const tx = await lendingContract.batchLiquidateLoans(selectedLoans);
+      const receipt = await tx.wait();
+      const count = (receipt.events || []).filter((ev) => ev.event === "LoanLiquidated").length;
+
+      showToast(`${count} of ${selectedLoans.length} loans liquidated. NFTs transferred to you.`, "success");
+      setSelectedLoans([]);
+      await updateBalances();
+      await loadAll();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
+  // Dutch auction instead of taking the NFT: price falls from start to floor over `hours`
+  const startAuction = async (loan, draft) => {
+    if (!lendingContract) return;
+    try {
+      const startWei = ethers.utils.parseUnits(String(draft.startPrice || "0"), loan.decimals);
+      const floorWei = ethers.utils.parseUnits(String(draft.floorPrice || "0"), loan.decimals);
+      const seconds = Math.round(Number(draft.hours || 0) * 3600);
+      if (startWei.lte(floorWei)) return showToast("Start price must be above the floor price", "danger");
+      if (!Number.isFinite(seconds) || seconds < 3600 || seconds > 7 * 24 * 3600) {
+        return showToast("Auction length must be between 1 hour and 7 days", "danger");
+      }
+
+      const tx = await lendingContract.startLiquidationAuction(loan.loanId, startWei, floorWei, seconds);
+      await tx.wait();
+      showToast("Auction started. Follow it on the Auctions page.", "success");
+      await loadAll();
+    } catch (e) {
+      console.error(e);
+      showToast(extractRevertReason(e), "danger");
+    }
+  };
+
   const liquidate = async (loanId) => {
     if (!lendingContract) return;
     try {
@@ -232,6 +1099,10 @@ const Lender = () => {
     }
   };
 
+  const shownLoans = onlyMyLoans
+    ? activeLoans.filter((l) => sameAddr(l.holder, account) || (l.syndicated && !l.myShareWei.isZero()))
+    : activeLoans;
+
   const nowTs = async () => {
     if (!provider) return Math.floor(Date.now() / 1000);
     const b = await provider.getBlock("latest");
@@ -245,57 +1116,361 @@ const Lender = () => {
         <Card.Body>
           <div><strong>Connected Account:</strong> {account}</div>
           <div className="mt-2"><strong>ETH Balance:</strong> {ethBalance} ETH</div>
+          {tokenBalances.map((t) => (
+            <div key={t.symbol} className="mt-2"><strong>{t.symbol} Balance:</strong> {t.balance} {t.symbol}</div>
+          ))}
           <div className="mt-2"><strong>NFT Balance:</strong> {nftCount} TokenNFT</div>
           <div className="mt-2">
             <strong>Owned NFTs:</strong> {ownedTokenIds.length ? ownedTokenIds.map((id) => `${tokenDisplayName(chainId, NFT_ADDRESS, id)}`).join(", ") : "None"}
           </div>
+          <div className="mt-2">
+            <strong>Protocol fee:</strong> {protocolFeeBps / 100}% of interest received (on loans funded from now)
+          </div>
+          {maxLtvBps > 0 && (
+            <div className="mt-2">
+              <strong>Max LTV:</strong> {maxLtvBps / 100}% of the oracle appraisal (checked when a request is created)
+            </div>
+          )}
           <div className="mt-3">
           </div>
         </Card.Body>
       </Card>
 
+      <Card className="mb-4">
+        <Card.Header><strong>Claimable balance</strong></Card.Header>
+        <Card.Body>
+          <div className="text-muted small mb-2">Repayments on notes you hold or syndicates you are in, collateral sale proceeds, refinance payoffs and refunded counter-offers or shares are credited here for you to withdraw.</div>
+          {claimable.map((c) => (
+            <div key={c.address} className="d-flex align-items-center mt-2">
+              <div className="me-3"><strong>{c.symbol}:</strong> {ethers.utils.formatUnits(c.amount, c.decimals)} {c.symbol}</div>
+              <Button size="sm" variant="success" disabled={c.amount.isZero()} onClick={() => withdrawFunds(c.address)}>
+                Withdraw
+              </Button>
+            </div>
+          ))}
+        </Card.Body>
+      </Card>
+
       <Card className="mb-4">
         <Card.Header className="d-flex justify-content-between align-items-center">
           <strong>Available Loan Requests</strong>
-          <Button onClick={loadAll}>Refresh</Button>
+          <div className="d-flex gap-2">
+            <Button variant="success" disabled={selectedRequests.length === 0} onClick={fundSelected}>
+              Fund selected ({selectedRequests.length})
+            </Button>
+            <Button onClick={loadAll}>Refresh</Button>
+          </div>
         </Card.Header>
         <Card.Body>
           <Table bordered hover responsive>
             <thead>
               <tr>
+                <th></th>
                 <th>Request ID</th>
                 <th>Borrower</th>
-                <th>Amount (ETH)</th>
+                <th>Amount</th>
                 <th>Duration</th>
                 <th>Interest</th>
                 <th>Collateral</th>
+                <th>Appraisal / LTV</th>
+                <th>Funded</th>
                 <th>Status</th>
                 <th>Action</th>
               </tr>
             </thead>
             <tbody>
               {requests.map((r) => (
-                <tr key={r.requestId}>
-                  <td>{r.requestId}</td>
-                  <td>{r.borrower}</td>
-                  <td>{r.loanAmount}</td>
-                  <td>{r.duration} days</td>
-                  <td>{r.interestRate}%</td>
-                  <td>{r.collateralTokenId ? tokenDisplayName(chainId, NFT_ADDRESS, r.collateralTokenId) : "N/A"}</td>
+                <React.Fragment key={r.requestId}>
+                  <tr>
+                    <td>
+                      {r.isActive && !sameAddr(r.borrower, account) && (
+                        <Form.Check
+                          aria-label={`Select request ${r.requestId}`}
+                          checked={selectedRequests.includes(r.requestId)}
+                          onChange={() => toggleSelected(setSelectedRequests, r.requestId)}
+                        />
+                      )}
+                    </td>
+                    <td>{r.requestId}</td>
+                    <td>
+                      <div>{r.borrower}</div>
+                      {r.reputation && (
+                        <div style={{ fontSize: 13 }}>
+                          <Badge bg={REPUTATION_TIERS[r.reputation.tier]?.bg || "secondary"} className="me-1">
+                            {REPUTATION_TIERS[r.reputation.tier]?.label || "New"}
+                          </Badge>
+                          <span className="text-muted">
+                            {r.reputation.taken} taken · {r.reputation.onTime} on time · {r.reputation.late} late · {r.reputation.liquidated} liquidated · {r.reputation.volume} {r.symbol} borrowed
+                          </span>
+                        </div>
+                      )}
+                    </td>
+                    <td>{r.loanAmount} {r.symbol}</td>
+                    <td>{r.durationInDays} days</td>
+                    <td>{fmtRate(r.interestRate)}</td>
+                    <td>{r.collateralTokenId ? bundleLabel(chainId, collections, r.collateralCollection, r.collateralTokenIds) : "N/A"}</td>
+                    <td>
+                      {r.appraisal ? (
+                        <>
+                          <div>{r.appraisal} {r.symbol}</div>
+                          <Badge bg={maxLtvBps > 0 && r.ltvBps > maxLtvBps ? "danger" : "secondary"}>{fmtLtv(r.ltvBps)} LTV</Badge>
+                        </>
+                      ) : (
+                        <span className="text-muted">No appraisal</span>
+                      )}
+                    </td>
+                    <td style={{ minWidth: 160 }}>
+                      <ProgressBar now={r.fundedPct} label={r.fundedPct > 0 ? `${r.fundedPct}%` : ""} />
+                      <div className="text-muted" style={{ fontSize: 13 }}>
+                        {r.funded} / {r.loanAmount} {r.symbol}
+                        {r.shareCount > 0 && ` (${r.shareCount} lender${r.shareCount > 1 ? "s" : ""})`}
+                      </div>
+                      {!r.myShareWei.isZero() && (
+                        <div style={{ fontSize: 13 }}>Your share: {r.myShare} {r.symbol}</div>
+                      )}
+                    </td>
+                    <td>
+                      {r.isActive ? <Badge bg="success">PENDING</Badge> : <Badge bg="secondary">INACTIVE</Badge>}
+                    </td>
+                    <td>
+                      {r.isActive ? (
+                        <>
+                          <Button size="sm" onClick={() => fund(r)}>Fund</Button>{" "}
+                          <Button size="sm" variant="outline-primary" onClick={() => openOfferForm(r)}>Counter-offer</Button>
+                          {!sameAddr(r.borrower, account) && (
+                            <div className="d-flex gap-2 mt-2">
+                              <Form.Control
+                                size="sm"
+                                style={{ maxWidth: 120 }}
+                                placeholder={`Amount (${r.symbol})`}
+                                value={shareDrafts[r.requestId] || ""}
+                                onChange={(e) => setShareDrafts((p) => ({ ...p, [r.requestId]: e.target.value }))}
+                              />
+                              <Button size="sm" variant="outline-success" onClick={() => fundShare(r)}>Fund share</Button>
+                            </div>
+                          )}
+                          {!r.myShareWei.isZero() && (
+                            <Button size="sm" variant="outline-secondary" className="mt-2" onClick={() => withdrawShare(r.requestId)}>
+                              Withdraw share
+                            </Button>
+                          )}
+                        </>
+                      ) : (
+                        "-"
+                      )}
+                    </td>
+                  </tr>
+                  {offerFor === r.requestId && (
+                    <tr className="table-light">
+                      <td colSpan={11}>
+                        <div className="d-flex gap-2 align-items-center">
+                          <Form.Control
+                            size="sm"
+                            placeholder={`Amount (${r.symbol})`}
+                            value={offerDraft.amount}
+                            onChange={(e) => setOfferDraft((p) => ({ ...p, amount: e.target.value }))}
+                          />
+                          <Form.Control
+                            size="sm"
+                            placeholder="APR (%)"
+                            value={offerDraft.interestRate}
+                            onChange={(e) => setOfferDraft((p) => ({ ...p, interestRate: e.target.value }))}
+                          />
+                          <Form.Control
+                            size="sm"
+                            placeholder="Duration (days)"
+                            value={offerDraft.duration}
+                            onChange={(e) => setOfferDraft((p) => ({ ...p, duration: e.target.value }))}
+                          />
+                          <Button size="sm" variant="success" onClick={() => makeOffer(r)}>Post offer</Button>
+                          <Button size="sm" variant="secondary" onClick={() => setOfferFor(null)}>Close</Button>
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+              {requests.length === 0 && (
+                <tr><td colSpan={11} className="text-center">No active requests</td></tr>
+              )}
+            </tbody>
+          </Table>
+          {requestsCursor !== 0 && (
+            <Button variant="outline-secondary" onClick={loadMoreRequests}>Load more</Button>
+          )}
+        </Card.Body>
+      </Card>
+
+      <Card className="mb-4">
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <strong>Signed requests (order book)</strong>
+          <Button onClick={loadSignedOrders}>Refresh</Button>
+        </Card.Header>
+        <Card.Body>
+          {orderBookDown && (
+            <div className="text-muted mb-2">Order book unreachable at {ORDERBOOK_URL} (run "npm run orderbook").</div>
+          )}
+          <Table bordered hover responsive>
+            <thead>
+              <tr>
+                <th>Borrower</th>
+                <th>Amount</th>
+                <th>Duration</th>
+                <th>Interest</th>
+                <th>Installments</th>
+                <th>Collateral</th>
+                <th>Valid until</th>
+                <th>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {signedOrders.map((o) => (
+                <tr key={o.id}>
+                  <td>{o.request.borrower}</td>
+                  <td>{o.loanAmount} {o.symbol}</td>
+                  <td>{o.request.durationInDays} days</td>
+                  <td>{fmtRate(o.request.interestRate)}</td>
+                  <td>{o.request.installmentCount}</td>
+                  <td>{collateralLabel(chainId, collections, o.request.collection, toInt(o.request.tokenId))}</td>
+                  <td>{new Date(Number(o.request.deadline) * 1000).toLocaleString()}</td>
                   <td>
-                    {r.isActive ? <Badge bg="success">PENDING</Badge> : <Badge bg="secondary">INACTIVE</Badge>}
+                    <Button size="sm" onClick={() => fillSignedOrder(o)}>Fill</Button>
                   </td>
+                </tr>
+              ))}
+              {signedOrders.length === 0 && (
+                <tr><td colSpan={8} className="text-center">No open signed requests</td></tr>
+              )}
+            </tbody>
+          </Table>
+        </Card.Body>
+      </Card>
+
+      <Card className="mb-4">
+        <Card.Header><strong>Standing offers</strong></Card.Header>
+        <Card.Body>
+          <Form onSubmit={createStandingOffer} className="d-flex gap-2 align-items-center mb-3">
+            <Form.Select
+              size="sm"
+              value={standingDraft.currency}
+              onChange={(e) => setStandingDraft((p) => ({ ...p, currency: e.target.value }))}
+            >
+              {currencies.map((c) => (
+                <option key={c.address} value={c.address}>{c.symbol}</option>
+              ))}
+            </Form.Select>
+            <Form.Select
+              size="sm"
+              value={standingDraft.collection}
+              onChange={(e) => setStandingDraft((p) => ({ ...p, collection: e.target.value }))}
+            >
+              {collections.map((c) => (
+                <option key={c.address} value={c.address}>{c.symbol}</option>
+              ))}
+            </Form.Select>
+            <Form.Control
+              size="sm"
+              placeholder="Max per loan"
+              value={standingDraft.maxAmount}
+              onChange={(e) => setStandingDraft((p) => ({ ...p, maxAmount: e.target.value }))}
+            />
+            <Form.Control
+              size="sm"
+              placeholder="APR (%)"
+              value={standingDraft.interestRate}
+              onChange={(e) => setStandingDraft((p) => ({ ...p, interestRate: e.target.value }))}
+            />
+            <Form.Control
+              size="sm"
+              placeholder="Duration (days)"
+              value={standingDraft.duration}
+              onChange={(e) => setStandingDraft((p) => ({ ...p, duration: e.target.value }))}
+            />
+            <Form.Control
+              size="sm"
+              placeholder="Fills"
+              value={standingDraft.fills}
+              onChange={(e) => setStandingDraft((p) => ({ ...p, fills: e.target.value }))}
+            />
+            <Button size="sm" type="submit">Publish</Button>
+          </Form>
+
+          <Table bordered hover responsive>
+            <thead>
+              <tr>
+                <th>Offer ID</th>
+                <th>Collection</th>
+                <th>Up to</th>
+                <th>Duration</th>
+                <th>Interest</th>
+                <th>Fills left</th>
+                <th>Deposit left</th>
+                <th>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {myStandingOffers.map((o) => (
+                <tr key={o.lenderOfferId}>
+                  <td>{o.lenderOfferId}</td>
+                  <td>{(collections.find((c) => sameAddr(c.address, o.collection)) || {}).symbol || o.collection}</td>
+                  <td>{o.maxAmount} {o.symbol}</td>
+                  <td>{o.durationInDays} days</td>
+                  <td>{fmtRate(o.interestRate)}</td>
+                  <td>{o.fillsRemaining}</td>
+                  <td>{o.deposit} {o.symbol}</td>
                   <td>
-                    {r.isActive ? (
-                      <Button size="sm" onClick={() => fund(r)}>Fund</Button>
-                    ) : (
-                      "-"
-                    )}
+                    <Button variant="outline-danger" size="sm" onClick={() => cancelStandingOffer(o.lenderOfferId)}>
+                      Cancel
+                    </Button>
                   </td>
                 </tr>
               ))}
-              {requests.length === 0 && (
-                <tr><td colSpan={8} className="text-center">No active requests</td></tr>
+              {myStandingOffers.length === 0 && (
+                <tr><td colSpan={8} className="text-center">No standing offers</td></tr>
+              )}
+            </tbody>
+          </Table>
+        </Card.Body>
+      </Card>
+
+      <Card className="mb-4">
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <strong>My open offers</strong>
+        </Card.Header>
+        <Card.Body>
+          <Table bordered hover responsive>
+            <thead>
+              <tr>
+                <th>Offer ID</th>
+                <th>Request ID</th>
+                <th>Amount</th>
+                <th>Duration</th>
+                <th>Interest</th>
+                <th>Expires</th>
+                <th>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {myOffers.map((o) => (
+                <tr key={o.offerId}>
+                  <td>{o.offerId}</td>
+                  <td>{o.requestId}</td>
+                  <td>{o.loanAmount} {o.symbol}</td>
+                  <td>{o.durationInDays} days</td>
+                  <td>{fmtRate(o.interestRate)}</td>
+                  <td>
+                    {new Date(o.expiresAt * 1000).toLocaleString()}{" "}
+                    {o.isExpired && <Badge bg="secondary">EXPIRED</Badge>}
+                  </td>
+                  <td>
+                    <Button variant="outline-danger" size="sm" onClick={() => withdrawOffer(o.offerId)}>
+                      Withdraw
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+              {myOffers.length === 0 && (
+                <tr><td colSpan={7} className="text-center">No open offers</td></tr>
               )}
             </tbody>
           </Table>
@@ -305,31 +1480,66 @@ const Lender = () => {
       <Card>
         <Card.Header className="d-flex justify-content-between align-items-center">
           <strong>Active Loans</strong>
-          <Button onClick={loadAll}>Refresh</Button>
+          <div className="d-flex gap-3 align-items-center">
+            <Form.Check
+              type="switch"
+              id="only-my-loans"
+              label="My loans (notes I hold)"
+              checked={onlyMyLoans}
+              onChange={(e) => setOnlyMyLoans(e.target.checked)}
+            />
+            <Button variant="danger" disabled={selectedLoans.length === 0} onClick={liquidateSelected}>
+              Liquidate selected ({selectedLoans.length})
+            </Button>
+            <Button onClick={loadAll}>Refresh</Button>
+          </div>
         </Card.Header>
         <Card.Body>
           <Table bordered hover responsive>
             <thead>
               <tr>
+                <th></th>
                 <th>Loan ID</th>
                 <th>Borrower</th>
-                <th>Lender</th>
-                <th>Amount (ETH)</th>
+                <th>Lender (note holder)</th>
+                <th>Amount</th>
                 <th>Interest</th>
+                <th>Remaining balance</th>
+                <th>Next due</th>
                 <th>Collateral</th>
                 <th>End Time</th>
                 <th>Action</th>
               </tr>
             </thead>
             <tbody>
-              {activeLoans.map((l) => (
-                <LoanRow key={l.loanId} loan={l} onLiquidate={liquidate} nowTs={nowTs} chainId={chainId} />
+              {shownLoans.map((l) => (
+                <LoanRow
+                  key={l.loanId}
+                  loan={l}
+                  account={account}
+                  selected={selectedLoans.includes(l.loanId)}
+                  onToggleSelect={() => toggleSelected(setSelectedLoans, l.loanId)}
+                  onLiquidate={liquidate}
+                  onStartAuction={startAuction}
+                  onApproveExtension={approveExtension}
+                  onAcceptSwap={acceptCollateralSwap}
+                  onRefinance={refinance}
+                  onProposeSale={proposeSale}
+                  onApproveSale={approveSale}
+                  onBuyCollateral={buyCollateral}
+                  nowTs={nowTs}
+                  chainId={chainId}
+                  collections={collections}
+                />
               ))}
-              {activeLoans.length === 0 && (
-                <tr><td colSpan={8} className="text-center">No active loans</td></tr>
+              {shownLoans.length === 0 && (
+                <tr><td colSpan={11} className="text-center">No active loans</td></tr>
               )}
             </tbody>
           </Table>
+          {loansCursor !== 0 && (
+            <Button variant="outline-secondary" onClick={loadMoreLoans}>Load more</Button>
+          )}
         </Card.Body>
       </Card>
 
@@ -351,34 +1561,204 @@ const Lender = () => {
   );
 };
 
-function LoanRow({ loan, onLiquidate, nowTs, chainId }) {
+function LoanRow({
+  loan,
+  account,
+  selected,
+  onToggleSelect,
+  onLiquidate,
+  onStartAuction,
+  onApproveExtension,
+  onAcceptSwap,
+  onRefinance,
+  onProposeSale,
+  onApproveSale,
+  onBuyCollateral,
+  nowTs,
+  chainId,
+  collections,
+}) {
+  const isLender = sameAddr(loan.holder, account);
+  const isBorrower = sameAddr(loan.borrower, account);
+  const isSyndicateLender = Boolean(loan.syndicated && !loan.myShareWei.isZero());
+
   const [expired, setExpired] = useState(false);
+  const [graceLeft, setGraceLeft] = useState(0);
+  const [chainNow, setChainNow] = useState(0);
+  const [salePrice, setSalePrice] = useState("");
+  const [auctionDraft, setAuctionDraft] = useState(null); // { startPrice, floorPrice, hours } while the form is open
+  const canSyndicateAuction = isSyndicateLender && chainNow > loan.syndicateAuctionAt;
 
   useEffect(() => {
     (async () => {
       const t = await nowTs();
-      setExpired(t > loan.endTime);
+      setExpired(t > loan.graceEndsAt);
+      setGraceLeft(loan.graceEndsAt - t);
+      setChainNow(t);
     })();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [loan.endTime]);
+  }, [loan.graceEndsAt]);
 
   return (
     <tr>
+      <td>
+        {expired && isLender && !loan.atAuction && (
+          <Form.Check aria-label={`Select loan ${loan.loanId}`} checked={selected} onChange={onToggleSelect} />
+        )}
+      </td>
       <td>{loan.loanId}</td>
       <td>{loan.borrower}</td>
-      <td>{loan.lender}</td>
-      <td>{loan.loanAmount}</td>
-      <td>{loan.interestRate}%</td>
-      <td>{loan.collateralTokenId ? tokenDisplayName(chainId, NFT_ADDRESS, loan.collateralTokenId) : "N/A"}</td>
+      <td>
+        {loan.syndicated ? (
+          <>
+            <Badge bg="primary">Syndicate</Badge>
+            {isSyndicateLender && <div style={{ fontSize: 13 }}>Your share: {loan.myShare} {loan.symbol}</div>}
+          </>
+        ) : (
+          loan.holder
+        )}
+      </td>
+      <td>{loan.loanAmount} {loan.symbol}</td>
+      <td>{fmtRate(loan.interestRate)}</td>
+      <td>{loan.owedNow} {loan.symbol}</td>
+      <td>
+        {new Date(loan.nextDueDate * 1000).toLocaleString()}
+        <div className="text-muted" style={{ fontSize: 13 }}>
+          {loan.nextAmountDue} {loan.symbol}
+        </div>
+        {loan.inGrace && !expired && (
+          <div style={{ fontSize: 13 }}>
+            <Badge bg="warning" text="dark">In grace period</Badge>{" "}
+            {fmtCountdown(graceLeft)} left
+            <div className="text-danger">Late fee: {loan.lateFee} {loan.symbol}</div>
+          </div>
+        )}
+      </td>
+      <td>
+        {loan.collateralTokenId ? bundleLabel(chainId, collections, loan.collateralCollection, loan.collateralTokenIds) : "N/A"}
+        {loan.swap && !expired && (
+          <div className="mt-2" style={{ fontSize: 13 }}>
+            <Badge bg="info">Swap offered</Badge> {bundleLabel(chainId, collections, loan.swap.collection, loan.swap.tokenIds)}
+            {loan.swap.value && <div className="text-muted">Appraised at {loan.swap.value} {loan.symbol}</div>}
+            {isLender && (
+              <Button size="sm" variant="outline-success" className="mt-1" onClick={() => onAcceptSwap(loan)}>
+                Accept swap
+              </Button>
+            )}
+          </div>
+        )}
+      </td>
       <td>{new Date(loan.endTime * 1000).toLocaleString()}</td>
       <td>
-        {expired ? (
-          <Button variant="danger" size="sm" onClick={() => onLiquidate(loan.loanId)}>
-            Liquidate
-          </Button>
+        {loan.atAuction ? (
+          <Badge bg="warning" text="dark">At auction</Badge>
+        ) : expired && (isLender || canSyndicateAuction) ? (
+          <>
+            {isLender && (
+              <>
+                <Button variant="danger" size="sm" onClick={() => onLiquidate(loan.loanId)}>
+                  Liquidate
+                </Button>{" "}
+              </>
+            )}
+            <Button
+              variant="outline-danger"
+              size="sm"
+              onClick={() => setAuctionDraft(auctionDraft ? null : { startPrice: "", floorPrice: loan.owedNow, hours: "24" })}
+            >
+              Auction
+            </Button>
+            {auctionDraft && (
+              <div className="mt-2" style={{ fontSize: 13 }}>
+                <Form.Control
+                  size="sm"
+                  className="mb-1"
+                  placeholder={`Start price (${loan.symbol})`}
+                  value={auctionDraft.startPrice}
+                  onChange={(e) => setAuctionDraft((p) => ({ ...p, startPrice: e.target.value }))}
+                />
+                <Form.Control
+                  size="sm"
+                  className="mb-1"
+                  placeholder={`Floor price (${loan.symbol})`}
+                  value={auctionDraft.floorPrice}
+                  onChange={(e) => setAuctionDraft((p) => ({ ...p, floorPrice: e.target.value }))}
+                />
+                <Form.Control
+                  size="sm"
+                  className="mb-1"
+                  placeholder="Length (hours)"
+                  value={auctionDraft.hours}
+                  onChange={(e) => setAuctionDraft((p) => ({ ...p, hours: e.target.value }))}
+                />
+                <div className="text-muted mb-1">Debt owed: {loan.owedNow} {loan.symbol}; any surplus goes to the borrower.</div>
+                <Button size="sm" variant="danger" onClick={() => onStartAuction(loan, auctionDraft)}>
+                  Start auction
+                </Button>
+              </div>
+            )}
+          </>
+        ) : expired ? (
+          <Badge bg="danger">EXPIRED</Badge>
         ) : (
           <Badge bg="info">Running</Badge>
         )}
+        {expired && loan.syndicated && (
+          <div className="mt-2" style={{ fontSize: 13 }}>
+            {loan.sale && (
+              <div>
+                Sale at {loan.sale.price} {loan.symbol}: {loan.sale.approved ? <Badge bg="success">Approved</Badge> : `${loan.sale.votedPct}% voted`}
+              </div>
+            )}
+            {loan.sale && loan.sale.approved && (
+              <Button size="sm" variant="outline-danger" className="mt-1" onClick={() => onBuyCollateral(loan)}>
+                Buy collateral ({loan.sale.price} {loan.symbol})
+              </Button>
+            )}
+            {isSyndicateLender && loan.sale && !loan.sale.approved && !loan.sale.voted && (
+              <Button size="sm" variant="outline-success" className="mt-1" onClick={() => onApproveSale(loan.loanId)}>
+                Approve sale
+              </Button>
+            )}
+            {isSyndicateLender && loan.sale && chainNow <= loan.sale.lockedUntil && (
+              <div className="text-muted">New price possible after {new Date(loan.sale.lockedUntil * 1000).toLocaleString()}</div>
+            )}
+            {isSyndicateLender && !loan.atAuction && chainNow <= loan.syndicateAuctionAt && (
+              <div className="text-muted">Auction possible after {new Date(loan.syndicateAuctionAt * 1000).toLocaleString()}</div>
+            )}
+            {isSyndicateLender && (!loan.sale || chainNow > loan.sale.lockedUntil) && (
+              <div className="d-flex gap-2 mt-1">
+                <Form.Control
+                  size="sm"
+                  style={{ maxWidth: 120 }}
+                  placeholder={`Price (${loan.symbol})`}
+                  value={salePrice}
+                  onChange={(e) => setSalePrice(e.target.value)}
+                />
+                <Button size="sm" variant="outline-primary" onClick={() => onProposeSale(loan, salePrice)}>
+                  Propose sale
+                </Button>
+              </div>
+            )}
+          </div>
+        )}
+        {loan.proposal && !expired && (
+          <div className="mt-2" style={{ fontSize: 13 }}>
+            Borrower asks: until {new Date(loan.proposal.newEndTime * 1000).toLocaleDateString()} at {fmtRate(loan.proposal.newInterestRate)}
+            <div className="mt-1">
+              {isLender && (
+                <Button size="sm" variant="outline-success" onClick={() => onApproveExtension(loan)}>
+                  Approve extension
+                </Button>
+              )}
+              {!isLender && !isBorrower && (
+                <Button size="sm" variant="outline-primary" onClick={() => onRefinance(loan)}>
+                  Refinance ({loan.owedNow} {loan.symbol})
+                </Button>
+              )}
+            </div>
+          </div>
+        )}
       </td>
     </tr>
   );
@@ -7,8 +7,117 @@ import { network } from "hardhat";
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Modules are reached through LendingPlatform's fallback; each one gets every selector
+// it defines that the core contract does not already implement.
+const LENDING_MODULES = ["LendingAdmin", "LendingAuctions", "LendingBatch", "LendingEmergency", "LendingListings", "LendingOffers", "LendingReceiver", "LendingRefinance", "LendingSignatures", "LendingSubstitution", "LendingSyndication", "LendingViews"];
+
+function moduleSelectors(coreInterface, moduleInterface) {
+  const selectors = [];
+  moduleInterface.forEachFunction((fn) => {
+    if (!coreInterface.getFunction(fn.selector)) selectors.push(fn.selector);
+  });
+  return selectors;
+}
+
+// ERC-1967 implementation slot: non-zero only on a LendingProxy
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+// Core ABI + module entries it does not already have (shared events come from LendingBase)
+function mergeAbis(coreInterface, moduleInterfaces) {
+  const seen = new Set(coreInterface.fragments.map((f) => `${f.type}:${f.format("full")}`));
+  const fragments = [...coreInterface.fragments];
+  for (const iface of moduleInterfaces) {
+    for (const f of iface.fragments) {
+      const key = `${f.type}:${f.format("full")}`;
+      if (f.type === "constructor" || seen.has(key)) continue;
+      seen.add(key);
+      fragments.push(f);
+    }
+  }
+  return fragments.map((f) => JSON.parse(f.format("json")));
+}
+
+// Deploys every module and routes its selectors through the platform (proxy address)
+async function deployModules(ethers, deployer, platform, coreInterface) {
+  const moduleInterfaces = [];
+  for (const name of LENDING_MODULES) {
+    const Module = await ethers.getContractFactory(name);
+    const mod = await Module.connect(deployer).deploy();
+    await mod.waitForDeployment();
+    const moduleAddress = await mod.getAddress();
+
+    const selectors = moduleSelectors(coreInterface, Module.interface);
+    await (await platform.setModule(moduleAddress, selectors)).wait();
+    moduleInterfaces.push(Module.interface);
+    console.log(`${name} module deployed:`, moduleAddress, `(${selectors.length} functions)`);
+  }
+  return moduleInterfaces;
+}
+
+// The previous deployment can be upgraded in place when the chain still has our proxy there
+// and the deployer owns it (e.g. `--network localhost` against a node that kept running).
+async function findLiveProxy(ethers, deployer, addresses) {
+  const proxyAddress = addresses.LendingPlatform;
+  if (!proxyAddress || (await ethers.provider.getCode(proxyAddress)) === "0x") return null;
+  if (BigInt(await ethers.provider.getStorage(proxyAddress, IMPLEMENTATION_SLOT)) === 0n) return null;
+
+  const LendingPlatform = await ethers.getContractFactory("LendingPlatform");
+  const owner = await new ethers.Contract(proxyAddress, LendingPlatform.interface, deployer).owner();
+  return owner === deployer.address ? proxyAddress : null;
+}
+
+async function writeFrontendFiles(ethers, contractsDir, addresses, lendingAbi) {
+  if (!fs.existsSync(contractsDir)) fs.mkdirSync(contractsDir, { recursive: true });
+
+  fs.writeFileSync(path.join(contractsDir, "contract-address.json"), JSON.stringify(addresses, null, 2));
+
+  // The frontend talks to module functions at the LendingPlatform (proxy) address
+  fs.writeFileSync(path.join(contractsDir, "LendingPlatform.abi.json"), JSON.stringify(lendingAbi));
+
+  const contractNames = ["TokenNFT", "AssetToken", "PromissoryNote", "MockPriceOracle"];
+  for (const name of contractNames) {
+    const factory = await ethers.getContractFactory(name);
+    fs.writeFileSync(path.join(contractsDir, `${name}.abi.json`), factory.interface.formatJson());
+  }
+}
+
+// New implementation + modules behind the existing proxy; addresses in the frontend stay the same
+async function upgrade(ethers, deployer, proxyAddress, previous, contractsDir) {
+  const LendingPlatform = await ethers.getContractFactory("LendingPlatform");
+  const implementation = await LendingPlatform.connect(deployer).deploy();
+  await implementation.waitForDeployment();
+  const implementationAddress = await implementation.getAddress();
+
+  const lending = LendingPlatform.attach(proxyAddress).connect(deployer);
+  await (await lending.upgradeTo(implementationAddress)).wait();
+  console.log("LendingPlatform upgraded:", proxyAddress, "->", implementationAddress);
+
+  const moduleInterfaces = await deployModules(ethers, deployer, lending, LendingPlatform.interface);
+  const lendingAbi = mergeAbis(LendingPlatform.interface, moduleInterfaces);
+
+  // Unroute module functions that no longer exist
+  const abiFile = path.join(contractsDir, "LendingPlatform.abi.json");
+  if (fs.existsSync(abiFile)) {
+    const current = new ethers.Interface(lendingAbi);
+    const stale = [];
+    new ethers.Interface(JSON.parse(fs.readFileSync(abiFile, "utf8"))).forEachFunction((fn) => {
+      if (!current.getFunction(fn.selector)) stale.push(fn.selector);
+    });
+    if (stale.length > 0) {
+      await (await lending.setModule(ethers.ZeroAddress, stale)).wait();
+      console.log("Unrouted removed functions:", stale.length);
+    }
+  }
+
+  await writeFrontendFiles(ethers, contractsDir, previous, lendingAbi);
+  console.log("Frontend contract files written to:", contractsDir);
+}
+
 async function main() {
   const { ethers } = await network.connect();
+  const contractsDir = path.join(__dirname, "..", "frontend", "src", "contracts");
+  const addressFile = path.join(contractsDir, "contract-address.json");
+  const previous = fs.existsSync(addressFile) ? JSON.parse(fs.readFileSync(addressFile, "utf8")) : {};
 
   // Hardhat default signers:
   // signer[0] = 0xf39...
@@ -27,6 +136,12 @@ async function main() {
   const bal = await ethers.provider.getBalance(deployer.address);
   console.log("Balance:", ethers.formatEther(bal), "ETH");
 
+  const proxyAddress = await findLiveProxy(ethers, deployer, previous);
+  if (proxyAddress) {
+    await upgrade(ethers, deployer, proxyAddress, previous, contractsDir);
+    return;
+  }
+
   // 1) Deploy TokenNFT (ERC-721)
   const TokenNFT = await ethers.getContractFactory("TokenNFT");
   const tokenNft = await TokenNFT.connect(deployer).deploy();
@@ -34,14 +149,57 @@ async function main() {
   const tokenNftAddress = await tokenNft.getAddress();
   console.log("TokenNFT deployed:", tokenNftAddress);
 
-  // 2) Deploy LendingPlatform
+  // 2) Deploy the LendingPlatform implementation behind a LendingProxy (initialized in the same transaction).
+  // The proxy address is the platform from here on.
   const LendingPlatform = await ethers.getContractFactory("LendingPlatform");
-  const lending = await LendingPlatform.connect(deployer).deploy(tokenNftAddress);
-  await lending.waitForDeployment();
-  const lendingAddress = await lending.getAddress();
-  console.log("LendingPlatform deployed:", lendingAddress);
+  const implementation = await LendingPlatform.connect(deployer).deploy();
+  await implementation.waitForDeployment();
+  const LendingProxy = await ethers.getContractFactory("LendingProxy");
+  const proxy = await LendingProxy.connect(deployer).deploy(
+    await implementation.getAddress(),
+    LendingPlatform.interface.encodeFunctionData("initialize", [tokenNftAddress])
+  );
+  await proxy.waitForDeployment();
+  const lendingAddress = await proxy.getAddress();
+  const lending = LendingPlatform.attach(lendingAddress).connect(deployer);
+  console.log("LendingPlatform deployed:", lendingAddress, "(implementation", await implementation.getAddress() + ")");
+
+  // 2b) Deploy modules and route their selectors through LendingPlatform
+  const moduleInterfaces = await deployModules(ethers, deployer, lending, LendingPlatform.interface);
 
-  // 3) Mint demo NFTs
+  // Core + module functions at one address (what the frontend sees too)
+  const lendingAbi = mergeAbis(LendingPlatform.interface, moduleInterfaces);
+  const platform = new ethers.Contract(lendingAddress, lendingAbi, deployer);
+
+  // 2c) Deploy the promissory note NFT for lender positions (minted at funding)
+  const PromissoryNote = await ethers.getContractFactory("PromissoryNote");
+  const promissoryNote = await PromissoryNote.connect(deployer).deploy(lendingAddress);
+  await promissoryNote.waitForDeployment();
+  const promissoryNoteAddress = await promissoryNote.getAddress();
+  await (await lending.setPromissoryNote(promissoryNoteAddress)).wait();
+  console.log("PromissoryNote deployed:", promissoryNoteAddress);
+
+  // 3) Deploy AssetToken (ERC-20) and allow it as a loan currency
+  const AssetToken = await ethers.getContractFactory("AssetToken");
+  const assetToken = await AssetToken.connect(deployer).deploy();
+  await assetToken.waitForDeployment();
+  const assetTokenAddress = await assetToken.getAddress();
+  console.log("AssetToken deployed:", assetTokenAddress);
+
+  await (await platform.setCurrencyAllowed(assetTokenAddress, true)).wait();
+  console.log("AssetToken allowed as loan currency");
+
+  // 3b) Deploy the mock price oracle (local chains) and appraise every demo NFT at 1 ETH / 1000 AST
+  const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+  const priceOracle = await MockPriceOracle.connect(deployer).deploy();
+  await priceOracle.waitForDeployment();
+  const priceOracleAddress = await priceOracle.getAddress();
+  await (await priceOracle.setCollectionPrice(tokenNftAddress, ethers.ZeroAddress, ethers.parseEther("1"))).wait();
+  await (await priceOracle.setCollectionPrice(tokenNftAddress, assetTokenAddress, ethers.parseEther("1000"))).wait();
+  await (await platform.setPriceOracle(priceOracleAddress)).wait();
+  console.log("MockPriceOracle deployed:", priceOracleAddress);
+
+  // 4) Mint demo NFTs
   // Assumes TokenNFT.mint() mints to msg.sender
   await (await tokenNft.connect(borrower).mint()).wait();
   await (await tokenNft.connect(borrower).mint()).wait();
@@ -50,29 +208,28 @@ async function main() {
   await (await tokenNft.connect(lender).mint()).wait();
   console.log("Minted 1 NFT to lender:", lender.address);
 
-  // 4) Write addresses + ABIs for frontend
-  const contractsDir = path.join(__dirname, "..", "frontend", "src", "contracts");
-  if (!fs.existsSync(contractsDir)) fs.mkdirSync(contractsDir, { recursive: true });
+  // 5) Fund demo accounts with AssetToken (deployer holds the whole supply)
+  const tokenGrant = ethers.parseEther("10000");
+  if (borrower.address !== deployer.address) {
+    await (await assetToken.connect(deployer).transfer(borrower.address, tokenGrant)).wait();
+  }
+  await (await assetToken.connect(deployer).transfer(lender.address, tokenGrant)).wait();
+  console.log("Sent", ethers.formatEther(tokenGrant), "AST to borrower/lender");
 
-  fs.writeFileSync(
-    path.join(contractsDir, "contract-address.json"),
-    JSON.stringify(
-      {
-        LendingPlatform: lendingAddress,
-        TokenNFT: tokenNftAddress,
-      },
-      null,
-      2
-    )
+  // 6) Write addresses + ABIs for frontend
+  await writeFrontendFiles(
+    ethers,
+    contractsDir,
+    {
+      LendingPlatform: lendingAddress,
+      TokenNFT: tokenNftAddress,
+      AssetToken: assetTokenAddress,
+      PromissoryNote: promissoryNoteAddress,
+      MockPriceOracle: priceOracleAddress,
+    },
+    lendingAbi
   );
 
-  const contractNames = ["LendingPlatform", "TokenNFT"];
-  for (const name of contractNames) {
-    const factory = await ethers.getContractFactory(name);
-    const abiJson = factory.interface.formatJson();
-    fs.writeFileSync(path.join(contractsDir, `${name}.abi.json`), abiJson);
-  }
-
   console.log("Frontend contract files written to:", contractsDir);
 }
 
@@ -0,0 +1,142 @@
+// scripts/orderbook.js
+// Local order book for EIP-712 signed loan requests (see LendingSignatures.sol).
+// Borrowers POST signed requests here instead of sending a transaction; the Lender UI reads them
+// and fills one on-chain with fillSignedRequest. Orders are kept in orderbook.json at the repo root.
+//
+//   GET  /orders[?borrower=0x...]   -> [{ id, request, signature, createdAt }]
+//   POST /orders { request, signature }
+//
+// Filled or cancelled requests stay listed; clients check signedNonceUsed on-chain.
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { ethers } from "ethers";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PORT = Number(process.env.ORDERBOOK_PORT || 8787);
+const CHAIN_ID = Number(process.env.CHAIN_ID || 31337);
+const DATA_FILE = path.join(__dirname, "..", "orderbook.json");
+const ADDRESSES_FILE = path.join(__dirname, "..", "frontend", "src", "contracts", "contract-address.json");
+
+const LOAN_REQUEST_TYPES = {
+  LoanRequest: [
+    { name: "borrower", type: "address" },
+    { name: "collection", type: "address" },
+    { name: "tokenId", type: "uint256" },
+    { name: "currency", type: "address" },
+    { name: "loanAmount", type: "uint256" },
+    { name: "durationInDays", type: "uint256" },
+    { name: "interestRate", type: "uint256" },
+    { name: "installmentCount", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+function loadOrders() {
+  if (!fs.existsSync(DATA_FILE)) return [];
+  return JSON.parse(fs.readFileSync(DATA_FILE, "utf8"));
+}
+
+function saveOrders(orders) {
+  fs.writeFileSync(DATA_FILE, JSON.stringify(orders, null, 2));
+}
+
+// Domain follows the latest deploy, so redeploying does not require a restart
+function loadDomain() {
+  const addresses = JSON.parse(fs.readFileSync(ADDRESSES_FILE, "utf8"));
+  return { name: "DLoan", version: "1", chainId: CHAIN_ID, verifyingContract: addresses.LendingPlatform };
+}
+
+// Every field as a string so uint256 values survive JSON
+function normalizeRequest(raw) {
+  const request = {};
+  for (const { name, type } of LOAN_REQUEST_TYPES.LoanRequest) {
+    if (raw?.[name] === undefined || raw[name] === null) throw new Error(`Missing field: ${name}`);
+    request[name] = type === "address" ? ethers.getAddress(raw[name]) : BigInt(raw[name]).toString();
+  }
+  return request;
+}
+
+function validateOrder(body) {
+  const request = normalizeRequest(body?.request);
+  const signature = body?.signature;
+  if (typeof signature !== "string") throw new Error("Missing signature");
+
+  const signer = ethers.verifyTypedData(loadDomain(), LOAN_REQUEST_TYPES, request, signature);
+  if (signer !== request.borrower) throw new Error("Signature does not match borrower");
+  if (BigInt(request.deadline) <= BigInt(Math.floor(Date.now() / 1000))) throw new Error("Request deadline has passed");
+
+  return { request, signature };
+}
+
+function send(res, status, data) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  res.end(data === undefined ? "" : JSON.stringify(data));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+      if (raw.length > 64 * 1024) reject(new Error("Body too large"));
+    });
+    req.on("end", () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (_) {
+        reject(new Error("Invalid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (url.pathname !== "/orders") return send(res, 404, { error: "Not found" });
+
+  if (req.method === "GET") {
+    const borrower = url.searchParams.get("borrower");
+    const orders = loadOrders().filter(
+      (o) => !borrower || o.request.borrower.toLowerCase() === borrower.toLowerCase()
+    );
+    return send(res, 200, orders);
+  }
+
+  if (req.method === "POST") {
+    try {
+      const { request, signature } = validateOrder(await readBody(req));
+      const orders = loadOrders();
+      const duplicate = orders.find(
+        (o) => o.request.borrower === request.borrower && o.request.nonce === request.nonce
+      );
+      if (duplicate) return send(res, 409, { error: "Nonce already listed for this borrower" });
+
+      const order = { id: orders.length, request, signature, createdAt: Math.floor(Date.now() / 1000) };
+      orders.push(order);
+      saveOrders(orders);
+      console.log(`Order ${order.id} listed by ${request.borrower} (nonce ${request.nonce})`);
+      return send(res, 201, order);
+    } catch (err) {
+      return send(res, 400, { error: err.message });
+    }
+  }
+
+  return send(res, 405, { error: "Method not allowed" });
+});
+
+server.listen(PORT, () => {
+  console.log(`Order book listening on http://localhost:${PORT} (data: ${DATA_FILE})`);
+});
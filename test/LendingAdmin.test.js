@@ -0,0 +1,96 @@
+import { expect } from "chai";
+
+import { ethers, networkHelpers, ETH, DAY, platformFixture, fundAsListed } from "./fixtures.js";
+
+describe("LendingAdmin", function () {
+  describe("Platform Parameters", function () {
+    it("Should only let the owner change parameters", async function () {
+      const { lender, lending } = await platformFixture();
+
+      await expect(lending.connect(lender).setMaxInterestRate(100)).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(lending.connect(lender).setProtocolFee(100)).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(lending.connect(lender).setTreasury(lender.address)).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should revert values outside the hard ceilings", async function () {
+      const { owner, lending } = await platformFixture();
+
+      await expect(lending.connect(owner).setMaxInterestRate(0)).to.be.revertedWith("Invalid rate cap");
+      await expect(lending.connect(owner).setMaxInterestRate(10001)).to.be.revertedWith("Invalid rate cap");
+      await expect(lending.connect(owner).setRequestExpiry(31 * DAY)).to.be.revertedWith("Invalid request expiry");
+      await expect(lending.connect(owner).setProtocolFee(2001)).to.be.revertedWith("Protocol fee too high");
+      await expect(lending.connect(owner).setLoanLimits(ETH, 10, 5)).to.be.revertedWith("Invalid loan limits");
+      await expect(lending.connect(owner).setTreasury(ETH)).to.be.revertedWith("Invalid treasury");
+    });
+
+    it("Should apply a new rate cap and loan limits to new requests", async function () {
+      const { owner, borrower, nftAddress, lending } = await platformFixture();
+
+      await expect(lending.connect(owner).setMaxInterestRate(1000))
+        .to.emit(lending, "MaxInterestRateUpdated")
+        .withArgs(1000);
+      await expect(lending.connect(borrower).createLoanRequest(100, 30, 1500, nftAddress, 1, ETH, 1))
+        .to.be.revertedWith("Invalid interest rate");
+
+      await expect(lending.connect(owner).setLoanLimits(ETH, ethers.parseEther("0.1"), ethers.parseEther("5")))
+        .to.emit(lending, "LoanLimitsUpdated")
+        .withArgs(ETH, ethers.parseEther("0.1"), ethers.parseEther("5"));
+      await expect(lending.connect(borrower).createLoanRequest(100, 30, 500, nftAddress, 1, ETH, 1))
+        .to.be.revertedWith("Loan amount out of range");
+      await expect(lending.connect(borrower).createLoanRequest(ethers.parseEther("6"), 30, 500, nftAddress, 1, ETH, 1))
+        .to.be.revertedWith("Loan amount out of range");
+    });
+
+    it("Should apply a shorter request expiry", async function () {
+      const { owner, borrower, lender, nftAddress, lending } = await platformFixture();
+
+      await expect(lending.connect(owner).setRequestExpiry(DAY))
+        .to.emit(lending, "RequestExpiryUpdated")
+        .withArgs(DAY);
+      await lending.connect(borrower).createLoanRequest(100, 30, 500, nftAddress, 1, ETH, 1);
+      await networkHelpers.time.increase(DAY + 1);
+
+      await expect(fundAsListed(lending.connect(lender), 0, { value: 100 })).to.be.revertedWith("Request expired");
+    });
+  });
+
+  describe("Protocol Fee", function () {
+    // 1 ETH for a year at 10% with a 10% fee on interest, paid off exactly at the end
+    async function feeLoanFixture() {
+      const ctx = await platformFixture();
+      const { owner, borrower, lender, other, nftAddress, lending } = ctx;
+      await lending.connect(owner).setMaxInterestRate(1000);
+      await expect(lending.connect(owner).setProtocolFee(1000))
+        .to.emit(lending, "ProtocolFeeUpdated")
+        .withArgs(1000);
+      await lending.connect(owner).setTreasury(other.address);
+
+      await lending.connect(borrower).createLoanRequest(ethers.parseEther("1"), 365, 1000, nftAddress, 1, ETH, 1);
+      await fundAsListed(lending.connect(lender), 0, { value: ethers.parseEther("1") });
+      const { endTime } = await lending.getLoan(0);
+      await networkHelpers.time.setNextBlockTimestamp(endTime);
+      await lending.connect(borrower).repayLoan(0, ethers.parseEther("1.1"), { value: ethers.parseEther("1.1") });
+      return ctx;
+    }
+
+    it("Should keep the fee out of what the lender is paid", async function () {
+      const { lender, lending } = await feeLoanFixture();
+
+      expect(await lending.claimable(lender.address, ETH)).to.equal(ethers.parseEther("1.09"));
+      expect(await lending.protocolFees(ETH)).to.equal(ethers.parseEther("0.01"));
+    });
+
+    it("Should send collected fees to the treasury", async function () {
+      const { owner, other, lending } = await feeLoanFixture();
+      const fee = ethers.parseEther("0.01");
+      const before = await ethers.provider.getBalance(other.address);
+
+      await expect(lending.connect(owner).withdrawProtocolFees(ETH))
+        .to.emit(lending, "ProtocolFeesWithdrawn")
+        .withArgs(ETH, other.address, fee);
+
+      expect(await ethers.provider.getBalance(other.address)).to.equal(before + fee);
+      await expect(lending.connect(owner).withdrawProtocolFees(ETH)).to.be.revertedWith("Nothing to withdraw");
+    });
+  });
+});
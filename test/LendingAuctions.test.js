@@ -0,0 +1,129 @@
+import { expect } from "chai";
+
+import { ethers, networkHelpers, ETH, DAY, ethLoanFixture } from "./fixtures.js";
+
+describe("LendingAuctions", function () {
+  const one = ethers.parseEther("1");
+
+  // Loan #0 (1 ETH, 30 days) past its grace window
+  async function defaultedFixture() {
+    const ctx = await ethLoanFixture();
+    await networkHelpers.time.increase(34 * DAY);
+    return ctx;
+  }
+
+  // Price falling from 3 ETH to 1 ETH over an hour
+  async function auctionFixture() {
+    const ctx = await defaultedFixture();
+    await ctx.lending.connect(ctx.lender).startLiquidationAuction(0, 3n * one, one, 3600);
+    return ctx;
+  }
+
+  describe("Starting", function () {
+    it("Should revert before the loan defaults", async function () {
+      const { lender, lending } = await ethLoanFixture();
+
+      await expect(lending.connect(lender).startLiquidationAuction(0, 3n * one, one, 3600)).to.be.revertedWith("Loan not expired");
+    });
+
+    it("Should revert for anyone but the note holder or bad prices", async function () {
+      const { lender, other, lending } = await defaultedFixture();
+
+      await expect(lending.connect(other).startLiquidationAuction(0, 3n * one, one, 3600)).to.be.revertedWith("Only lender can liquidate");
+      await expect(lending.connect(lender).startLiquidationAuction(0, one, one, 3600)).to.be.revertedWith("Start price must exceed floor");
+      await expect(lending.connect(lender).startLiquidationAuction(0, 3n * one, one, 60)).to.be.revertedWith("Invalid auction duration");
+    });
+
+    it("Should block direct liquidation while running", async function () {
+      const { lender, lending } = await auctionFixture();
+
+      await expect(lending.connect(lender).liquidateExpiredLoan(0)).to.be.revertedWith("Auction running");
+    });
+  });
+
+  describe("Bidding", function () {
+    it("Should fall linearly from the start price to the floor", async function () {
+      const { lending } = await auctionFixture();
+
+      await networkHelpers.time.increase(1800);
+      const price = await lending.getAuctionPrice(0);
+      expect(price).to.be.closeTo(2n * one, one / 100n);
+
+      await networkHelpers.time.increase(3600);
+      expect(await lending.getAuctionPrice(0)).to.equal(one);
+    });
+
+    it("Should pay the lender's debt and send the surplus to the borrower", async function () {
+      const { borrower, lender, other, nft, lending } = await auctionFixture();
+      const debt = await lending.getRepayAmountAt(0, (await networkHelpers.time.latest()) + 1801);
+      const borrowerCredit = await lending.claimable(borrower.address, ETH);
+
+      await networkHelpers.time.setNextBlockTimestamp((await networkHelpers.time.latest()) + 1801);
+      await expect(lending.connect(other).bidOnAuction(0, { value: 3n * one })).to.emit(lending, "AuctionSettled");
+
+      expect(await nft.ownerOf(1)).to.equal(other.address);
+      expect(await lending.claimable(lender.address, ETH)).to.equal(debt);
+      const surplus = (await lending.claimable(borrower.address, ETH)) - borrowerCredit;
+      expect(surplus).to.be.gt(0);
+      expect(debt + surplus).to.be.closeTo(2n * one, one / 100n);
+    });
+
+    it("Should revert a bid below the current price", async function () {
+      const { other, lending } = await auctionFixture();
+
+      await expect(lending.connect(other).bidOnAuction(0, { value: one })).to.be.revertedWith("Bid below current price");
+    });
+
+    it("Should keep bids open while the platform is paused", async function () {
+      const { owner, other, nft, lending } = await auctionFixture();
+
+      await lending.connect(owner).pause();
+      await expect(lending.connect(other).bidOnAuction(0, { value: 3n * one })).to.emit(lending, "AuctionSettled");
+      expect(await nft.ownerOf(1)).to.equal(other.address);
+    });
+
+    it("Should not let an emergency release end a running auction", async function () {
+      const { owner, other, nft, lending, lendingAddress } = await auctionFixture();
+
+      await lending.connect(owner).pause();
+      await expect(lending.connect(other).emergencyReleaseLoan(0)).to.be.revertedWith("Auction running");
+
+      expect(await nft.ownerOf(1)).to.equal(lendingAddress);
+      expect((await lending.auctions(0)).isActive).to.be.true;
+    });
+  });
+
+  describe("Unsold", function () {
+    it("Should hand the NFT to the lender once the auction ends without a bid", async function () {
+      const { lender, other, nft, lending } = await auctionFixture();
+
+      await expect(lending.settleUnsoldAuction(0)).to.be.revertedWith("Auction still running");
+      await networkHelpers.time.increase(3601);
+      await expect(lending.connect(other).bidOnAuction(0, { value: 3n * one })).to.be.revertedWith("Auction ended");
+
+      await expect(lending.connect(other).settleUnsoldAuction(0))
+        .to.emit(lending, "AuctionUnsold")
+        .withArgs(0, lender.address);
+      expect(await nft.ownerOf(1)).to.equal(lender.address);
+    });
+  });
+
+  describe("Listing", function () {
+    it("Should page running auctions", async function () {
+      const { lending } = await auctionFixture();
+
+      const [loanIds, auctions, nextCursor] = await lending.getActiveAuctions(0, 50);
+      expect(loanIds).to.deep.equal([0n]);
+      expect(auctions[0].startPrice).to.equal(3n * one);
+      expect(nextCursor).to.equal(0);
+      await expect(lending.getActiveAuctions(0, 0)).to.be.revertedWith("Limit must be greater than 0");
+    });
+
+    it("Should drop settled auctions from the list", async function () {
+      const { other, lending } = await auctionFixture();
+
+      await lending.connect(other).bidOnAuction(0, { value: 3n * one });
+      expect((await lending.getActiveAuctions(0, 50))[0].length).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import { expect } from "chai";
+
+import { ethers, networkHelpers, ETH, DAY, platformFixture } from "./fixtures.js";
+
+describe("LendingBatch", function () {
+  const one = ethers.parseEther("1");
+
+  // Requests #0..#2 for 1 ETH over one day against NFTs #1..#3
+  async function threeRequestsFixture() {
+    const ctx = await platformFixture();
+    await ctx.nft.connect(ctx.borrower).mint();
+    for (const tokenId of [1, 2, 3]) {
+      await ctx.lending.connect(ctx.borrower).createLoanRequest(one, 1, 500, ctx.nftAddress, tokenId, ETH, 1);
+    }
+    const fund = (requestId) => ctx.lending.interface.encodeFunctionData("fundLoanRequest", [requestId, one, 1, 500]);
+    return { ...ctx, fund };
+  }
+
+  describe("Multicall", function () {
+    it("Should split the ETH sent over the calls and return the rest", async function () {
+      const { borrower, lender, lending, lendingAddress, fund } = await threeRequestsFixture();
+      const before = await ethers.provider.getBalance(lender.address);
+
+      const receipt = await (await lending.connect(lender).multicall([fund(0), fund(1)], { value: 3n * one })).wait();
+
+      expect(await ethers.provider.getBalance(lender.address)).to.equal(before - 2n * one - receipt.gasUsed * receipt.gasPrice);
+      expect(await lending.claimable(borrower.address, ETH)).to.equal(2n * one);
+      expect(await ethers.provider.getBalance(lendingAddress)).to.equal(2n * one);
+    });
+
+    it("Should not reuse the same ETH for two calls", async function () {
+      const { lender, lending, fund } = await threeRequestsFixture();
+
+      await expect(lending.connect(lender).multicall([fund(0), fund(1)], { value: one }))
+        .to.be.revertedWith("Must send exact loan amount");
+    });
+
+    it("Should revert as a whole when one call fails", async function () {
+      const { lender, lending, fund } = await threeRequestsFixture();
+
+      await expect(lending.connect(lender).multicall([fund(0), fund(9)], { value: 2n * one }))
+        .to.be.revertedWith("Request is not active");
+      expect((await lending.loanRequests(0)).isActive).to.be.true;
+    });
+  });
+
+  describe("Batch Housekeeping", function () {
+    it("Should expire only requests that are past their window", async function () {
+      const { borrower, lender, other, nft, lending, fund } = await threeRequestsFixture();
+
+      await lending.connect(lender).multicall([fund(0)], { value: one });
+      await networkHelpers.time.increase(3 * DAY);
+      // The borrower has RELIST_WINDOW to relist before anyone else can sweep
+      await expect(lending.connect(other).batchExpireLoanRequests([0, 2, 99]))
+        .not.to.emit(lending, "LoanRequestExpired");
+
+      await networkHelpers.time.increase(7 * DAY);
+      await expect(lending.connect(other).batchExpireLoanRequests([0, 2, 99]))
+        .to.emit(lending, "LoanRequestExpired")
+        .withArgs(2, borrower.address, await nft.getAddress(), 3);
+      expect(await nft.ownerOf(3)).to.equal(borrower.address);
+      expect(await lending.requestStatus(2)).to.equal(4); // EXPIRED
+    });
+
+    it("Should let the borrower sweep their own requests at once", async function () {
+      const { borrower, nft, lending } = await threeRequestsFixture();
+
+      await networkHelpers.time.increase(3 * DAY);
+      await lending.connect(borrower).batchExpireLoanRequests([0, 1]);
+
+      expect(await nft.ownerOf(1)).to.equal(borrower.address);
+      expect(await nft.ownerOf(2)).to.equal(borrower.address);
+    });
+
+    it("Should liquidate only loans the caller holds and that are past grace", async function () {
+      const { lender, other, nft, lending, fund } = await threeRequestsFixture();
+
+      await lending.connect(lender).multicall([fund(0), fund(1)], { value: 2n * one });
+      await networkHelpers.time.increase(5 * DAY);
+
+      await lending.connect(other).batchLiquidateLoans([0, 1]);
+      expect((await lending.getLoan(0)).isRepaid).to.be.false;
+
+      await lending.connect(lender).batchLiquidateLoans([0, 1, 7]);
+      expect(await nft.ownerOf(1)).to.equal(lender.address);
+      expect(await nft.ownerOf(2)).to.equal(lender.address);
+    });
+  });
+});
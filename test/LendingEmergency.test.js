@@ -0,0 +1,85 @@
+import { expect } from "chai";
+
+import { networkHelpers, ETH, DAY, ethLoanFixture, fundAsListed } from "./fixtures.js";
+
+describe("LendingEmergency", function () {
+  // Loan #0 running on NFT #1; request #1 on NFT #2 with an open counter-offer; platform paused
+  async function pausedFixture() {
+    const ctx = await ethLoanFixture();
+    const { owner, borrower, lender, nftAddress, lending } = ctx;
+    await lending.connect(borrower).createLoanRequest(100, 1, 500, nftAddress, 2, ETH, 1);
+    await lending.connect(lender).makeOffer(1, 100, 1, 400, { value: 100 });
+    await expect(lending.connect(owner).pause()).to.emit(lending, "Paused");
+    return ctx;
+  }
+
+  describe("Circuit Breaker", function () {
+    it("Should only let the owner pause", async function () {
+      const { other, lending } = await ethLoanFixture();
+
+      await expect(lending.connect(other).pause()).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should block new requests, funding and offers while paused", async function () {
+      const { borrower, lender, nftAddress, lending } = await pausedFixture();
+
+      expect(await lending.paused()).to.be.true;
+      await expect(fundAsListed(lending.connect(lender), 1, { value: 100 })).to.be.revertedWith("Pausable: paused");
+      await expect(lending.connect(borrower).acceptOffer(0)).to.be.revertedWith("Pausable: paused");
+      await expect(lending.connect(borrower).createLoanRequest(100, 1, 500, nftAddress, 2, ETH, 1))
+        .to.be.revertedWith("Pausable: paused");
+    });
+
+    it("Should keep repayment and withdrawals open while paused", async function () {
+      const { borrower, nft, lending } = await pausedFixture();
+      const payoff = await lending.getRepayAmountAt(0, (await networkHelpers.time.latest()) + 60);
+
+      await expect(lending.connect(borrower).repayLoan(0, payoff, { value: payoff })).to.emit(lending, "LoanRepaid");
+      expect(await nft.ownerOf(1)).to.equal(borrower.address);
+      await expect(lending.connect(borrower).withdraw(ETH)).to.emit(lending, "FundsWithdrawn");
+    });
+
+    it("Should reopen once unpaused", async function () {
+      const { owner, lender, lending } = await pausedFixture();
+
+      await expect(lending.connect(owner).unpause()).to.emit(lending, "Unpaused");
+      await fundAsListed(lending.connect(lender), 1, { value: 100 });
+    });
+  });
+
+  describe("Collateral Exits", function () {
+    it("Should revert while the platform is running", async function () {
+      const { other, lending } = await ethLoanFixture();
+
+      await expect(lending.connect(other).emergencyReleaseRequest(0)).to.be.revertedWith("Pausable: not paused");
+    });
+
+    it("Should return a pending request's NFT and refund its offers", async function () {
+      const { borrower, other, nft, lending } = await pausedFixture();
+
+      await expect(lending.connect(other).emergencyReleaseRequest(1))
+        .to.emit(lending, "EmergencyCollateralReleased")
+        .and.to.emit(lending, "OfferRefunded");
+
+      expect(await nft.ownerOf(2)).to.equal(borrower.address);
+      expect((await lending.loanOffers(0)).status).to.equal(4); // REFUNDED
+    });
+
+    it("Should leave a running loan in escrow", async function () {
+      const { other, lending } = await pausedFixture();
+
+      await expect(lending.connect(other).emergencyReleaseLoan(0)).to.be.revertedWith("Loan running: repay to release");
+    });
+
+    it("Should hand a defaulted loan's NFT to the note holder", async function () {
+      const { lender, other, nft, lending } = await pausedFixture();
+
+      await networkHelpers.time.increase(34 * DAY);
+      await expect(lending.connect(other).emergencyReleaseLoan(0))
+        .to.emit(lending, "EmergencyCollateralReleased");
+
+      expect(await nft.ownerOf(1)).to.equal(lender.address);
+      await expect(lending.connect(other).emergencyReleaseLoan(0)).to.be.revertedWith("Loan already closed");
+    });
+  });
+});
@@ -0,0 +1,118 @@
+import { expect } from "chai";
+
+import { networkHelpers, ETH, DAY, platformFixture, fundAsListed, fundShareAsListed } from "./fixtures.js";
+
+describe("LendingListings", function () {
+  // Request #0 for 100 wei over 30 days at 5% against NFT #1
+  async function requestFixture() {
+    const ctx = await platformFixture();
+    await ctx.lending.connect(ctx.borrower).createLoanRequest(100, 30, 500, ctx.nftAddress, 1, ETH, 1);
+    return ctx;
+  }
+
+  // The same request once its two-day listing window has run out
+  async function expiredRequestFixture() {
+    const ctx = await requestFixture();
+    await networkHelpers.time.increase(3 * DAY);
+    return ctx;
+  }
+
+  describe("Updating", function () {
+    it("Should replace the terms and keep the old ones in the history", async function () {
+      const { borrower, lending } = await requestFixture();
+
+      await expect(lending.connect(borrower).updateLoanRequest(0, 200, 10, 600))
+        .to.emit(lending, "LoanRequestUpdated")
+        .withArgs(0, borrower.address, 200, 10, 600);
+
+      const request = await lending.loanRequests(0);
+      expect(request.loanAmount).to.equal(200);
+      expect(request.durationInDays).to.equal(10);
+      expect(request.interestRate).to.equal(600);
+
+      const history = await lending.getRequestHistory(0);
+      expect(history.length).to.equal(1);
+      expect(history[0].loanAmount).to.equal(100);
+      expect(history[0].durationInDays).to.equal(30);
+      expect(history[0].interestRate).to.equal(500);
+    });
+
+    it("Should revert for anyone but the borrower or invalid terms", async function () {
+      const { borrower, other, lending } = await requestFixture();
+
+      await expect(lending.connect(other).updateLoanRequest(0, 200, 10, 600)).to.be.revertedWith("Only borrower can change");
+      await expect(lending.connect(borrower).updateLoanRequest(0, 200, 10, 9999)).to.be.revertedWith("Invalid interest rate");
+    });
+
+    it("Should revert a fund built on terms the borrower has since changed", async function () {
+      const { borrower, lender, lending } = await requestFixture();
+
+      await lending.connect(borrower).updateLoanRequest(0, 100, 30, 2000);
+
+      await expect(lending.connect(lender).fundLoanRequest(0, 100, 30, 500, { value: 100 })).to.be.revertedWith("Request terms changed");
+      await lending.connect(lender).fundLoanRequest(0, 100, 30, 2000, { value: 100 });
+      expect((await lending.getLoan(0)).interestRate).to.equal(2000);
+    });
+
+    it("Should revert a first share built on terms the borrower has since changed", async function () {
+      const { borrower, other, lending } = await requestFixture();
+
+      await lending.connect(borrower).updateLoanRequest(0, 200, 10, 600);
+
+      await expect(lending.connect(other).fundLoanShare(0, 50, 100, 30, 500, { value: 50 })).to.be.revertedWith("Request terms changed");
+      await expect(lending.connect(other).fundLoanShare(0, 50, 200, 10, 600, { value: 50 })).to.emit(lending, "LoanShareFunded");
+    });
+
+    it("Should lock the terms once syndicate shares are in", async function () {
+      const { borrower, other, lending } = await requestFixture();
+
+      await fundShareAsListed(lending.connect(other), 0, 50, { value: 50 });
+      await expect(lending.connect(borrower).updateLoanRequest(0, 200, 10, 600)).to.be.revertedWith("Syndicate funding in progress");
+    });
+
+    it("Should revert after the listing window", async function () {
+      const { borrower, lending } = await expiredRequestFixture();
+
+      await expect(lending.connect(borrower).updateLoanRequest(0, 300, 10, 600)).to.be.revertedWith("Request expired");
+    });
+  });
+
+  describe("Relisting", function () {
+    it("Should open a fresh window with the NFT still in escrow", async function () {
+      const { borrower, lender, nft, lending, lendingAddress } = await expiredRequestFixture();
+
+      await expect(fundAsListed(lending.connect(lender), 0, { value: 100 })).to.be.revertedWith("Request expired");
+      await expect(lending.connect(borrower).relistLoanRequest(0)).to.emit(lending, "LoanRequestRelisted");
+      expect(await nft.ownerOf(1)).to.equal(lendingAddress);
+      expect((await lending.getRequestHistory(0)).length).to.equal(1);
+
+      await fundAsListed(lending.connect(lender), 0, { value: 100 });
+      expect((await lending.getLoan(0)).loanAmount).to.equal(100);
+      await expect(lending.connect(borrower).relistLoanRequest(0)).to.be.revertedWith("Request is not active");
+    });
+
+    it("Should revert while the request is still listed", async function () {
+      const { borrower, lending } = await requestFixture();
+
+      await expect(lending.connect(borrower).relistLoanRequest(0)).to.be.revertedWith("Not expired yet");
+    });
+
+    it("Should keep others from sweeping the request while the borrower may relist", async function () {
+      const { borrower, other, nft, lending } = await expiredRequestFixture();
+
+      await expect(lending.connect(other).expireLoanRequest(0)).to.be.revertedWith("Borrower may still relist");
+
+      await networkHelpers.time.increase(Number(await lending.RELIST_WINDOW()));
+      await lending.connect(other).expireLoanRequest(0);
+      expect(await nft.ownerOf(1)).to.equal(borrower.address);
+      await expect(lending.connect(borrower).relistLoanRequest(0)).to.be.revertedWith("Request is not active");
+    });
+
+    it("Should let the borrower close the request instead", async function () {
+      const { borrower, nft, lending } = await expiredRequestFixture();
+
+      await lending.connect(borrower).expireLoanRequest(0);
+      expect(await nft.ownerOf(1)).to.equal(borrower.address);
+    });
+  });
+});
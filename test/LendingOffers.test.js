@@ -0,0 +1,255 @@
+import { expect } from "chai";
+
+import { ethers, networkHelpers, ETH, DAY, platformFixture } from "./fixtures.js";
+
+describe("LendingOffers", function () {
+  const loanAmount = ethers.parseEther("1");
+
+  describe("Counter-offers", function () {
+    // MIN_OFFER_SHARE of the 1 ETH request
+    const minOffer = loanAmount / 4n;
+
+    // Request #0 for 1 ETH over 30 days at 5% against NFT #1
+    async function requestFixture() {
+      const ctx = await platformFixture();
+      await ctx.lending.connect(ctx.borrower).createLoanRequest(loanAmount, 30, 500, ctx.nftAddress, 1, ETH, 1);
+      return ctx;
+    }
+
+    it("Should start the loan on the offer's terms and refund the other offers", async function () {
+      const { borrower, lender, other, lending } = await requestFixture();
+      const offered = ethers.parseEther("0.8");
+
+      await expect(lending.connect(lender).makeOffer(0, offered, 20, 400, { value: offered }))
+        .to.emit(lending, "OfferMade");
+      await lending.connect(other).makeOffer(0, ethers.parseEther("0.9"), 25, 450, { value: ethers.parseEther("0.9") });
+
+      await expect(lending.connect(borrower).acceptOffer(0))
+        .to.emit(lending, "OfferAccepted")
+        .withArgs(0, 0, 0)
+        .and.to.emit(lending, "OfferRefunded")
+        .withArgs(1, 0, other.address);
+
+      const loan = await lending.getLoan(0);
+      expect(loan.lender).to.equal(lender.address);
+      expect(loan.loanAmount).to.equal(offered);
+      expect(loan.interestRate).to.equal(400);
+      expect(loan.endTime - loan.startTimestamp).to.equal(20n * BigInt(DAY));
+      expect(await lending.claimable(other.address, ETH)).to.equal(ethers.parseEther("0.9"));
+    });
+
+    it("Should return the escrow when an offer is withdrawn", async function () {
+      const { lender, lending } = await requestFixture();
+
+      await lending.connect(lender).makeOffer(0, loanAmount, 30, 500, { value: loanAmount });
+      await expect(lending.connect(lender).withdrawOffer(0))
+        .to.emit(lending, "OfferWithdrawn")
+        .withArgs(0, 0, lender.address);
+
+      expect((await lending.loanOffers(0)).status).to.equal(3); // WITHDRAWN
+      await expect(lending.connect(lender).withdrawOffer(0)).to.be.revertedWith("Offer not open");
+    });
+
+    it("Should refund token offers when the request is cancelled", async function () {
+      const { owner, borrower, lender, nft, lending, lendingAddress, token } = await requestFixture();
+      const tokenAddress = await token.getAddress();
+      const amount = ethers.parseEther("10");
+
+      await lending.connect(owner).setCurrencyAllowed(tokenAddress, true);
+      await lending.connect(borrower).createLoanRequest(amount, 30, 500, await nft.getAddress(), 2, tokenAddress, 1);
+      await token.connect(lender).approve(lendingAddress, amount);
+      await lending.connect(lender).makeOffer(1, amount, 30, 500);
+      expect(await token.balanceOf(lendingAddress)).to.equal(amount);
+
+      await lending.connect(borrower).cancelLoanRequest(1);
+      expect(await lending.claimable(lender.address, tokenAddress)).to.equal(amount);
+      expect(await nft.ownerOf(2)).to.equal(borrower.address);
+    });
+
+    it("Should revert for the borrower, a zero rate or a non-borrower accepting", async function () {
+      const { borrower, lender, lending } = await requestFixture();
+
+      await expect(lending.connect(borrower).makeOffer(0, minOffer, 30, 500, { value: minOffer }))
+        .to.be.revertedWith("Borrower cannot make offers");
+      await expect(lending.connect(lender).makeOffer(0, minOffer, 30, 0, { value: minOffer }))
+        .to.be.revertedWith("Invalid interest rate");
+
+      await lending.connect(lender).makeOffer(0, minOffer, 30, 500, { value: minOffer });
+      await expect(lending.connect(lender).acceptOffer(0)).to.be.revertedWith("Only borrower can accept");
+    });
+
+    it("Should revert accepting an expired offer", async function () {
+      const { borrower, lender, lending } = await requestFixture();
+
+      await lending.connect(lender).makeOffer(0, minOffer, 30, 500, { value: minOffer });
+      await networkHelpers.time.increase(2 * DAY + 1);
+
+      await expect(lending.connect(borrower).acceptOffer(0)).to.be.revertedWith("Offer expired");
+    });
+
+    it("Should count only open offers towards the cap", async function () {
+      const { lender, other, lending } = await requestFixture();
+      const cap = Number(await lending.MAX_OFFERS_PER_REQUEST());
+
+      for (let i = 0; i < cap; i++) await lending.connect(other).makeOffer(0, minOffer, 30, 500, { value: minOffer });
+      await expect(lending.connect(lender).makeOffer(0, minOffer, 30, 500, { value: minOffer }))
+        .to.be.revertedWith("Too many offers");
+
+      await lending.connect(other).withdrawOffer(0);
+      await lending.connect(lender).makeOffer(0, minOffer, 30, 500, { value: minOffer });
+
+      const [offerIds] = await lending.getRequestOffers(0);
+      expect(offerIds.length).to.equal(cap);
+      expect(offerIds).not.to.include(0n);
+      // The lender's own index keeps withdrawn offers as history
+      expect((await lending.getLenderOffers(other.address))[0].length).to.equal(cap);
+    });
+
+    it("Should refund expired offers to make room once the cap is reached", async function () {
+      const { borrower, lender, other, lending } = await requestFixture();
+      const cap = Number(await lending.MAX_OFFERS_PER_REQUEST());
+
+      for (let i = 0; i < cap; i++) await lending.connect(other).makeOffer(0, minOffer, 30, 500, { value: minOffer });
+      // Relisting gives the request a fresh window while the offers run out
+      await networkHelpers.time.increase(3 * DAY);
+      await lending.connect(borrower).relistLoanRequest(0);
+
+      await expect(lending.connect(lender).makeOffer(0, minOffer, 30, 500, { value: minOffer }))
+        .to.emit(lending, "OfferRefunded")
+        .withArgs(0, 0, other.address);
+
+      const [offerIds, offers] = await lending.getRequestOffers(0);
+      expect(offerIds).to.deep.equal([BigInt(cap)]);
+      expect(offers[0].lender).to.equal(lender.address);
+      expect((await lending.loanOffers(0)).status).to.equal(4); // REFUNDED
+      expect(await lending.claimable(other.address, ETH)).to.equal(minOffer * BigInt(cap));
+    });
+
+    it("Should revert an offer below the minimum share of the request", async function () {
+      const { lender, lending } = await requestFixture();
+
+      await expect(lending.connect(lender).makeOffer(0, minOffer - 1n, 30, 500, { value: minOffer - 1n }))
+        .to.be.revertedWith("Offer below minimum size");
+    });
+  });
+
+  describe("Standing Offers", function () {
+    // Offer #0: up to 1 ETH per loan, two fills, on the demo collection
+    async function standingOfferFixture() {
+      const ctx = await platformFixture();
+      await ctx.lending.connect(ctx.lender).createLenderOffer(ETH, ctx.nftAddress, loanAmount, 30, 500, 2, { value: 2n * loanAmount });
+      return ctx;
+    }
+
+    it("Should revert unless the deposit covers every fill", async function () {
+      const { lender, nftAddress, lending } = await platformFixture();
+
+      await expect(lending.connect(lender).createLenderOffer(ETH, nftAddress, loanAmount, 30, 500, 2, { value: loanAmount }))
+        .to.be.revertedWith("Must send maxAmount * fills");
+      await expect(lending.connect(lender).createLenderOffer(ETH, nftAddress, loanAmount, 30, 0, 1, { value: loanAmount }))
+        .to.be.revertedWith("Invalid interest rate");
+    });
+
+    it("Should escrow the NFT and start the loan in one transaction", async function () {
+      const { borrower, lender, lending, lendingAddress, nft } = await standingOfferFixture();
+      const amount = ethers.parseEther("0.6");
+
+      await expect(lending.connect(borrower).acceptLenderOffer(0, 1, amount))
+        .to.emit(lending, "LoanFunded");
+
+      expect(await nft.ownerOf(1)).to.equal(lendingAddress);
+      const loan = await lending.getLoan(0);
+      expect(loan.lender).to.equal(lender.address);
+      expect(loan.loanAmount).to.equal(amount);
+      expect(await lending.requestStatus(0)).to.equal(2); // FUNDED
+    });
+
+    it("Should close after the last fill and return the unused deposit", async function () {
+      const { borrower, lender, other, lending } = await standingOfferFixture();
+
+      await lending.connect(borrower).acceptLenderOffer(0, 1, ethers.parseEther("0.6"));
+      await lending.connect(borrower).acceptLenderOffer(0, 2, loanAmount);
+
+      expect(await lending.claimable(lender.address, ETH)).to.equal(ethers.parseEther("0.4"));
+      await expect(lending.connect(other).acceptLenderOffer(0, 3, 1)).to.be.revertedWith("Offer not active");
+    });
+
+    it("Should revert above the offer's maximum", async function () {
+      const { borrower, lending } = await standingOfferFixture();
+
+      await expect(lending.connect(borrower).acceptLenderOffer(0, 1, ethers.parseEther("1.5")))
+        .to.be.revertedWith("Invalid loan amount");
+    });
+
+    it("Should refund the deposit on cancel", async function () {
+      const { lender, other, lending } = await standingOfferFixture();
+
+      await expect(lending.connect(other).cancelLenderOffer(0)).to.be.revertedWith("Only lender can cancel");
+      await expect(lending.connect(lender).cancelLenderOffer(0))
+        .to.emit(lending, "LenderOfferCancelled")
+        .withArgs(0, lender.address, 2n * loanAmount);
+    });
+
+    it("Should page active offers and filter them by lender", async function () {
+      const { lender, other, nftAddress, lending } = await standingOfferFixture();
+
+      await lending.connect(other).createLenderOffer(ETH, nftAddress, 100, 30, 500, 1, { value: 100 });
+      await lending.connect(lender).createLenderOffer(ETH, nftAddress, 100, 30, 500, 1, { value: 100 });
+      await lending.connect(lender).cancelLenderOffer(0);
+
+      let [ids, offers, nextCursor] = await lending.getActiveLenderOffers(0, 1, ETH);
+      expect(ids).to.deep.equal([1n]);
+      expect(offers[0].lender).to.equal(other.address);
+      expect(nextCursor).to.equal(2);
+
+      [ids, , nextCursor] = await lending.getActiveLenderOffers(nextCursor, 1, ETH);
+      expect(ids).to.deep.equal([2n]);
+      expect(nextCursor).to.equal(0);
+
+      [ids] = await lending.getActiveLenderOffers(0, 50, lender.address);
+      expect(ids).to.deep.equal([2n]);
+      await expect(lending.getActiveLenderOffers(0, 0, ETH)).to.be.revertedWith("Limit must be greater than 0");
+    });
+
+    it("Should revert once its selectors are unrouted", async function () {
+      const { owner, lender, lending } = await standingOfferFixture();
+      const selector = lending.interface.getFunction("cancelLenderOffer").selector;
+
+      await expect(lending.connect(owner).setModule(ETH, [selector]))
+        .to.emit(lending, "ModuleSet");
+      await expect(lending.connect(lender).cancelLenderOffer(0)).to.be.revertedWith("Unknown function");
+    });
+  });
+
+
+  describe("Loan-to-Value", function () {
+    // Oracle set: the collection floor is 2 ETH, NFT #2 is appraised at 1 ETH; max LTV is the default 70%
+    async function oracleFixture() {
+      const ctx = await platformFixture();
+      const oracle = await ethers.deployContract("MockPriceOracle");
+      await ctx.lending.connect(ctx.owner).setPriceOracle(await oracle.getAddress());
+      await oracle.setCollectionPrice(ctx.nftAddress, ETH, ethers.parseEther("2"));
+      await oracle.setTokenPrice(ctx.nftAddress, 2, ETH, loanAmount);
+      return ctx;
+    }
+
+    it("Should check a counter-offer on the amount it lends", async function () {
+      const { borrower, lender, nftAddress, lending } = await oracleFixture();
+      const offered = ethers.parseEther("1.5");
+
+      await lending.connect(borrower).createLoanRequest(loanAmount, 30, 500, nftAddress, 1, ETH, 1);
+      await lending.connect(lender).makeOffer(0, offered, 30, 500, { value: offered });
+
+      await expect(lending.connect(borrower).acceptOffer(0)).to.be.revertedWith("Loan exceeds max LTV");
+    });
+
+    it("Should check a standing offer fill on the amount drawn", async function () {
+      const { borrower, lender, nftAddress, lending } = await oracleFixture();
+
+      await lending.connect(lender).createLenderOffer(ETH, nftAddress, loanAmount, 30, 500, 1, { value: loanAmount });
+
+      await expect(lending.connect(borrower).acceptLenderOffer(0, 2, loanAmount)).to.be.revertedWith("Loan exceeds max LTV");
+      await expect(lending.connect(borrower).acceptLenderOffer(0, 2, ethers.parseEther("0.7"))).to.emit(lending, "LenderOfferAccepted");
+    });
+  });
+});
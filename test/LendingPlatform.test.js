@@ -1,273 +1,705 @@
-const { expect } = require("chai");
-const { ethers } = require("hardhat");
+import { expect } from "chai";
+import { anyValue } from "@nomicfoundation/hardhat-ethers-chai-matchers/withArgs";
+
+import { ethers, networkHelpers, ETH, DAY, platformFixture, ethLoanFixture, fundAsListed } from "./fixtures.js";
 
 describe("LendingPlatform", function () {
-  let lendingPlatform;
-  let owner;
-  let borrower;
-  let lender;
-  let loanAmount;
-  let duration;
-  let interestRate;
-
-  beforeEach(async function () {
-    [owner, borrower, lender] = await ethers.getSigners();
-    
-    const LendingPlatform = await ethers.getContractFactory("LendingPlatform");
-    lendingPlatform = await LendingPlatform.deploy();
-    await lendingPlatform.waitForDeployment();
-
-    loanAmount = ethers.parseEther("1");
-    duration = 30;
-    interestRate = 5;
-  });
+  const loanAmount = ethers.parseEther("1");
+  const duration = 30;
+  const interestRate = 500; // 5% APR in basis points
+
+  // Payoff a little ahead of the next block; repayLoan hands back whatever is above the payoff
+  async function payoffSoon(lending, loanId) {
+    return lending.getRepayAmountAt(loanId, (await networkHelpers.time.latest()) + 60);
+  }
 
   describe("Loan Requests", function () {
-    it("Should create a loan request", async function () {
-      const stake = ethers.parseEther("2");
-      
-      await lendingPlatform.connect(borrower).createLoanRequest(
-        loanAmount,
-        duration,
-        interestRate,
-        { value: stake }
-      );
-
-      const request = await lendingPlatform.loanRequests(0);
+    it("Should create a loan request and escrow the NFT", async function () {
+      const { borrower, nft, nftAddress, lending, lendingAddress } = await platformFixture();
+
+      await expect(
+        lending.connect(borrower).createLoanRequest(loanAmount, duration, interestRate, nftAddress, 1, ETH, 1)
+      ).to.emit(lending, "LoanRequestCreated");
+
+      const request = await lending.loanRequests(0);
       expect(request.borrower).to.equal(borrower.address);
       expect(request.loanAmount).to.equal(loanAmount);
-      expect(request.duration).to.equal(duration);
-      expect(request.stake).to.equal(stake);
-      expect(request.isActive).to.be.true;
+      expect(request.durationInDays).to.equal(duration);
       expect(request.interestRate).to.equal(interestRate);
+      expect(request.isActive).to.be.true;
+      expect(await nft.ownerOf(1)).to.equal(lendingAddress);
     });
 
-    it("Should revert if collateral is insufficient", async function () {
-      const lowCollateral = ethers.parseEther("0.5");
-      
+    it("Should revert if the borrower does not own the NFT", async function () {
+      const { other, nftAddress, lending } = await platformFixture();
+
       await expect(
-        lendingPlatform.connect(borrower).createLoanRequest(
-          loanAmount,
-          duration,
-          interestRate,
-          { value: lowCollateral }
-        )
-      ).to.be.revertedWith("Insufficient collateral");
+        lending.connect(other).createLoanRequest(loanAmount, duration, interestRate, nftAddress, 1, ETH, 1)
+      ).to.be.revertedWith("Not owner of NFT");
     });
 
     it("Should revert if loan amount is zero", async function () {
-      const stake = ethers.parseEther("2");
-      
+      const { borrower, nftAddress, lending } = await platformFixture();
+
       await expect(
-        lendingPlatform.connect(borrower).createLoanRequest(
-          0,
-          duration,
-          interestRate,
-          { value: stake }
-        )
+        lending.connect(borrower).createLoanRequest(0, duration, interestRate, nftAddress, 1, ETH, 1)
       ).to.be.revertedWith("Loan amount must be greater than 0");
     });
 
     it("Should revert if duration is zero", async function () {
-      const stake = ethers.parseEther("2");
-      
+      const { borrower, nftAddress, lending } = await platformFixture();
+
       await expect(
-        lendingPlatform.connect(borrower).createLoanRequest(
-          loanAmount,
-          0,
-          interestRate,
-          { value: stake }
-        )
+        lending.connect(borrower).createLoanRequest(loanAmount, 0, interestRate, nftAddress, 1, ETH, 1)
       ).to.be.revertedWith("Duration must be greater than 0");
     });
 
     it("Should revert if interest rate is zero", async function () {
-      const stake = ethers.parseEther("2");
-      
+      const { borrower, nftAddress, lending } = await platformFixture();
+
       await expect(
-        lendingPlatform.connect(borrower).createLoanRequest(
-          loanAmount,
-          duration,
-          0,
-          { value: stake }
-        )
-      ).to.be.revertedWith("Interest rate must be greater than 0");
+        lending.connect(borrower).createLoanRequest(loanAmount, duration, 0, nftAddress, 1, ETH, 1)
+      ).to.be.revertedWith("Invalid interest rate");
     });
   });
 
   describe("Loan Funding", function () {
-    beforeEach(async function () {
-      await lendingPlatform.connect(borrower).createLoanRequest(
-        loanAmount,
-        duration,
-        interestRate,
-        { value: ethers.parseEther("2") }
-      );
-    });
+    async function requestFixture() {
+      const ctx = await platformFixture();
+      await ctx.lending.connect(ctx.borrower).createLoanRequest(loanAmount, duration, interestRate, ctx.nftAddress, 1, ETH, 1);
+      return ctx;
+    }
 
     it("Should fund a loan request", async function () {
-      const initialEthPrice = ethers.parseEther("2000");
-      
-      await lendingPlatform.connect(lender).fundLoanRequest(
-        0,
-        initialEthPrice,
-        { value: loanAmount }
-      );
-
-      const loan = await lendingPlatform.activeLoans(0);
+      const { borrower, lender, lending } = await requestFixture();
+
+      await expect(fundAsListed(lending.connect(lender), 0, { value: loanAmount }))
+        .to.emit(lending, "LoanFunded")
+        .withArgs(0, 0, lender.address, borrower.address, loanAmount, anyValue, 1, ETH);
+
+      const loan = await lending.getLoan(0);
       expect(loan.lender).to.equal(lender.address);
       expect(loan.borrower).to.equal(borrower.address);
       expect(loan.loanAmount).to.equal(loanAmount);
       expect(loan.interestRate).to.equal(interestRate);
+      expect(loan.endTime - loan.startTimestamp).to.equal(BigInt(duration * DAY));
     });
 
-    it("Should transfer loan amount to borrower", async function () {
-      const initialEthPrice = ethers.parseEther("2000");
-      const borrowerBalanceBefore = await ethers.provider.getBalance(borrower.address);
-      
-      await lendingPlatform.connect(lender).fundLoanRequest(
-        0,
-        initialEthPrice,
-        { value: loanAmount }
-      );
+    it("Should credit the loan amount to the borrower", async function () {
+      const { borrower, lender, lending } = await requestFixture();
+
+      await fundAsListed(lending.connect(lender), 0, { value: loanAmount });
 
-      const borrowerBalanceAfter = await ethers.provider.getBalance(borrower.address);
-      expect(borrowerBalanceAfter - borrowerBalanceBefore).to.equal(loanAmount);
+      expect(await lending.claimable(borrower.address, ETH)).to.equal(loanAmount);
+      await expect(lending.connect(borrower).withdraw(ETH))
+        .to.emit(lending, "FundsWithdrawn")
+        .withArgs(borrower.address, ETH, loanAmount);
     });
 
     it("Should revert if loan request doesn't exist", async function () {
-      const initialEthPrice = ethers.parseEther("2000");
-      
+      const { lender, lending } = await requestFixture();
+
       await expect(
-        lendingPlatform.connect(lender).fundLoanRequest(
-          999,
-          initialEthPrice,
-          { value: loanAmount }
-        )
+        lending.connect(lender).fundLoanRequest(999, loanAmount, duration, interestRate, { value: loanAmount })
       ).to.be.revertedWith("Request is not active");
     });
 
     it("Should revert if loan request is already funded", async function () {
-      const initialEthPrice = ethers.parseEther("2000");
-      
-      await lendingPlatform.connect(lender).fundLoanRequest(
-        0,
-        initialEthPrice,
-        { value: loanAmount }
-      );
+      const { lender, lending } = await requestFixture();
+
+      await fundAsListed(lending.connect(lender), 0, { value: loanAmount });
 
       await expect(
-        lendingPlatform.connect(lender).fundLoanRequest(
-          0,
-          initialEthPrice,
-          { value: loanAmount }
-        )
+        lending.connect(lender).fundLoanRequest(0, loanAmount, duration, interestRate, { value: loanAmount })
       ).to.be.revertedWith("Request is not active");
     });
 
     it("Should revert if sent value doesn't match loan amount", async function () {
-      const initialEthPrice = ethers.parseEther("2000");
-      
+      const { lender, lending } = await requestFixture();
+
       await expect(
-        lendingPlatform.connect(lender).fundLoanRequest(
-          0,
-          initialEthPrice,
-          { value: ethers.parseEther("0.5") }
-        )
+        fundAsListed(lending.connect(lender), 0, { value: ethers.parseEther("0.5") })
       ).to.be.revertedWith("Must send exact loan amount");
     });
+
+    it("Should revert once the request has expired", async function () {
+      const { lender, lending } = await requestFixture();
+
+      await networkHelpers.time.increase(3 * DAY);
+
+      await expect(
+        fundAsListed(lending.connect(lender), 0, { value: loanAmount })
+      ).to.be.revertedWith("Request expired");
+    });
   });
 
   describe("Loan Repayment", function () {
-    beforeEach(async function () {
-      await lendingPlatform.connect(borrower).createLoanRequest(
-        loanAmount,
-        duration,
-        interestRate,
-        { value: ethers.parseEther("2") }
-      );
-
-      await lendingPlatform.connect(lender).fundLoanRequest(
-        0,
-        ethers.parseEther("2000"),
-        { value: loanAmount }
-      );
-    });
-
-    it("Should repay a loan successfully", async function () {
-      const interest = (loanAmount * BigInt(interestRate)) / BigInt(100);
-      const repaymentAmount = loanAmount + interest;
-      
-      await lendingPlatform.connect(borrower).repayLoan(0, 0, {
-        value: repaymentAmount
-      });
-      
-      const loan = await lendingPlatform.activeLoans(0);
+    it("Should repay a loan and return the NFT to the borrower", async function () {
+      const { borrower, lender, nft, lending } = await ethLoanFixture();
+      const payoff = await payoffSoon(lending, 0);
+
+      await expect(lending.connect(borrower).repayLoan(0, payoff, { value: payoff }))
+        .to.emit(lending, "LoanRepaid")
+        .withArgs(0, borrower.address, lender.address, anyValue, ETH, borrower.address);
+
+      const loan = await lending.getLoan(0);
       expect(loan.isRepaid).to.be.true;
+      expect(await nft.ownerOf(1)).to.equal(borrower.address);
+      expect(await lending.claimable(lender.address, ETH)).to.be.gt(loanAmount);
     });
 
-    it("Should revert if non-borrower tries to repay", async function () {
-      const interest = (loanAmount * BigInt(interestRate)) / BigInt(100);
-      const repaymentAmount = loanAmount + interest;
-      
-      await expect(
-        lendingPlatform.connect(lender).repayLoan(0, 0, {
-          value: repaymentAmount
-        })
-      ).to.be.revertedWith("Only borrower can repay");
+    it("Should let a third party repay on the borrower's behalf", async function () {
+      const { borrower, lender, other, nft, lending } = await ethLoanFixture();
+      const payoff = await payoffSoon(lending, 0);
+
+      const tx = lending.connect(other).repayLoan(0, payoff, { value: payoff });
+      await expect(tx)
+        .to.emit(lending, "LoanPayment")
+        .withArgs(0, borrower.address, anyValue, 0, anyValue, loanAmount, 0, other.address);
+      await expect(tx)
+        .to.emit(lending, "LoanRepaid")
+        .withArgs(0, borrower.address, lender.address, anyValue, ETH, other.address);
+
+      expect((await lending.getLoan(0)).isRepaid).to.be.true;
+      // The collateral goes back to the borrower, never to the payer
+      expect(await nft.ownerOf(1)).to.equal(borrower.address);
+      expect(await lending.claimable(other.address, ETH)).to.equal(0);
+    });
+
+    it("Should record a third party's partial payment without releasing the NFT", async function () {
+      const { borrower, other, nft, lending, lendingAddress } = await ethLoanFixture();
+      const part = ethers.parseEther("0.3");
+
+      await expect(lending.connect(other).repayLoan(0, part, { value: part }))
+        .to.emit(lending, "LoanPayment")
+        .withArgs(0, borrower.address, part, 0, anyValue, anyValue, anyValue, other.address)
+        .and.not.to.emit(lending, "LoanRepaid");
+
+      expect((await lending.getLoan(0)).isRepaid).to.be.false;
+      expect(await nft.ownerOf(1)).to.equal(lendingAddress);
+    });
+
+    it("Should pull an ERC-20 repayment from the payer, not the borrower", async function () {
+      const { owner, borrower, lender, other, nft, nftAddress, lending, lendingAddress, token } = await platformFixture();
+      const tokenAddress = await token.getAddress();
+      const amount = ethers.parseEther("100");
+
+      await lending.connect(owner).setCurrencyAllowed(tokenAddress, true);
+      await lending.connect(borrower).createLoanRequest(amount, duration, interestRate, nftAddress, 1, tokenAddress, 1);
+      await token.connect(lender).approve(lendingAddress, amount);
+      await fundAsListed(lending.connect(lender), 0);
+
+      await token.transfer(other.address, ethers.parseEther("200"));
+      await token.connect(other).approve(lendingAddress, ethers.parseEther("200"));
+      const borrowerBalance = await token.balanceOf(borrower.address);
+      const payoff = await payoffSoon(lending, 0);
+
+      await expect(lending.connect(other).repayLoan(0, payoff))
+        .to.emit(lending, "LoanRepaid")
+        .withArgs(0, borrower.address, lender.address, anyValue, tokenAddress, other.address);
+
+      expect(await token.balanceOf(borrower.address)).to.equal(borrowerBalance);
+      expect(await token.balanceOf(other.address)).to.be.lt(ethers.parseEther("100"));
+      expect(await nft.ownerOf(1)).to.equal(borrower.address);
     });
 
     it("Should revert if loan is already repaid", async function () {
-      const interest = (loanAmount * BigInt(interestRate)) / BigInt(100);
-      const repaymentAmount = loanAmount + interest;
-      
-      await lendingPlatform.connect(borrower).repayLoan(0, 0, {
-        value: repaymentAmount
-      });
+      const { borrower, lending } = await ethLoanFixture();
+      const payoff = await payoffSoon(lending, 0);
+
+      await lending.connect(borrower).repayLoan(0, payoff, { value: payoff });
 
       await expect(
-        lendingPlatform.connect(borrower).repayLoan(0, 0, {
-          value: repaymentAmount
-        })
-      ).to.be.revertedWith("Loan already repaid");
+        lending.connect(borrower).repayLoan(0, payoff, { value: payoff })
+      ).to.be.revertedWith("Loan already closed");
     });
-  });
 
-  describe("Loan Liquidation", function () {
-    beforeEach(async function () {
-      await lendingPlatform.connect(borrower).createLoanRequest(
-        loanAmount,
-        duration,
-        interestRate,
-        { value: ethers.parseEther("2") }
-      );
+    it("Should revert once the grace window has closed", async function () {
+      const { other, lending } = await ethLoanFixture();
+
+      await networkHelpers.time.increase(duration * DAY + 3 * DAY + 1);
 
-      await lendingPlatform.connect(lender).fundLoanRequest(
-        0,
-        ethers.parseEther("2000"),
-        { value: loanAmount }
-      );
+      await expect(
+        lending.connect(other).repayLoan(0, loanAmount, { value: loanAmount })
+      ).to.be.revertedWith("Loan is expired");
     });
+  });
 
+  describe("Loan Liquidation", function () {
     it("Should liquidate expired loan", async function () {
-      await network.provider.send("evm_increaseTime", [duration * 24 * 60 * 60 + 1]);
-      await network.provider.send("evm_mine");
+      const { lender, nft, nftAddress, lending } = await ethLoanFixture();
 
-      const lenderBalanceBefore = await ethers.provider.getBalance(lender.address);
-      
-      await lendingPlatform.connect(owner).liquidateExpiredLoan(0);
+      await networkHelpers.time.increase(duration * DAY + 3 * DAY + 1);
 
-      const lenderBalanceAfter = await ethers.provider.getBalance(lender.address);
-      const loan = await lendingPlatform.activeLoans(0);
+      await expect(lending.connect(lender).liquidateExpiredLoan(0))
+        .to.emit(lending, "LoanLiquidated")
+        .withArgs(0, lender.address, nftAddress, 1);
 
-      expect(loan.isRepaid).to.be.true;
-      expect(lenderBalanceAfter - lenderBalanceBefore).to.equal(ethers.parseEther("2")); // stake amount
+      expect((await lending.getLoan(0)).isRepaid).to.be.true;
+      expect(await nft.ownerOf(1)).to.equal(lender.address);
     });
 
     it("Should revert if loan is not expired", async function () {
+      const { lender, lending } = await ethLoanFixture();
+
       await expect(
-        lendingPlatform.connect(owner).liquidateExpiredLoan(0)
-      ).to.be.revertedWith("Loan is not expired yet");
+        lending.connect(lender).liquidateExpiredLoan(0)
+      ).to.be.revertedWith("Loan not expired");
+    });
+
+    it("Should revert if the caller does not hold the note", async function () {
+      const { other, lending } = await ethLoanFixture();
+
+      await networkHelpers.time.increase(duration * DAY + 3 * DAY + 1);
+
+      await expect(
+        lending.connect(other).liquidateExpiredLoan(0)
+      ).to.be.revertedWith("Only lender can liquidate");
+    });
+  });
+
+  describe("ERC-20 Currencies", function () {
+    const amount = ethers.parseEther("100");
+
+    async function tokenFixture() {
+      const ctx = await platformFixture();
+      const tokenAddress = await ctx.token.getAddress();
+      await ctx.lending.connect(ctx.owner).setCurrencyAllowed(tokenAddress, true);
+      return { ...ctx, tokenAddress };
+    }
+
+    it("Should revert for a currency that is not allowed", async function () {
+      const { borrower, nftAddress, lending, token } = await platformFixture();
+
+      await expect(
+        lending.connect(borrower).createLoanRequest(amount, duration, interestRate, nftAddress, 1, await token.getAddress(), 1)
+      ).to.be.revertedWith("Currency not allowed");
+    });
+
+    it("Should list ETH and every allowed token", async function () {
+      const { lending, tokenAddress } = await tokenFixture();
+
+      expect(await lending.getAllowedCurrencies()).to.deep.equal([ETH, tokenAddress]);
+    });
+
+    it("Should fund, withdraw and repay a token loan", async function () {
+      const { borrower, lender, nft, nftAddress, lending, lendingAddress, token, tokenAddress } = await tokenFixture();
+
+      await lending.connect(borrower).createLoanRequest(amount, duration, interestRate, nftAddress, 1, tokenAddress, 1);
+      await token.connect(lender).approve(lendingAddress, amount);
+      await expect(fundAsListed(lending.connect(lender), 0))
+        .to.emit(lending, "LoanFunded")
+        .withArgs(0, 0, lender.address, borrower.address, amount, nftAddress, 1, tokenAddress);
+
+      expect(await lending.claimable(borrower.address, tokenAddress)).to.equal(amount);
+      await lending.connect(borrower).withdraw(tokenAddress);
+      expect(await token.balanceOf(borrower.address)).to.equal(ethers.parseEther("1100"));
+
+      // Anything above the payoff is not pulled
+      await token.connect(borrower).approve(lendingAddress, ethers.parseEther("101"));
+      await lending.connect(borrower).repayLoan(0, ethers.MaxUint256);
+
+      const credited = await lending.claimable(lender.address, tokenAddress);
+      expect(credited).to.be.gt(amount);
+      expect(credited).to.be.lt(ethers.parseEther("100.001"));
+      expect(await token.balanceOf(borrower.address)).to.equal(ethers.parseEther("1100") - credited);
+      expect(await nft.ownerOf(1)).to.equal(borrower.address);
+    });
+
+    it("Should revert if ETH is sent with a token loan", async function () {
+      const { borrower, lender, nftAddress, lending, lendingAddress, token, tokenAddress } = await tokenFixture();
+
+      await lending.connect(borrower).createLoanRequest(amount, duration, interestRate, nftAddress, 1, tokenAddress, 1);
+      await token.connect(lender).approve(lendingAddress, amount);
+
+      await expect(
+        fundAsListed(lending.connect(lender), 0, { value: 1 })
+      ).to.be.revertedWith("ETH not accepted for token loan");
+    });
+
+    it("Should revert on withdraw with nothing credited", async function () {
+      const { borrower, lending, tokenAddress } = await tokenFixture();
+
+      await expect(lending.connect(borrower).withdraw(tokenAddress)).to.be.revertedWith("Nothing to withdraw");
+    });
+  });
+
+  describe("Collateral Collections", function () {
+    async function secondCollectionFixture() {
+      const ctx = await platformFixture();
+      const nft2 = await ethers.deployContract("TokenNFT");
+      const nft2Address = await nft2.getAddress();
+      await nft2.connect(ctx.borrower).mint();
+      await nft2.connect(ctx.borrower).approve(ctx.lendingAddress, 1);
+      return { ...ctx, nft2, nft2Address };
+    }
+
+    it("Should revert for a collection that is not allowed", async function () {
+      const { borrower, lending, nft2Address } = await secondCollectionFixture();
+
+      await expect(
+        lending.connect(borrower).createLoanRequest(loanAmount, duration, interestRate, nft2Address, 1, ETH, 1)
+      ).to.be.revertedWith("Collection not allowed");
+    });
+
+    it("Should only let the owner allow a collection", async function () {
+      const { owner, lender, nftAddress, lending, nft2Address } = await secondCollectionFixture();
+
+      await expect(lending.connect(lender).setCollectionAllowed(nft2Address, true))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(lending.connect(owner).setCollectionAllowed(nftAddress, true))
+        .to.be.revertedWith("Already set");
+    });
+
+    it("Should escrow and liquidate an NFT from a newly allowed collection", async function () {
+      const { owner, borrower, lender, nftAddress, lending, lendingAddress, nft2, nft2Address } = await secondCollectionFixture();
+
+      await expect(lending.connect(owner).setCollectionAllowed(nft2Address, true))
+        .to.emit(lending, "CollectionAllowed")
+        .withArgs(nft2Address, true);
+      expect(await lending.getAllowedCollections()).to.deep.equal([nftAddress, nft2Address]);
+
+      await lending.connect(borrower).createLoanRequest(loanAmount, 1, interestRate, nft2Address, 1, ETH, 1);
+      expect(await nft2.ownerOf(1)).to.equal(lendingAddress);
+      await fundAsListed(lending.connect(lender), 0, { value: loanAmount });
+
+      await networkHelpers.time.increase(5 * DAY);
+      await lending.connect(lender).liquidateExpiredLoan(0);
+      expect(await nft2.ownerOf(1)).to.equal(lender.address);
+    });
+  });
+
+  describe("Interest Accrual", function () {
+    // Simple interest on the outstanding principal, per second, from an annual rate in basis points
+    function interestFor(principal, seconds) {
+      return (principal * BigInt(interestRate) * BigInt(seconds)) / (10000n * 365n * BigInt(DAY));
+    }
+
+    it("Should accrue interest per second up to the end time", async function () {
+      const { lending } = await ethLoanFixture();
+      const loan = await lending.getLoan(0);
+
+      expect(await lending.getRepayAmountAt(0, loan.startTimestamp)).to.equal(loanAmount);
+      expect(await lending.getRepayAmountAt(0, loan.startTimestamp + 15n * BigInt(DAY)))
+        .to.equal(loanAmount + interestFor(loanAmount, 15 * DAY));
+      expect(await lending.getRepayAmountAt(0, loan.endTime))
+        .to.equal(loanAmount + interestFor(loanAmount, duration * DAY));
+    });
+
+    it("Should charge only the interest accrued when repaid early", async function () {
+      const { borrower, lender, lending } = await ethLoanFixture();
+      const loan = await lending.getLoan(0);
+      const repaidAt = loan.startTimestamp + 10n * BigInt(DAY);
+      const owed = loanAmount + interestFor(loanAmount, 10 * DAY);
+
+      await networkHelpers.time.setNextBlockTimestamp(repaidAt);
+      await lending.connect(borrower).repayLoan(0, owed + ethers.parseEther("0.5"), { value: owed + ethers.parseEther("0.5") });
+
+      expect(await lending.claimable(lender.address, ETH)).to.equal(owed);
+      expect((await lending.getLoan(0)).totalRepaid).to.equal(owed);
+    });
+
+    it("Should revert quotes for a closed loan", async function () {
+      const { borrower, lending } = await ethLoanFixture();
+      const payoff = await payoffSoon(lending, 0);
+
+      await lending.connect(borrower).repayLoan(0, payoff, { value: payoff });
+
+      await expect(lending.getRepayAmount(0)).to.be.revertedWith("Loan already closed");
+    });
+  });
+
+  describe("Partial Payments and Installments", function () {
+    // 90-day loan #0 paid in three installments
+    async function installmentLoanFixture() {
+      const ctx = await platformFixture();
+      await ctx.lending.connect(ctx.borrower).createLoanRequest(loanAmount, 90, interestRate, ctx.nftAddress, 1, ETH, 3);
+      await fundAsListed(ctx.lending.connect(ctx.lender), 0, { value: loanAmount });
+      return ctx;
+    }
+
+    it("Should revert for more installments than days", async function () {
+      const { borrower, nftAddress, lending } = await platformFixture();
+
+      await expect(
+        lending.connect(borrower).createLoanRequest(loanAmount, 2, interestRate, nftAddress, 1, ETH, 3)
+      ).to.be.revertedWith("Invalid installment count");
+    });
+
+    it("Should move to the next due date once an installment is paid", async function () {
+      const { borrower, lending } = await installmentLoanFixture();
+      const loan = await lending.getLoan(0);
+
+      let [dueDate, amountDue] = await lending.getNextInstallment(0);
+      expect(dueDate).to.equal(loan.startTimestamp + 30n * BigInt(DAY));
+      expect(amountDue).to.be.gt(loanAmount / 3n);
+
+      await networkHelpers.time.increase(10 * DAY);
+      await expect(lending.connect(borrower).repayLoan(0, amountDue, { value: amountDue }))
+        .to.emit(lending, "LoanPayment")
+        .and.not.to.emit(lending, "LoanRepaid");
+
+      [dueDate] = await lending.getNextInstallment(0);
+      expect(dueDate).to.equal(loan.startTimestamp + 60n * BigInt(DAY));
+      expect((await lending.getLoan(0)).outstandingPrincipal).to.be.lte(loanAmount - loanAmount / 3n);
+    });
+
+    it("Should close the loan once partial payments cover the payoff", async function () {
+      const { borrower, nft, lending } = await installmentLoanFixture();
+      const part = ethers.parseEther("0.4");
+
+      await lending.connect(borrower).repayLoan(0, part, { value: part });
+      const payoff = await payoffSoon(lending, 0);
+      await expect(lending.connect(borrower).repayLoan(0, payoff, { value: payoff }))
+        .to.emit(lending, "LoanRepaid");
+
+      expect(await nft.ownerOf(1)).to.equal(borrower.address);
+    });
+
+    it("Should allow liquidation after a missed installment", async function () {
+      const { borrower, lender, nft, lending } = await installmentLoanFixture();
+      const [dueDate] = await lending.getNextInstallment(0);
+
+      await networkHelpers.time.increaseTo(dueDate + 3n * BigInt(DAY) + 1n);
+      await expect(lending.connect(borrower).repayLoan(0, 1, { value: 1 })).to.be.revertedWith("Loan is expired");
+
+      await lending.connect(lender).liquidateExpiredLoan(0);
+      expect(await nft.ownerOf(1)).to.equal(lender.address);
+    });
+
+    it("Should revert a zero payment", async function () {
+      const { borrower, lending } = await installmentLoanFixture();
+
+      await expect(lending.connect(borrower).repayLoan(0, 0)).to.be.revertedWith("Repay amount must be greater than 0");
+    });
+  });
+
+  describe("Grace Period and Late Fees", function () {
+    // 60-day loan #0 in two installments of 0.5 ETH principal each
+    async function twoInstallmentFixture() {
+      const ctx = await platformFixture();
+      await ctx.lending.connect(ctx.borrower).createLoanRequest(loanAmount, 60, interestRate, ctx.nftAddress, 1, ETH, 2);
+      await fundAsListed(ctx.lending.connect(ctx.lender), 0, { value: loanAmount });
+      return ctx;
+    }
+
+    it("Should charge a daily late fee on the missed principal during the grace window", async function () {
+      const { lender, lending } = await twoInstallmentFixture();
+      const [dueDate] = await lending.getNextInstallment(0);
+
+      await networkHelpers.time.increaseTo(dueDate + BigInt(DAY));
+      const [inGrace, graceEndsAt, lateFee] = await lending.getLateStatus(0);
+      expect(inGrace).to.be.true;
+      expect(graceEndsAt).to.equal(dueDate + 3n * BigInt(DAY));
+      // 1% per day of the 0.5 ETH missed, one day late
+      expect(lateFee).to.equal(ethers.parseEther("0.005"));
+
+      await expect(lending.connect(lender).liquidateExpiredLoan(0)).to.be.revertedWith("Loan not expired");
+    });
+
+    it("Should clear the late fee once the installment is paid", async function () {
+      const { borrower, lending } = await twoInstallmentFixture();
+      const [dueDate] = await lending.getNextInstallment(0);
+
+      await networkHelpers.time.increaseTo(dueDate + BigInt(DAY));
+      const [, amountDue] = await lending.getNextInstallment(0);
+      const payment = amountDue + ethers.parseEther("0.001");
+      await expect(lending.connect(borrower).repayLoan(0, payment, { value: payment }))
+        .to.emit(lending, "LoanPayment")
+        .withArgs(0, borrower.address, payment, anyValue, anyValue, anyValue, anyValue, borrower.address);
+
+      const [inGrace, , lateFee] = await lending.getLateStatus(0);
+      expect(inGrace).to.be.false;
+      expect(lateFee).to.equal(0);
+      expect((await lending.getLoan(0)).lateFeeOwed).to.equal(0);
+    });
+
+    it("Should keep the policy a loan was funded under", async function () {
+      const { owner, lender, nft, lending } = await twoInstallmentFixture();
+
+      await expect(lending.connect(owner).setLatePolicy(5 * DAY, 200))
+        .to.emit(lending, "LatePolicyUpdated")
+        .withArgs(5 * DAY, 200);
+
+      const [dueDate] = await lending.getNextInstallment(0);
+      await networkHelpers.time.increaseTo(dueDate + 3n * BigInt(DAY) + 1n);
+      await lending.connect(lender).liquidateExpiredLoan(0);
+      expect(await nft.ownerOf(1)).to.equal(lender.address);
+    });
+
+    it("Should revert a late policy above the bounds", async function () {
+      const { owner, lender, lending } = await platformFixture();
+
+      await expect(lending.connect(owner).setLatePolicy(31 * DAY, 100)).to.be.revertedWith("Grace period too long");
+      await expect(lending.connect(owner).setLatePolicy(DAY, 1001)).to.be.revertedWith("Late fee rate too high");
+      await expect(lending.connect(lender).setLatePolicy(DAY, 100)).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
+  describe("Pull Payments", function () {
+    // Loan #0 funded by a contract that rejects ETH
+    async function rejectingLenderFixture() {
+      const ctx = await platformFixture();
+      const rejector = await ethers.deployContract("TokenNFT"); // no receive()
+      const rejectorAddress = await rejector.getAddress();
+      await networkHelpers.impersonateAccount(rejectorAddress);
+      await networkHelpers.setBalance(rejectorAddress, ethers.parseEther("10"));
+      const rejectingLender = await ethers.getSigner(rejectorAddress);
+
+      await ctx.lending.connect(ctx.borrower).createLoanRequest(loanAmount, duration, interestRate, ctx.nftAddress, 1, ETH, 1);
+      await fundAsListed(ctx.lending.connect(rejectingLender), 0, { value: loanAmount });
+      return { ...ctx, rejectingLender };
+    }
+
+    it("Should let the borrower repay when the lender cannot receive ETH", async function () {
+      const { borrower, nft, lending, rejectingLender } = await rejectingLenderFixture();
+      const payoff = await lending.getRepayAmountAt(0, (await networkHelpers.time.latest()) + 1);
+
+      await expect(lending.connect(borrower).repayLoan(0, payoff, { value: payoff })).to.emit(lending, "LoanRepaid");
+
+      expect(await nft.ownerOf(1)).to.equal(borrower.address);
+      expect(await lending.claimable(rejectingLender.address, ETH)).to.equal(payoff);
+    });
+
+    it("Should leave the credit in place when a withdrawal fails", async function () {
+      const { borrower, lending, rejectingLender } = await rejectingLenderFixture();
+      const payoff = await lending.getRepayAmountAt(0, (await networkHelpers.time.latest()) + 1);
+      await lending.connect(borrower).repayLoan(0, payoff, { value: payoff });
+
+      await expect(lending.connect(rejectingLender).withdraw(ETH)).to.be.revertedWith("ETH transfer failed");
+      expect(await lending.claimable(rejectingLender.address, ETH)).to.equal(payoff);
+    });
+
+    it("Should pay out the borrower's credit on withdraw", async function () {
+      const { borrower, lending } = await rejectingLenderFixture();
+      const before = await ethers.provider.getBalance(borrower.address);
+
+      const receipt = await (await lending.connect(borrower).withdraw(ETH)).wait();
+
+      expect(await ethers.provider.getBalance(borrower.address))
+        .to.equal(before + loanAmount - receipt.gasUsed * receipt.gasPrice);
+      expect(await lending.claimable(borrower.address, ETH)).to.equal(0);
+    });
+  });
+
+  describe("Bundled Collateral", function () {
+    // Borrower owns NFTs #1..#5
+    async function fiveNftFixture() {
+      const ctx = await platformFixture();
+      for (let i = 0; i < 3; i++) await ctx.nft.connect(ctx.borrower).mint();
+      return ctx;
+    }
+
+    it("Should escrow every NFT in the bundle and return them on cancel", async function () {
+      const { borrower, nft, nftAddress, lending, lendingAddress } = await fiveNftFixture();
+
+      await expect(lending.connect(borrower).createBundleLoanRequest(100, 10, 500, nftAddress, [1, 2, 3], ETH, 1))
+        .to.emit(lending, "CollateralBundled")
+        .withArgs(0, nftAddress, [1, 2, 3]);
+      expect(await lending.getRequestCollateral(0)).to.deep.equal([1n, 2n, 3n]);
+      for (const tokenId of [1, 2, 3]) expect(await nft.ownerOf(tokenId)).to.equal(lendingAddress);
+
+      await lending.connect(borrower).cancelLoanRequest(0);
+      for (const tokenId of [1, 2, 3]) expect(await nft.ownerOf(tokenId)).to.equal(borrower.address);
+    });
+
+    it("Should revert for a single NFT or a repeated one", async function () {
+      const { borrower, nftAddress, lending } = await fiveNftFixture();
+
+      await expect(lending.connect(borrower).createBundleLoanRequest(100, 10, 500, nftAddress, [1], ETH, 1))
+        .to.be.revertedWith("Invalid bundle size");
+      await expect(lending.connect(borrower).createBundleLoanRequest(100, 10, 500, nftAddress, [1, 1], ETH, 1))
+        .to.be.revertedWith("Not owner of NFT");
+    });
+
+    it("Should return the whole bundle on repayment", async function () {
+      const { borrower, lender, nft, nftAddress, lending } = await fiveNftFixture();
+
+      await lending.connect(borrower).createBundleLoanRequest(100, 10, 500, nftAddress, [1, 2], ETH, 1);
+      await fundAsListed(lending.connect(lender), 0, { value: 100 });
+      expect(await lending.getLoanCollateral(0)).to.deep.equal([1n, 2n]);
+
+      await lending.connect(borrower).repayLoan(0, 200, { value: 200 });
+      for (const tokenId of [1, 2]) expect(await nft.ownerOf(tokenId)).to.equal(borrower.address);
+    });
+
+    it("Should transfer the whole bundle on liquidation", async function () {
+      const { borrower, lender, nft, nftAddress, lending } = await fiveNftFixture();
+
+      await lending.connect(borrower).createBundleLoanRequest(100, 10, 500, nftAddress, [3, 4, 5], ETH, 1);
+      await fundAsListed(lending.connect(lender), 0, { value: 100 });
+      await networkHelpers.time.increase(20 * DAY);
+
+      await lending.connect(lender).liquidateExpiredLoan(0);
+      for (const tokenId of [3, 4, 5]) expect(await nft.ownerOf(tokenId)).to.equal(lender.address);
+    });
+
+    it("Should report a single NFT request as a one-item bundle", async function () {
+      const { borrower, nftAddress, lending } = await fiveNftFixture();
+
+      await lending.connect(borrower).createLoanRequest(100, 10, 500, nftAddress, 4, ETH, 1);
+      expect(await lending.getRequestCollateral(0)).to.deep.equal([4n]);
+    });
+  });
+
+  describe("Loan-to-Value Limits", function () {
+    // Oracle set: the collection floor is 2 ETH, NFT #2 is appraised at 1 ETH; max LTV is the default 70%
+    async function oracleFixture() {
+      const ctx = await platformFixture();
+      const oracle = await ethers.deployContract("MockPriceOracle");
+      const oracleAddress = await oracle.getAddress();
+      await expect(ctx.lending.connect(ctx.owner).setPriceOracle(oracleAddress))
+        .to.emit(ctx.lending, "PriceOracleUpdated")
+        .withArgs(oracleAddress);
+      await oracle.setCollectionPrice(ctx.nftAddress, ETH, ethers.parseEther("2"));
+      await oracle.setTokenPrice(ctx.nftAddress, 2, ETH, ethers.parseEther("1"));
+      return { ...ctx, oracle };
+    }
+
+    it("Should only let the owner set the oracle and max LTV", async function () {
+      const { owner, borrower, lending } = await platformFixture();
+
+      await expect(lending.connect(borrower).setPriceOracle(borrower.address)).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(lending.connect(owner).setMaxLtv(10001)).to.be.revertedWith("Invalid max LTV");
+      await expect(lending.connect(owner).setMaxLtv(5000)).to.emit(lending, "MaxLtvUpdated").withArgs(5000);
+    });
+
+    it("Should allow a request up to max LTV of the appraisal", async function () {
+      const { borrower, nftAddress, lending } = await oracleFixture();
+
+      await lending.connect(borrower).createLoanRequest(ethers.parseEther("1.4"), duration, interestRate, nftAddress, 1, ETH, 1);
+      expect((await lending.loanRequests(0)).loanAmount).to.equal(ethers.parseEther("1.4"));
+    });
+
+    it("Should prefer a token's own appraisal over the collection floor", async function () {
+      const { borrower, nftAddress, lending } = await oracleFixture();
+
+      await expect(lending.connect(borrower).createLoanRequest(loanAmount, duration, interestRate, nftAddress, 2, ETH, 1))
+        .to.be.revertedWith("Loan exceeds max LTV");
+    });
+
+    it("Should appraise a bundle as the sum of its NFTs", async function () {
+      const { borrower, nftAddress, lending } = await oracleFixture();
+
+      // 2 ETH + 1 ETH at 70%
+      await lending.connect(borrower).createBundleLoanRequest(ethers.parseEther("2.1"), duration, interestRate, nftAddress, [1, 2], ETH, 1);
+      expect(await lending.getRequestCollateral(0)).to.deep.equal([1n, 2n]);
+    });
+
+    it("Should revert for collateral without an appraisal", async function () {
+      const { owner, borrower, nftAddress, lending } = await platformFixture();
+      const oracle = await ethers.deployContract("MockPriceOracle");
+      await lending.connect(owner).setPriceOracle(await oracle.getAddress());
+
+      await expect(lending.connect(borrower).createLoanRequest(loanAmount, duration, interestRate, nftAddress, 1, ETH, 1))
+        .to.be.revertedWith("Collateral has no appraisal");
+    });
+
+    it("Should stop checking once the oracle is removed", async function () {
+      const { owner, borrower, nftAddress, lending } = await oracleFixture();
+
+      await lending.connect(owner).setPriceOracle(ETH);
+      await lending.connect(borrower).createLoanRequest(ethers.parseEther("5"), duration, interestRate, nftAddress, 2, ETH, 1);
     });
   });
-});
\ No newline at end of file
+});
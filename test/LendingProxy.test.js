@@ -0,0 +1,63 @@
+import { expect } from "chai";
+
+import { ethers, networkHelpers, ETH, DAY, platformFixture, ethLoanFixture } from "./fixtures.js";
+
+describe("LendingProxy", function () {
+  // ERC-1967 implementation slot: bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+  const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+  async function implementationOf(proxyAddress) {
+    const slot = await ethers.provider.getStorage(proxyAddress, IMPLEMENTATION_SLOT);
+    return ethers.getAddress(ethers.dataSlice(slot, 12));
+  }
+
+  describe("Initialization", function () {
+    it("Should set the owner, treasury and defaults through the proxy", async function () {
+      const { owner, nftAddress, lending } = await platformFixture();
+
+      expect(await lending.owner()).to.equal(owner.address);
+      expect(await lending.treasury()).to.equal(owner.address);
+      expect(await lending.maxInterestRate()).to.equal(3000);
+      expect(await lending.gracePeriod()).to.equal(3 * DAY);
+      expect(await lending.allowedCollections(nftAddress)).to.be.true;
+    });
+
+    it("Should not initialize twice, nor the implementation itself", async function () {
+      const { nftAddress, lending, lendingAddress } = await platformFixture();
+      const implementation = await ethers.getContractAt("LendingPlatform", await implementationOf(lendingAddress));
+
+      await expect(lending.initialize(nftAddress)).to.be.revertedWith("Initializable: contract is already initialized");
+      await expect(implementation.initialize(nftAddress)).to.be.revertedWith("Initializable: contract is already initialized");
+    });
+  });
+
+  describe("Upgrades", function () {
+    it("Should only let the owner upgrade", async function () {
+      const { other, lending } = await platformFixture();
+      const implementation = await ethers.deployContract("LendingPlatform");
+
+      await expect(lending.connect(other).upgradeTo(await implementation.getAddress())).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should keep state, escrow and module routing across an upgrade", async function () {
+      const { owner, borrower, lender, nft, lending, lendingAddress } = await ethLoanFixture();
+      const implementation = await ethers.deployContract("LendingPlatform");
+      const implementationAddress = await implementation.getAddress();
+
+      await expect(lending.connect(owner).upgradeTo(implementationAddress))
+        .to.emit(lending, "Upgraded")
+        .withArgs(implementationAddress);
+      expect(await implementationOf(lendingAddress)).to.equal(implementationAddress);
+
+      expect(await nft.ownerOf(1)).to.equal(lendingAddress);
+      expect((await lending.getLoan(0)).borrower).to.equal(borrower.address);
+      // Served by LendingViews through the fallback
+      expect((await lending.getRequestsPage(0, 10, 0, ETH, ETH))[1][0].durationInDays).to.equal(30);
+
+      const payoff = await lending.getRepayAmountAt(0, (await networkHelpers.time.latest()) + 1);
+      await lending.connect(borrower).repayLoan(0, payoff, { value: payoff });
+      expect(await nft.ownerOf(1)).to.equal(borrower.address);
+      expect(await lending.claimable(lender.address, ETH)).to.equal(payoff);
+    });
+  });
+});
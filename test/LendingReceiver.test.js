@@ -0,0 +1,75 @@
+import { expect } from "chai";
+
+import { ethers, ETH, platformFixture } from "./fixtures.js";
+
+describe("LendingReceiver", function () {
+  // abi.encode(loanAmount, durationInDays, interestRate, currency, installmentCount)
+  function terms(loanAmount, interestRate = 500, currency = ETH) {
+    return ethers.AbiCoder.defaultAbiCoder().encode(
+      ["uint256", "uint256", "uint256", "address", "uint256"],
+      [loanAmount, 30, interestRate, currency, 1],
+    );
+  }
+
+  // Approval for all revoked: `send` moves a borrower NFT to the platform with `data` attached
+  async function transferFixture() {
+    const ctx = await platformFixture();
+    await ctx.nft.connect(ctx.borrower).setApprovalForAll(ctx.lendingAddress, false);
+    const send = (tokenId, data, nft = ctx.nft) =>
+      nft.connect(ctx.borrower)["safeTransferFrom(address,address,uint256,bytes)"](ctx.borrower.address, ctx.lendingAddress, tokenId, data);
+    return { ...ctx, send };
+  }
+
+  it("Should open a request for the sender of the NFT", async function () {
+    const { borrower, nft, nftAddress, lending, lendingAddress, send } = await transferFixture();
+
+    await expect(send(1, terms(100))).to.emit(lending, "LoanRequestCreated");
+
+    expect(await nft.ownerOf(1)).to.equal(lendingAddress);
+    const request = await lending.loanRequests(0);
+    expect(request.borrower).to.equal(borrower.address);
+    expect(request.loanAmount).to.equal(100);
+    expect(request.durationInDays).to.equal(30);
+    expect(request.collateralCollection).to.equal(nftAddress);
+    expect(request.collateralTokenId).to.equal(1);
+  });
+
+  it("Should return the NFT when the request is cancelled", async function () {
+    const { borrower, nft, lending, send } = await transferFixture();
+
+    await send(1, terms(100));
+    await lending.connect(borrower).cancelLoanRequest(0);
+
+    expect(await nft.ownerOf(1)).to.equal(borrower.address);
+  });
+
+  it("Should reject transfers without valid terms", async function () {
+    const { borrower, nft, lendingAddress, send } = await transferFixture();
+
+    await expect(nft.connect(borrower)["safeTransferFrom(address,address,uint256)"](borrower.address, lendingAddress, 1))
+      .to.be.revertedWith("Missing loan terms");
+    await expect(send(1, "0x1234")).to.be.revertedWith("Invalid loan terms");
+    await expect(send(1, terms(100, 9999))).to.be.revertedWith("Invalid interest rate");
+  });
+
+  it("Should reject collections that are not allowed", async function () {
+    const { borrower, send } = await transferFixture();
+    const otherNft = await ethers.deployContract("TokenNFT");
+    await otherNft.connect(borrower).mint();
+
+    await expect(send(1, terms(100), otherNft)).to.be.revertedWith("Collection not allowed");
+  });
+
+  it("Should revert when called directly rather than by a collection", async function () {
+    const { owner, lending } = await transferFixture();
+
+    await expect(lending.onERC721Received(owner.address, owner.address, 2, terms(100))).to.be.revert(ethers);
+  });
+
+  it("Should reject transfers while paused", async function () {
+    const { owner, lending, send } = await transferFixture();
+
+    await lending.connect(owner).pause();
+    await expect(send(1, terms(100))).to.be.revertedWith("Pausable: paused");
+  });
+});
@@ -0,0 +1,96 @@
+import { expect } from "chai";
+
+import { ethers, networkHelpers, ETH, DAY, ethLoanFixture } from "./fixtures.js";
+
+describe("LendingRefinance", function () {
+  // Loan #0 with new terms proposed: 30 more days at 6%
+  async function proposalFixture() {
+    const ctx = await ethLoanFixture();
+    const newEndTime = (await ctx.lending.getLoan(0)).endTime + 30n * BigInt(DAY);
+    await ctx.lending.connect(ctx.borrower).proposeTerms(0, newEndTime, 600);
+    return { ...ctx, newEndTime };
+  }
+
+  describe("Proposals", function () {
+    it("Should revert unless the borrower proposes a later end time", async function () {
+      const { borrower, other, lending } = await ethLoanFixture();
+      const { endTime } = await lending.getLoan(0);
+
+      await expect(lending.connect(other).proposeTerms(0, endTime + 1n, 600)).to.be.revertedWith("Only borrower can propose");
+      await expect(lending.connect(borrower).proposeTerms(0, endTime, 600)).to.be.revertedWith("New end time must be later");
+      await expect(lending.connect(borrower).proposeTerms(0, endTime + 1n, 9999)).to.be.revertedWith("Interest rate too high");
+    });
+
+    it("Should let the borrower cancel a proposal", async function () {
+      const { borrower, lender, lending, newEndTime } = await proposalFixture();
+
+      await expect(lending.connect(borrower).cancelTermsProposal(0)).to.emit(lending, "TermsProposalCancelled");
+      await expect(lending.connect(lender).approveExtension(0, newEndTime, 600)).to.be.revertedWith("No active proposal");
+    });
+  });
+
+  describe("Extensions", function () {
+    it("Should move the end time and rate once the lender approves", async function () {
+      const { lender, lending, newEndTime } = await proposalFixture();
+
+      await networkHelpers.time.increase(10 * DAY);
+      await expect(lending.connect(lender).approveExtension(0, newEndTime, 600)).to.emit(lending, "LoanExtended");
+
+      const loan = await lending.getLoan(0);
+      expect(loan.endTime).to.equal(newEndTime);
+      expect(loan.interestRate).to.equal(600);
+      // Interest at the old rate is settled up to the approval
+      expect(loan.interestOwed).to.be.gt(0);
+      expect((await lending.termsProposals(0)).isActive).to.be.false;
+    });
+
+    it("Should revert for anyone but the lender", async function () {
+      const { other, lending, newEndTime } = await proposalFixture();
+
+      await expect(lending.connect(other).approveExtension(0, newEndTime, 600)).to.be.revertedWith("Only lender can approve");
+    });
+
+    it("Should revert if the proposal changed after the lender reviewed it", async function () {
+      const { borrower, lender, lending, newEndTime } = await proposalFixture();
+
+      await lending.connect(borrower).proposeTerms(0, newEndTime * 2n, 0);
+
+      await expect(lending.connect(lender).approveExtension(0, newEndTime, 600)).to.be.revertedWith("Proposal changed");
+    });
+  });
+
+  describe("Refinancing", function () {
+    it("Should pay off the old lender and hand the loan to the new one", async function () {
+      const { lender, other, nft, lending, lendingAddress, newEndTime } = await proposalFixture();
+      const payoff = await lending.getRepayAmountAt(0, (await networkHelpers.time.latest()) + 1);
+
+      await expect(lending.connect(other).refinanceLoan(0, newEndTime, 600, { value: payoff + ethers.parseEther("0.1") }))
+        .to.emit(lending, "LoanRefinanced")
+        .withArgs(0, lender.address, other.address, payoff, newEndTime, 600);
+
+      expect(await lending.claimable(lender.address, ETH)).to.equal(payoff);
+      const loan = await lending.getLoan(0);
+      expect(loan.lender).to.equal(other.address);
+      expect(loan.outstandingPrincipal).to.equal(payoff);
+      expect(loan.interestRate).to.equal(600);
+      expect(await nft.ownerOf(1)).to.equal(lendingAddress);
+      expect(await lending.lenderOf(0)).to.equal(other.address);
+    });
+
+    it("Should revert for the current lender or the borrower", async function () {
+      const { borrower, lender, lending, newEndTime } = await proposalFixture();
+
+      await expect(lending.connect(lender).refinanceLoan(0, newEndTime, 600)).to.be.revertedWith("Not a new lender");
+      await expect(lending.connect(borrower).refinanceLoan(0, newEndTime, 600)).to.be.revertedWith("Not a new lender");
+    });
+
+    it("Should revert if the proposal changed or the payoff is short", async function () {
+      const { other, lending, newEndTime } = await proposalFixture();
+
+      await expect(lending.connect(other).refinanceLoan(0, newEndTime, 500, { value: ethers.parseEther("2") }))
+        .to.be.revertedWith("Proposal changed");
+      await expect(lending.connect(other).refinanceLoan(0, newEndTime, 600, { value: 1 }))
+        .to.be.revertedWith("Must send payoff amount");
+    });
+  });
+});
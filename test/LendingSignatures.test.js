@@ -0,0 +1,100 @@
+import { expect } from "chai";
+
+import { ethers, networkHelpers, ETH, platformFixture } from "./fixtures.js";
+
+describe("LendingSignatures", function () {
+  const one = ethers.parseEther("1");
+
+  // Same shape as LoanTypes.SignedLoanRequest and scripts/orderbook.js
+  const types = {
+    LoanRequest: [
+      { name: "borrower", type: "address" },
+      { name: "collection", type: "address" },
+      { name: "tokenId", type: "uint256" },
+      { name: "currency", type: "address" },
+      { name: "loanAmount", type: "uint256" },
+      { name: "durationInDays", type: "uint256" },
+      { name: "interestRate", type: "uint256" },
+      { name: "installmentCount", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  };
+
+  // NFT #1 offered for 1 ETH over 30 days at 5%, signed by the borrower under nonce 7
+  async function signedRequestFixture() {
+    const ctx = await platformFixture();
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = { name: "DLoan", version: "1", chainId, verifyingContract: ctx.lendingAddress };
+    const sign = (request) => ctx.borrower.signTypedData(domain, types, request);
+
+    const request = {
+      borrower: ctx.borrower.address,
+      collection: ctx.nftAddress,
+      tokenId: 1n,
+      currency: ETH,
+      loanAmount: one,
+      durationInDays: 30n,
+      interestRate: 500n,
+      installmentCount: 1n,
+      nonce: 7n,
+      deadline: BigInt(await networkHelpers.time.latest()) + 3600n,
+    };
+    return { ...ctx, domain, sign, request, signature: await sign(request) };
+  }
+
+  it("Should use the platform's EIP-712 domain", async function () {
+    const { lending, domain } = await signedRequestFixture();
+
+    expect(await lending.domainSeparator()).to.equal(ethers.TypedDataEncoder.hashDomain(domain));
+  });
+
+  it("Should escrow the NFT, pay the borrower and start the loan in one transaction", async function () {
+    const { borrower, lender, nft, lending, lendingAddress, request, signature } = await signedRequestFixture();
+
+    await expect(lending.connect(lender).fillSignedRequest(request, signature, { value: one }))
+      .to.emit(lending, "SignedRequestFilled")
+      .withArgs(borrower.address, 7, lender.address, 0, 0);
+
+    expect(await nft.ownerOf(1)).to.equal(lendingAddress);
+    expect(await lending.claimable(borrower.address, ETH)).to.equal(one);
+    expect((await lending.getLoan(0)).lender).to.equal(lender.address);
+  });
+
+  it("Should revert for terms the borrower did not sign", async function () {
+    const { lender, lending, request, signature } = await signedRequestFixture();
+
+    await expect(lending.connect(lender).fillSignedRequest({ ...request, loanAmount: 2n * one }, signature, { value: 2n * one }))
+      .to.be.revertedWith("Invalid signature");
+  });
+
+  it("Should not fill the same signature twice", async function () {
+    const { lender, other, lending, request, signature } = await signedRequestFixture();
+
+    await lending.connect(lender).fillSignedRequest(request, signature, { value: one });
+
+    await expect(lending.connect(other).fillSignedRequest(request, signature, { value: one }))
+      .to.be.revertedWith("Nonce already used");
+  });
+
+  it("Should not fill a cancelled nonce", async function () {
+    const { borrower, lender, lending, request, signature } = await signedRequestFixture();
+
+    await expect(lending.connect(borrower).cancelSignedRequest(7))
+      .to.emit(lending, "SignedRequestCancelled")
+      .withArgs(borrower.address, 7);
+
+    await expect(lending.connect(lender).fillSignedRequest(request, signature, { value: one }))
+      .to.be.revertedWith("Nonce already used");
+  });
+
+  it("Should revert after the deadline or for the borrower", async function () {
+    const { borrower, lender, lending, sign, request } = await signedRequestFixture();
+    const expired = { ...request, deadline: 1n };
+
+    await expect(lending.connect(lender).fillSignedRequest(expired, await sign(expired), { value: one }))
+      .to.be.revertedWith("Signature expired");
+    await expect(lending.connect(borrower).fillSignedRequest(request, await sign(request), { value: one }))
+      .to.be.revertedWith("Borrower cannot fund own request");
+  });
+});
@@ -0,0 +1,113 @@
+import { expect } from "chai";
+
+import { networkHelpers, DAY, ethLoanFixture } from "./fixtures.js";
+
+describe("LendingSubstitution", function () {
+  // Loan #0 against NFT #1; the borrower also holds NFTs #2..#4
+  async function loanWithSpareNftsFixture() {
+    const ctx = await ethLoanFixture();
+    for (let i = 0; i < 2; i++) await ctx.nft.connect(ctx.borrower).mint();
+    return ctx;
+  }
+
+  describe("Proposing", function () {
+    it("Should record the proposal and let a new one replace it", async function () {
+      const { borrower, nftAddress, lending } = await loanWithSpareNftsFixture();
+
+      await expect(lending.connect(borrower).proposeCollateralSwap(0, nftAddress, [2]))
+        .to.emit(lending, "CollateralSwapProposed")
+        .withArgs(0, borrower.address, nftAddress, [2]);
+      await lending.connect(borrower).proposeCollateralSwap(0, nftAddress, [3, 4]);
+
+      const swap = await lending.getCollateralSwap(0);
+      expect(swap.collection).to.equal(nftAddress);
+      expect(swap.tokenIds).to.deep.equal([3n, 4n]);
+      expect(swap.isActive).to.be.true;
+      // No oracle set, so no appraisal
+      expect(swap.value).to.equal(0);
+    });
+
+    it("Should revert for anyone but the borrower or an empty bundle", async function () {
+      const { borrower, other, nftAddress, lending } = await loanWithSpareNftsFixture();
+
+      await expect(lending.connect(other).proposeCollateralSwap(0, nftAddress, [2])).to.be.revertedWith("Only borrower can propose");
+      await expect(lending.connect(borrower).proposeCollateralSwap(0, nftAddress, [])).to.be.revertedWith("Invalid bundle size");
+      await expect(lending.connect(borrower).proposeCollateralSwap(0, other.address, [2])).to.be.revertedWith("Collection not allowed");
+    });
+
+    it("Should revert once the loan is past grace", async function () {
+      const { borrower, nftAddress, lending } = await loanWithSpareNftsFixture();
+
+      await networkHelpers.time.increase(34 * DAY);
+      await expect(lending.connect(borrower).proposeCollateralSwap(0, nftAddress, [2])).to.be.revertedWith("Loan is expired");
+    });
+
+    it("Should let the borrower cancel", async function () {
+      const { borrower, nftAddress, lending } = await loanWithSpareNftsFixture();
+
+      await lending.connect(borrower).proposeCollateralSwap(0, nftAddress, [2]);
+      await expect(lending.connect(borrower).cancelCollateralSwap(0))
+        .to.emit(lending, "CollateralSwapCancelled")
+        .withArgs(0, borrower.address);
+      expect((await lending.getCollateralSwap(0)).isActive).to.be.false;
+      await expect(lending.connect(borrower).cancelCollateralSwap(0)).to.be.revertedWith("No active proposal");
+    });
+  });
+
+  describe("Accepting", function () {
+    it("Should escrow the new collateral and return the old", async function () {
+      const { borrower, lender, nft, nftAddress, lending, lendingAddress } = await loanWithSpareNftsFixture();
+
+      await lending.connect(borrower).proposeCollateralSwap(0, nftAddress, [3, 4]);
+      await expect(lending.connect(lender).acceptCollateralSwap(0, nftAddress, [3, 4]))
+        .to.emit(lending, "CollateralSubstituted")
+        .withArgs(0, lender.address, nftAddress, [1], nftAddress, [3, 4]);
+
+      expect(await nft.ownerOf(1)).to.equal(borrower.address);
+      expect(await nft.ownerOf(3)).to.equal(lendingAddress);
+      expect(await nft.ownerOf(4)).to.equal(lendingAddress);
+      expect(await lending.getLoanCollateral(0)).to.deep.equal([3n, 4n]);
+      expect((await lending.getCollateralSwap(0)).isActive).to.be.false;
+    });
+
+    it("Should release the new collateral on repayment", async function () {
+      const { borrower, lender, nft, nftAddress, lending } = await loanWithSpareNftsFixture();
+
+      await lending.connect(borrower).proposeCollateralSwap(0, nftAddress, [2]);
+      await lending.connect(lender).acceptCollateralSwap(0, nftAddress, [2]);
+      const payoff = await lending.getRepayAmountAt(0, (await networkHelpers.time.latest()) + 1);
+      await lending.connect(borrower).repayLoan(0, payoff, { value: payoff });
+
+      expect(await nft.ownerOf(1)).to.equal(borrower.address);
+      expect(await nft.ownerOf(2)).to.equal(borrower.address);
+    });
+
+    it("Should revert for anyone but the lender or for collateral other than proposed", async function () {
+      const { borrower, lender, nftAddress, lending } = await loanWithSpareNftsFixture();
+
+      await expect(lending.connect(lender).acceptCollateralSwap(0, nftAddress, [2])).to.be.revertedWith("No active proposal");
+      await lending.connect(borrower).proposeCollateralSwap(0, nftAddress, [3, 4]);
+      await expect(lending.connect(borrower).acceptCollateralSwap(0, nftAddress, [3, 4])).to.be.revertedWith("Only lender can accept");
+      await expect(lending.connect(lender).acceptCollateralSwap(0, nftAddress, [2])).to.be.revertedWith("Proposal changed");
+    });
+
+    it("Should revert once the borrower no longer holds the proposed NFT", async function () {
+      const { borrower, lender, other, nft, nftAddress, lending } = await loanWithSpareNftsFixture();
+
+      await lending.connect(borrower).proposeCollateralSwap(0, nftAddress, [2]);
+      await nft.connect(borrower).transferFrom(borrower.address, other.address, 2);
+
+      await expect(lending.connect(lender).acceptCollateralSwap(0, nftAddress, [2])).to.be.revertedWith("Borrower no longer owns NFT");
+    });
+
+    it("Should follow the note to a new holder", async function () {
+      const { borrower, lender, other, note, nftAddress, lending } = await loanWithSpareNftsFixture();
+
+      await note.connect(lender).transferFrom(lender.address, other.address, 0);
+      await lending.connect(borrower).proposeCollateralSwap(0, nftAddress, [2]);
+
+      await expect(lending.connect(lender).acceptCollateralSwap(0, nftAddress, [2])).to.be.revertedWith("Only lender can accept");
+      await expect(lending.connect(other).acceptCollateralSwap(0, nftAddress, [2])).to.emit(lending, "CollateralSubstituted");
+    });
+  });
+});
@@ -0,0 +1,194 @@
+import { expect } from "chai";
+
+import { ethers, networkHelpers, ETH, DAY, platformFixture, fundAsListed, fundShareAsListed } from "./fixtures.js";
+
+describe("LendingSyndication", function () {
+  // Request #0 for 900 wei over 10 days against NFT #1
+  async function requestFixture() {
+    const ctx = await platformFixture();
+    await ctx.lending.connect(ctx.borrower).createLoanRequest(900, 10, 500, ctx.nftAddress, 1, ETH, 1);
+    return ctx;
+  }
+
+  // Request #0 filled 600 / 100 / 200 by lender, owner and other (loan #0)
+  async function syndicatedLoanFixture() {
+    const ctx = await requestFixture();
+    const { owner, lender, other, lending } = ctx;
+    await fundShareAsListed(lending.connect(lender), 0, 600, { value: 600 });
+    await fundShareAsListed(lending.connect(owner), 0, 100, { value: 100 });
+    await fundShareAsListed(lending.connect(other), 0, 200, { value: 200 });
+    return ctx;
+  }
+
+  // The syndicated loan a day past its grace window
+  async function defaultedFixture() {
+    const ctx = await syndicatedLoanFixture();
+    await networkHelpers.time.increase(14 * DAY);
+    return ctx;
+  }
+
+  describe("Funding", function () {
+    it("Should hold shares in escrow until the request is filled", async function () {
+      const { borrower, lender, other, lending, lendingAddress } = await requestFixture();
+
+      await expect(fundShareAsListed(lending.connect(lender), 0, 600, { value: 600 }))
+        .to.emit(lending, "LoanShareFunded")
+        .withArgs(0, lender.address, 600, 600);
+      expect(await lending.claimable(borrower.address, ETH)).to.equal(0);
+
+      await expect(fundShareAsListed(lending.connect(other), 0, 300, { value: 300 }))
+        .to.emit(lending, "SyndicatedLoanStarted")
+        .withArgs(0, 0, 2);
+      expect(await lending.claimable(borrower.address, ETH)).to.equal(900);
+      // The platform holds the note for the syndicate
+      expect(await lending.lenderOf(0)).to.equal(lendingAddress);
+
+      const [lenders, shares, funded] = await lending.getSyndicate(0);
+      expect(lenders).to.deep.equal([lender.address, other.address]);
+      expect(shares).to.deep.equal([600n, 300n]);
+      expect(funded).to.equal(900);
+    });
+
+    it("Should revert above the remaining amount or for the borrower", async function () {
+      const { borrower, lender, lending } = await requestFixture();
+
+      await expect(fundShareAsListed(lending.connect(lender), 0, 1000, { value: 1000 })).to.be.revertedWith("Exceeds remaining amount");
+      await expect(fundShareAsListed(lending.connect(borrower), 0, 100, { value: 100 })).to.be.revertedWith("Borrower cannot fund own request");
+    });
+
+    it("Should revert a share below the minimum unless it fills the request", async function () {
+      const { lender, other, lending } = await requestFixture();
+      // MIN_SYNDICATE_SHARE (5%) of 900
+      const minShare = 45;
+
+      await expect(fundShareAsListed(lending.connect(other), 0, minShare - 1, { value: minShare - 1 }))
+        .to.be.revertedWith("Share below minimum size");
+      await fundShareAsListed(lending.connect(lender), 0, 870, { value: 870 });
+
+      // 30 left: less is still too small, all of it completes the request
+      await expect(fundShareAsListed(lending.connect(other), 0, 20, { value: 20 }))
+        .to.be.revertedWith("Share below minimum size");
+      await expect(fundShareAsListed(lending.connect(other), 0, 30, { value: 30 }))
+        .to.emit(lending, "SyndicatedLoanStarted");
+    });
+
+    it("Should return a share withdrawn before the request fills", async function () {
+      const { other, lending } = await requestFixture();
+
+      await fundShareAsListed(lending.connect(other), 0, 200, { value: 200 });
+      await expect(lending.connect(other).withdrawLoanShare(0))
+        .to.emit(lending, "LoanShareWithdrawn")
+        .withArgs(0, other.address, 200);
+
+      expect((await lending.getSyndicate(0))[2]).to.equal(0);
+      await expect(lending.connect(other).withdrawLoanShare(0)).to.be.revertedWith("No share to withdraw");
+    });
+
+    it("Should refund partial shares when one lender funds the whole request", async function () {
+      const { lender, other, lending } = await requestFixture();
+
+      await fundShareAsListed(lending.connect(other), 0, 50, { value: 50 });
+      await fundAsListed(lending.connect(lender), 0, { value: 900 });
+
+      expect((await lending.getSyndicate(0))[2]).to.equal(0);
+      expect(await lending.claimable(other.address, ETH)).to.equal(50);
+      expect(await lending.lenderOf(0)).to.equal(lender.address);
+    });
+  });
+
+  describe("Repayment", function () {
+    it("Should split repayments by share", async function () {
+      const { owner, borrower, lender, other, lending } = await syndicatedLoanFixture();
+
+      await lending.connect(borrower).repayLoan(0, 450, { value: 450 });
+
+      expect(await lending.claimable(lender.address, ETH)).to.equal(300);
+      expect(await lending.claimable(owner.address, ETH)).to.equal(50);
+      expect(await lending.claimable(other.address, ETH)).to.equal(100);
+    });
+  });
+
+  describe("Collateral Sale", function () {
+    it("Should sell to anyone once the lenders approve, split by share", async function () {
+      const { owner, lender, other, nft, lending } = await defaultedFixture();
+      const buyer = (await ethers.getSigners())[5];
+
+      await expect(lending.connect(other).proposeCollateralSale(0, 300)).to.emit(lending, "CollateralSaleProposed");
+      await expect(lending.connect(lender).approveCollateralSale(0)).to.emit(lending, "CollateralSaleVoted");
+
+      await expect(lending.connect(buyer).buySyndicatedCollateral(0, { value: 300 }))
+        .to.emit(lending, "SyndicatedCollateralSold")
+        .withArgs(0, buyer.address, 300);
+      expect(await nft.ownerOf(1)).to.equal(buyer.address);
+      expect(await lending.claimable(lender.address, ETH)).to.equal(200);
+      expect(await lending.claimable(owner.address, ETH)).to.equal(33);
+      // The last lender takes the rounding dust
+      expect(await lending.claimable(other.address, ETH)).to.equal(67);
+    });
+
+    it("Should revert before approval, for outsiders and for double votes", async function () {
+      const { borrower, other, lending } = await defaultedFixture();
+
+      await expect(lending.connect(borrower).proposeCollateralSale(0, 300)).to.be.revertedWith("Not a syndicate lender");
+      await lending.connect(other).proposeCollateralSale(0, 300);
+      await expect(lending.buySyndicatedCollateral(0, { value: 300 })).to.be.revertedWith("Sale not approved");
+      await expect(lending.connect(other).approveCollateralSale(0)).to.be.revertedWith("Already voted");
+    });
+
+    it("Should revert before the loan defaults", async function () {
+      const { other, lending } = await syndicatedLoanFixture();
+
+      await expect(lending.connect(other).proposeCollateralSale(0, 300)).to.be.revertedWith("Loan not expired");
+    });
+
+    it("Should lock a sale round against re-proposals", async function () {
+      const { lender, other, lending } = await defaultedFixture();
+      const period = Number(await lending.SALE_ROUND_PERIOD());
+
+      await lending.connect(other).proposeCollateralSale(0, 300);
+      await expect(lending.connect(lender).proposeCollateralSale(0, 1)).to.be.revertedWith("Sale round still open");
+
+      await lending.connect(lender).approveCollateralSale(0);
+      // An approved sale stays open for a full period from its approval
+      await expect(lending.connect(other).proposeCollateralSale(0, 1)).to.be.revertedWith("Approved sale pending");
+
+      await networkHelpers.time.increase(period + 1);
+      await expect(lending.connect(other).proposeCollateralSale(0, 250)).to.emit(lending, "CollateralSaleProposed");
+    });
+  });
+
+  describe("Auction Fallback", function () {
+    it("Should let a share holder auction the collateral once no sale went through", async function () {
+      const { lender, other, nft, lending } = await defaultedFixture();
+      const buyer = (await ethers.getSigners())[5];
+      const delay = Number(await lending.SYNDICATE_AUCTION_DELAY());
+
+      await expect(lending.connect(other).startLiquidationAuction(0, 2000, 0, 3600)).to.be.revertedWith("Only lender can liquidate");
+      await networkHelpers.time.increase(delay);
+      await expect(lending.connect(buyer).startLiquidationAuction(0, 2000, 0, 3600)).to.be.revertedWith("Only lender can liquidate");
+
+      await expect(lending.connect(other).startLiquidationAuction(0, 2000, 0, 3600)).to.emit(lending, "AuctionStarted");
+      await networkHelpers.time.increase(1800);
+      await expect(lending.connect(buyer).bidOnAuction(0, { value: 1500 })).to.emit(lending, "AuctionSettled");
+
+      expect(await nft.ownerOf(1)).to.equal(buyer.address);
+      expect(await lending.claimable(lender.address, ETH)).to.be.gt(0);
+      expect(await lending.claimable(other.address, ETH)).to.be.gt(0);
+    });
+
+    it("Should keep the collateral in escrow when a syndicate auction goes unsold", async function () {
+      const { other, nft, lending, lendingAddress } = await defaultedFixture();
+
+      await networkHelpers.time.increase(Number(await lending.SYNDICATE_AUCTION_DELAY()));
+      await lending.connect(other).startLiquidationAuction(0, 2000, 1500, 3600);
+      await networkHelpers.time.increase(2 * 3600);
+
+      await expect(lending.settleUnsoldAuction(0))
+        .to.emit(lending, "AuctionUnsold")
+        .withArgs(0, ETH);
+      expect(await nft.ownerOf(1)).to.equal(lendingAddress);
+      // It can be run again at a lower floor
+      await expect(lending.connect(other).startLiquidationAuction(0, 1500, 0, 3600)).to.emit(lending, "AuctionStarted");
+    });
+  });
+});
@@ -0,0 +1,214 @@
+import { expect } from "chai";
+
+import { ethers, networkHelpers, ETH, DAY, platformFixture, fundAsListed, fundShareAsListed } from "./fixtures.js";
+
+describe("LendingViews", function () {
+  describe("Paginated Views", function () {
+    const NONE = 0;
+    const ACTIVE = 1;
+    const FUNDED = 2;
+
+    // Requests #0..#4 on NFTs #1..#5: #1 funded by lender (loan #0), #3 by other (loan #1), #4 cancelled
+    async function mixedRequestsFixture() {
+      const ctx = await platformFixture();
+      const { borrower, lender, other, nft, nftAddress, lending } = ctx;
+      for (let i = 0; i < 3; i++) await nft.connect(borrower).mint();
+      for (const tokenId of [1, 2, 3, 4, 5]) {
+        await lending.connect(borrower).createLoanRequest(100, 10, 500, nftAddress, tokenId, ETH, 1);
+      }
+      await fundAsListed(lending.connect(lender), 1, { value: 100 });
+      await fundAsListed(lending.connect(other), 3, { value: 100 });
+      await lending.connect(borrower).cancelLoanRequest(4);
+      return ctx;
+    }
+
+    it("Should page requests by status and hand back a cursor", async function () {
+      const { lending } = await mixedRequestsFixture();
+
+      let [requestIds, requests, nextCursor] = await lending.getRequestsPage(0, 2, ACTIVE, ETH, ETH);
+      expect(requestIds).to.deep.equal([0n, 2n]);
+      expect(requests[1].collateralTokenId).to.equal(3);
+      expect(nextCursor).to.equal(3);
+
+      [requestIds, , nextCursor] = await lending.getRequestsPage(nextCursor, 2, ACTIVE, ETH, ETH);
+      expect(requestIds.length).to.equal(0);
+      expect(nextCursor).to.equal(0);
+    });
+
+    it("Should filter requests by borrower and collection", async function () {
+      const { borrower, other, nftAddress, lending } = await mixedRequestsFixture();
+
+      let [requestIds] = await lending.getRequestsPage(0, 50, FUNDED, borrower.address, nftAddress);
+      expect(requestIds).to.deep.equal([1n, 3n]);
+
+      [requestIds] = await lending.getRequestsPage(0, 50, NONE, other.address, ETH);
+      expect(requestIds.length).to.equal(0);
+    });
+
+    it("Should filter loans by lender, borrower and open status", async function () {
+      const { borrower, lender, lending } = await mixedRequestsFixture();
+
+      let [loanIds] = await lending.getLoansPage(0, 50, true, ETH, lender.address, ETH);
+      expect(loanIds).to.deep.equal([0n]);
+      [loanIds] = await lending.getLoansPage(0, 50, false, borrower.address, ETH, ETH);
+      expect(loanIds).to.deep.equal([0n, 1n]);
+
+      const payoff = await lending.getRepayAmountAt(0, (await networkHelpers.time.latest()) + 1);
+      await lending.connect(borrower).repayLoan(0, payoff, { value: payoff });
+
+      [loanIds] = await lending.getLoansPage(0, 50, true, borrower.address, ETH, ETH);
+      expect(loanIds).to.deep.equal([1n]);
+    });
+
+    it("Should count each account's requests and loans", async function () {
+      const { borrower, lender, lending } = await mixedRequestsFixture();
+
+      expect(await lending.getAccountCounts(borrower.address)).to.deep.equal([5n, 2n, 0n]);
+      expect(await lending.getAccountCounts(lender.address)).to.deep.equal([0n, 0n, 1n]);
+    });
+
+    it("Should index a refinancing lender", async function () {
+      const { borrower, other, lending } = await mixedRequestsFixture();
+      const refinancer = (await ethers.getSigners())[4];
+      const newEndTime = (await lending.getLoan(1)).endTime + 86400n;
+
+      await lending.connect(borrower).proposeTerms(1, newEndTime, 400);
+      await lending.connect(refinancer).refinanceLoan(1, newEndTime, 400, { value: ethers.parseEther("1") });
+
+      let [loanIds] = await lending.getLoansPage(0, 50, true, ETH, refinancer.address, ETH);
+      expect(loanIds).to.deep.equal([1n]);
+      [loanIds] = await lending.getLoansPage(0, 50, false, ETH, other.address, ETH);
+      expect(loanIds.length).to.equal(0);
+    });
+
+    it("Should revert a zero limit and cap large ones", async function () {
+      const { lending } = await mixedRequestsFixture();
+
+      await expect(lending.getRequestsPage(0, 0, NONE, ETH, ETH)).to.be.revertedWith("Limit must be greater than 0");
+      const [requestIds] = await lending.getRequestsPage(0, 1000, NONE, ETH, ETH);
+      expect(requestIds.length).to.equal(5);
+    });
+  });
+
+
+  describe("Collateral Health", function () {
+    const one = ethers.parseEther("1");
+
+    // Oracle with a 2 ETH floor and NFT #2 at 1 ETH; request #0 for 1.4 ETH against NFT #1
+    async function appraisedRequestFixture() {
+      const ctx = await platformFixture();
+      const oracle = await ethers.deployContract("MockPriceOracle");
+      await ctx.lending.connect(ctx.owner).setPriceOracle(await oracle.getAddress());
+      await oracle.setCollectionPrice(ctx.nftAddress, ETH, 2n * one);
+      await oracle.setTokenPrice(ctx.nftAddress, 2, ETH, one);
+      await ctx.lending.connect(ctx.borrower).createLoanRequest(ethers.parseEther("1.4"), 30, 500, ctx.nftAddress, 1, ETH, 1);
+      return ctx;
+    }
+
+    it("Should report the appraisal and LTV of a request", async function () {
+      const { borrower, nft, nftAddress, lending } = await appraisedRequestFixture();
+
+      expect(await lending.getRequestHealth(0)).to.deep.equal([2n * one, 7000n, true]);
+
+      await nft.connect(borrower).mint();
+      await lending.connect(borrower).createBundleLoanRequest(2n * one, 30, 500, nftAddress, [2, 3], ETH, 1);
+      expect((await lending.getRequestHealth(1))[0]).to.equal(3n * one);
+    });
+
+    it("Should measure a loan's LTV against its growing payoff", async function () {
+      const { lender, lending } = await appraisedRequestFixture();
+
+      await fundAsListed(lending.connect(lender), 0, { value: ethers.parseEther("1.4") });
+      await networkHelpers.time.increase(30 * DAY);
+
+      const [value, debt, ltv, withinMaxLtv] = await lending.getLoanHealth(0);
+      expect(value).to.equal(2n * one);
+      expect(debt).to.be.gt(ethers.parseEther("1.4"));
+      expect(ltv).to.be.gt(7000);
+      expect(withinMaxLtv).to.be.false;
+    });
+
+    it("Should report nothing without an oracle", async function () {
+      const { owner, lending } = await appraisedRequestFixture();
+
+      await lending.connect(owner).setPriceOracle(ETH);
+      expect(await lending.getRequestHealth(0)).to.deep.equal([0n, 0n, false]);
+    });
+  });
+
+
+  describe("Track Record", function () {
+    const NEW = 0;
+    const RISKY = 1;
+    const BRONZE = 2;
+    const SILVER = 3;
+
+    // Lists NFT `tokenId` for 100 wei over 10 days as request `id` and has the lender fund it as loan `id`
+    async function takeLoan({ borrower, lender, nftAddress, lending }, id, tokenId = 1) {
+      await lending.connect(borrower).createLoanRequest(100, 10, 500, nftAddress, tokenId, ETH, 1);
+      await fundAsListed(lending.connect(lender), id, { value: 100 });
+    }
+
+    it("Should start every account as new", async function () {
+      const { borrower, lending } = await platformFixture();
+
+      const { stats, borrowed, lent, tier } = await lending.getReputation(borrower.address, ETH);
+      expect(stats.loansTaken).to.equal(0);
+      expect(borrowed).to.equal(0);
+      expect(lent).to.equal(0);
+      expect(tier).to.equal(NEW);
+    });
+
+    it("Should count loans and volumes on both sides", async function () {
+      const ctx = await platformFixture();
+      const { borrower, lender, lending } = ctx;
+
+      for (let i = 0; i < 3; i++) {
+        await takeLoan(ctx, i);
+        await lending.connect(borrower).repayLoan(i, 1000, { value: 1000 });
+      }
+
+      const record = await lending.getReputation(borrower.address, ETH);
+      expect(record.stats.loansTaken).to.equal(3);
+      expect(record.stats.repaidOnTime).to.equal(3);
+      expect(record.borrowed).to.equal(300);
+      expect(record.tier).to.equal(SILVER);
+
+      const lenderRecord = await lending.getReputation(lender.address, ETH);
+      expect(lenderRecord.stats.loansFunded).to.equal(3);
+      expect(lenderRecord.lent).to.equal(300);
+      expect((await lending.getReputation(borrower.address, await ctx.token.getAddress())).borrowed).to.equal(0);
+    });
+
+    it("Should record late repayments and liquidations", async function () {
+      const ctx = await platformFixture();
+      const { borrower, lender, lending } = ctx;
+
+      await takeLoan(ctx, 0);
+      await networkHelpers.time.increase(11 * DAY);
+      await lending.connect(borrower).repayLoan(0, 1000, { value: 1000 });
+      expect((await lending.getReputation(borrower.address, ETH)).tier).to.equal(BRONZE);
+
+      await takeLoan(ctx, 1, 2);
+      await networkHelpers.time.increase(14 * DAY);
+      await lending.connect(lender).liquidateExpiredLoan(1);
+
+      const { stats, tier } = await lending.getReputation(borrower.address, ETH);
+      expect(stats.repaidLate).to.equal(1);
+      expect(stats.liquidated).to.equal(1);
+      expect(tier).to.equal(RISKY);
+    });
+
+    it("Should credit each syndicate lender rather than the platform", async function () {
+      const { borrower, lender, other, nftAddress, lending, lendingAddress } = await platformFixture();
+
+      await lending.connect(borrower).createLoanRequest(100, 10, 500, nftAddress, 1, ETH, 1);
+      await fundShareAsListed(lending.connect(lender), 0, 60, { value: 60 });
+      await fundShareAsListed(lending.connect(other), 0, 40, { value: 40 });
+
+      expect((await lending.getReputation(lender.address, ETH)).stats.loansFunded).to.equal(1);
+      expect((await lending.getReputation(other.address, ETH)).lent).to.equal(40);
+      expect((await lending.getReputation(lendingAddress, ETH)).stats.loansFunded).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import { expect } from "chai";
+
+import { ethers, networkHelpers, ETH, DAY, platformFixture, ethLoanFixture, fundAsListed } from "./fixtures.js";
+
+describe("PromissoryNote", function () {
+  it("Should mint the note to the lender at funding", async function () {
+    const { lender, lending, note } = await ethLoanFixture();
+
+    expect(await note.ownerOf(0)).to.equal(lender.address);
+    expect(await lending.lenderOf(0)).to.equal(lender.address);
+  });
+
+  it("Should only let the platform mint or burn", async function () {
+    const { lender, note } = await ethLoanFixture();
+
+    await expect(note.connect(lender).mint(lender.address, 5)).to.be.revertedWith("Only platform");
+    await expect(note.connect(lender).burn(0)).to.be.revertedWith("Only platform");
+  });
+
+  it("Should pay repayments to whoever holds the note and burn it at close", async function () {
+    const { borrower, lender, other, lending, note } = await ethLoanFixture();
+    const part = ethers.parseEther("0.5");
+
+    await note.connect(lender).transferFrom(lender.address, other.address, 0);
+    expect(await lending.lenderOf(0)).to.equal(other.address);
+
+    await lending.connect(borrower).repayLoan(0, part, { value: part });
+    expect(await lending.claimable(other.address, ETH)).to.equal(part);
+    expect(await lending.claimable(lender.address, ETH)).to.equal(0);
+
+    const payoff = await lending.getRepayAmountAt(0, (await networkHelpers.time.latest()) + 1);
+    await expect(lending.connect(borrower).repayLoan(0, payoff, { value: payoff }))
+      .to.emit(lending, "LoanRepaid");
+    expect(await lending.claimable(other.address, ETH)).to.equal(part + payoff);
+    await expect(note.ownerOf(0)).to.be.revertedWith("ERC721: invalid token ID");
+  });
+
+  it("Should only let the holder liquidate", async function () {
+    const { lender, other, nft, lending, note } = await ethLoanFixture();
+
+    await note.connect(lender).transferFrom(lender.address, other.address, 0);
+    await networkHelpers.time.increase(34 * DAY);
+
+    await expect(lending.connect(lender).liquidateExpiredLoan(0)).to.be.revertedWith("Only lender can liquidate");
+    await lending.connect(other).liquidateExpiredLoan(0);
+    expect(await nft.ownerOf(1)).to.equal(other.address);
+    expect(await note.balanceOf(other.address)).to.equal(0);
+  });
+
+  describe("Wiring", function () {
+    // A second proxy with every module missing and no note set yet
+    async function barePlatform(nftAddress) {
+      const LendingPlatform = await ethers.getContractFactory("LendingPlatform");
+      const implementation = await LendingPlatform.deploy();
+      const proxy = await ethers.deployContract("LendingProxy", [
+        await implementation.getAddress(),
+        LendingPlatform.interface.encodeFunctionData("initialize", [nftAddress]),
+      ]);
+      return LendingPlatform.attach(await proxy.getAddress());
+    }
+
+    it("Should be set once", async function () {
+      const { owner, lending, note } = await platformFixture();
+
+      await expect(lending.connect(owner).setPromissoryNote(await note.getAddress())).to.be.revertedWith("Promissory note already set");
+    });
+
+    it("Should revert for a note bound to another platform", async function () {
+      const { owner, nftAddress, note } = await platformFixture();
+      const bare = await barePlatform(nftAddress);
+
+      await expect(bare.connect(owner).setPromissoryNote(await note.getAddress())).to.be.revertedWith("Note not bound to platform");
+    });
+
+    it("Should revert funding while no note is set", async function () {
+      const { borrower, lender, nft, nftAddress } = await platformFixture();
+      const bare = await barePlatform(nftAddress);
+
+      await nft.connect(borrower).setApprovalForAll(await bare.getAddress(), true);
+      await bare.connect(borrower).createLoanRequest(100, 30, 500, nftAddress, 1, ETH, 1);
+
+      await expect(fundAsListed(bare.connect(lender), 0, { value: 100 })).to.be.revertedWith("Promissory note not set");
+    });
+  });
+});
@@ -0,0 +1,94 @@
+// test/fixtures.js
+import { network } from "hardhat";
+
+export const { ethers, networkHelpers } = await network.connect();
+
+export const ETH = ethers.ZeroAddress;
+export const DAY = 24 * 60 * 60;
+
+// Same module list as scripts/deploy.js
+const LENDING_MODULES = ["LendingAdmin", "LendingAuctions", "LendingBatch", "LendingEmergency", "LendingListings", "LendingOffers", "LendingReceiver", "LendingRefinance", "LendingSignatures", "LendingSubstitution", "LendingSyndication", "LendingViews"];
+
+// Proxy + every module routed, as scripts/deploy.js does it. `lending` carries the merged ABI so
+// module functions and events can be called on the proxy address directly.
+async function deployPlatform() {
+  const [owner, borrower, lender, other] = await ethers.getSigners();
+
+  const nft = await ethers.deployContract("TokenNFT");
+  const nftAddress = await nft.getAddress();
+
+  const LendingPlatform = await ethers.getContractFactory("LendingPlatform");
+  const implementation = await LendingPlatform.deploy();
+  const proxy = await ethers.deployContract("LendingProxy", [
+    await implementation.getAddress(),
+    LendingPlatform.interface.encodeFunctionData("initialize", [nftAddress]),
+  ]);
+  const lendingAddress = await proxy.getAddress();
+  const core = LendingPlatform.attach(lendingAddress);
+
+  const seen = new Set(LendingPlatform.interface.fragments.map((f) => `${f.type}:${f.format("full")}`));
+  const fragments = [...LendingPlatform.interface.fragments];
+  for (const name of LENDING_MODULES) {
+    const Module = await ethers.getContractFactory(name);
+    const mod = await Module.deploy();
+    const selectors = [];
+    Module.interface.forEachFunction((fn) => {
+      if (!LendingPlatform.interface.getFunction(fn.selector)) selectors.push(fn.selector);
+    });
+    await core.setModule(await mod.getAddress(), selectors);
+
+    for (const f of Module.interface.fragments) {
+      const key = `${f.type}:${f.format("full")}`;
+      if (f.type === "constructor" || seen.has(key)) continue;
+      seen.add(key);
+      fragments.push(f);
+    }
+  }
+  const lending = new ethers.Contract(lendingAddress, fragments, owner);
+
+  const note = await ethers.deployContract("PromissoryNote", [lendingAddress]);
+  await core.setPromissoryNote(await note.getAddress());
+
+  const token = await ethers.deployContract("AssetToken");
+  await token.transfer(lender.address, ethers.parseEther("1000"));
+  await token.transfer(borrower.address, ethers.parseEther("1000"));
+
+  // Borrower owns NFTs #1 and #2 and has approved the platform for the collection
+  await nft.connect(borrower).mint();
+  await nft.connect(borrower).mint();
+  await nft.connect(borrower).setApprovalForAll(lendingAddress, true);
+
+  return { owner, borrower, lender, other, nft, nftAddress, lending, lendingAddress, note, token };
+}
+
+export function platformFixture() {
+  return networkHelpers.loadFixture(deployPlatform);
+}
+
+// Funds a request at the terms it is listed with now
+export async function fundAsListed(lending, requestId, overrides = {}) {
+  const request = await lending.loanRequests(requestId);
+  return lending.fundLoanRequest(requestId, request.loanAmount, request.durationInDays, request.interestRate, overrides);
+}
+
+// Funds `amount` of a request as a syndicate share, at the terms it is listed with now
+export async function fundShareAsListed(lending, requestId, amount, overrides = {}) {
+  const request = await lending.loanRequests(requestId);
+  return lending.fundLoanShare(requestId, amount, request.loanAmount, request.durationInDays, request.interestRate, overrides);
+}
+
+// Request #0 against NFT #1, funded in ETH by `lender` (loan #0)
+export async function ethLoanFixture() {
+  return networkHelpers.loadFixture(deployEthLoan);
+}
+
+async function deployEthLoan() {
+  const ctx = await deployPlatform();
+  const { borrower, lender, lending, nftAddress } = ctx;
+  const loanAmount = ethers.parseEther("1");
+
+  await lending.connect(borrower).createLoanRequest(loanAmount, 30, 500, nftAddress, 1, ETH, 1);
+  await fundAsListed(lending.connect(lender), 0, { value: loanAmount });
+
+  return { ...ctx, loanAmount };
+}